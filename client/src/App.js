@@ -5,6 +5,7 @@ import CssBaseline from '@mui/material/CssBaseline';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { SocketProvider } from './contexts/SocketContext';
 
 // Components
 import ProtectedRoute from './components/common/ProtectedRoute';
@@ -13,6 +14,11 @@ import Layout from './components/common/Layout';
 // Auth Pages
 import LoginPage from './pages/auth/LoginPage';
 import RegisterPage from './pages/auth/RegisterPage';
+import ForgotPasswordPage from './pages/auth/ForgotPasswordPage';
+import ResetPasswordPage from './pages/auth/ResetPasswordPage';
+import VerifyEmailPage from './pages/auth/VerifyEmailPage';
+import CheckEmailPage from './pages/auth/CheckEmailPage';
+import AcceptInvitationPage from './pages/auth/AcceptInvitationPage';
 
 // Patient Pages
 import PatientDashboardPage from './pages/patient/DashboardPage';
@@ -22,10 +28,18 @@ import NotesPage from './pages/patient/NotesPage';
 
 // Physiotherapist Pages
 import PhysiotherapistDashboardPage from './pages/physiotherapist/DashboardPage';
+import FormChecksPage from './pages/physiotherapist/FormChecksPage';
 
 // Doctor Pages
 import DoctorDashboardPage from './pages/doctor/DashboardPage';
 
+// Provider Onboarding Pages
+import LicenseStatusPage from './pages/provider/LicenseStatusPage';
+import ProviderOnboardingPage from './pages/admin/ProviderOnboardingPage';
+
+// Shared Pages
+import InboxPage from './pages/messages/InboxPage';
+
 // Other Pages
 import TestPage from './pages/TestPage';
 import NotFoundPage from './pages/NotFoundPage';
@@ -69,120 +83,171 @@ function App() {
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <AuthProvider>
-        <BrowserRouter>
-          <Routes>
-            {/* Home Route - Redirect based on auth status */}
-            <Route path="/" element={<HomeRedirect />} />
-
-            {/* Public Routes */}
-            <Route path="/login" element={<LoginPage />} />
-            <Route path="/register" element={<RegisterPage />} />
-            <Route path="/test" element={<TestPage />} />
-            <Route path="/unauthorized" element={<UnauthorizedPage />} />
-
-            {/* Patient Routes */}
-            <Route
-              path="/patient/dashboard"
-              element={
-                <ProtectedRoute allowedRoles={['patient']}>
-                  <Layout>
-                    <PatientDashboardPage />
-                  </Layout>
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path="/patient/progress"
-              element={
-                <ProtectedRoute allowedRoles={['patient']}>
-                  <Layout>
-                    <ProgressPage />
-                  </Layout>
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path="/patient/tasks"
-              element={
-                <ProtectedRoute allowedRoles={['patient']}>
-                  <Layout>
-                    <TasksPage />
-                  </Layout>
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path="/patient/notes"
-              element={
-                <ProtectedRoute allowedRoles={['patient']}>
-                  <Layout>
-                    <NotesPage />
-                  </Layout>
-                </ProtectedRoute>
-              }
-            />
+        <SocketProvider>
+          <BrowserRouter>
+            <Routes>
+              {/* Home Route - Redirect based on auth status */}
+              <Route path="/" element={<HomeRedirect />} />
 
-            {/* Physiotherapist Routes */}
-            <Route
-              path="/physiotherapist/dashboard"
-              element={
-                <ProtectedRoute allowedRoles={['physiotherapist']}>
-                  <Layout>
-                    <PhysiotherapistDashboardPage />
-                  </Layout>
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path="/physiotherapist/patients"
-              element={
-                <ProtectedRoute allowedRoles={['physiotherapist']}>
-                  <Layout>
-                    <PhysiotherapistDashboardPage />
-                  </Layout>
-                </ProtectedRoute>
-              }
-            />
+              {/* Public Routes */}
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/register" element={<RegisterPage />} />
+              <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+              <Route path="/reset-password" element={<ResetPasswordPage />} />
+              <Route path="/verify-email" element={<VerifyEmailPage />} />
+              <Route path="/check-email" element={<CheckEmailPage />} />
+              <Route path="/accept-invitation" element={<AcceptInvitationPage />} />
+              <Route path="/test" element={<TestPage />} />
+              <Route path="/unauthorized" element={<UnauthorizedPage />} />
 
-            {/* Doctor Routes */}
-            <Route
-              path="/doctor/dashboard"
-              element={
-                <ProtectedRoute allowedRoles={['doctor']}>
-                  <Layout>
-                    <DoctorDashboardPage />
-                  </Layout>
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path="/doctor/patients"
-              element={
-                <ProtectedRoute allowedRoles={['doctor']}>
-                  <Layout>
-                    <DoctorDashboardPage />
-                  </Layout>
-                </ProtectedRoute>
-              }
-            />
+              {/* Patient Routes */}
+              <Route
+                path="/patient/dashboard"
+                element={
+                  <ProtectedRoute allowedRoles={['patient']}>
+                    <Layout>
+                      <PatientDashboardPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/patient/progress"
+                element={
+                  <ProtectedRoute allowedRoles={['patient']}>
+                    <Layout>
+                      <ProgressPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/patient/tasks"
+                element={
+                  <ProtectedRoute allowedRoles={['patient']}>
+                    <Layout>
+                      <TasksPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/patient/notes"
+                element={
+                  <ProtectedRoute allowedRoles={['patient']}>
+                    <Layout>
+                      <NotesPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+
+              {/* Physiotherapist Routes */}
+              <Route
+                path="/physiotherapist/dashboard"
+                element={
+                  <ProtectedRoute allowedRoles={['physiotherapist']}>
+                    <Layout>
+                      <PhysiotherapistDashboardPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/physiotherapist/patients"
+                element={
+                  <ProtectedRoute allowedRoles={['physiotherapist']}>
+                    <Layout>
+                      <PhysiotherapistDashboardPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/physiotherapist/form-checks"
+                element={
+                  <ProtectedRoute allowedRoles={['physiotherapist']}>
+                    <Layout>
+                      <FormChecksPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+
+              {/* Doctor Routes */}
+              <Route
+                path="/doctor/dashboard"
+                element={
+                  <ProtectedRoute allowedRoles={['doctor']}>
+                    <Layout>
+                      <DoctorDashboardPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/doctor/patients"
+                element={
+                  <ProtectedRoute allowedRoles={['doctor']}>
+                    <Layout>
+                      <DoctorDashboardPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
 
-            {/* 404 Not Found - Must be last */}
-            <Route path="*" element={<NotFoundPage />} />
-          </Routes>
-
-          {/* Toast Notifications */}
-          <ToastContainer
-            position="top-right"
-            autoClose={3000}
-            hideProgressBar={false}
-            newestOnTop
-            closeOnClick
-            rtl={false}
-            pauseOnFocusLoss
-            draggable
-            pauseOnHover
-          />
-        </BrowserRouter>
+              {/* Provider Onboarding */}
+              <Route
+                path="/provider-status"
+                element={
+                  <ProtectedRoute allowedRoles={['physiotherapist', 'doctor']} allowUnverified>
+                    <Layout>
+                      <LicenseStatusPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/providers"
+                element={
+                  <ProtectedRoute clinicAdminOnly>
+                    <Layout>
+                      <ProviderOnboardingPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+
+              {/* Messaging - All roles */}
+              <Route
+                path="/messages"
+                element={
+                  <ProtectedRoute allowedRoles={['patient', 'physiotherapist', 'doctor']}>
+                    <Layout>
+                      <InboxPage />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+
+              {/* 404 Not Found - Must be last */}
+              <Route path="*" element={<NotFoundPage />} />
+            </Routes>
+
+            {/* Toast Notifications */}
+            <ToastContainer
+              position="top-right"
+              autoClose={3000}
+              hideProgressBar={false}
+              newestOnTop
+              closeOnClick
+              rtl={false}
+              pauseOnFocusLoss
+              draggable
+              pauseOnHover
+            />
+          </BrowserRouter>
+        </SocketProvider>
       </AuthProvider>
     </ThemeProvider>
   );
@@ -16,14 +16,85 @@ export const authAPI = {
     return await apiClient.get('/auth/me');
   },
 
+  // Update profile (a new license number is verified again)
+  updateProfile: async (updates) => {
+    return await apiClient.put('/auth/profile', updates);
+  },
+
   // Logout
   logout: async () => {
     return await apiClient.post('/auth/logout');
   },
 
   // Refresh token
-  refreshToken: async () => {
-    return await apiClient.post('/auth/refresh');
+  refreshToken: async (refreshToken) => {
+    return await apiClient.post('/auth/refresh', { refreshToken });
+  },
+
+  // Log out every device
+  logoutAll: async () => {
+    return await apiClient.post('/auth/logout-all');
+  },
+
+  // Signed-in devices
+  getSessions: async () => {
+    return await apiClient.get('/auth/sessions');
+  },
+
+  revokeSession: async (sessionId) => {
+    return await apiClient.delete(`/auth/sessions/${sessionId}`);
+  },
+
+  // Email verification and password reset links
+  verifyEmail: async (token) => {
+    return await apiClient.post('/auth/verify-email', { token });
+  },
+
+  resendVerification: async () => {
+    return await apiClient.post('/auth/resend-verification');
+  },
+
+  forgotPassword: async (email) => {
+    return await apiClient.post('/auth/forgot-password', { email });
+  },
+
+  resetPassword: async (resetToken, newPassword) => {
+    return await apiClient.post('/auth/reset-password', { resetToken, newPassword });
+  },
+
+  // Two-factor authentication
+  verifyTwoFactorLogin: async (challengeToken, { code, recoveryCode }) => {
+    return await apiClient.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+  },
+
+  getTwoFactorStatus: async () => {
+    return await apiClient.get('/auth/2fa');
+  },
+
+  // challengeToken is only needed during login, when the role requires two-factor setup
+  setupTwoFactor: async (challengeToken) => {
+    return await apiClient.post('/auth/2fa/setup', { challengeToken });
+  },
+
+  enableTwoFactor: async (code, challengeToken) => {
+    return await apiClient.post('/auth/2fa/enable', { code, challengeToken });
+  },
+
+  disableTwoFactor: async (password, code) => {
+    return await apiClient.post('/auth/2fa/disable', { password, code });
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    return await apiClient.post('/auth/2fa/recovery-codes', { code });
+  },
+
+  // Login lockouts (physiotherapists for their patients, doctors for anyone)
+  getAccountLockStatus: async (userId) => {
+    return await apiClient.get(`/auth/accounts/${userId}/lock`);
+  },
+
+  unlockAccount: async (userId) => {
+    return await apiClient.post(`/auth/accounts/${userId}/unlock`);
   },
 };
 
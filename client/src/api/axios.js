@@ -1,8 +1,13 @@
 import axios from 'axios';
 
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Fired on window after a new access token is stored (the socket reconnects with it)
+export const TOKEN_REFRESHED_EVENT = 'auth:token-refreshed';
+
 // Create axios instance with base configuration
 const apiClient = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  baseURL: API_URL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
@@ -23,18 +28,73 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Exchange the refresh token for a new token pair. Refresh tokens are single use,
+// so concurrent callers share one request and the new refresh token replaces the old.
+let refreshRequest = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshRequest = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { accessToken, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', accessToken);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        window.dispatchEvent(new CustomEvent(TOKEN_REFRESHED_EVENT, { detail: { token: accessToken } }));
+        return accessToken;
+      })
+      .catch((error) => {
+        // Another tab rotated the token first; use the pair it stored
+        if (refreshToken && localStorage.getItem('refreshToken') !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+
+  return refreshRequest;
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
 // Response interceptor to handle errors
 apiClient.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
     if (error.response) {
-      // Handle 401 Unauthorized
-      if (error.response.status === 401) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
+      const { config } = error;
+
+      // Handle 401 Unauthorized: refresh the access token once, then give up.
+      // A wrong password, two-factor code or reset link is shown on the page instead.
+      const isAuthRequest = /\/auth\/(login|login\/2fa|refresh|reset-password)$/.test(config.url || '');
+
+      if (error.response.status === 401 && !isAuthRequest) {
+        if (!config._retried && localStorage.getItem('refreshToken')) {
+          try {
+            const accessToken = await refreshAccessToken();
+            config._retried = true;
+            config.headers.Authorization = `Bearer ${accessToken}`;
+            return apiClient(config);
+          } catch (refreshError) {
+            clearSession();
+          }
+        } else {
+          clearSession();
+        }
       }
 
       // Return error response data
@@ -0,0 +1,48 @@
+import apiClient, { API_URL } from './axios';
+
+// Signed download paths start with /api, so resolve them against the server origin
+const SERVER_URL = API_URL.replace(/\/api\/?$/, '');
+
+export const filesAPI = {
+  // Upload a file for a patient
+  upload: async (file, patientId) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (patientId) {
+      formData.append('patientId', patientId);
+    }
+
+    return await apiClient.post('/files', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+    });
+  },
+
+  // Upload a demo video or handout to attach to tasks and templates
+  uploadExerciseResource: async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('purpose', 'exercise_resource');
+
+    return await apiClient.post('/files', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+    });
+  },
+
+  // Get a patient's files
+  getPatientFiles: async (patientId, params = {}) => {
+    return await apiClient.get(`/files/patient/${patientId}`, { params });
+  },
+
+  // Get a short-lived download URL ('original' or 'thumbnail')
+  getDownloadUrl: async (fileId, variant = 'original') => {
+    const response = await apiClient.get(`/files/${fileId}/url`, { params: { variant } });
+    return `${SERVER_URL}${response.data.url}`;
+  },
+
+  // Delete a file
+  deleteFile: async (fileId) => {
+    return await apiClient.delete(`/files/${fileId}`);
+  },
+};
@@ -0,0 +1,43 @@
+import apiClient from './axios';
+
+export const messagesAPI = {
+  // Get people the current user can message
+  getContacts: async () => {
+    return await apiClient.get('/messages/contacts');
+  },
+
+  // Get conversations with unread counts
+  getConversations: async (params = {}) => {
+    return await apiClient.get('/messages/conversations', { params });
+  },
+
+  // Get unread message count
+  getUnreadCount: async () => {
+    return await apiClient.get('/messages/unread-count');
+  },
+
+  // Start (or reopen) a direct conversation
+  startDirect: async (participantId) => {
+    return await apiClient.post('/messages/conversations/direct', { participantId });
+  },
+
+  // Get a patient's care-team conversation
+  getCareTeam: async (patientId) => {
+    return await apiClient.get(`/messages/conversations/care-team/${patientId}`);
+  },
+
+  // Get messages in a conversation
+  getMessages: async (conversationId, params = {}) => {
+    return await apiClient.get(`/messages/conversations/${conversationId}/messages`, { params });
+  },
+
+  // Send a message
+  sendMessage: async (conversationId, messageData) => {
+    return await apiClient.post(`/messages/conversations/${conversationId}/messages`, messageData);
+  },
+
+  // Mark a conversation as read
+  markAsRead: async (conversationId) => {
+    return await apiClient.put(`/messages/conversations/${conversationId}/read`);
+  },
+};
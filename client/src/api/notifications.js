@@ -30,6 +30,31 @@ export const notificationsAPI = {
   dismissNotification: async (notificationId) => {
     return await apiClient.delete(`/notifications/${notificationId}`);
   },
+
+  // Get notification preferences
+  getPreferences: async () => {
+    return await apiClient.get('/notifications/preferences');
+  },
+
+  // Update notification preferences
+  updatePreferences: async (preferences) => {
+    return await apiClient.put('/notifications/preferences', preferences);
+  },
+
+  // Get VAPID public key for Web Push
+  getPushPublicKey: async () => {
+    return await apiClient.get('/notifications/push/public-key');
+  },
+
+  // Register this browser's push subscription
+  registerPushSubscription: async (subscription) => {
+    return await apiClient.post('/notifications/push/subscriptions', subscription);
+  },
+
+  // Remove this browser's push subscription
+  unregisterPushSubscription: async (endpoint) => {
+    return await apiClient.delete('/notifications/push/subscriptions', { data: { endpoint } });
+  },
 };
 
 export default notificationsAPI;
@@ -47,6 +47,10 @@ export const patientAPI = {
     return await apiClient.post(`/patients/tasks/${taskId}/notes`, { notes });
   },
 
+  recordVideoPlayback: async (taskId, resourceId, playback) => {
+    return await apiClient.post(`/patients/tasks/${taskId}/videos/${resourceId}/playback`, playback);
+  },
+
   // Personal Notes
   createNote: async (noteData) => {
     return await apiClient.post('/patients/notes', noteData);
@@ -77,6 +81,10 @@ export const patientAPI = {
     return await apiClient.delete(`/patients/progress/${progressId}`);
   },
 
+  requestFormCheck: async (progressId, formCheck) => {
+    return await apiClient.post(`/patients/progress/${progressId}/form-check`, formCheck);
+  },
+
   // Analytics
   getAnalytics: async (params = {}) => {
     return await apiClient.get('/patients/analytics', { params });
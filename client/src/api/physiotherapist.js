@@ -15,11 +15,25 @@ export const physiotherapistAPI = {
     return await apiClient.get(`/physiotherapists/patients/${patientId}`);
   },
 
+  // Alerts
+  getAlerts: async () => {
+    return await apiClient.get('/physiotherapists/alerts');
+  },
+
   // Feedback
   provideFeedback: async (feedbackData) => {
     return await apiClient.post('/physiotherapists/feedback', feedbackData);
   },
 
+  // Form Checks
+  getFormChecks: async (params = {}) => {
+    return await apiClient.get('/physiotherapists/form-checks', { params });
+  },
+
+  reviewFormCheck: async (progressId, review) => {
+    return await apiClient.put(`/physiotherapists/form-checks/${progressId}/review`, review);
+  },
+
   // Analytics
   getAnalytics: async (params = {}) => {
     return await apiClient.get('/physiotherapists/analytics', { params });
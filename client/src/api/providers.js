@@ -0,0 +1,32 @@
+import apiClient from './axios';
+
+export const providersAPI = {
+  // Who an invitation is for (no login needed)
+  lookupInvitation: async (token) => {
+    return await apiClient.post('/providers/invitations/lookup', { token });
+  },
+
+  // Clinic admin: invitations
+  createInvitation: async (invitationData) => {
+    return await apiClient.post('/providers/invitations', invitationData);
+  },
+
+  getInvitations: async (params = {}) => {
+    return await apiClient.get('/providers/invitations', { params });
+  },
+
+  revokeInvitation: async (invitationId) => {
+    return await apiClient.delete(`/providers/invitations/${invitationId}`);
+  },
+
+  // Clinic admin: license verification
+  getPendingProviders: async () => {
+    return await apiClient.get('/providers/pending');
+  },
+
+  reviewLicense: async (userId, decision, reason) => {
+    return await apiClient.put(`/providers/${userId}/license`, { decision, reason });
+  },
+};
+
+export default providersAPI;
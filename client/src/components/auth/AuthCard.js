@@ -0,0 +1,81 @@
+import React from 'react';
+import { Container, Paper, Box, Typography } from '@mui/material';
+import { FitnessCenter as RehabIcon } from '@mui/icons-material';
+
+// Gradient background, logo and title shared by the signed-out account pages
+function AuthCard({ subtitle, children }) {
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        py: 4,
+      }}
+    >
+      <Container maxWidth="sm">
+        <Paper
+          elevation={24}
+          sx={{
+            p: 4,
+            borderRadius: 3,
+            backgroundColor: 'rgba(255, 255, 255, 0.95)',
+            backdropFilter: 'blur(10px)',
+          }}
+        >
+          <Box sx={{ textAlign: 'center', mb: 4 }}>
+            <Box
+              sx={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                width: 80,
+                height: 80,
+                borderRadius: '50%',
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                mb: 2,
+              }}
+            >
+              <RehabIcon sx={{ fontSize: 40, color: 'white' }} />
+            </Box>
+            <Typography
+              variant="h4"
+              component="h1"
+              fontWeight="bold"
+              gutterBottom
+              sx={{
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+              }}
+            >
+              Rehab Tracker
+            </Typography>
+            {subtitle && (
+              <Typography variant="body1" color="text.secondary">
+                {subtitle}
+              </Typography>
+            )}
+          </Box>
+
+          {children}
+        </Paper>
+      </Container>
+    </Box>
+  );
+}
+
+export const gradientButtonSx = {
+  py: 1.5,
+  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  '&:hover': {
+    background: 'linear-gradient(135deg, #5568d3 0%, #6941a0 100%)',
+  },
+  fontSize: '1rem',
+  fontWeight: 600,
+  textTransform: 'none',
+};
+
+export default AuthCard;
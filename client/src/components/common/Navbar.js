@@ -19,6 +19,8 @@ import {
   ListItemIcon,
   ListItemText,
   Divider,
+  Badge,
+  Tooltip,
 } from '@mui/material';
 import {
   Menu as MenuIcon,
@@ -31,18 +33,28 @@ import {
   Analytics as AnalyticsIcon,
   AccountCircle as AccountCircleIcon,
   Logout as LogoutIcon,
+  Notifications as NotificationsIcon,
+  Chat as MessagesIcon,
+  Videocam as FormChecksIcon,
+  VerifiedUser as OnboardingIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import { notificationsAPI } from '../../api/notifications';
 
 const Navbar = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
+  const { unreadCount, refreshUnreadCount } = useSocket();
+
   const [anchorEl, setAnchorEl] = useState(null);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [notificationAnchorEl, setNotificationAnchorEl] = useState(null);
+  const [recentNotifications, setRecentNotifications] = useState([]);
 
   // Get navigation items based on user role
   const getNavItems = () => {
@@ -54,20 +66,31 @@ const Navbar = () => {
         { label: 'Progress', path: '/progress', icon: <ProgressIcon /> },
         { label: 'Tasks', path: '/tasks', icon: <TasksIcon /> },
         { label: 'Notes', path: '/notes', icon: <NotesIcon /> },
+        { label: 'Messages', path: '/messages', icon: <MessagesIcon /> },
       ],
       physiotherapist: [
         { label: 'Dashboard', path: '/dashboard', icon: <DashboardIcon /> },
         { label: 'Patients', path: '/patients', icon: <PatientsIcon /> },
         { label: 'Schedule', path: '/schedule', icon: <ScheduleIcon /> },
+        { label: 'Form Checks', path: '/physiotherapist/form-checks', icon: <FormChecksIcon /> },
+        { label: 'Messages', path: '/messages', icon: <MessagesIcon /> },
       ],
       doctor: [
         { label: 'Dashboard', path: '/dashboard', icon: <DashboardIcon /> },
         { label: 'Patients', path: '/patients', icon: <PatientsIcon /> },
         { label: 'Analytics', path: '/analytics', icon: <AnalyticsIcon /> },
+        { label: 'Messages', path: '/messages', icon: <MessagesIcon /> },
       ],
     };
 
-    return roleNavItems[user.role] || [];
+    const items = roleNavItems[user.role] || [];
+
+    // Clinic admins (CLINIC_ADMIN_EMAILS) invite providers and verify licenses
+    if (user.isClinicAdmin) {
+      return [...items, { label: 'Provider Onboarding', path: '/admin/providers', icon: <OnboardingIcon /> }];
+    }
+
+    return items;
   };
 
   const navItems = getNavItems();
@@ -80,6 +103,49 @@ const Navbar = () => {
     setAnchorEl(null);
   };
 
+  const handleNotificationMenuOpen = async (event) => {
+    setNotificationAnchorEl(event.currentTarget);
+
+    try {
+      const response = await notificationsAPI.getNotifications({ unreadOnly: true, limit: 5 });
+      if (response.success) {
+        setRecentNotifications(response.data.notifications);
+      }
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  };
+
+  const handleNotificationMenuClose = () => {
+    setNotificationAnchorEl(null);
+  };
+
+  const handleNotificationClick = async (notification) => {
+    handleNotificationMenuClose();
+
+    try {
+      await notificationsAPI.markAsRead(notification._id);
+      refreshUnreadCount();
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error);
+    }
+
+    if (notification.actionUrl) {
+      navigate(notification.actionUrl);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    handleNotificationMenuClose();
+
+    try {
+      await notificationsAPI.markAllAsRead();
+      refreshUnreadCount();
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
   const handleNavigate = (path) => {
     navigate(path);
     setMobileMenuOpen(false);
@@ -93,6 +159,13 @@ const Navbar = () => {
     navigate('/login');
   };
 
+  const handleLogoutAll = async () => {
+    await logoutAll();
+    handleProfileMenuClose();
+    setMobileMenuOpen(false);
+    navigate('/login');
+  };
+
   const toggleMobileMenu = () => {
     setMobileMenuOpen(!mobileMenuOpen);
   };
@@ -258,6 +331,57 @@ const Navbar = () => {
         </ListItemIcon>
         <ListItemText>Logout</ListItemText>
       </MenuItem>
+      <MenuItem onClick={handleLogoutAll}>
+        <ListItemIcon>
+          <LogoutIcon fontSize="small" />
+        </ListItemIcon>
+        <ListItemText>Log out all devices</ListItemText>
+      </MenuItem>
+    </Menu>
+  );
+
+  // Notifications menu (the badge updates live over the socket)
+  const renderNotificationMenu = () => (
+    <Menu
+      anchorEl={notificationAnchorEl}
+      open={Boolean(notificationAnchorEl)}
+      onClose={handleNotificationMenuClose}
+      anchorOrigin={{
+        vertical: 'bottom',
+        horizontal: 'right',
+      }}
+      transformOrigin={{
+        vertical: 'top',
+        horizontal: 'right',
+      }}
+      sx={{ mt: 1 }}
+    >
+      <Box sx={{ px: 2, py: 1, minWidth: 280, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+          Notifications
+        </Typography>
+        {unreadCount > 0 && (
+          <Button size="small" onClick={handleMarkAllRead}>
+            Mark all read
+          </Button>
+        )}
+      </Box>
+      <Divider />
+      {recentNotifications.length === 0 ? (
+        <MenuItem disabled>
+          <ListItemText>No unread notifications</ListItemText>
+        </MenuItem>
+      ) : (
+        recentNotifications.map((notification) => (
+          <MenuItem key={notification._id} onClick={() => handleNotificationClick(notification)}>
+            <ListItemText
+              primary={notification.title}
+              secondary={notification.message}
+              secondaryTypographyProps={{ noWrap: true, sx: { maxWidth: 260 } }}
+            />
+          </MenuItem>
+        ))
+      )}
     </Menu>
   );
 
@@ -311,6 +435,13 @@ const Navbar = () => {
                   </Typography>
                 </Box>
               )}
+              <Tooltip title={`${unreadCount} unread notification${unreadCount === 1 ? '' : 's'}`}>
+                <IconButton color="inherit" onClick={handleNotificationMenuOpen}>
+                  <Badge badgeContent={unreadCount} color="error" max={99}>
+                    <NotificationsIcon />
+                  </Badge>
+                </IconButton>
+              </Tooltip>
               <IconButton
                 onClick={handleProfileMenuOpen}
                 sx={{
@@ -343,6 +474,9 @@ const Navbar = () => {
 
       {/* Profile menu */}
       {renderProfileMenu()}
+
+      {/* Notifications menu */}
+      {renderNotificationMenu()}
     </>
   );
 };
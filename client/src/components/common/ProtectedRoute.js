@@ -3,7 +3,8 @@ import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { CircularProgress, Box } from '@mui/material';
 
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
+// Providers whose license is not verified yet only see pages marked allowUnverified
+const ProtectedRoute = ({ children, allowedRoles = [], allowUnverified = false, clinicAdminOnly = false }) => {
   const { user, loading, isAuthenticated } = useAuth();
 
   if (loading) {
@@ -22,6 +23,15 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/unauthorized" replace />;
   }
 
+  if (clinicAdminOnly && !user?.isClinicAdmin) {
+    return <Navigate to="/unauthorized" replace />;
+  }
+
+  const licensePending = user?.licenseStatus && user.licenseStatus !== 'verified' && !user.isClinicAdmin;
+  if (licensePending && !allowUnverified) {
+    return <Navigate to="/provider-status" replace />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,174 @@
+import React, { useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  TextField,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress
+} from '@mui/material';
+import { Videocam } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { patientAPI } from '../../api/patient';
+import { filesAPI } from '../../api/files';
+
+const MAX_CLIP_SECONDS = 120;
+
+const QUALITY_COLORS = {
+  excellent: 'success',
+  good: 'primary',
+  fair: 'warning',
+  poor: 'error'
+};
+
+const formatTime = (seconds) => {
+  const total = Math.floor(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Read the clip's length in the browser so long recordings are caught before uploading
+const readDuration = (file) => new Promise((resolve) => {
+  const video = document.createElement('video');
+  const url = URL.createObjectURL(file);
+  video.preload = 'metadata';
+  video.onloadedmetadata = () => {
+    URL.revokeObjectURL(url);
+    resolve(Number.isFinite(video.duration) ? video.duration : undefined);
+  };
+  video.onerror = () => {
+    URL.revokeObjectURL(url);
+    resolve(undefined);
+  };
+  video.src = url;
+});
+
+/**
+ * Lets a patient send a clip of a logged session for a form check and shows
+ * the therapist's review once it is done.
+ */
+function FormCheckPanel({ progress, onUpdated }) {
+  const fileInputRef = useRef(null);
+  const [question, setQuestion] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const formCheck = progress.formCheck;
+
+  const handleOpenClip = async () => {
+    try {
+      const url = await filesAPI.getDownloadUrl(formCheck.video.file);
+      window.open(url, '_blank', 'noopener,noreferrer');
+    } catch (err) {
+      toast.error(err.message || 'Failed to open clip');
+    }
+  };
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const durationSeconds = await readDuration(file);
+    if (durationSeconds > MAX_CLIP_SECONDS) {
+      toast.error(`Clips can be at most ${MAX_CLIP_SECONDS} seconds long`);
+      return;
+    }
+
+    setSending(true);
+    try {
+      const upload = await filesAPI.upload(file);
+      const response = await patientAPI.requestFormCheck(progress._id, {
+        fileId: upload.data.file._id,
+        question: question.trim() || undefined,
+        durationSeconds
+      });
+
+      toast.success('Clip sent to your therapist');
+      setQuestion('');
+      onUpdated(response.data.progress);
+    } catch (err) {
+      toast.error(err.message || 'Failed to send clip');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (formCheck?.status === 'pending') {
+    return (
+      <Box sx={{ mt: 2 }}>
+        <Chip icon={<Videocam />} label="Form check awaiting review" size="small" color="info" />
+      </Box>
+    );
+  }
+
+  if (formCheck?.status === 'reviewed') {
+    return (
+      <Box sx={{ mt: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="caption" color="text.secondary">
+            Form check
+          </Typography>
+          <Chip
+            label={formCheck.formQuality}
+            size="small"
+            color={QUALITY_COLORS[formCheck.formQuality] || 'default'}
+          />
+          <Button size="small" onClick={handleOpenClip}>
+            Watch clip
+          </Button>
+        </Box>
+        {formCheck.summary && (
+          <Typography variant="body2" sx={{ mt: 0.5 }}>
+            {formCheck.summary}
+          </Typography>
+        )}
+        {formCheck.annotations?.length > 0 && (
+          <List dense disablePadding>
+            {formCheck.annotations.map((annotation) => (
+              <ListItem key={annotation._id || annotation.timestampSeconds} disableGutters>
+                <ListItemText
+                  primary={`${formatTime(annotation.timestampSeconds)}  ${annotation.comment}`}
+                  secondary={annotation.type !== 'note' ? annotation.type : null}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <TextField
+        size="small"
+        fullWidth
+        placeholder="Question for your therapist (optional)"
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        inputProps={{ maxLength: 500 }}
+        sx={{ mb: 1 }}
+      />
+      <input
+        ref={fileInputRef}
+        type="file"
+        hidden
+        accept="video/mp4,video/webm"
+        onChange={handleFileSelected}
+      />
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={sending ? <CircularProgress size={16} /> : <Videocam />}
+        disabled={sending}
+        onClick={() => fileInputRef.current?.click()}
+      >
+        Send Form Check
+      </Button>
+    </Box>
+  );
+}
+
+export default FormCheckPanel;
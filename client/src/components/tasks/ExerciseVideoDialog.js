@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  List,
+  ListItemButton,
+  ListItemText,
+  Alert
+} from '@mui/material';
+import { patientAPI } from '../../api/patient';
+import { filesAPI } from '../../api/files';
+
+const PROGRESS_INTERVAL = 10; // seconds of playback between progress reports
+
+const formatTime = (seconds) => {
+  const total = Math.floor(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Plays a task's demo video with chapters for each instruction step and
+ * reports playback (started, progress, completed) so the therapist can see
+ * whether it was watched.
+ */
+function ExerciseVideoDialog({ open, task, video, onClose }) {
+  const videoRef = useRef(null);
+  const lastReportedRef = useRef(0);
+  const [src, setSrc] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Uploaded videos need a fresh signed URL; linked videos play directly
+  useEffect(() => {
+    if (!open || !video) return;
+
+    setError(null);
+    setSrc(null);
+    lastReportedRef.current = 0;
+
+    if (video.file) {
+      filesAPI.getDownloadUrl(video.file)
+        .then(setSrc)
+        .catch((err) => setError(err.message || 'Failed to load video'));
+    } else {
+      setSrc(video.url);
+    }
+  }, [open, video]);
+
+  const report = (event) => {
+    const player = videoRef.current;
+    if (!player) return;
+
+    patientAPI.recordVideoPlayback(task._id, video._id, {
+      event,
+      positionSeconds: player.currentTime,
+      durationSeconds: Number.isFinite(player.duration) ? player.duration : undefined
+    }).catch((err) => console.error('Failed to record video playback:', err));
+  };
+
+  const handlePlay = () => {
+    if (lastReportedRef.current === 0) {
+      report('started');
+    }
+  };
+
+  const handleTimeUpdate = () => {
+    const position = videoRef.current?.currentTime || 0;
+    if (position - lastReportedRef.current >= PROGRESS_INTERVAL) {
+      lastReportedRef.current = position;
+      report('progress');
+    }
+  };
+
+  const handleClose = () => {
+    const player = videoRef.current;
+    if (player && player.currentTime > lastReportedRef.current) {
+      report('progress');
+    }
+    onClose();
+  };
+
+  const jumpTo = (seconds) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = seconds;
+      videoRef.current.play();
+    }
+  };
+
+  const stepText = (step) =>
+    task?.instructions?.find(instruction => instruction.step === step)?.instruction;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>{video?.title || 'Exercise demonstration'}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {src && (
+          <Box
+            component="video"
+            ref={videoRef}
+            src={src}
+            controls
+            playsInline
+            onPlay={handlePlay}
+            onTimeUpdate={handleTimeUpdate}
+            onEnded={() => report('completed')}
+            onError={() => setError('This video cannot be played here. Ask your therapist for a different link.')}
+            sx={{ width: '100%', borderRadius: 1, bgcolor: 'black' }}
+          />
+        )}
+
+        {video?.description && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            {video.description}
+          </Typography>
+        )}
+
+        {video?.chapters?.length > 0 && (
+          <>
+            <Typography variant="subtitle2" sx={{ mt: 2 }}>
+              Steps
+            </Typography>
+            <List dense>
+              {video.chapters.map((chapter) => (
+                <ListItemButton key={chapter._id || chapter.step} onClick={() => jumpTo(chapter.startSeconds)}>
+                  <ListItemText
+                    primary={`${formatTime(chapter.startSeconds)}  Step ${chapter.step}: ${chapter.title || stepText(chapter.step) || ''}`}
+                    secondary={chapter.title ? stepText(chapter.step) : null}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ExerciseVideoDialog;
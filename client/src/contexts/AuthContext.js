@@ -12,6 +12,14 @@ export const useAuth = () => {
   return context;
 };
 
+// The API returns { tokens: { accessToken, refreshToken } }
+const storeTokens = ({ tokens, token }) => {
+  localStorage.setItem('token', tokens?.accessToken || token);
+  if (tokens?.refreshToken) {
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+  }
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -46,28 +54,58 @@ export const AuthProvider = ({ children }) => {
     loadUser();
   }, []);
 
+  // Store tokens from a finished login and sign the user in
+  const completeLogin = (data) => {
+    const { user } = data;
+
+    // Store auth data
+    storeTokens(data);
+    localStorage.setItem('user', JSON.stringify(user));
+
+    // Update state
+    setUser(user);
+    setIsAuthenticated(true);
+
+    toast.success(`Welcome back, ${user.firstName}!`);
+    return { success: true, user };
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
 
       if (response.success) {
-        const { token, user } = response.data;
+        // Two-factor accounts get a challenge token; the login page asks for the code
+        const { twoFactorRequired, twoFactorSetupRequired, challengeToken } = response.data;
+        if (twoFactorRequired || twoFactorSetupRequired) {
+          return { success: true, twoFactorRequired, twoFactorSetupRequired, challengeToken };
+        }
 
-        // Store auth data
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(user));
+        return completeLogin(response.data);
+      }
 
-        // Update state
-        setUser(user);
-        setIsAuthenticated(true);
+      return { success: false, error: response.error };
+    } catch (error) {
+      toast.error(error.message || 'Login failed');
+      return { success: false, error: error.message };
+    }
+  };
 
-        toast.success(`Welcome back, ${user.firstName}!`);
-        return { success: true, user };
+  // Second login step with an authenticator or recovery code
+  const verifyTwoFactor = async (challengeToken, credentials) => {
+    try {
+      const response = await authAPI.verifyTwoFactorLogin(challengeToken, credentials);
+
+      if (response.success) {
+        const { recoveryCodesRemaining } = response.data;
+        if (credentials.recoveryCode && recoveryCodesRemaining <= 3) {
+          toast.warning(`Only ${recoveryCodesRemaining} recovery codes left. Generate new ones soon.`);
+        }
+        return completeLogin(response.data);
       }
 
       return { success: false, error: response.error };
     } catch (error) {
-      toast.error(error.message || 'Login failed');
       return { success: false, error: error.message };
     }
   };
@@ -77,10 +115,16 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.register(userData);
 
       if (response.success) {
-        const { token, user } = response.data;
+        // Roles that require two-factor authentication set it up on first login
+        if (response.data.twoFactorSetupRequired) {
+          toast.success('Registration successful! Log in to set up two-factor authentication.');
+          return { success: true, twoFactorSetupRequired: true };
+        }
+
+        const { user } = response.data;
 
         // Store auth data
-        localStorage.setItem('token', token);
+        storeTokens(response.data);
         localStorage.setItem('user', JSON.stringify(user));
 
         // Update state
@@ -98,31 +142,65 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the profile, e.g. after the email address is verified
+  const refreshUser = async () => {
+    try {
+      const response = await authAPI.getCurrentUser();
+      if (response.success) {
+        setUser(response.data.user);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+      }
+    } catch (error) {
+      console.error('Failed to refresh user:', error);
+    }
+  };
+
+  const clearAuth = () => {
+    // Clear auth data
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+
+    // Update state
+    setUser(null);
+    setIsAuthenticated(false);
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      // Clear auth data
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-
-      // Update state
-      setUser(null);
-      setIsAuthenticated(false);
-
+      clearAuth();
       toast.info('Logged out successfully');
     }
   };
 
+  // Revoke every session, this device included
+  const logoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+      toast.info('Logged out of all devices');
+    } catch (error) {
+      console.error('Logout all error:', error);
+      toast.error(error.message || 'Failed to log out other devices');
+    } finally {
+      clearAuth();
+    }
+  };
+
   const value = {
     user,
     loading,
     isAuthenticated,
     login,
+    verifyTwoFactor,
+    completeLogin,
     register,
     logout,
+    logoutAll,
+    refreshUser,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,123 @@
+import React, { createContext, useState, useContext, useEffect, useRef, useCallback } from 'react';
+import { io } from 'socket.io-client';
+import { toast } from 'react-toastify';
+import { useAuth } from './AuthContext';
+import { notificationsAPI } from '../api/notifications';
+import { refreshAccessToken, TOKEN_REFRESHED_EVENT } from '../api/axios';
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
+
+const SocketContext = createContext(null);
+
+export const useSocket = () => {
+  const context = useContext(SocketContext);
+  if (!context) {
+    throw new Error('useSocket must be used within a SocketProvider');
+  }
+  return context;
+};
+
+// Subscribe to a server event for the lifetime of the component
+export const useSocketEvent = (event, handler) => {
+  const { socket } = useSocket();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const listener = (payload) => handlerRef.current(payload);
+    socket.on(event, listener);
+    return () => socket.off(event, listener);
+  }, [socket, event]);
+};
+
+export const SocketProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [socket, setSocket] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getUnreadCount();
+      if (response.success) {
+        setUnreadCount(response.data.unreadCount);
+      }
+    } catch (error) {
+      console.error('Failed to load unread count:', error);
+    }
+  }, []);
+
+  // Connect while logged in; the server only accepts sockets with a valid access token
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const newSocket = io(SOCKET_URL, {
+      // Read on every (re)connect so a refreshed token is picked up
+      auth: (callback) => callback({ token: localStorage.getItem('token') }),
+    });
+
+    const reconnect = () => {
+      newSocket.disconnect();
+      newSocket.connect();
+    };
+
+    const renewAndReconnect = async () => {
+      try {
+        // Reconnects through the TOKEN_REFRESHED_EVENT listener below
+        await refreshAccessToken();
+      } catch (error) {
+        console.error('Failed to refresh token for real-time updates:', error);
+      }
+    };
+
+    newSocket.on('connect', () => {
+      setConnected(true);
+      refreshUnreadCount();
+    });
+
+    newSocket.on('disconnect', () => setConnected(false));
+
+    newSocket.on('connect_error', (error) => {
+      if (error.data?.message?.includes('expired')) {
+        renewAndReconnect();
+      }
+    });
+
+    newSocket.on('session-expired', renewAndReconnect);
+
+    newSocket.on('notification', (notification) => {
+      setUnreadCount((count) => count + 1);
+      const showToast = notification.isUrgent ? toast.warning : toast.info;
+      showToast(notification.title);
+    });
+
+    newSocket.on('notification-status-changed', refreshUnreadCount);
+
+    window.addEventListener(TOKEN_REFRESHED_EVENT, reconnect);
+    setSocket(newSocket);
+
+    return () => {
+      window.removeEventListener(TOKEN_REFRESHED_EVENT, reconnect);
+      newSocket.disconnect();
+      setSocket(null);
+      setConnected(false);
+      setUnreadCount(0);
+    };
+  }, [isAuthenticated, refreshUnreadCount]);
+
+  const value = {
+    socket,
+    connected,
+    unreadCount,
+    refreshUnreadCount,
+  };
+
+  return <SocketContext.Provider value={value}>{children}</SocketContext.Provider>;
+};
+
+export default SocketContext;
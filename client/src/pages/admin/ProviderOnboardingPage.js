@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  Box,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { Send, CheckCircle, Cancel, Delete } from '@mui/icons-material';
+import { format, parseISO } from 'date-fns';
+import { toast } from 'react-toastify';
+import { providersAPI } from '../../api/providers';
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  accepted: 'success',
+  revoked: 'default',
+  expired: 'default',
+};
+
+// Clinic admins invite physiotherapists and doctors and verify their licenses
+function ProviderOnboardingPage() {
+  const [invite, setInvite] = useState({ email: '', role: 'physiotherapist', firstName: '', lastName: '' });
+  const [sending, setSending] = useState(false);
+  const [invitations, setInvitations] = useState([]);
+  const [pendingProviders, setPendingProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+
+  const fetchData = async () => {
+    try {
+      const [invitationsResponse, pendingResponse] = await Promise.all([
+        providersAPI.getInvitations(),
+        providersAPI.getPendingProviders(),
+      ]);
+      setInvitations(invitationsResponse.data);
+      setPendingProviders(pendingResponse.data);
+    } catch (err) {
+      toast.error(err.message || 'Failed to load provider onboarding');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const handleInviteChange = (e) => {
+    const { name, value } = e.target;
+    setInvite((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      const response = await providersAPI.createInvitation(invite);
+      toast.success(response.message);
+      setInvite({ email: '', role: invite.role, firstName: '', lastName: '' });
+      fetchData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to send invitation');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleRevoke = async (invitationId) => {
+    try {
+      await providersAPI.revokeInvitation(invitationId);
+      toast.success('Invitation revoked');
+      fetchData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to revoke invitation');
+    }
+  };
+
+  const handleReview = async (provider, decision, reason) => {
+    try {
+      const response = await providersAPI.reviewLicense(provider._id || provider.id, decision, reason);
+      toast.success(response.message);
+      setRejecting(null);
+      setRejectionReason('');
+      fetchData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to review license');
+    }
+  };
+
+  const formatDate = (dateString) => (dateString ? format(parseISO(dateString), 'MMM dd, yyyy') : '-');
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" fontWeight="bold" sx={{ mb: 3 }}>
+        Provider Onboarding
+      </Typography>
+
+      {/* Invite */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" sx={{ mb: 2 }}>
+          Invite a Provider
+        </Typography>
+        <form onSubmit={handleInvite}>
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} md={4}>
+              <TextField fullWidth required type="email" label="Email" name="email" value={invite.email} onChange={handleInviteChange} />
+            </Grid>
+            <Grid item xs={12} md={2}>
+              <TextField fullWidth select label="Role" name="role" value={invite.role} onChange={handleInviteChange}>
+                <MenuItem value="physiotherapist">Physiotherapist</MenuItem>
+                <MenuItem value="doctor">Doctor</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid item xs={6} md={2}>
+              <TextField fullWidth label="First Name" name="firstName" value={invite.firstName} onChange={handleInviteChange} />
+            </Grid>
+            <Grid item xs={6} md={2}>
+              <TextField fullWidth label="Last Name" name="lastName" value={invite.lastName} onChange={handleInviteChange} />
+            </Grid>
+            <Grid item xs={12} md={2}>
+              <Button fullWidth type="submit" variant="contained" startIcon={<Send />} disabled={sending || !invite.email}>
+                Invite
+              </Button>
+            </Grid>
+          </Grid>
+        </form>
+      </Paper>
+
+      {/* License verification */}
+      <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" sx={{ mb: 2 }}>
+          Licenses Awaiting Verification
+        </Typography>
+        {pendingProviders.length === 0 ? (
+          <Typography color="text.secondary">No providers are waiting for verification.</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>License Number</TableCell>
+                <TableCell>Institution</TableCell>
+                <TableCell>Submitted</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {pendingProviders.map((provider) => (
+                <TableRow key={provider._id || provider.id}>
+                  <TableCell>{provider.firstName} {provider.lastName}<br />{provider.email}</TableCell>
+                  <TableCell sx={{ textTransform: 'capitalize' }}>{provider.role}</TableCell>
+                  <TableCell>{provider.professionalInfo?.licenseNumber || '-'}</TableCell>
+                  <TableCell>{provider.professionalInfo?.institution || '-'}</TableCell>
+                  <TableCell>{formatDate(provider.professionalInfo?.licenseVerification?.submittedAt)}</TableCell>
+                  <TableCell align="right">
+                    <Button
+                      size="small"
+                      color="success"
+                      startIcon={<CheckCircle />}
+                      disabled={!provider.professionalInfo?.licenseNumber}
+                      onClick={() => handleReview(provider, 'verified')}
+                    >
+                      Verify
+                    </Button>
+                    <Button size="small" color="error" startIcon={<Cancel />} onClick={() => setRejecting(provider)}>
+                      Reject
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+
+      {/* Invitations */}
+      <Paper elevation={2} sx={{ p: 3 }}>
+        <Typography variant="h6" sx={{ mb: 2 }}>
+          Invitations
+        </Typography>
+        {invitations.length === 0 ? (
+          <Typography color="text.secondary">No invitations yet.</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Email</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Sent</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {invitations.map((invitation) => (
+                <TableRow key={invitation._id || invitation.id}>
+                  <TableCell>{invitation.email}</TableCell>
+                  <TableCell sx={{ textTransform: 'capitalize' }}>{invitation.role}</TableCell>
+                  <TableCell>
+                    <Chip label={invitation.status} size="small" color={STATUS_COLORS[invitation.status]} />
+                  </TableCell>
+                  <TableCell>{formatDate(invitation.createdAt)}</TableCell>
+                  <TableCell>{formatDate(invitation.expiresAt)}</TableCell>
+                  <TableCell align="right">
+                    {invitation.status === 'pending' && (
+                      <Button size="small" startIcon={<Delete />} onClick={() => handleRevoke(invitation._id || invitation.id)}>
+                        Revoke
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+
+      {/* Rejection reason */}
+      <Dialog open={Boolean(rejecting)} onClose={() => setRejecting(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Reject License</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {rejecting?.firstName} {rejecting?.lastName} will see this reason and can enter a corrected license number.
+          </Typography>
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            label="Reason"
+            value={rejectionReason}
+            onChange={(e) => setRejectionReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRejecting(null)}>Cancel</Button>
+          <Button
+            color="error"
+            variant="contained"
+            disabled={!rejectionReason.trim()}
+            onClick={() => handleReview(rejecting, 'rejected', rejectionReason.trim())}
+          >
+            Reject
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+}
+
+export default ProviderOnboardingPage;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import { Box, TextField, Button, Typography, Link, CircularProgress, Alert, Grid } from '@mui/material';
+import AuthCard, { gradientButtonSx } from '../../components/auth/AuthCard';
+import { useAuth } from '../../contexts/AuthContext';
+import { providersAPI } from '../../api/providers';
+
+// Opened from the invitation email a clinic admin sends to a physiotherapist or doctor
+function AcceptInvitationPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { register } = useAuth();
+
+  const [invitation, setInvitation] = useState(null);
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    phoneNumber: '',
+    licenseNumber: '',
+    institution: '',
+    password: '',
+    confirmPassword: '',
+  });
+  const [loading, setLoading] = useState(Boolean(token));
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This invitation link is incomplete. Please ask your clinic for a new one.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    providersAPI.lookupInvitation(token)
+      .then((response) => {
+        setInvitation(response.data);
+        setFormData((prev) => ({
+          ...prev,
+          firstName: response.data.firstName || '',
+          lastName: response.data.lastName || '',
+        }));
+      })
+      .catch((err) => setError(err.message || 'This invitation is invalid or has expired.'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!formData.firstName || !formData.lastName || !formData.licenseNumber) {
+      setError('Please enter your name and license number');
+      return;
+    }
+
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+
+    const { licenseNumber, institution, confirmPassword, ...profile } = formData;
+    const result = await register({
+      ...profile,
+      invitationToken: token,
+      professionalInfo: { licenseNumber, institution },
+    });
+
+    setSubmitting(false);
+
+    if (result.success && result.twoFactorSetupRequired) {
+      navigate('/login');
+    } else if (result.success) {
+      navigate('/provider-status');
+    } else {
+      setError(result.error || 'Could not create your account. Please try again.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <AuthCard subtitle="Checking your invitation...">
+        <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress />
+        </Box>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard
+      subtitle={invitation
+        ? `You are invited to join as a ${invitation.role}. Your account is active once a clinic admin verifies your license.`
+        : undefined}
+    >
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {invitation && (
+        <form onSubmit={handleSubmit}>
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField fullWidth label="Email Address" value={invitation.email} disabled variant="outlined" />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="First Name"
+                name="firstName"
+                value={formData.firstName}
+                onChange={handleChange}
+                disabled={submitting}
+                autoComplete="given-name"
+                variant="outlined"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Last Name"
+                name="lastName"
+                value={formData.lastName}
+                onChange={handleChange}
+                disabled={submitting}
+                autoComplete="family-name"
+                variant="outlined"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="License Number"
+                name="licenseNumber"
+                value={formData.licenseNumber}
+                onChange={handleChange}
+                disabled={submitting}
+                variant="outlined"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Institution"
+                name="institution"
+                value={formData.institution}
+                onChange={handleChange}
+                disabled={submitting}
+                variant="outlined"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Phone Number"
+                name="phoneNumber"
+                value={formData.phoneNumber}
+                onChange={handleChange}
+                disabled={submitting}
+                autoComplete="tel"
+                variant="outlined"
+                placeholder="+1234567890"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Password"
+                name="password"
+                type="password"
+                value={formData.password}
+                onChange={handleChange}
+                disabled={submitting}
+                autoComplete="new-password"
+                variant="outlined"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Confirm Password"
+                name="confirmPassword"
+                type="password"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                disabled={submitting}
+                autoComplete="new-password"
+                variant="outlined"
+              />
+            </Grid>
+          </Grid>
+
+          <Button fullWidth type="submit" variant="contained" size="large" disabled={submitting} sx={{ ...gradientButtonSx, mt: 3 }}>
+            {submitting ? <CircularProgress size={24} color="inherit" /> : 'Create Account'}
+          </Button>
+        </form>
+      )}
+
+      <Box sx={{ textAlign: 'center', mt: 3 }}>
+        <Typography variant="body2" color="text.secondary">
+          <Link component={RouterLink} to="/login" sx={{ fontWeight: 600 }}>
+            Back to login
+          </Link>
+        </Typography>
+      </Box>
+    </AuthCard>
+  );
+}
+
+export default AcceptInvitationPage;
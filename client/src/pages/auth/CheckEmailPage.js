@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate, Link as RouterLink } from 'react-router-dom';
+import { Box, Button, Typography, Link, CircularProgress } from '@mui/material';
+import { MarkEmailRead as MailIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import AuthCard, { gradientButtonSx } from '../../components/auth/AuthCard';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../api/auth';
+
+// Shown after registering (reason 'verify') or asking for a password reset (reason 'reset')
+function CheckEmailPage() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated } = useAuth();
+  const { reason = 'verify', email } = location.state || {};
+
+  const [resending, setResending] = useState(false);
+
+  const handleResend = async () => {
+    if (reason === 'reset') {
+      navigate('/forgot-password');
+      return;
+    }
+
+    setResending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      toast.success(response.message);
+    } catch (err) {
+      toast.error(err.message || 'Failed to send the email');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const message = reason === 'reset'
+    ? 'If an account exists for this address, we sent a link to reset your password. It expires in 1 hour.'
+    : 'We sent a link to confirm your email address. It expires in 24 hours.';
+
+  return (
+    <AuthCard subtitle="Check your inbox">
+      <Box sx={{ textAlign: 'center' }}>
+        <MailIcon sx={{ fontSize: 56, color: 'primary.main', mb: 2 }} />
+
+        {email && (
+          <Typography variant="body1" fontWeight={600} gutterBottom>
+            {email}
+          </Typography>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          {message} Check your spam folder if you don't see it.
+        </Typography>
+
+        {reason === 'verify' && isAuthenticated && (
+          <Button fullWidth variant="contained" size="large" onClick={() => navigate('/')} sx={{ ...gradientButtonSx, mb: 2 }}>
+            Continue to Dashboard
+          </Button>
+        )}
+
+        {(reason === 'reset' || isAuthenticated) && (
+          <Button fullWidth variant="outlined" onClick={handleResend} disabled={resending} sx={{ textTransform: 'none' }}>
+            {resending ? <CircularProgress size={20} /> : "Didn't get it? Send another email"}
+          </Button>
+        )}
+
+        <Typography variant="body2" sx={{ mt: 3 }}>
+          <Link component={RouterLink} to="/login" sx={{ fontWeight: 600 }}>
+            Back to login
+          </Link>
+        </Typography>
+      </Box>
+    </AuthCard>
+  );
+}
+
+export default CheckEmailPage;
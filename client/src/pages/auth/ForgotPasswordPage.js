@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
+import { Box, TextField, Button, Typography, Link, CircularProgress, Alert } from '@mui/material';
+import AuthCard, { gradientButtonSx } from '../../components/auth/AuthCard';
+import { authAPI } from '../../api/auth';
+
+function ForgotPasswordPage() {
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!email.includes('@')) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email.trim());
+      navigate('/check-email', { state: { reason: 'reset', email: email.trim() } });
+    } catch (err) {
+      setError(err.message || 'Failed to send the reset email. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard subtitle="Enter your email and we'll send you a link to reset your password.">
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <TextField
+          fullWidth
+          label="Email Address"
+          type="email"
+          value={email}
+          onChange={(e) => {
+            setEmail(e.target.value);
+            if (error) setError('');
+          }}
+          disabled={loading}
+          autoComplete="email"
+          autoFocus
+          sx={{ mb: 3 }}
+          variant="outlined"
+        />
+
+        <Button fullWidth type="submit" variant="contained" size="large" disabled={loading} sx={gradientButtonSx}>
+          {loading ? <CircularProgress size={24} color="inherit" /> : 'Send Reset Link'}
+        </Button>
+      </form>
+
+      <Box sx={{ textAlign: 'center', mt: 3 }}>
+        <Typography variant="body2" color="text.secondary">
+          Remembered it?{' '}
+          <Link component={RouterLink} to="/login" sx={{ fontWeight: 600 }}>
+            Back to login
+          </Link>
+        </Typography>
+      </Box>
+    </AuthCard>
+  );
+}
+
+export default ForgotPasswordPage;
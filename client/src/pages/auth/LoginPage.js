@@ -16,10 +16,12 @@ import {
 } from '@mui/material';
 import { FitnessCenter as RehabIcon } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../api/auth';
+import { gradientButtonSx } from '../../components/auth/AuthCard';
 
 function LoginPage() {
   const navigate = useNavigate();
-  const { login, isAuthenticated, user } = useAuth();
+  const { login, verifyTwoFactor, completeLogin, isAuthenticated, user } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
@@ -30,6 +32,15 @@ function LoginPage() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  // Two-factor steps: 'password' -> 'verify' (enter a code) or 'setup' -> 'recoveryCodes'
+  const [step, setStep] = useState('password');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [pendingLogin, setPendingLogin] = useState(null);
+
   // Redirect if already authenticated
   useEffect(() => {
     if (isAuthenticated && user) {
@@ -63,6 +74,45 @@ function LoginPage() {
     if (error) setError('');
   };
 
+  const finishLogin = (loggedInUser) => {
+    // Handle remember me
+    if (formData.rememberMe) {
+      localStorage.setItem('rememberMe', 'true');
+    } else {
+      localStorage.removeItem('rememberMe');
+    }
+
+    // Redirect based on role
+    redirectToDashboard(loggedInUser.role);
+  };
+
+  const resetToPassword = (message) => {
+    setStep('password');
+    setChallengeToken('');
+    setCode('');
+    setSetup(null);
+    setError(message || '');
+  };
+
+  // A failed code attempt past the limit or an expired challenge needs a fresh password login
+  const handleTwoFactorError = (message) => {
+    if (/log in again/i.test(message || '')) {
+      resetToPassword(message);
+    } else {
+      setError(message || 'Verification failed. Please try again.');
+    }
+  };
+
+  const startSetup = async (token) => {
+    try {
+      const response = await authAPI.setupTwoFactor(token);
+      setSetup(response.data);
+      setStep('setup');
+    } catch (err) {
+      handleTwoFactorError(err.message);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -83,16 +133,16 @@ function LoginPage() {
     try {
       const result = await login(formData.email, formData.password);
 
-      if (result.success) {
-        // Handle remember me
-        if (formData.rememberMe) {
-          localStorage.setItem('rememberMe', 'true');
-        } else {
-          localStorage.removeItem('rememberMe');
-        }
-
-        // Redirect based on role
-        redirectToDashboard(result.user.role);
+      if (result.success && result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setCode('');
+        setStep('verify');
+      } else if (result.success && result.twoFactorSetupRequired) {
+        setChallengeToken(result.challengeToken);
+        setCode('');
+        await startSetup(result.challengeToken);
+      } else if (result.success) {
+        finishLogin(result.user);
       } else {
         setError(result.error || 'Login failed. Please check your credentials.');
       }
@@ -103,6 +153,70 @@ function LoginPage() {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const credentials = useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() };
+      const result = await verifyTwoFactor(challengeToken, credentials);
+
+      if (result.success) {
+        finishLogin(result.user);
+      } else {
+        handleTwoFactorError(result.error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError('Please enter the 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.enableTwoFactor(code.trim(), challengeToken);
+      // Sign in only after the recovery codes have been shown
+      setRecoveryCodes(response.data.recoveryCodes);
+      setPendingLogin(response.data);
+      setStep('recoveryCodes');
+    } catch (err) {
+      handleTwoFactorError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleContinue = () => {
+    const result = completeLogin(pendingLogin);
+    setPendingLogin(null);
+    finishLogin(result.user);
+  };
+
+  const subtitle = {
+    password: 'Welcome back! Please login to your account.',
+    verify: useRecoveryCode
+      ? 'Enter one of your recovery codes.'
+      : 'Enter the 6-digit code from your authenticator app.',
+    setup: 'Your account requires two-factor authentication. Set it up to continue.',
+    recoveryCodes: 'Two-factor authentication is on.',
+  }[step];
+
   return (
     <Box
       sx={{
@@ -154,7 +268,7 @@ function LoginPage() {
               Rehab Tracker
             </Typography>
             <Typography variant="body1" color="text.secondary">
-              Welcome back! Please login to your account.
+              {subtitle}
             </Typography>
           </Box>
 
@@ -165,99 +279,214 @@ function LoginPage() {
             </Alert>
           )}
 
-          {/* Login Form */}
-          <form onSubmit={handleSubmit}>
-            <TextField
-              fullWidth
-              label="Email Address"
-              name="email"
-              type="email"
-              value={formData.email}
-              onChange={handleChange}
-              disabled={loading}
-              autoComplete="email"
-              autoFocus
-              sx={{ mb: 2 }}
-              variant="outlined"
-            />
-
-            <TextField
-              fullWidth
-              label="Password"
-              name="password"
-              type="password"
-              value={formData.password}
-              onChange={handleChange}
-              disabled={loading}
-              autoComplete="current-password"
-              sx={{ mb: 2 }}
-              variant="outlined"
-            />
-
-            <Box
-              sx={{
-                display: 'flex',
-                justifyContent: 'space-between',
-                alignItems: 'center',
-                mb: 3,
-              }}
-            >
-              <FormControlLabel
-                control={
-                  <Checkbox
-                    name="rememberMe"
-                    checked={formData.rememberMe}
-                    onChange={handleChange}
-                    disabled={loading}
-                    color="primary"
-                  />
-                }
-                label="Remember me"
+          {/* Two-Factor Code */}
+          {step === 'verify' && (
+            <form onSubmit={handleVerify}>
+              <TextField
+                fullWidth
+                label={useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value);
+                  if (error) setError('');
+                }}
+                disabled={loading}
+                autoComplete="one-time-code"
+                autoFocus
+                inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', maxLength: 6 }}
+                sx={{ mb: 2 }}
+                variant="outlined"
               />
-              <Link
-                component="button"
-                type="button"
-                variant="body2"
-                onClick={() => {
-                  // Placeholder for future forgot password functionality
-                  alert('Forgot password feature coming soon!');
+
+              <Button fullWidth type="submit" variant="contained" size="large" disabled={loading} sx={gradientButtonSx}>
+                {loading ? <CircularProgress size={24} color="inherit" /> : 'Verify'}
+              </Button>
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+                <Link
+                  component="button"
+                  type="button"
+                  variant="body2"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setCode('');
+                    setError('');
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </Link>
+                <Link component="button" type="button" variant="body2" onClick={() => resetToPassword()}>
+                  Back to login
+                </Link>
+              </Box>
+            </form>
+          )}
+
+          {/* Two-Factor Setup */}
+          {step === 'setup' && setup && (
+            <form onSubmit={handleEnable}>
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                Scan this QR code with an authenticator app such as Google Authenticator, Authy or 1Password,
+                then enter the code it shows.
+              </Typography>
+
+              {setup.qrCodeDataUrl && (
+                <Box sx={{ textAlign: 'center', mb: 2 }}>
+                  <img src={setup.qrCodeDataUrl} alt="Two-factor QR code" width={200} height={200} />
+                </Box>
+              )}
+
+              <Typography variant="body2" color="text.secondary">
+                Can't scan the code? Enter this key instead:
+              </Typography>
+              <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all', mb: 2 }}>
+                {setup.secret}
+              </Typography>
+
+              <TextField
+                fullWidth
+                label="Verification Code"
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value);
+                  if (error) setError('');
                 }}
+                disabled={loading}
+                autoComplete="one-time-code"
+                autoFocus
+                inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+                sx={{ mb: 2 }}
+                variant="outlined"
+              />
+
+              <Button fullWidth type="submit" variant="contained" size="large" disabled={loading} sx={gradientButtonSx}>
+                {loading ? <CircularProgress size={24} color="inherit" /> : 'Turn On Two-Factor Authentication'}
+              </Button>
+
+              <Box sx={{ textAlign: 'center', mt: 2 }}>
+                <Link component="button" type="button" variant="body2" onClick={() => resetToPassword()}>
+                  Back to login
+                </Link>
+              </Box>
+            </form>
+          )}
+
+          {/* Recovery Codes (shown once) */}
+          {step === 'recoveryCodes' && (
+            <Box>
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Save these recovery codes somewhere safe. Each one can be used once to log in if you lose
+                your phone. They will not be shown again.
+              </Alert>
+
+              <Box
                 sx={{
-                  textDecoration: 'none',
-                  '&:hover': { textDecoration: 'underline' },
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(2, 1fr)',
+                  gap: 1,
+                  p: 2,
+                  mb: 3,
+                  bgcolor: 'grey.100',
+                  borderRadius: 2,
+                  fontFamily: 'monospace',
+                  textAlign: 'center',
                 }}
               >
-                Forgot password?
-              </Link>
+                {recoveryCodes.map((recoveryCode) => (
+                  <Typography key={recoveryCode} variant="body2" sx={{ fontFamily: 'monospace' }}>
+                    {recoveryCode}
+                  </Typography>
+                ))}
+              </Box>
+
+              <Button fullWidth variant="contained" size="large" onClick={handleContinue} sx={gradientButtonSx}>
+                I've saved my recovery codes
+              </Button>
             </Box>
+          )}
 
-            <Button
-              fullWidth
-              type="submit"
-              variant="contained"
-              size="large"
-              disabled={loading}
-              sx={{
-                py: 1.5,
-                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-                '&:hover': {
-                  background: 'linear-gradient(135deg, #5568d3 0%, #6941a0 100%)',
-                },
-                fontSize: '1rem',
-                fontWeight: 600,
-                textTransform: 'none',
-              }}
-            >
-              {loading ? (
-                <>
-                  <CircularProgress size={24} color="inherit" sx={{ mr: 1 }} />
-                  Logging in...
-                </>
-              ) : (
-                'Login'
-              )}
-            </Button>
-          </form>
+          {/* Login Form */}
+          {step === 'password' && (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                fullWidth
+                label="Email Address"
+                name="email"
+                type="email"
+                value={formData.email}
+                onChange={handleChange}
+                disabled={loading}
+                autoComplete="email"
+                autoFocus
+                sx={{ mb: 2 }}
+                variant="outlined"
+              />
+
+              <TextField
+                fullWidth
+                label="Password"
+                name="password"
+                type="password"
+                value={formData.password}
+                onChange={handleChange}
+                disabled={loading}
+                autoComplete="current-password"
+                sx={{ mb: 2 }}
+                variant="outlined"
+              />
+
+              <Box
+                sx={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  mb: 3,
+                }}
+              >
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      name="rememberMe"
+                      checked={formData.rememberMe}
+                      onChange={handleChange}
+                      disabled={loading}
+                      color="primary"
+                    />
+                  }
+                  label="Remember me"
+                />
+                <Link
+                  component={RouterLink}
+                  to="/forgot-password"
+                  variant="body2"
+                  sx={{
+                    textDecoration: 'none',
+                    '&:hover': { textDecoration: 'underline' },
+                  }}
+                >
+                  Forgot password?
+                </Link>
+              </Box>
+
+              <Button
+                fullWidth
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={loading}
+                sx={gradientButtonSx}
+              >
+                {loading ? (
+                  <>
+                    <CircularProgress size={24} color="inherit" sx={{ mr: 1 }} />
+                    Logging in...
+                  </>
+                ) : (
+                  'Login'
+                )}
+              </Button>
+            </form>
+          )}
 
           <Divider sx={{ my: 3 }}>
             <Typography variant="body2" color="text.secondary">
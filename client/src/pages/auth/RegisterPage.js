@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, Link as RouterLink } from 'react-router-dom';
 import {
   Container,
@@ -11,7 +11,6 @@ import {
   CircularProgress,
   Alert,
   Divider,
-  MenuItem,
   Grid,
   InputAdornment,
   IconButton,
@@ -51,9 +50,12 @@ function RegisterPage() {
     hasNumber: false,
   });
 
+  // Set while registering so the new account goes to the check-email page instead
+  const justRegistered = useRef(false);
+
   // Redirect if already authenticated
   useEffect(() => {
-    if (isAuthenticated && user) {
+    if (isAuthenticated && user && !justRegistered.current) {
       redirectToDashboard(user.role);
     }
   }, [isAuthenticated, user]);
@@ -164,31 +166,30 @@ function RegisterPage() {
       // Prepare registration data (exclude confirmPassword)
       const { confirmPassword, ...registrationData } = formData;
 
+      justRegistered.current = true;
       const result = await register(registrationData);
 
-      if (result.success) {
+      if (result.success && result.twoFactorSetupRequired) {
+        navigate('/login');
+      } else if (result.success) {
         setSuccess(true);
 
-        // Show success message and redirect after 2 seconds
+        // Show success message, then ask the user to confirm their email
         setTimeout(() => {
-          redirectToDashboard(result.user.role);
+          navigate('/check-email', { state: { reason: 'verify', email: result.user.email } });
         }, 2000);
       } else {
+        justRegistered.current = false;
         setError(result.error || 'Registration failed. Please try again.');
       }
     } catch (err) {
+      justRegistered.current = false;
       setError(err.message || 'An unexpected error occurred. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
-  const roleOptions = [
-    { value: 'patient', label: 'Patient' },
-    { value: 'physiotherapist', label: 'Physiotherapist' },
-    { value: 'doctor', label: 'Doctor' },
-  ];
-
   const ValidationIcon = ({ isValid }) =>
     isValid ? (
       <CheckCircle sx={{ fontSize: 16, color: 'success.main' }} />
@@ -261,7 +262,7 @@ function RegisterPage() {
           {/* Success Alert */}
           {success && (
             <Alert severity="success" sx={{ mb: 3 }}>
-              Registration successful! Redirecting to your dashboard...
+              Registration successful! We sent you an email to verify your address...
             </Alert>
           )}
 
@@ -327,25 +328,12 @@ function RegisterPage() {
                 />
               </Grid>
 
-              {/* Role Selection */}
+              {/* Providers join through their clinic's invitation */}
               <Grid item xs={12}>
-                <TextField
-                  fullWidth
-                  select
-                  label="Role"
-                  name="role"
-                  value={formData.role}
-                  onChange={handleChange}
-                  disabled={loading || success}
-                  variant="outlined"
-                  helperText="Select your role in the rehabilitation process"
-                >
-                  {roleOptions.map((option) => (
-                    <MenuItem key={option.value} value={option.value}>
-                      {option.label}
-                    </MenuItem>
-                  ))}
-                </TextField>
+                <Alert severity="info">
+                  This form creates a patient account. Physiotherapists and doctors join through
+                  the invitation email from their clinic.
+                </Alert>
               </Grid>
 
               {/* Password */}
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import { Box, TextField, Button, Typography, Link, CircularProgress, Alert } from '@mui/material';
+import { toast } from 'react-toastify';
+import AuthCard, { gradientButtonSx } from '../../components/auth/AuthCard';
+import { authAPI } from '../../api/auth';
+
+// Opened from the link in the password reset email
+function ResetPasswordPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete. Please request a new one.');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.newPassword.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await authAPI.resetPassword(token, formData.newPassword);
+      toast.success('Password reset. Please log in with your new password.');
+      navigate('/login');
+    } catch (err) {
+      setError(err.message || 'Password reset failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard subtitle="Choose a new password. You will be signed out on all devices.">
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <TextField
+          fullWidth
+          label="New Password"
+          name="newPassword"
+          type="password"
+          value={formData.newPassword}
+          onChange={handleChange}
+          disabled={loading || !token}
+          autoComplete="new-password"
+          autoFocus
+          sx={{ mb: 2 }}
+          variant="outlined"
+        />
+
+        <TextField
+          fullWidth
+          label="Confirm New Password"
+          name="confirmPassword"
+          type="password"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          disabled={loading || !token}
+          autoComplete="new-password"
+          sx={{ mb: 3 }}
+          variant="outlined"
+        />
+
+        <Button fullWidth type="submit" variant="contained" size="large" disabled={loading || !token} sx={gradientButtonSx}>
+          {loading ? <CircularProgress size={24} color="inherit" /> : 'Reset Password'}
+        </Button>
+      </form>
+
+      <Box sx={{ textAlign: 'center', mt: 3 }}>
+        <Typography variant="body2" color="text.secondary">
+          <Link component={RouterLink} to="/forgot-password" sx={{ fontWeight: 600 }}>
+            Request a new link
+          </Link>
+          {' · '}
+          <Link component={RouterLink} to="/login" sx={{ fontWeight: 600 }}>
+            Back to login
+          </Link>
+        </Typography>
+      </Box>
+    </AuthCard>
+  );
+}
+
+export default ResetPasswordPage;
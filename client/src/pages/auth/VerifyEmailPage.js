@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import { Box, Button, Typography, Link, CircularProgress, Alert } from '@mui/material';
+import { CheckCircle } from '@mui/icons-material';
+import AuthCard, { gradientButtonSx } from '../../components/auth/AuthCard';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../api/auth';
+
+// Opened from the link in the verification email
+function VerifyEmailPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  const [email, setEmail] = useState('');
+
+  // Tokens are single use, so make sure the request is sent only once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setEmail(response.data.email);
+        setStatus('verified');
+        if (isAuthenticated) {
+          await refreshUser();
+        }
+      } catch (err) {
+        setError(err.message || 'Email verification failed.');
+        setStatus('error');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <AuthCard subtitle="Email verification">
+      {status === 'verifying' && (
+        <Box sx={{ textAlign: 'center', py: 3 }}>
+          <CircularProgress />
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            Verifying your email address...
+          </Typography>
+        </Box>
+      )}
+
+      {status === 'verified' && (
+        <Box sx={{ textAlign: 'center' }}>
+          <CheckCircle sx={{ fontSize: 56, color: 'success.main', mb: 2 }} />
+          <Typography variant="body1" sx={{ mb: 3 }}>
+            {email ? `${email} is verified.` : 'Your email address is verified.'}
+          </Typography>
+          <Button
+            fullWidth
+            variant="contained"
+            size="large"
+            onClick={() => navigate(isAuthenticated ? '/' : '/login')}
+            sx={gradientButtonSx}
+          >
+            {isAuthenticated ? 'Continue to Dashboard' : 'Go to Login'}
+          </Button>
+        </Box>
+      )}
+
+      {status === 'error' && (
+        <Box>
+          <Alert severity="error" sx={{ mb: 3 }}>
+            {error}
+          </Alert>
+          <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center' }}>
+            {isAuthenticated ? (
+              <Link component={RouterLink} to="/check-email" state={{ reason: 'verify' }} sx={{ fontWeight: 600 }}>
+                Send a new verification email
+              </Link>
+            ) : (
+              <>
+                Log in to send a new verification email.{' '}
+                <Link component={RouterLink} to="/login" sx={{ fontWeight: 600 }}>
+                  Go to login
+                </Link>
+              </>
+            )}
+          </Typography>
+        </Box>
+      )}
+    </AuthCard>
+  );
+}
+
+export default VerifyEmailPage;
@@ -0,0 +1,560 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Container,
+  Grid,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  CircularProgress,
+  Alert,
+  List,
+  ListItemButton,
+  ListItemText,
+  Badge,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  IconButton,
+  Chip,
+  Divider
+} from '@mui/material';
+import {
+  Add,
+  Groups,
+  Send,
+  AttachFile,
+  DoneAll
+} from '@mui/icons-material';
+import { format, parseISO } from 'date-fns';
+import { toast } from 'react-toastify';
+import { messagesAPI } from '../../api/messages';
+import { filesAPI } from '../../api/files';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket, useSocketEvent } from '../../contexts/SocketContext';
+
+const TYPING_TIMEOUT = 3000;
+
+const getFullName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Unknown');
+
+function InboxPage() {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const userId = user?._id || user?.id;
+
+  // State management
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversation, setActiveConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [typingUsers, setTypingUsers] = useState({});
+
+  // Composer states
+  const [content, setContent] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  // New conversation dialog states
+  const [newConversationDialog, setNewConversationDialog] = useState(false);
+  const [contacts, setContacts] = useState([]);
+  const [selectedContact, setSelectedContact] = useState('');
+
+  const typingTimeoutRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const messagesEndRef = useRef(null);
+
+  // Fetch conversations on component mount
+  useEffect(() => {
+    fetchConversations();
+  }, []);
+
+  // Scroll to the newest message
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  useSocketEvent('message-received', ({ conversationId, message }) => {
+    if (activeConversation && conversationId === activeConversation._id) {
+      setMessages(prev => (prev.some(m => m._id === message._id) ? prev : [...prev, message]));
+      setTypingUsers(prev => ({ ...prev, [message.sender._id]: false }));
+
+      if (message.sender._id !== userId) {
+        messagesAPI.markAsRead(conversationId).catch(() => {});
+      }
+    }
+    fetchConversations({ silent: true });
+  });
+
+  useSocketEvent('messages-read', ({ conversationId, userId: readerId, readAt }) => {
+    if (!activeConversation || conversationId !== activeConversation._id || readerId === userId) return;
+
+    setMessages(prev => prev.map(message => (
+      message.readBy.some(receipt => receipt.user === readerId)
+        ? message
+        : { ...message, readBy: [...message.readBy, { user: readerId, readAt }] }
+    )));
+  });
+
+  useSocketEvent('typing', ({ conversationId, userId: typingUserId, isTyping }) => {
+    if (activeConversation && conversationId === activeConversation._id) {
+      setTypingUsers(prev => ({ ...prev, [typingUserId]: isTyping }));
+    }
+  });
+
+  const fetchConversations = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+    }
+    setError(null);
+
+    try {
+      const response = await messagesAPI.getConversations();
+
+      if (response.success) {
+        setConversations(response.data.conversations);
+      }
+    } catch (err) {
+      console.error('Error fetching conversations:', err);
+      setError(err.message || 'Failed to load conversations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openConversation = async (conversation) => {
+    setActiveConversation(conversation);
+    setTypingUsers({});
+    setMessages([]);
+
+    try {
+      const response = await messagesAPI.getMessages(conversation._id);
+
+      if (response.success) {
+        setMessages(response.data.messages);
+        setHasMore(response.data.hasMore);
+      }
+
+      await messagesAPI.markAsRead(conversation._id);
+      fetchConversations({ silent: true });
+    } catch (err) {
+      console.error('Error fetching messages:', err);
+      toast.error(err.message || 'Failed to load messages');
+    }
+  };
+
+  const loadOlderMessages = async () => {
+    if (!messages.length) return;
+
+    try {
+      const response = await messagesAPI.getMessages(activeConversation._id, {
+        before: messages[0].createdAt
+      });
+
+      if (response.success) {
+        setMessages(prev => [...response.data.messages, ...prev]);
+        setHasMore(response.data.hasMore);
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to load older messages');
+    }
+  };
+
+  // Let the other participants know we are typing, and stop after a pause
+  const emitTyping = (isTyping) => {
+    if (socket && activeConversation) {
+      socket.emit('typing', { conversationId: activeConversation._id, isTyping });
+    }
+  };
+
+  const handleContentChange = (e) => {
+    setContent(e.target.value);
+
+    if (!typingTimeoutRef.current) {
+      emitTyping(true);
+    } else {
+      clearTimeout(typingTimeoutRef.current);
+    }
+
+    typingTimeoutRef.current = setTimeout(() => {
+      emitTyping(false);
+      typingTimeoutRef.current = null;
+    }, TYPING_TIMEOUT);
+  };
+
+  // Upload picked files to the conversation's patient; they are attached on send
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const patientId = activeConversation.patient?._id || activeConversation.patient;
+
+    setUploading(true);
+    try {
+      for (const file of files) {
+        const response = await filesAPI.upload(file, patientId);
+        const stored = response.data.file;
+
+        setAttachments(prev => [...prev, {
+          type: stored.category,
+          filename: stored.originalName,
+          url: `/api/files/${stored._id}`,
+          size: stored.size,
+          file: stored._id
+        }]);
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to upload file');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const openAttachment = async (attachment) => {
+    try {
+      const url = attachment.file
+        ? await filesAPI.getDownloadUrl(attachment.file)
+        : attachment.url;
+      window.open(url, '_blank', 'noopener,noreferrer');
+    } catch (err) {
+      toast.error(err.message || 'Failed to open attachment');
+    }
+  };
+
+  const handleSend = async () => {
+    if (!content.trim() && attachments.length === 0) return;
+
+    setSending(true);
+    try {
+      const response = await messagesAPI.sendMessage(activeConversation._id, {
+        content: content.trim(),
+        attachments
+      });
+
+      if (response.success) {
+        setMessages(prev => (
+          prev.some(m => m._id === response.data.message._id) ? prev : [...prev, response.data.message]
+        ));
+        setContent('');
+        setAttachments([]);
+      }
+
+      clearTimeout(typingTimeoutRef.current);
+      typingTimeoutRef.current = null;
+      emitTyping(false);
+    } catch (err) {
+      toast.error(err.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleOpenNewConversation = async () => {
+    setNewConversationDialog(true);
+
+    try {
+      const response = await messagesAPI.getContacts();
+      if (response.success) {
+        setContacts(response.data.contacts);
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to load contacts');
+    }
+  };
+
+  const handleStartConversation = async () => {
+    if (!selectedContact) return;
+
+    try {
+      const response = await messagesAPI.startDirect(selectedContact);
+      setNewConversationDialog(false);
+      setSelectedContact('');
+      await fetchConversations({ silent: true });
+      openConversation(response.data.conversation);
+    } catch (err) {
+      toast.error(err.message || 'Failed to start conversation');
+    }
+  };
+
+  const handleOpenCareTeam = async () => {
+    try {
+      const response = await messagesAPI.getCareTeam(userId);
+      await fetchConversations({ silent: true });
+      openConversation(response.data.conversation);
+    } catch (err) {
+      toast.error(err.message || 'Failed to open care team conversation');
+    }
+  };
+
+  const getConversationTitle = (conversation) => {
+    if (conversation.type === 'care_team') {
+      return conversation.title || `Care team: ${getFullName(conversation.patient)}`;
+    }
+
+    const other = conversation.participants.find(p => (p.user?._id || p.user) !== userId);
+    return getFullName(other?.user);
+  };
+
+  // A message is read once every other participant has a receipt on it
+  const isReadByOthers = (message) => {
+    const others = activeConversation.participants
+      .map(p => p.user?._id || p.user)
+      .filter(id => id !== userId);
+
+    return others.every(id => message.readBy.some(receipt => receipt.user === id));
+  };
+
+  const typingNames = activeConversation
+    ? activeConversation.participants
+      .filter(p => typingUsers[p.user?._id || p.user])
+      .map(p => p.user?.firstName || 'Someone')
+    : [];
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      {/* Header */}
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4" component="h1">
+          Messages
+        </Typography>
+        <Box display="flex" gap={1}>
+          {user?.role === 'patient' && (
+            <Button variant="outlined" startIcon={<Groups />} onClick={handleOpenCareTeam}>
+              Message Care Team
+            </Button>
+          )}
+          <Button variant="contained" startIcon={<Add />} onClick={handleOpenNewConversation}>
+            New Conversation
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        {/* Conversation List */}
+        <Grid item xs={12} md={4}>
+          <Paper sx={{ height: '70vh', overflowY: 'auto' }}>
+            {conversations.length === 0 ? (
+              <Box p={3} textAlign="center">
+                <Typography color="text.secondary">No conversations yet</Typography>
+              </Box>
+            ) : (
+              <List disablePadding>
+                {conversations.map((conversation) => (
+                  <ListItemButton
+                    key={conversation._id}
+                    selected={activeConversation?._id === conversation._id}
+                    onClick={() => openConversation(conversation)}
+                  >
+                    <ListItemText
+                      primary={getConversationTitle(conversation)}
+                      secondary={conversation.lastMessage?.preview || 'No messages yet'}
+                      secondaryTypographyProps={{ noWrap: true }}
+                    />
+                    <Badge badgeContent={conversation.unreadCount} color="error" sx={{ ml: 2 }} />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+          </Paper>
+        </Grid>
+
+        {/* Thread */}
+        <Grid item xs={12} md={8}>
+          <Paper sx={{ height: '70vh', display: 'flex', flexDirection: 'column' }}>
+            {!activeConversation ? (
+              <Box flex={1} display="flex" alignItems="center" justifyContent="center">
+                <Typography color="text.secondary">Select a conversation</Typography>
+              </Box>
+            ) : (
+              <>
+                <Box p={2} display="flex" alignItems="center" gap={1}>
+                  <Typography variant="h6">{getConversationTitle(activeConversation)}</Typography>
+                  {activeConversation.type === 'care_team' && <Chip size="small" label="Care team" />}
+                </Box>
+                <Divider />
+
+                <Box flex={1} p={2} sx={{ overflowY: 'auto' }}>
+                  {hasMore && (
+                    <Box textAlign="center" mb={2}>
+                      <Button size="small" onClick={loadOlderMessages}>Load older messages</Button>
+                    </Box>
+                  )}
+                  {messages.map((message) => {
+                    const isOwn = message.sender?._id === userId;
+
+                    return (
+                      <Box
+                        key={message._id}
+                        display="flex"
+                        flexDirection="column"
+                        alignItems={isOwn ? 'flex-end' : 'flex-start'}
+                        mb={2}
+                      >
+                        <Paper
+                          elevation={0}
+                          sx={{
+                            p: 1.5,
+                            maxWidth: '75%',
+                            bgcolor: isOwn ? 'primary.main' : 'grey.100',
+                            color: isOwn ? 'primary.contrastText' : 'text.primary'
+                          }}
+                        >
+                          {!isOwn && activeConversation.type === 'care_team' && (
+                            <Typography variant="caption" display="block" fontWeight={600}>
+                              {getFullName(message.sender)}
+                            </Typography>
+                          )}
+                          {message.content && (
+                            <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                              {message.content}
+                            </Typography>
+                          )}
+                          {message.attachments?.map((file) => (
+                            <Chip
+                              key={file._id || file.url}
+                              icon={<AttachFile />}
+                              label={file.filename}
+                              onClick={() => openAttachment(file)}
+                              clickable
+                              size="small"
+                              sx={{ mt: 1, mr: 1 }}
+                            />
+                          ))}
+                        </Paper>
+                        <Box display="flex" alignItems="center" gap={0.5} mt={0.5}>
+                          <Typography variant="caption" color="text.secondary">
+                            {format(parseISO(message.createdAt), 'MMM d, h:mm a')}
+                          </Typography>
+                          {isOwn && isReadByOthers(message) && (
+                            <DoneAll fontSize="inherit" color="primary" titleAccess="Read" />
+                          )}
+                        </Box>
+                      </Box>
+                    );
+                  })}
+                  <div ref={messagesEndRef} />
+                </Box>
+
+                {typingNames.length > 0 && (
+                  <Typography variant="caption" color="text.secondary" sx={{ px: 2 }}>
+                    {typingNames.join(', ')} {typingNames.length === 1 ? 'is' : 'are'} typing...
+                  </Typography>
+                )}
+
+                <Divider />
+
+                {/* Composer */}
+                <Box p={2}>
+                  {attachments.length > 0 && (
+                    <Box mb={1}>
+                      {attachments.map((file, index) => (
+                        <Chip
+                          key={file.file}
+                          icon={<AttachFile />}
+                          label={file.filename}
+                          onDelete={() => setAttachments(prev => prev.filter((_, i) => i !== index))}
+                          size="small"
+                          sx={{ mr: 1 }}
+                        />
+                      ))}
+                    </Box>
+                  )}
+                  <Box display="flex" gap={1} alignItems="flex-end">
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      hidden
+                      multiple
+                      accept="image/*,video/*,audio/*,application/pdf"
+                      onChange={handleFilesSelected}
+                    />
+                    <IconButton
+                      onClick={() => fileInputRef.current?.click()}
+                      disabled={uploading || attachments.length >= 5}
+                    >
+                      {uploading ? <CircularProgress size={24} /> : <AttachFile />}
+                    </IconButton>
+                    <TextField
+                      fullWidth
+                      multiline
+                      maxRows={4}
+                      size="small"
+                      placeholder="Write a message..."
+                      value={content}
+                      onChange={handleContentChange}
+                      inputProps={{ maxLength: 2000 }}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                          e.preventDefault();
+                          handleSend();
+                        }
+                      }}
+                    />
+                    <IconButton color="primary" onClick={handleSend} disabled={sending}>
+                      {sending ? <CircularProgress size={24} /> : <Send />}
+                    </IconButton>
+                  </Box>
+                </Box>
+              </>
+            )}
+          </Paper>
+        </Grid>
+      </Grid>
+
+      {/* New Conversation Dialog */}
+      <Dialog
+        open={newConversationDialog}
+        onClose={() => setNewConversationDialog(false)}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>New Conversation</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            fullWidth
+            label={user?.role === 'patient' ? 'Provider' : 'Patient'}
+            value={selectedContact}
+            onChange={(e) => setSelectedContact(e.target.value)}
+            margin="normal"
+            helperText={contacts.length === 0 ? 'No one is assigned to you yet' : ''}
+          >
+            {contacts.map((contact) => (
+              <MenuItem key={contact._id} value={contact._id}>
+                {getFullName(contact)} ({contact.role})
+              </MenuItem>
+            ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNewConversationDialog(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleStartConversation} disabled={!selectedContact}>
+            Start
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+}
+
+export default InboxPage;
@@ -31,6 +31,7 @@ import {
 } from '@mui/icons-material';
 import { format, parseISO, startOfDay, endOfDay } from 'date-fns';
 import { patientAPI } from '../../api/patient';
+import { useSocketEvent } from '../../contexts/SocketContext';
 
 function NotesPage() {
   // State management
@@ -63,8 +64,15 @@ function NotesPage() {
     filterNotes();
   }, [notes, searchQuery, startDate, endDate]);
 
-  const fetchNotes = async () => {
-    setLoading(true);
+  // Keep comment threads current as the care team adds, answers or reacts to notes
+  useSocketEvent('comment-updated', () => fetchNotes({ silent: true }));
+  useSocketEvent('reply-added', () => fetchNotes({ silent: true }));
+  useSocketEvent('reaction-updated', () => fetchNotes({ silent: true }));
+
+  const fetchNotes = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+    }
     setError(null);
 
     try {
@@ -56,6 +56,7 @@ import {
 } from 'recharts';
 import { format, parseISO, subDays, startOfDay, endOfDay } from 'date-fns';
 import { patientAPI } from '../../api/patient';
+import FormCheckPanel from '../../components/progress/FormCheckPanel';
 
 function ProgressPage() {
   // State management
@@ -196,6 +197,13 @@ function ProgressPage() {
     }
   };
 
+  // Replace a session after a form check is sent
+  const handleProgressUpdated = (updated) => {
+    const replace = (entries) => entries.map(entry => (entry._id === updated._id ? { ...entry, ...updated } : entry));
+    setProgressData(replace);
+    setFilteredData(replace);
+  };
+
   // Handle export progress report
   const handleExportReport = () => {
     try {
@@ -464,6 +472,10 @@ function ProgressPage() {
                           </Typography>
                         </Box>
                       )}
+
+                      {entry._id && (
+                        <FormCheckPanel progress={entry} onUpdated={handleProgressUpdated} />
+                      )}
                     </CardContent>
                   </Card>
                 </TimelineContent>
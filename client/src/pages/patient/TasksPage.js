@@ -33,10 +33,13 @@ import {
   ViewList,
   EditNote,
   CheckCircleOutline,
-  PendingActions
+  PendingActions,
+  PlayCircleOutline
 } from '@mui/icons-material';
 import { format, parseISO, startOfMonth, endOfMonth, eachDayOfInterval, isSameDay } from 'date-fns';
 import { patientAPI } from '../../api/patient';
+import { useSocketEvent } from '../../contexts/SocketContext';
+import ExerciseVideoDialog from '../../components/tasks/ExerciseVideoDialog';
 
 function TasksPage() {
   // State management
@@ -57,6 +60,7 @@ function TasksPage() {
   const [notesDialog, setNotesDialog] = useState({ open: false, taskId: null, taskTitle: '' });
   const [noteText, setNoteText] = useState('');
   const [submittingNote, setSubmittingNote] = useState(false);
+  const [videoDialog, setVideoDialog] = useState({ open: false, task: null, video: null });
 
   // Fetch tasks on component mount and when filter changes
   useEffect(() => {
@@ -75,8 +79,18 @@ function TasksPage() {
     }
   }, [currentMonth, tasks, viewMode]);
 
-  const fetchTasks = async () => {
-    setLoading(true);
+  // Refresh in place when a task reminder arrives or a session is logged elsewhere
+  useSocketEvent('notification', (notification) => {
+    if (notification.type?.startsWith('task_')) {
+      fetchTasks({ silent: true });
+    }
+  });
+  useSocketEvent('progress-updated', () => fetchTasks({ silent: true }));
+
+  const fetchTasks = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+    }
     setError(null);
 
     try {
@@ -406,6 +420,17 @@ function TasksPage() {
                         </Box>
 
                         <Box sx={{ display: 'flex', gap: 1 }}>
+                          {task.resources?.filter(resource => resource.type === 'video').map((video) => (
+                            <Button
+                              key={video._id}
+                              size="small"
+                              variant="outlined"
+                              startIcon={<PlayCircleOutline />}
+                              onClick={() => setVideoDialog({ open: true, task, video })}
+                            >
+                              {video.title || 'Watch Demo'}
+                            </Button>
+                          ))}
                           <Button
                             size="small"
                             variant="outlined"
@@ -518,6 +543,14 @@ function TasksPage() {
         </Paper>
       )}
 
+      {/* Exercise Video Dialog */}
+      <ExerciseVideoDialog
+        open={videoDialog.open}
+        task={videoDialog.task}
+        video={videoDialog.video}
+        onClose={() => setVideoDialog({ open: false, task: null, video: null })}
+      />
+
       {/* Notes Dialog */}
       <Dialog open={notesDialog.open} onClose={handleCloseNotesDialog} maxWidth="sm" fullWidth>
         <DialogTitle>Add Notes to Task</DialogTitle>
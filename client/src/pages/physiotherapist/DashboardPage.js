@@ -40,7 +40,9 @@ import {
   ExpandLess,
   Comment,
   EventNote,
-  CheckCircle
+  CheckCircle,
+  Warning,
+  LockOpen
 } from '@mui/icons-material';
 import {
   LineChart,
@@ -53,7 +55,10 @@ import {
   ResponsiveContainer
 } from 'recharts';
 import { format, parseISO } from 'date-fns';
+import { toast } from 'react-toastify';
 import { physiotherapistAPI } from '../../api/physiotherapist';
+import { authAPI } from '../../api/auth';
+import { useSocketEvent } from '../../contexts/SocketContext';
 
 function DashboardPage() {
   // State management
@@ -63,6 +68,7 @@ function DashboardPage() {
   const [patients, setPatients] = useState([]);
   const [filteredPatients, setFilteredPatients] = useState([]);
   const [recentFeedback, setRecentFeedback] = useState([]);
+  const [alerts, setAlerts] = useState(null);
   const [analyticsData, setAnalyticsData] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [orderBy, setOrderBy] = useState('name');
@@ -83,16 +89,28 @@ function DashboardPage() {
     filterPatients();
   }, [searchQuery, patients]);
 
-  const fetchDashboardData = async () => {
-    setLoading(true);
+  // Patient activity changes the alerts and overview, so refresh them in place
+  useSocketEvent('progress-updated', () => fetchDashboardData({ silent: true }));
+  useSocketEvent('comment-updated', () => fetchDashboardData({ silent: true }));
+  useSocketEvent('notification', (notification) => {
+    if (['low_engagement', 'critical_alert', 'system_alert'].includes(notification.type)) {
+      fetchDashboardData({ silent: true });
+    }
+  });
+
+  const fetchDashboardData = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setLoading(true);
+    }
     setError(null);
 
     try {
       // Fetch all dashboard data in parallel
-      const [dashboardRes, patientsRes, analyticsRes] = await Promise.all([
+      const [dashboardRes, patientsRes, analyticsRes, alertsRes] = await Promise.all([
         physiotherapistAPI.getDashboard(),
         physiotherapistAPI.getPatients(),
-        physiotherapistAPI.getAnalytics({ days: 30 })
+        physiotherapistAPI.getAnalytics({ days: 30 }),
+        physiotherapistAPI.getAlerts()
       ]);
 
       // Set dashboard overview data
@@ -115,6 +133,11 @@ function DashboardPage() {
         setAnalyticsData(analyticsRes.data);
       }
 
+      // Set patient alerts
+      if (alertsRes.success) {
+        setAlerts(alertsRes.data);
+      }
+
     } catch (err) {
       console.error('Error fetching dashboard data:', err);
       setError(err.message || 'Failed to load dashboard data');
@@ -141,6 +164,16 @@ function DashboardPage() {
     setFilteredPatients(filtered);
   };
 
+  // Lift a login lockout after too many failed attempts
+  const handleUnlockAccount = async (patient) => {
+    try {
+      const response = await authAPI.unlockAccount(patient._id || patient.id);
+      toast.success(response.message || 'Account unlocked');
+    } catch (err) {
+      toast.error(err.message || 'Failed to unlock account');
+    }
+  };
+
   // Handle sorting
   const handleSort = (property) => {
     const isAsc = orderBy === property && order === 'asc';
@@ -453,6 +486,14 @@ function DashboardPage() {
                           >
                             View Details
                           </Button>
+                          <Button
+                            size="small"
+                            startIcon={<LockOpen />}
+                            onClick={() => handleUnlockAccount(patient)}
+                            sx={{ ml: 1 }}
+                          >
+                            Unlock Login
+                          </Button>
                         </TableCell>
                       </TableRow>
                     ))}
@@ -567,6 +608,39 @@ function DashboardPage() {
             </Box>
           </Paper>
 
+          {/* Patient Alerts Section */}
+          <Paper elevation={2} sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h5" fontWeight="bold" sx={{ mb: 3 }}>
+              Patient Alerts
+            </Typography>
+
+            {!alerts || alerts.totalAlerts === 0 ? (
+              <Box sx={{ textAlign: 'center', py: 3 }}>
+                <CheckCircle sx={{ fontSize: 60, color: 'success.main', mb: 2 }} />
+                <Typography variant="body2" color="text.secondary">
+                  No patients need attention
+                </Typography>
+              </Box>
+            ) : (
+              <List sx={{ p: 0 }}>
+                {[
+                  { label: 'High pain reports', count: alerts.alerts.highPainReports.count },
+                  { label: 'Low adherence', count: alerts.alerts.lowAdherence.count },
+                  { label: 'Inactive for 7 days', count: alerts.alerts.inactivePatients.count },
+                  { label: 'Overdue tasks', count: alerts.alerts.overdueTasks.count }
+                ].filter(alert => alert.count > 0).map((alert, index) => (
+                  <ListItem key={alert.label} divider={index < 3} sx={{ px: 0, justifyContent: 'space-between' }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Warning color="warning" fontSize="small" />
+                      <Typography variant="body2">{alert.label}</Typography>
+                    </Box>
+                    <Chip label={alert.count} size="small" color="warning" />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Paper>
+
           {/* Recent Feedback Section */}
           <Paper elevation={2} sx={{ p: 3 }}>
             <Typography variant="h5" fontWeight="bold" sx={{ mb: 3 }}>
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Paper,
+  Card,
+  CardContent,
+  CardActions,
+  Grid,
+  Chip,
+  CircularProgress,
+  Alert,
+  Tabs,
+  Tab,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton
+} from '@mui/material';
+import { Videocam, Delete, AddComment } from '@mui/icons-material';
+import { format, parseISO } from 'date-fns';
+import { toast } from 'react-toastify';
+import { physiotherapistAPI } from '../../api/physiotherapist';
+import { filesAPI } from '../../api/files';
+
+const FORM_QUALITY_OPTIONS = ['excellent', 'good', 'fair', 'poor'];
+const ANNOTATION_TYPES = ['correction', 'praise', 'note'];
+
+const formatTime = (seconds) => {
+  const total = Math.floor(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+function FormChecksPage() {
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formChecks, setFormChecks] = useState([]);
+
+  // Review dialog
+  const videoRef = useRef(null);
+  const [reviewing, setReviewing] = useState(null);
+  const [videoSrc, setVideoSrc] = useState(null);
+  const [formQuality, setFormQuality] = useState('good');
+  const [summary, setSummary] = useState('');
+  const [annotations, setAnnotations] = useState([]);
+  const [annotationComment, setAnnotationComment] = useState('');
+  const [annotationType, setAnnotationType] = useState('correction');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchFormChecks();
+  }, [status]);
+
+  const fetchFormChecks = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await physiotherapistAPI.getFormChecks({ status });
+      if (response.success) {
+        setFormChecks(response.data.formChecks);
+      }
+    } catch (err) {
+      console.error('Error fetching form checks:', err);
+      setError(err.message || 'Failed to load form checks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenReview = async (progress) => {
+    setReviewing(progress);
+    setVideoSrc(null);
+    setFormQuality(progress.formCheck.formQuality || 'good');
+    setSummary(progress.formCheck.summary || '');
+    setAnnotations(progress.formCheck.annotations || []);
+    setAnnotationComment('');
+
+    try {
+      setVideoSrc(await filesAPI.getDownloadUrl(progress.formCheck.video.file));
+    } catch (err) {
+      toast.error(err.message || 'Failed to load clip');
+    }
+  };
+
+  const handleCloseReview = () => {
+    setReviewing(null);
+  };
+
+  // Annotations are pinned to wherever the clip is paused
+  const handleAddAnnotation = () => {
+    if (!annotationComment.trim()) return;
+
+    const timestampSeconds = Math.round((videoRef.current?.currentTime || 0) * 10) / 10;
+    setAnnotations(prev => [...prev, { timestampSeconds, comment: annotationComment.trim(), type: annotationType }]
+      .sort((a, b) => a.timestampSeconds - b.timestampSeconds));
+    setAnnotationComment('');
+  };
+
+  const handleRemoveAnnotation = (index) => {
+    setAnnotations(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const jumpTo = (seconds) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = seconds;
+    }
+  };
+
+  const handleSubmitReview = async () => {
+    setSubmitting(true);
+    try {
+      await physiotherapistAPI.reviewFormCheck(reviewing._id, {
+        formQuality,
+        summary: summary.trim() || undefined,
+        annotations
+      });
+
+      toast.success('Review sent to the patient');
+      setFormChecks(prev => prev.filter(check => check._id !== reviewing._id));
+      handleCloseReview();
+    } catch (err) {
+      toast.error(err.message || 'Failed to submit review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const readOnly = reviewing?.formCheck.status === 'reviewed';
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        Form Checks
+      </Typography>
+
+      <Tabs value={status} onChange={(e, value) => setStatus(value)} sx={{ mb: 3 }}>
+        <Tab label="Waiting for Review" value="pending" />
+        <Tab label="Reviewed" value="reviewed" />
+      </Tabs>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+          <CircularProgress />
+        </Box>
+      ) : formChecks.length === 0 ? (
+        <Paper elevation={1} sx={{ p: 6, textAlign: 'center' }}>
+          <Videocam sx={{ fontSize: 60, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary">
+            {status === 'pending' ? 'No clips waiting for review' : 'No reviewed clips yet'}
+          </Typography>
+        </Paper>
+      ) : (
+        <Grid container spacing={2}>
+          {formChecks.map((check) => (
+            <Grid item xs={12} md={6} key={check._id}>
+              <Card elevation={2}>
+                <CardContent>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                    <Typography variant="h6">
+                      {check.patient?.firstName} {check.patient?.lastName}
+                    </Typography>
+                    {check.formCheck.formQuality && (
+                      <Chip label={check.formCheck.formQuality} size="small" />
+                    )}
+                  </Box>
+                  <Typography variant="body2" color="text.secondary">
+                    {check.rehabTask?.title} - session on {format(parseISO(check.sessionDate), 'MMM dd, yyyy')}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Sent {format(parseISO(check.formCheck.requestedAt), 'MMM dd, HH:mm')}
+                    {check.formCheck.video?.durationSeconds ? ` - ${formatTime(check.formCheck.video.durationSeconds)} clip` : ''}
+                  </Typography>
+                  {check.formCheck.patientQuestion && (
+                    <Typography variant="body2" sx={{ mt: 1, fontStyle: 'italic' }}>
+                      "{check.formCheck.patientQuestion}"
+                    </Typography>
+                  )}
+                </CardContent>
+                <CardActions>
+                  <Button size="small" startIcon={<Videocam />} onClick={() => handleOpenReview(check)}>
+                    {check.formCheck.status === 'pending' ? 'Review' : 'View Review'}
+                  </Button>
+                </CardActions>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {/* Review Dialog */}
+      <Dialog open={Boolean(reviewing)} onClose={handleCloseReview} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {reviewing && `${reviewing.patient?.firstName} ${reviewing.patient?.lastName} - ${reviewing.rehabTask?.title}`}
+        </DialogTitle>
+        <DialogContent>
+          {videoSrc ? (
+            <Box
+              component="video"
+              ref={videoRef}
+              src={videoSrc}
+              controls
+              playsInline
+              sx={{ width: '100%', borderRadius: 1, bgcolor: 'black' }}
+            />
+          ) : (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress />
+            </Box>
+          )}
+
+          {!readOnly && (
+            <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+              <TextField
+                select
+                size="small"
+                value={annotationType}
+                onChange={(e) => setAnnotationType(e.target.value)}
+                sx={{ minWidth: 130 }}
+              >
+                {ANNOTATION_TYPES.map(type => (
+                  <MenuItem key={type} value={type}>{type}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                size="small"
+                fullWidth
+                placeholder="Pause the clip and add a comment at that point"
+                value={annotationComment}
+                onChange={(e) => setAnnotationComment(e.target.value)}
+                inputProps={{ maxLength: 500 }}
+              />
+              <IconButton color="primary" onClick={handleAddAnnotation} disabled={!annotationComment.trim()}>
+                <AddComment />
+              </IconButton>
+            </Box>
+          )}
+
+          {annotations.length > 0 && (
+            <List dense>
+              {annotations.map((annotation, index) => (
+                <ListItem
+                  key={`${annotation.timestampSeconds}-${index}`}
+                  button
+                  onClick={() => jumpTo(annotation.timestampSeconds)}
+                  secondaryAction={!readOnly && (
+                    <IconButton edge="end" onClick={() => handleRemoveAnnotation(index)}>
+                      <Delete />
+                    </IconButton>
+                  )}
+                >
+                  <ListItemText
+                    primary={`${formatTime(annotation.timestampSeconds)}  ${annotation.comment}`}
+                    secondary={annotation.type}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+
+          <TextField
+            select
+            label="Form Quality"
+            value={formQuality}
+            onChange={(e) => setFormQuality(e.target.value)}
+            disabled={readOnly}
+            sx={{ mt: 2, minWidth: 200 }}
+          >
+            {FORM_QUALITY_OPTIONS.map(option => (
+              <MenuItem key={option} value={option}>{option}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Summary"
+            fullWidth
+            multiline
+            rows={3}
+            value={summary}
+            onChange={(e) => setSummary(e.target.value)}
+            disabled={readOnly}
+            inputProps={{ maxLength: 1000 }}
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseReview}>{readOnly ? 'Close' : 'Cancel'}</Button>
+          {!readOnly && (
+            <Button variant="contained" onClick={handleSubmitReview} disabled={submitting}>
+              {submitting ? <CircularProgress size={20} /> : 'Send Review'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+}
+
+export default FormChecksPage;
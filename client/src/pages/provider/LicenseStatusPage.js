@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { Container, Paper, Typography, Alert, TextField, Button, Box, CircularProgress } from '@mui/material';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../api/auth';
+
+// Where physiotherapists and doctors land until a clinic admin verifies their license
+function LicenseStatusPage() {
+  const { user, refreshUser } = useAuth();
+  const [licenseNumber, setLicenseNumber] = useState(user?.professionalInfo?.licenseNumber || '');
+  const [saving, setSaving] = useState(false);
+  const [checking, setChecking] = useState(false);
+
+  if (user?.licenseStatus === 'verified' || user?.isClinicAdmin || !user?.licenseStatus) {
+    return <Navigate to="/" replace />;
+  }
+
+  const verification = user.professionalInfo?.licenseVerification || {};
+  const rejected = user.licenseStatus === 'rejected';
+
+  const handleCheck = async () => {
+    setChecking(true);
+    await refreshUser();
+    setChecking(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await authAPI.updateProfile({ professionalInfo: { licenseNumber } });
+      await refreshUser();
+      toast.success('License number updated. A clinic admin will review it.');
+    } catch (err) {
+      toast.error(err.message || 'Failed to update license number');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="sm" sx={{ py: 4 }}>
+      <Paper elevation={2} sx={{ p: 4 }}>
+        <Typography variant="h5" fontWeight="bold" gutterBottom>
+          License Verification
+        </Typography>
+
+        {rejected ? (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            Your license could not be verified{verification.rejectionReason ? `: ${verification.rejectionReason}` : '.'}
+            {' '}Correct your license number below to have it reviewed again.
+          </Alert>
+        ) : (
+          <Alert severity="info" sx={{ mb: 3 }}>
+            A clinic admin is verifying license number {user.professionalInfo?.licenseNumber || '(not entered)'}.
+            Patient records open up once it is verified; you will get a notification.
+          </Alert>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <TextField
+            fullWidth
+            label="License Number"
+            value={licenseNumber}
+            onChange={(e) => setLicenseNumber(e.target.value)}
+            disabled={saving}
+            sx={{ mb: 2 }}
+          />
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={saving || !licenseNumber.trim() || licenseNumber.trim() === user.professionalInfo?.licenseNumber}
+            >
+              {saving ? <CircularProgress size={20} color="inherit" /> : 'Update License Number'}
+            </Button>
+            <Button variant="outlined" onClick={handleCheck} disabled={checking}>
+              Check Again
+            </Button>
+          </Box>
+        </form>
+      </Paper>
+    </Container>
+  );
+}
+
+export default LicenseStatusPage;
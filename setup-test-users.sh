@@ -22,24 +22,9 @@ else
   echo "⚠️ Patient user may already exist"
 fi
 
-# Create Physiotherapist
-echo "Creating test physiotherapist..."
-curl -s "$API_URL/auth/register" -H "Content-Type: application/json" -d '{
-  "firstName": "Test",
-  "lastName": "Physiotherapist",
-  "email": "physio@test.com",
-  "password": "password123",
-  "role": "physiotherapist",
-  "phoneNumber": "+1234567891"
-}' > /dev/null 2>&1
-
-if [ $? -eq 0 ]; then
-  echo "✅ Physiotherapist: physio@test.com / password123"
-else
-  echo "⚠️ Physiotherapist user may already exist"
-fi
-
-# Create Doctor
+# Create Doctor (clinic admin)
+# Providers join by invitation; only emails in CLINIC_ADMIN_EMAILS can register directly,
+# so start the server with CLINIC_ADMIN_EMAILS=doctor@test.com
 echo "Creating test doctor..."
 curl -s "$API_URL/auth/register" -H "Content-Type: application/json" -d '{
   "firstName": "Test",
@@ -47,7 +32,8 @@ curl -s "$API_URL/auth/register" -H "Content-Type: application/json" -d '{
   "email": "doctor@test.com",
   "password": "password123",
   "role": "doctor",
-  "phoneNumber": "+1234567892"
+  "phoneNumber": "+1234567892",
+  "professionalInfo": { "licenseNumber": "MD-0001" }
 }' > /dev/null 2>&1
 
 if [ $? -eq 0 ]; then
@@ -61,5 +47,10 @@ echo "✅ Test users setup complete!"
 echo ""
 echo "You can now login with:"
 echo "  Patient: patient@test.com / password123"
-echo "  Physiotherapist: physio@test.com / password123"
 echo "  Doctor: doctor@test.com / password123"
+echo ""
+echo "The doctor becomes a clinic admin once their email is verified. Without EMAIL_HOST"
+echo "the verification email is printed in the server log; open the link it contains."
+echo ""
+echo "To add a physiotherapist, log in as the doctor, open Provider Onboarding and"
+echo "invite physio@test.com, then verify the license once the invitation is accepted."
@@ -1,5 +1,6 @@
 const jwtUtils = require('../../core/auth/jwtUtils');
 const User = require('../../models/User');
+const sessionService = require('../../services/SessionService');
 
 /**
  * Authentication Middleware
@@ -45,6 +46,15 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Tokens from a login session stop working once it is logged out or revoked
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid, user._id))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired',
+        message: 'Your session has ended. Please log in again'
+      });
+    }
+
     // Add user data to request object
     req.user = {
       id: user._id,
@@ -54,7 +64,8 @@ const authenticate = async (req, res, next) => {
       lastName: user.lastName,
       fullName: user.fullName,
       isActive: user.isActive,
-      emailVerified: user.emailVerified
+      emailVerified: user.emailVerified,
+      sessionId: decoded.sid
     };
 
     // Add full user object if needed (optional)
@@ -98,7 +109,9 @@ const optionalAuth = async (req, res, next) => {
         const decoded = await jwtUtils.verifyAccessToken(token);
         const user = await User.findById(decoded.userId);
 
-        if (user && user.isActive) {
+        const sessionActive = !decoded.sid || await sessionService.isSessionActive(decoded.sid, decoded.userId);
+
+        if (user && user.isActive && sessionActive) {
           req.user = {
             id: user._id,
             email: user.email,
@@ -107,7 +120,8 @@ const optionalAuth = async (req, res, next) => {
             lastName: user.lastName,
             fullName: user.fullName,
             isActive: user.isActive,
-            emailVerified: user.emailVerified
+            emailVerified: user.emailVerified,
+            sessionId: decoded.sid
           };
           req.userFull = user;
         }
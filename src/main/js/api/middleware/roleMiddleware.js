@@ -1,3 +1,5 @@
+const { getLicenseStatus, hasClinicalAccess, isClinicAdmin } = require('../../core/auth/providerAccess');
+
 /**
  * Role-based Access Control Middleware
  * Controls access to resources based on user roles and permissions
@@ -73,12 +75,73 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
+  // Unverified doctors get no admin access either
+  if (!hasClinicalAccess(req.userFull || req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'License verification required',
+      message: 'Your professional license has not been verified yet. A clinic admin will review it shortly'
+    });
+  }
+
   // Additional admin checks could go here
   // (e.g., specific permissions, admin flag, etc.)
 
   next();
 };
 
+/**
+ * Require a clinic admin (CLINIC_ADMIN_EMAILS), who invites providers and
+ * verifies their licenses
+ */
+const requireClinicAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'Please login to access this resource'
+    });
+  }
+
+  if (!isClinicAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Clinic admin access required',
+      message: 'Only clinic admins can manage provider onboarding'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Keep clinical routes closed to providers until their license is verified.
+ * Patients pass through.
+ */
+const requireVerifiedProvider = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'Please login to access this resource'
+    });
+  }
+
+  const user = req.userFull || req.user;
+  if (!hasClinicalAccess(user)) {
+    const rejected = getLicenseStatus(user) === 'rejected';
+    return res.status(403).json({
+      success: false,
+      error: 'License verification required',
+      message: rejected
+        ? 'Your professional license could not be verified. Update your license number in your profile or contact your clinic'
+        : 'Your professional license has not been verified yet. A clinic admin will review it shortly'
+    });
+  }
+
+  next();
+};
+
 /**
  * Role-based resource access control
  * Allows different levels of access based on user role
@@ -384,6 +447,8 @@ module.exports = {
   requireDoctor,
   requireHealthcareProvider,
   requireAdmin,
+  requireClinicAdmin,
+  requireVerifiedProvider,
   roleBasedAccess,
   patientDataAccess,
   providerAssignmentCheck,
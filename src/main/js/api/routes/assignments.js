@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/authMiddleware');
+const { requireRoles, requireVerifiedProvider } = require('../middleware/roleMiddleware');
+const { validateParams } = require('../middleware/validationMiddleware');
+const assignmentService = require('../../services/AssignmentService');
+
+router.use(authenticate);
+router.use(requireVerifiedProvider);
+
+/**
+ * Assignment Routes
+ * Handles patient-provider care relationships: assigning, transferring
+ * caseloads, ending care and viewing assignment history
+ */
+
+const getErrorStatus = (error, fallback) => {
+  if (error.message.startsWith('Access denied')) return 403;
+  if (error.message.endsWith('not found')) return 404;
+  return fallback;
+};
+
+// @route   POST /api/assignments
+// @desc    Assign a physiotherapist or doctor to a patient
+// @access  Private (Doctor only)
+router.post('/', requireRoles(['doctor']), async (req, res) => {
+  try {
+    const result = await assignmentService.assignProvider(req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to assign provider',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/assignments/unassign
+// @desc    End a care relationship (doctors: any, physiotherapists: own only)
+// @access  Private (Healthcare providers only)
+router.post('/unassign', requireRoles(['physiotherapist', 'doctor']), async (req, res) => {
+  try {
+    const result = await assignmentService.unassignProvider(req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to unassign provider',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/assignments/transfer
+// @desc    Hand a caseload (or part of it) over to a colleague
+// @access  Private (Healthcare providers only)
+router.post('/transfer', requireRoles(['physiotherapist', 'doctor']), async (req, res) => {
+  try {
+    const result = await assignmentService.transferCaseload(req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to transfer caseload',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/assignments/patients/:patientId/history
+// @desc    Get assignment history for a patient
+// @access  Private (Patient themself, doctors, and providers who have cared for the patient)
+router.get('/patients/:patientId/history', validateParams(['patientId']), async (req, res) => {
+  try {
+    const result = await assignmentService.getPatientHistory(req.params.patientId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to get assignment history',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/assignments/providers/:providerId/history
+// @desc    Get assignment history for a provider's caseload
+// @access  Private (Provider themself or doctors)
+router.get('/providers/:providerId/history', requireRoles(['physiotherapist', 'doctor']), validateParams(['providerId']), async (req, res) => {
+  try {
+    if (req.user.role !== 'doctor' && req.user.id.toString() !== req.params.providerId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You can only view your own caseload history'
+      });
+    }
+
+    const result = await assignmentService.getProviderHistory(req.params.providerId, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to get assignment history',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,23 +2,43 @@ const express = require('express');
 const router = express.Router();
 const AuthService = require('../../services/AuthService');
 const { authenticate, optionalAuth } = require('../middleware/authMiddleware');
+const { requireRoles, requireVerifiedProvider } = require('../middleware/roleMiddleware');
 
 /**
  * Authentication Routes
  * Handles user registration, login, logout, and token management
  */
 
+// Device details stored with the login session
+const getClientContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Throttled or locked logins carry retryAfterSeconds
+const sendThrottled = (res, error) => {
+  res.set('Retry-After', String(error.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: 'Login failed',
+    message: error.message,
+    retryAfterSeconds: error.retryAfterSeconds
+  });
+};
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user (providers with an invitationToken)
 // @access  Public
 router.post('/register', async (req, res) => {
   try {
-    const result = await AuthService.register(req.body);
+    const result = await AuthService.register(req.body, getClientContext(req));
     res.status(201).json(result);
   } catch (error) {
     console.error('Registration error:', error.message);
 
-    res.status(400).json({
+    const status = error.message.includes('need an invitation') ? 403 : 400;
+
+    res.status(status).json({
       success: false,
       error: 'Registration failed',
       message: error.message
@@ -27,17 +47,21 @@ router.post('/register', async (req, res) => {
 });
 
 // @route   POST /api/auth/login
-// @desc    Login user and return JWT token
+// @desc    Login user and return JWT token (or a two-factor challenge token)
 // @access  Public
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
-    const result = await AuthService.login(email, password);
+    const result = await AuthService.login(email, password, getClientContext(req));
 
     res.status(200).json(result);
   } catch (error) {
     console.error('Login error:', error.message);
 
+    if (error.retryAfterSeconds) {
+      return sendThrottled(res, error);
+    }
+
     // Use generic message for security
     const isAuthError = error.message.includes('Invalid email or password') ||
                        error.message.includes('Account is deactivated');
@@ -50,8 +74,38 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: verify the authenticator or recovery code and return JWT tokens
+// @access  Public (requires the challenge token from /login)
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const result = await AuthService.completeTwoFactorLogin(
+      challengeToken,
+      { code, recoveryCode },
+      getClientContext(req)
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Two-factor login error:', error.message);
+
+    if (error.retryAfterSeconds) {
+      return sendThrottled(res, error);
+    }
+
+    const isAuthError = /invalid|expired|too many|deactivated|User not found/i.test(error.message);
+
+    res.status(isAuthError ? 401 : 400).json({
+      success: false,
+      error: 'Login failed',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
+// @desc    Exchange a refresh token for a new token pair (the old refresh token is used up)
 // @access  Public
 router.post('/refresh', async (req, res) => {
   try {
@@ -65,14 +119,12 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    const result = await AuthService.refreshToken(refreshToken);
+    const result = await AuthService.refreshToken(refreshToken, getClientContext(req));
     res.status(200).json(result);
   } catch (error) {
     console.error('Token refresh error:', error.message);
 
-    const isTokenError = error.message.includes('expired') ||
-                        error.message.includes('invalid') ||
-                        error.message.includes('User not found');
+    const isTokenError = /expired|invalid|revoked|already used|reuse|deactivated|User not found/i.test(error.message);
 
     res.status(isTokenError ? 401 : 400).json({
       success: false,
@@ -83,11 +135,11 @@ router.post('/refresh', async (req, res) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user (revokes the current session)
 // @access  Private
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    const result = await AuthService.logout(req.user.id);
+    const result = await AuthService.logout(req.user.id, req.user.sessionId);
     res.status(200).json(result);
   } catch (error) {
     console.error('Logout error:', error.message);
@@ -100,7 +152,205 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
-// @route   GET /api/auth/me
+// @route   POST /api/auth/logout-all
+// @desc    Logout user from every device
+// @access  Private
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.logoutAllDevices(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Logout all error:', error.message);
+
+    res.status(400).json({
+      success: false,
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the user is signed in on
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.getSessions(req.user.id, req.user.sessionId);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Get sessions error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sessions',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.revokeSession(req.user.id, req.params.sessionId);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Revoke session error:', error.message);
+
+    res.status(error.message.includes('not found') ? 404 : 400).json({
+      success: false,
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.getTwoFactorStatus(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Get two-factor status error:', error.message);
+
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: 'Failed to get two-factor status',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor setup (secret and QR code for the authenticator app)
+// @access  Private, or Public with the challenge token from /login when setup is required
+router.post('/2fa/setup', optionalAuth, async (req, res) => {
+  try {
+    const result = await AuthService.beginTwoFactorSetup({
+      userId: req.user?.id,
+      challengeToken: req.body.challengeToken
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Two-factor setup error:', error.message);
+
+    const isAuthError = /Authentication required|invalid two-factor|expired/i.test(error.message);
+
+    res.status(isAuthError ? 401 : 400).json({
+      success: false,
+      error: 'Two-factor setup failed',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm two-factor setup with a code; returns recovery codes (and tokens during login)
+// @access  Private, or Public with the challenge token from /login when setup is required
+router.post('/2fa/enable', optionalAuth, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const result = await AuthService.enableTwoFactor(
+      { userId: req.user?.id, challengeToken },
+      code,
+      getClientContext(req)
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Two-factor enable error:', error.message);
+
+    const isAuthError = /Authentication required|invalid two-factor|expired/i.test(error.message);
+
+    res.status(isAuthError ? 401 : 400).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (password and a current code required)
+// @access  Private
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const result = await AuthService.disableTwoFactor(req.user.id, { password, code });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Two-factor disable error:', error.message);
+
+    res.status(error.message.includes('required for your role') ? 403 : 400).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (a current code is required)
+// @access  Private
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.regenerateRecoveryCodes(req.user.id, req.body.code);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error.message);
+
+    res.status(400).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/accounts/:userId/lock
+// @desc    Get an account's login lockout state
+// @access  Private (Physiotherapist for own patients, Doctor for patients)
+router.get('/accounts/:userId/lock', authenticate, requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, async (req, res) => {
+  try {
+    const result = await AuthService.getAccountLockStatus(req.user.id, req.params.userId);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Get account lock error:', error.message);
+
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('Access denied') ? 403 : 500;
+
+    res.status(status).json({
+      success: false,
+      error: 'Failed to get account lock status',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/accounts/:userId/unlock
+// @desc    Unlock an account locked after failed logins
+// @access  Private (Physiotherapist for own patients, Doctor for patients)
+router.post('/accounts/:userId/unlock', authenticate, requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, async (req, res) => {
+  try {
+    const result = await AuthService.unlockAccount(req.user.id, req.params.userId);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Unlock account error:', error.message);
+
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('Access denied') ? 403 : 400;
+
+    res.status(status).json({
+      success: false,
+      error: 'Failed to unlock account',
+      message: error.message
+    });
+  }
+});
+
 // @desc    Get current user profile
 // @access  Private
 router.get('/me', authenticate, async (req, res) => {
@@ -151,7 +401,7 @@ router.post('/change-password', authenticate, async (req, res) => {
       });
     }
 
-    const result = await AuthService.changePassword(req.user.id, currentPassword, newPassword);
+    const result = await AuthService.changePassword(req.user.id, currentPassword, newPassword, req.user.sessionId);
     res.status(200).json(result);
   } catch (error) {
     console.error('Change password error:', error.message);
@@ -195,7 +445,7 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // @route   POST /api/auth/reset-password
-// @desc    Reset password with token
+// @desc    Reset password with the token from the emailed link
 // @access  Public
 router.post('/reset-password', async (req, res) => {
   try {
@@ -214,9 +464,7 @@ router.post('/reset-password', async (req, res) => {
   } catch (error) {
     console.error('Password reset error:', error.message);
 
-    const isTokenError = error.message.includes('Invalid or expired') ||
-                        error.message.includes('expired') ||
-                        error.message.includes('invalid');
+    const isTokenError = error.message.includes('invalid or has expired');
 
     res.status(isTokenError ? 401 : 400).json({
       success: false,
@@ -227,12 +475,21 @@ router.post('/reset-password', async (req, res) => {
 });
 
 // @route   POST /api/auth/verify-email
-// @desc    Verify user email
-// @access  Private
-router.post('/verify-email', authenticate, async (req, res) => {
+// @desc    Verify user email with the token from the emailed link
+// @access  Public (the link may be opened signed out or on another device)
+router.post('/verify-email', async (req, res) => {
   try {
-    const { verificationToken } = req.body;
-    const result = await AuthService.verifyEmail(req.user.id, verificationToken);
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'Verification token is required'
+      });
+    }
+
+    const result = await AuthService.verifyEmail(token);
     res.status(200).json(result);
   } catch (error) {
     console.error('Email verification error:', error.message);
@@ -245,6 +502,26 @@ router.post('/verify-email', authenticate, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.resendVerificationEmail(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+
+    const isRateLimited = error.message.includes('Please wait');
+
+    res.status(isRateLimited ? 429 : 400).json({
+      success: false,
+      error: 'Failed to send verification email',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/auth/deactivate
 // @desc    Deactivate user account
 // @access  Private
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const calendarFeedService = require('../../services/CalendarFeedService');
+
+/**
+ * Calendar Routes
+ * Serves iCalendar subscription feeds. Calendar apps cannot send a JWT,
+ * so these routes are authenticated by the feed token in the URL instead.
+ */
+
+// @route   GET /api/calendar/:token.ics
+// @desc    Get a patient's exercise sessions and appointments as an iCalendar feed
+// @access  Public (feed token)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const calendar = await calendarFeedService.getCalendarForToken(req.params.token);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="rehab-tracker.ics"',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.status(200).send(calendar);
+  } catch (error) {
+    if (error.message === 'Calendar feed not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar feed not found',
+        message: 'This calendar link is invalid or has been revoked'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/authMiddleware');
-const { requireRoles } = require('../middleware/roleMiddleware');
+const { requireRoles, requireVerifiedProvider } = require('../middleware/roleMiddleware');
 const { validateQuery, validateParams, validateBody } = require('../middleware/validationMiddleware');
 
 router.use(authenticate);
+router.use(requireVerifiedProvider);
 
 /**
  * Comment Routes
@@ -1,15 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/authMiddleware');
-const { requireRoles } = require('../middleware/roleMiddleware');
+const { requireRoles, requireVerifiedProvider } = require('../middleware/roleMiddleware');
 const { validateQuery, validateParams, validateBody } = require('../middleware/validationMiddleware');
 const doctorOversightService = require('../../services/DoctorOversightService');
+const appointmentService = require('../../services/AppointmentService');
+const referralService = require('../../services/ReferralService');
+const protocolService = require('../../services/ProtocolService');
 const Surgery = require('../../models/Surgery');
 const Comment = require('../../models/Comment');
 
 // Apply authentication and doctor role requirement to all routes
 router.use(authenticate);
 router.use(requireRoles(['doctor']));
+router.use(requireVerifiedProvider);
 
 /**
  * Doctor Routes
@@ -251,6 +255,152 @@ router.put('/surgery-records/:recordId', validateParams(['recordId']), async (re
   }
 });
 
+// @route   POST /api/doctors/surgery-records/:recordId/referrals
+// @desc    Refer the patient from a surgery record to a physiotherapist
+// @access  Private (Doctor only)
+router.post('/surgery-records/:recordId/referrals', validateParams(['recordId']), async (req, res) => {
+  try {
+    const surgery = await Surgery.findById(req.params.recordId).select('patient');
+
+    if (!surgery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Surgery record not found'
+      });
+    }
+
+    const result = await referralService.createReferral(req.user.id, {
+      ...req.body,
+      patientId: surgery.patient,
+      sourceType: 'surgery',
+      surgeryId: surgery._id
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create referral',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/doctors/patients/:patientId/recovery/referrals
+// @desc    Refer the patient to a physiotherapist following a recovery review
+// @access  Private (Doctor only)
+router.post('/patients/:patientId/recovery/referrals', validateParams(['patientId']), async (req, res) => {
+  try {
+    const result = await referralService.createReferral(req.user.id, {
+      ...req.body,
+      patientId: req.params.patientId,
+      sourceType: 'recovery_review'
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create referral',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/doctors/referrals
+// @desc    Get referrals sent by the doctor
+// @access  Private (Doctor only)
+router.get('/referrals', async (req, res) => {
+  try {
+    const result = await referralService.getReferrals(req.user.id, req.user.role, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get referrals',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/doctors/referrals/:referralId
+// @desc    Get a specific referral
+// @access  Private (Doctor only)
+router.get('/referrals/:referralId', validateParams(['referralId']), async (req, res) => {
+  try {
+    const result = await referralService.getReferralById(req.params.referralId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get referral',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/doctors/referrals/:referralId/cancel
+// @desc    Cancel a pending referral
+// @access  Private (Doctor only)
+router.put('/referrals/:referralId/cancel', validateParams(['referralId']), async (req, res) => {
+  try {
+    const result = await referralService.cancelReferral(req.params.referralId, req.user.id, req.body.reason);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to cancel referral',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/doctors/protocols
+// @desc    Get rehab protocols for assigned patients (?patientId=&status=)
+// @access  Private (Doctor only)
+router.get('/protocols', async (req, res) => {
+  try {
+    const result = await protocolService.getProtocols(req.user.id, req.user.role, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get protocols',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/doctors/protocols/:protocolId
+// @desc    Get a protocol with its phases and tasks
+// @access  Private (Doctor only)
+router.get('/protocols/:protocolId', validateParams(['protocolId']), async (req, res) => {
+  try {
+    const result = await protocolService.getProtocolById(req.params.protocolId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get protocol',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/doctors/protocols/:protocolId/evaluation
+// @desc    Evaluate the exit criteria of the current phase
+// @access  Private (Doctor only)
+router.get('/protocols/:protocolId/evaluation', validateParams(['protocolId']), async (req, res) => {
+  try {
+    const result = await protocolService.evaluateProtocol(req.params.protocolId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate protocol',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/doctors/recommendations
 // @desc    Provide medical recommendations for patient
 // @access  Private (Doctor only)
@@ -358,4 +508,128 @@ router.get('/analytics/overview', async (req, res) => {
   }
 });
 
+// @route   GET /api/doctors/appointments
+// @desc    Get appointments (supports status, from, to, upcoming, patientId filters)
+// @access  Private (Doctor only)
+router.get('/appointments', async (req, res) => {
+  try {
+    const result = await appointmentService.getAppointments(req.user.id, req.user.role, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get appointments',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/doctors/appointments
+// @desc    Book an appointment for a patient
+// @access  Private (Doctor only)
+router.post('/appointments', async (req, res) => {
+  try {
+    const result = await appointmentService.bookAppointment(req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to book appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/doctors/appointments/:appointmentId
+// @desc    Get a specific appointment
+// @access  Private (Doctor only)
+router.get('/appointments/:appointmentId', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.getAppointmentById(req.params.appointmentId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/doctors/appointments/:appointmentId/reschedule
+// @desc    Move an appointment to a new time slot
+// @access  Private (Doctor only)
+router.put('/appointments/:appointmentId/reschedule', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.rescheduleAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to reschedule appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/doctors/appointments/:appointmentId/cancel
+// @desc    Cancel an appointment with a reason
+// @access  Private (Doctor only)
+router.put('/appointments/:appointmentId/cancel', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.cancelAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.reason
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to cancel appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/doctors/appointments/:appointmentId/no-show
+// @desc    Mark patient as not attending an appointment
+// @access  Private (Doctor only)
+router.put('/appointments/:appointmentId/no-show', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.markNoShow(req.params.appointmentId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to mark no-show',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/doctors/appointments/:appointmentId/complete
+// @desc    Mark an appointment as completed
+// @access  Private (Doctor only)
+router.put('/appointments/:appointmentId/complete', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.completeAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.providerNotes
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to complete appointment',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,152 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticate } = require('../middleware/authMiddleware');
+const { requireVerifiedProvider } = require('../middleware/roleMiddleware');
+const fileStorageService = require('../../services/FileStorageService');
+const { MAX_UPLOAD_SIZE } = require('../../core/storage/fileInspection');
+
+/**
+ * File Routes
+ * Upload attachments for a patient or exercise resources for tasks, and
+ * download them through signed URLs
+ */
+
+// Files are held in memory so they can be inspected and scanned before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 }
+});
+
+const getErrorStatus = (error, fallback) => {
+  if (error.message.startsWith('Access denied')) return 403;
+  if (error.message.endsWith('not found')) return 404;
+  return fallback;
+};
+
+// @route   GET /api/files/:fileId/download
+// @desc    Download a file through a signed URL (no Authorization header needed)
+// @access  Signed URL holder
+router.get('/:fileId/download', async (req, res) => {
+  try {
+    const download = await fileStorageService.openSignedDownload(req.params.fileId, req.query);
+    const disposition = download.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+    const maxAge = Math.max(0, Math.floor((download.expiresAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+      'Content-Type': download.mimeType,
+      'Content-Length': download.buffer.length,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(download.filename)}`,
+      'Cache-Control': `private, max-age=${maxAge}`,
+      'Cross-Origin-Resource-Policy': 'cross-origin' // let the web client embed images
+    });
+    res.status(200).send(download.buffer);
+  } catch (error) {
+    const status = error.message.startsWith('Invalid download link') || error.message.endsWith('expired')
+      ? 403
+      : getErrorStatus(error, 500);
+
+    res.status(status).json({
+      success: false,
+      error: 'Failed to download file',
+      message: error.message
+    });
+  }
+});
+
+// Apply authentication to all other routes
+router.use(authenticate);
+router.use(requireVerifiedProvider);
+
+// @route   POST /api/files
+// @desc    Upload a file (multipart field "file") for a patient, or an exercise resource (purpose=exercise_resource)
+// @access  Private (Patients for themselves, providers for assigned patients or their exercise resources)
+router.post('/', upload.single('file'), async (req, res) => {
+  try {
+    const result = await fileStorageService.uploadFile(req.user.id, req.file, {
+      patientId: req.body.patientId,
+      purpose: req.body.purpose
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to upload file',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/files/patient/:patientId
+// @desc    List a patient's files
+// @access  Private (The patient and their assigned providers)
+router.get('/patient/:patientId', async (req, res) => {
+  try {
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      category: req.query.category
+    };
+
+    const result = await fileStorageService.listPatientFiles(req.user.id, req.params.patientId, options);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to get files',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/files/:fileId
+// @desc    Get a file's details
+// @access  Private (The patient and their assigned providers)
+router.get('/:fileId', async (req, res) => {
+  try {
+    const result = await fileStorageService.getFile(req.params.fileId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to get file',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/files/:fileId/url
+// @desc    Get a short-lived signed download URL (?variant=thumbnail for the image preview)
+// @access  Private (The patient and their assigned providers)
+router.get('/:fileId/url', async (req, res) => {
+  try {
+    const result = await fileStorageService.getDownloadUrl(req.params.fileId, req.user.id, {
+      variant: req.query.variant
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to create download URL',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/files/:fileId
+// @desc    Delete a file
+// @access  Private (The uploader, or a doctor with access to the patient)
+router.delete('/:fileId', async (req, res) => {
+  try {
+    const result = await fileStorageService.deleteFile(req.params.fileId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to delete file',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
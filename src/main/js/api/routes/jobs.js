@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+const jobService = require('../../services/JobService');
+
+// Apply authentication and admin access to all routes
+router.use(authenticate);
+router.use(requireAdmin);
+
+/**
+ * Job Routes
+ * Admin view of background job runs and the dead-letter list
+ */
+
+// @route   GET /api/jobs
+// @desc    List job runs (filter by status and name)
+// @access  Private (Admin)
+router.get('/', async (req, res) => {
+  try {
+    const result = await jobService.listJobs(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get jobs',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/jobs/statistics
+// @desc    Get job counts by status and the last run of each job
+// @access  Private (Admin)
+router.get('/statistics', async (req, res) => {
+  try {
+    const result = await jobService.getStatistics();
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job statistics',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/jobs/dead-letter
+// @desc    List jobs that ran out of attempts
+// @access  Private (Admin)
+router.get('/dead-letter', async (req, res) => {
+  try {
+    const result = await jobService.getDeadLetters(req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get dead-letter jobs',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/jobs/:jobId
+// @desc    Get a job run with its failure history
+// @access  Private (Admin)
+router.get('/:jobId', async (req, res) => {
+  try {
+    const result = await jobService.getJob(req.params.jobId);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message === 'Job not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to get job',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/jobs/:jobId/retry
+// @desc    Requeue a dead or cancelled job
+// @access  Private (Admin)
+router.post('/:jobId/retry', async (req, res) => {
+  try {
+    const result = await jobService.retryJob(req.params.jobId);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message === 'Job not found' ? 404 : 400).json({
+      success: false,
+      error: 'Failed to retry job',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
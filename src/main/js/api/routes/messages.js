@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/authMiddleware');
+const { requireVerifiedProvider } = require('../middleware/roleMiddleware');
+const messagingService = require('../../services/MessagingService');
+
+// Apply authentication to all routes
+router.use(authenticate);
+router.use(requireVerifiedProvider);
+
+/**
+ * Message Routes
+ * Direct and care-team conversations between patients and their assigned providers
+ */
+
+const getErrorStatus = (error, fallback) => {
+  if (error.message.startsWith('Access denied')) return 403;
+  if (error.message.endsWith('not found')) return 404;
+  return fallback;
+};
+
+// @route   GET /api/messages/contacts
+// @desc    Get the people the current user can message
+// @access  Private (All authenticated users)
+router.get('/contacts', async (req, res) => {
+  try {
+    const result = await messagingService.getContacts(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get contacts',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/messages/conversations
+// @desc    List the current user's conversations with unread counts
+// @access  Private (All authenticated users)
+router.get('/conversations', async (req, res) => {
+  try {
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    };
+
+    const result = await messagingService.listConversations(req.user.id, options);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get conversations',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/messages/unread-count
+// @desc    Get the number of unread messages across all conversations
+// @access  Private (All authenticated users)
+router.get('/unread-count', async (req, res) => {
+  try {
+    const result = await messagingService.getUnreadCount(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get unread count',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/messages/conversations/direct
+// @desc    Start (or reopen) a direct conversation between a patient and a provider
+// @access  Private (Patients and their assigned providers)
+router.post('/conversations/direct', async (req, res) => {
+  try {
+    const result = await messagingService.startDirectConversation(req.user.id, req.body.participantId);
+    res.status(result.data.created ? 201 : 200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to start conversation',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/messages/conversations/care-team/:patientId
+// @desc    Get the patient's care-team group conversation (created on first use)
+// @access  Private (The patient and their assigned providers)
+router.get('/conversations/care-team/:patientId', async (req, res) => {
+  try {
+    const result = await messagingService.getCareTeamConversation(req.user.id, req.params.patientId);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to get care team conversation',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/messages/conversations/:conversationId/messages
+// @desc    Get messages in a conversation (use ?before=<date> to page back)
+// @access  Private (Conversation participants)
+router.get('/conversations/:conversationId/messages', async (req, res) => {
+  try {
+    const options = {
+      before: req.query.before,
+      limit: Math.min(parseInt(req.query.limit) || 50, 100)
+    };
+
+    const result = await messagingService.getMessages(req.params.conversationId, req.user.id, options);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to get messages',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/messages/conversations/:conversationId/messages
+// @desc    Send a message with optional attachments
+// @access  Private (Conversation participants)
+router.post('/conversations/:conversationId/messages', async (req, res) => {
+  try {
+    const result = await messagingService.sendMessage(req.params.conversationId, req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to send message',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/messages/conversations/:conversationId/read
+// @desc    Mark a conversation as read and send read receipts
+// @access  Private (Conversation participants)
+router.put('/conversations/:conversationId/read', async (req, res) => {
+  try {
+    const result = await messagingService.markAsRead(req.params.conversationId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(getErrorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to mark conversation as read',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/authMiddleware');
-const { requireRoles } = require('../middleware/roleMiddleware');
+const { requireRoles, requireAdmin, requireVerifiedProvider } = require('../middleware/roleMiddleware');
 const { validateQuery, validateParams, validateBody } = require('../middleware/validationMiddleware');
+const pushSubscriptionService = require('../../services/PushSubscriptionService');
+const notificationPreferenceService = require('../../services/NotificationPreferenceService');
+const notificationTemplateService = require('../../services/NotificationTemplateService');
 
 // Apply authentication to all routes
 router.use(authenticate);
@@ -23,7 +26,8 @@ router.get('/', validateQuery(), async (req, res) => {
       category: req.query.category,
       priority: req.query.priority,
       unreadOnly: req.query.unreadOnly === 'true',
-      type: req.query.type
+      type: req.query.type,
+      batchId: req.query.batchId
     };
 
     // Get NotificationService instance from app
@@ -107,7 +111,7 @@ router.get('/statistics', validateQuery(), async (req, res) => {
 // @route   POST /api/notifications
 // @desc    Create a new notification (for healthcare providers)
 // @access  Private (Healthcare providers only)
-router.post('/', requireRoles(['physiotherapist', 'doctor']), validateBody([
+router.post('/', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, validateBody([
   'recipient',
   'title',
   'message',
@@ -143,7 +147,7 @@ router.post('/', requireRoles(['physiotherapist', 'doctor']), validateBody([
 // @route   POST /api/notifications/bulk
 // @desc    Create bulk notifications (for healthcare providers)
 // @access  Private (Healthcare providers only)
-router.post('/bulk', requireRoles(['physiotherapist', 'doctor']), validateBody([
+router.post('/bulk', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, validateBody([
   'recipients',
   'title',
   'message',
@@ -291,7 +295,7 @@ router.post('/:notificationId/track', validateParams(['notificationId']), valida
 // @route   POST /api/notifications/system/task-reminders
 // @desc    Manually trigger task reminder creation (for testing/admin)
 // @access  Private (Healthcare providers only)
-router.post('/system/task-reminders', requireRoles(['physiotherapist', 'doctor']), async (req, res) => {
+router.post('/system/task-reminders', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, async (req, res) => {
   try {
     const notificationService = req.app.get('notificationService');
     const result = await notificationService.createTaskReminders();
@@ -317,7 +321,7 @@ router.post('/system/task-reminders', requireRoles(['physiotherapist', 'doctor']
 // @route   POST /api/notifications/system/overdue-tasks
 // @desc    Manually trigger overdue task notification creation (for testing/admin)
 // @access  Private (Healthcare providers only)
-router.post('/system/overdue-tasks', requireRoles(['physiotherapist', 'doctor']), async (req, res) => {
+router.post('/system/overdue-tasks', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, async (req, res) => {
   try {
     const notificationService = req.app.get('notificationService');
     const result = await notificationService.createOverdueTaskNotifications();
@@ -340,6 +344,32 @@ router.post('/system/overdue-tasks', requireRoles(['physiotherapist', 'doctor'])
   }
 });
 
+// @route   POST /api/notifications/system/appointment-reminders
+// @desc    Manually trigger appointment reminder creation (for testing/admin)
+// @access  Private (Healthcare providers only)
+router.post('/system/appointment-reminders', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, async (req, res) => {
+  try {
+    const notificationService = req.app.get('notificationService');
+    const result = await notificationService.createAppointmentReminders();
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create appointment reminders',
+        message: result.error
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create appointment reminders',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/notifications/types
 // @desc    Get available notification types and categories
 // @access  Private (All authenticated users)
@@ -392,21 +422,188 @@ router.get('/types', async (req, res) => {
 });
 
 // @route   GET /api/notifications/templates
-// @desc    Get available notification templates (for healthcare providers)
+// @desc    Get the notification template each key resolves to (optionally for ?language=)
 // @access  Private (Healthcare providers only)
-router.get('/templates', requireRoles(['physiotherapist', 'doctor']), async (req, res) => {
+router.get('/templates', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, async (req, res) => {
   try {
-    const notificationService = req.app.get('notificationService');
-    const templates = notificationService.templates;
+    const result = await notificationTemplateService.listTemplates(req.query.language);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get notification templates',
+      message: error.message
+    });
+  }
+});
 
-    res.status(200).json({
-      success: true,
-      data: { templates }
+// @route   POST /api/notifications/templates
+// @desc    Create a notification template or a new language variant
+// @access  Private (Admin)
+router.post('/templates', requireAdmin, async (req, res) => {
+  try {
+    const result = await notificationTemplateService.createTemplate(req.body, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create notification template',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/templates/:key
+// @desc    Get a template with its language variants and version history (?language=)
+// @access  Private (Healthcare providers only)
+router.get('/templates/:key', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, async (req, res) => {
+  try {
+    const result = await notificationTemplateService.getTemplate(req.params.key, req.query.language);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message === 'Template not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to get notification template',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/templates/:key
+// @desc    Save a new version of a template
+// @access  Private (Admin)
+router.put('/templates/:key', requireAdmin, async (req, res) => {
+  try {
+    const result = await notificationTemplateService.updateTemplate(req.params.key, req.body, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message === 'Template not found' ? 404 : 400).json({
+      success: false,
+      error: 'Failed to update notification template',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/templates/:key/versions/:version/activate
+// @desc    Roll a template back (or forward) to another version
+// @access  Private (Admin)
+router.put('/templates/:key/versions/:version/activate', requireAdmin, async (req, res) => {
+  try {
+    const result = await notificationTemplateService.activateVersion(
+      req.params.key,
+      req.body.language,
+      req.params.version
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message === 'Template version not found' ? 404 : 400).json({
+      success: false,
+      error: 'Failed to activate template version',
+      message: error.message
     });
+  }
+});
+
+// @route   POST /api/notifications/templates/:key/preview
+// @desc    Render a template (or a draft edit of it) with sample variables
+// @access  Private (Healthcare providers only)
+router.post('/templates/:key/preview', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, async (req, res) => {
+  try {
+    const result = await notificationTemplateService.previewTemplate(req.params.key, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message === 'Template not found' ? 404 : 400).json({
+      success: false,
+      error: 'Failed to preview notification template',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification preferences (channels, category matrix, quiet hours, digest)
+// @access  Private (All authenticated users)
+router.get('/preferences', async (req, res) => {
+  try {
+    const result = await notificationPreferenceService.getPreferences(req.user.id);
+    res.status(200).json(result);
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to get notification templates',
+      error: 'Failed to get notification preferences',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification preferences (only the fields supplied change)
+// @access  Private (All authenticated users)
+router.put('/preferences', async (req, res) => {
+  try {
+    const result = await notificationPreferenceService.updatePreferences(req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to update notification preferences',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/push/public-key
+// @desc    Get the VAPID public key used to subscribe a browser to Web Push
+// @access  Private (All authenticated users)
+router.get('/push/public-key', (req, res) => {
+  res.status(200).json(pushSubscriptionService.getPublicKey());
+});
+
+// @route   GET /api/notifications/push/subscriptions
+// @desc    Get devices registered for push notifications
+// @access  Private (All authenticated users)
+router.get('/push/subscriptions', async (req, res) => {
+  try {
+    const result = await pushSubscriptionService.getSubscriptions(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get push subscriptions',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/notifications/push/subscriptions
+// @desc    Register this browser's Web Push subscription ({ endpoint, keys: { p256dh, auth } })
+// @access  Private (All authenticated users)
+router.post('/push/subscriptions', async (req, res) => {
+  try {
+    const result = await pushSubscriptionService.registerSubscription(req.user.id, req.body, req.get('User-Agent'));
+    res.status(201).json(result);
+  } catch (error) {
+    const status = error.message.includes('another account') ? 409 : 400;
+    res.status(status).json({
+      success: false,
+      error: 'Failed to register push subscription',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/push/subscriptions
+// @desc    Remove a Web Push subscription ({ endpoint })
+// @access  Private (All authenticated users)
+router.delete('/push/subscriptions', async (req, res) => {
+  try {
+    const result = await pushSubscriptionService.removeSubscription(req.user.id, req.body.endpoint);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to remove push subscription',
       message: error.message
     });
   }
@@ -415,7 +612,7 @@ router.get('/templates', requireRoles(['physiotherapist', 'doctor']), async (req
 // @route   POST /api/notifications/test
 // @desc    Send test notification (for development/testing)
 // @access  Private (Healthcare providers only)
-router.post('/test', requireRoles(['physiotherapist', 'doctor']), validateBody([
+router.post('/test', requireRoles(['physiotherapist', 'doctor']), requireVerifiedProvider, validateBody([
   'title',
   'message'
 ]), async (req, res) => {
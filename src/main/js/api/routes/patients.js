@@ -6,6 +6,13 @@ const { validateQuery, validateParams, validateBody } = require('../middleware/v
 const rehabService = require('../../services/RehabService');
 const progressService = require('../../services/ProgressService');
 const patientDashboardService = require('../../services/PatientDashboardService');
+const appointmentService = require('../../services/AppointmentService');
+const availabilityService = require('../../services/AvailabilityService');
+const protocolService = require('../../services/ProtocolService');
+const occurrenceService = require('../../services/OccurrenceService');
+const calendarFeedService = require('../../services/CalendarFeedService');
+const exerciseVideoService = require('../../services/ExerciseVideoService');
+const formCheckService = require('../../services/FormCheckService');
 const User = require('../../models/User');
 
 // Apply authentication to all routes
@@ -196,6 +203,119 @@ router.get('/tasks/:taskId', async (req, res) => {
   }
 });
 
+// @route   GET /api/patients/protocols
+// @desc    Get own rehab protocols and current phase
+// @access  Private (Patient only)
+router.get('/protocols', async (req, res) => {
+  try {
+    const result = await protocolService.getProtocols(req.user.id, req.user.role, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get protocols',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/patients/protocols/:protocolId
+// @desc    Get a protocol with its phases and tasks
+// @access  Private (Patient only)
+router.get('/protocols/:protocolId', validateParams(['protocolId']), async (req, res) => {
+  try {
+    const result = await protocolService.getProtocolById(req.params.protocolId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get protocol',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/patients/sessions
+// @desc    Get scheduled exercise sessions and adherence (?from=&to=&status=&taskId=)
+// @access  Private (Patient only)
+router.get('/sessions', async (req, res) => {
+  try {
+    const result = await occurrenceService.getPatientSessions(req.user.id, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.startsWith('Invalid') || error.message.includes('must be valid') ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: 'Failed to get sessions',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/patients/sessions/:occurrenceId/skip
+// @desc    Skip a scheduled session with a reason
+// @access  Private (Patient only)
+router.put('/sessions/:occurrenceId/skip', validateParams(['occurrenceId']), async (req, res) => {
+  try {
+    const result = await occurrenceService.skipOccurrence(req.params.occurrenceId, req.user.id, req.body.reason);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to skip session',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/patients/calendar-feed
+// @desc    Get whether a calendar subscription feed is active
+// @access  Private (Patient only)
+router.get('/calendar-feed', async (req, res) => {
+  try {
+    const result = await calendarFeedService.getFeedStatus(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get calendar feed',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/patients/calendar-feed
+// @desc    Create or regenerate the calendar subscription URL (revokes any previous URL)
+// @access  Private (Patient only)
+router.post('/calendar-feed', async (req, res) => {
+  try {
+    const result = await calendarFeedService.generateFeedToken(req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create calendar feed',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/patients/calendar-feed
+// @desc    Revoke the calendar subscription URL
+// @access  Private (Patient only)
+router.delete('/calendar-feed', async (req, res) => {
+  try {
+    const result = await calendarFeedService.revokeFeedToken(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to revoke calendar feed',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/patients/upcoming
 // @desc    Get upcoming tasks
 // @access  Private (Patient only)
@@ -213,6 +333,27 @@ router.get('/upcoming', async (req, res) => {
   }
 });
 
+// @route   POST /api/patients/tasks/:taskId/videos/:resourceId/playback
+// @desc    Record playback of a task's demo video (started, progress, completed)
+// @access  Private (Patient only)
+router.post('/tasks/:taskId/videos/:resourceId/playback', validateParams(['taskId', 'resourceId']), async (req, res) => {
+  try {
+    const result = await exerciseVideoService.recordPlayback(
+      req.user.id,
+      req.params.taskId,
+      req.params.resourceId,
+      req.body
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message.endsWith('not found') ? 404 : 400).json({
+      success: false,
+      error: 'Failed to record video playback',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/patients/tasks/:taskId/notes
 // @desc    Add patient notes to a task
 // @access  Private (Patient only)
@@ -292,6 +433,35 @@ router.get('/providers', async (req, res) => {
   }
 });
 
+// @route   GET /api/patients/providers/:providerId/slots
+// @desc    Search bookable slots for an assigned provider (dates in provider's timezone)
+// @access  Private (Patient only)
+router.get('/providers/:providerId/slots', validateParams(['providerId']), async (req, res) => {
+  try {
+    const patient = await User.findById(req.user.id);
+    const isAssigned = patient.assignedProviders.some(
+      provider => provider.providerId.toString() === req.params.providerId
+    );
+
+    if (!isAssigned) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You can only view availability for your assigned providers'
+      });
+    }
+
+    const result = await availabilityService.findAvailableSlots(req.params.providerId, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to search available slots',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/patients/notes
 // @desc    Add personal note/reflection
 // @access  Private (Patient only)
@@ -487,6 +657,22 @@ router.put('/progress/:progressId', async (req, res) => {
   }
 });
 
+// @route   POST /api/patients/progress/:progressId/form-check
+// @desc    Send a clip of the session to the physiotherapist for a form check
+// @access  Private (Patient only)
+router.post('/progress/:progressId/form-check', validateParams(['progressId']), async (req, res) => {
+  try {
+    const result = await formCheckService.requestFormCheck(req.user.id, req.params.progressId, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(error.message.endsWith('not found') ? 404 : 400).json({
+      success: false,
+      error: 'Failed to request form check',
+      message: error.message
+    });
+  }
+});
+
 // @route   DELETE /api/patients/progress/:progressId
 // @desc    Delete a progress record
 // @access  Private (Patient only)
@@ -535,4 +721,92 @@ router.get('/tasks/:taskId/progress', async (req, res) => {
   }
 });
 
+// @route   GET /api/patients/appointments
+// @desc    Get appointments (supports status, from, to, upcoming filters)
+// @access  Private (Patient only)
+router.get('/appointments', async (req, res) => {
+  try {
+    const result = await appointmentService.getAppointments(req.user.id, req.user.role, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get appointments',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/patients/appointments
+// @desc    Book an appointment with an assigned provider
+// @access  Private (Patient only)
+router.post('/appointments', async (req, res) => {
+  try {
+    const result = await appointmentService.bookAppointment(req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to book appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/patients/appointments/:appointmentId
+// @desc    Get a specific appointment
+// @access  Private (Patient only)
+router.get('/appointments/:appointmentId', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.getAppointmentById(req.params.appointmentId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/patients/appointments/:appointmentId/reschedule
+// @desc    Move an appointment to a new time slot
+// @access  Private (Patient only)
+router.put('/appointments/:appointmentId/reschedule', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.rescheduleAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to reschedule appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/patients/appointments/:appointmentId/cancel
+// @desc    Cancel an appointment with a reason
+// @access  Private (Patient only)
+router.put('/appointments/:appointmentId/cancel', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.cancelAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.reason
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to cancel appointment',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,16 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/authMiddleware');
-const { requireRoles } = require('../middleware/roleMiddleware');
+const { requireRoles, requireVerifiedProvider } = require('../middleware/roleMiddleware');
 const { validateQuery, validateParams, validateBody } = require('../middleware/validationMiddleware');
 const rehabService = require('../../services/RehabService');
 const progressService = require('../../services/ProgressService');
 const physiotherapistWorkflowService = require('../../services/PhysiotherapistWorkflowService');
+const appointmentService = require('../../services/AppointmentService');
+const availabilityService = require('../../services/AvailabilityService');
+const referralService = require('../../services/ReferralService');
+const exerciseLibraryService = require('../../services/ExerciseLibraryService');
+const protocolService = require('../../services/ProtocolService');
+const occurrenceService = require('../../services/OccurrenceService');
+const formCheckService = require('../../services/FormCheckService');
 const User = require('../../models/User');
 
 // Apply authentication to all routes
 router.use(authenticate);
 router.use(requireRoles(['physiotherapist']));
+router.use(requireVerifiedProvider);
 
 /**
  * Physiotherapist Routes
@@ -367,6 +375,102 @@ router.post('/tasks/:taskId/activate', async (req, res) => {
   }
 });
 
+// @route   GET /api/physiotherapists/exercise-library
+// @desc    Search own and clinic exercise templates (?q=&category=&bodyPart=&scope=)
+// @access  Private (Physiotherapist only)
+router.get('/exercise-library', async (req, res) => {
+  try {
+    const result = await exerciseLibraryService.searchTemplates(req.user.id, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search exercise library',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/physiotherapists/exercise-library
+// @desc    Create an exercise template
+// @access  Private (Physiotherapist only)
+router.post('/exercise-library', async (req, res) => {
+  try {
+    const result = await exerciseLibraryService.createTemplate(req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create exercise template',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/exercise-library/:templateId
+// @desc    Get a specific exercise template
+// @access  Private (Physiotherapist only)
+router.get('/exercise-library/:templateId', validateParams(['templateId']), async (req, res) => {
+  try {
+    const result = await exerciseLibraryService.getTemplateById(req.params.templateId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get exercise template',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/exercise-library/:templateId
+// @desc    Update an exercise template (owner only)
+// @access  Private (Physiotherapist only)
+router.put('/exercise-library/:templateId', validateParams(['templateId']), async (req, res) => {
+  try {
+    const result = await exerciseLibraryService.updateTemplate(req.params.templateId, req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to update exercise template',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/physiotherapists/exercise-library/:templateId
+// @desc    Archive an exercise template (owner only)
+// @access  Private (Physiotherapist only)
+router.delete('/exercise-library/:templateId', validateParams(['templateId']), async (req, res) => {
+  try {
+    const result = await exerciseLibraryService.archiveTemplate(req.params.templateId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to archive exercise template',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/physiotherapists/exercise-library/:templateId/tasks
+// @desc    Create a rehab task for a patient from a template, overriding dosage and schedule
+// @access  Private (Physiotherapist only)
+router.post('/exercise-library/:templateId/tasks', validateParams(['templateId']), async (req, res) => {
+  try {
+    const result = await exerciseLibraryService.createTaskFromTemplate(req.params.templateId, req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create task from template',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/physiotherapists/feedback
 // @desc    Add feedback comment for patient
 // @access  Private (Physiotherapist only)
@@ -521,6 +625,33 @@ router.get('/patients/:patientId/progress', async (req, res) => {
   }
 });
 
+// @route   GET /api/physiotherapists/patients/:patientId/sessions
+// @desc    Get scheduled sessions and adherence for a patient (?from=&to=&status=&taskId=)
+// @access  Private (Physiotherapist only)
+router.get('/patients/:patientId/sessions', validateParams(['patientId']), async (req, res) => {
+  try {
+    // Verify patient is assigned to this physiotherapist
+    const physiotherapist = await User.findById(req.user.id);
+    if (!physiotherapist.assignedPatients.includes(req.params.patientId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Patient is not assigned to you'
+      });
+    }
+
+    const result = await occurrenceService.getPatientSessions(req.params.patientId, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.startsWith('Invalid') || error.message.includes('must be valid') ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: 'Failed to get patient sessions',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/physiotherapists/patients/:patientId/analytics
 // @desc    Get analytics for a specific patient
 // @access  Private (Physiotherapist only)
@@ -569,4 +700,420 @@ router.get('/tasks/:taskId/progress', async (req, res) => {
   }
 });
 
+// @route   GET /api/physiotherapists/form-checks
+// @desc    Get form check clips waiting for review (?status=reviewed for past reviews)
+// @access  Private (Physiotherapist only)
+router.get('/form-checks', async (req, res) => {
+  try {
+    const result = await formCheckService.getReviewQueue(req.user.id, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get form checks',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/form-checks/:progressId/review
+// @desc    Review a form check with annotations and a form quality rating
+// @access  Private (Physiotherapist only)
+router.put('/form-checks/:progressId/review', validateParams(['progressId']), async (req, res) => {
+  try {
+    const result = await formCheckService.reviewFormCheck(req.user.id, req.params.progressId, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    let status = 400;
+    if (error.message.endsWith('not found')) status = 404;
+    if (error.message.startsWith('Access denied')) status = 403;
+
+    res.status(status).json({
+      success: false,
+      error: 'Failed to review form check',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/protocols
+// @desc    Get rehab protocols created by physiotherapist (?patientId=&status=)
+// @access  Private (Physiotherapist only)
+router.get('/protocols', async (req, res) => {
+  try {
+    const result = await protocolService.getProtocols(req.user.id, req.user.role, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get protocols',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/physiotherapists/protocols
+// @desc    Create a draft multi-phase rehab protocol for a patient
+// @access  Private (Physiotherapist only)
+router.post('/protocols', async (req, res) => {
+  try {
+    const result = await protocolService.createProtocol(req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create protocol',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/protocols/:protocolId
+// @desc    Get a protocol with its phases and tasks
+// @access  Private (Physiotherapist only)
+router.get('/protocols/:protocolId', validateParams(['protocolId']), async (req, res) => {
+  try {
+    const result = await protocolService.getProtocolById(req.params.protocolId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get protocol',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/protocols/:protocolId/phases/:phaseId
+// @desc    Update the tasks, goals or exit criteria of a phase
+// @access  Private (Physiotherapist only)
+router.put('/protocols/:protocolId/phases/:phaseId', validateParams(['protocolId', 'phaseId']), async (req, res) => {
+  try {
+    const result = await protocolService.updatePhase(req.params.protocolId, req.params.phaseId, req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to update phase',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/protocols/:protocolId/activate
+// @desc    Start a draft protocol at its first phase
+// @access  Private (Physiotherapist only)
+router.put('/protocols/:protocolId/activate', validateParams(['protocolId']), async (req, res) => {
+  try {
+    const result = await protocolService.activateProtocol(req.params.protocolId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to activate protocol',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/protocols/:protocolId/evaluation
+// @desc    Evaluate the exit criteria of the current phase
+// @access  Private (Physiotherapist only)
+router.get('/protocols/:protocolId/evaluation', validateParams(['protocolId']), async (req, res) => {
+  try {
+    const result = await protocolService.evaluateProtocol(req.params.protocolId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate protocol',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/protocols/:protocolId/advance
+// @desc    Move the patient to the next phase (override requires notes)
+// @access  Private (Physiotherapist only)
+router.put('/protocols/:protocolId/advance', validateParams(['protocolId']), async (req, res) => {
+  try {
+    const result = await protocolService.advancePhase(req.params.protocolId, req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to advance protocol',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/referrals
+// @desc    Get referrals received (filter with ?status=pending)
+// @access  Private (Physiotherapist only)
+router.get('/referrals', async (req, res) => {
+  try {
+    const result = await referralService.getReferrals(req.user.id, req.user.role, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get referrals',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/referrals/:referralId
+// @desc    Get a specific referral
+// @access  Private (Physiotherapist only)
+router.get('/referrals/:referralId', validateParams(['referralId']), async (req, res) => {
+  try {
+    const result = await referralService.getReferralById(req.params.referralId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get referral',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/referrals/:referralId/accept
+// @desc    Accept a referral, creating the assignment and a draft rehab plan
+// @access  Private (Physiotherapist only)
+router.put('/referrals/:referralId/accept', validateParams(['referralId']), async (req, res) => {
+  try {
+    const result = await referralService.acceptReferral(req.params.referralId, req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to accept referral',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/referrals/:referralId/decline
+// @desc    Decline a referral with a reason
+// @access  Private (Physiotherapist only)
+router.put('/referrals/:referralId/decline', validateParams(['referralId']), async (req, res) => {
+  try {
+    const result = await referralService.declineReferral(req.params.referralId, req.user.id, req.body.reason);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to decline referral',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/availability
+// @desc    Get weekly availability template and exceptions
+// @access  Private (Physiotherapist only)
+router.get('/availability', async (req, res) => {
+  try {
+    const result = await availabilityService.getAvailability(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get availability',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/availability
+// @desc    Set weekly availability template and slot settings
+// @access  Private (Physiotherapist only)
+router.put('/availability', async (req, res) => {
+  try {
+    const result = await availabilityService.setWeeklyTemplate(req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to update availability',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/availability/exceptions
+// @desc    Add or replace a date-specific availability exception
+// @access  Private (Physiotherapist only)
+router.put('/availability/exceptions', async (req, res) => {
+  try {
+    const result = await availabilityService.setException(req.user.id, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to save availability exception',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/physiotherapists/availability/exceptions/:date
+// @desc    Remove a date-specific availability exception
+// @access  Private (Physiotherapist only)
+router.delete('/availability/exceptions/:date', async (req, res) => {
+  try {
+    const result = await availabilityService.removeException(req.user.id, req.params.date);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to remove availability exception',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/availability/slots
+// @desc    Preview open slots in own calendar
+// @access  Private (Physiotherapist only)
+router.get('/availability/slots', async (req, res) => {
+  try {
+    const result = await availabilityService.findAvailableSlots(req.user.id, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to search available slots',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/appointments
+// @desc    Get appointments (supports status, from, to, upcoming, patientId filters)
+// @access  Private (Physiotherapist only)
+router.get('/appointments', async (req, res) => {
+  try {
+    const result = await appointmentService.getAppointments(req.user.id, req.user.role, req.query);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get appointments',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/physiotherapists/appointments
+// @desc    Book an appointment for a patient
+// @access  Private (Physiotherapist only)
+router.post('/appointments', async (req, res) => {
+  try {
+    const result = await appointmentService.bookAppointment(req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to book appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/physiotherapists/appointments/:appointmentId
+// @desc    Get a specific appointment
+// @access  Private (Physiotherapist only)
+router.get('/appointments/:appointmentId', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.getAppointmentById(req.params.appointmentId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/appointments/:appointmentId/reschedule
+// @desc    Move an appointment to a new time slot
+// @access  Private (Physiotherapist only)
+router.put('/appointments/:appointmentId/reschedule', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.rescheduleAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to reschedule appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/appointments/:appointmentId/cancel
+// @desc    Cancel an appointment with a reason
+// @access  Private (Physiotherapist only)
+router.put('/appointments/:appointmentId/cancel', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.cancelAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.reason
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to cancel appointment',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/appointments/:appointmentId/no-show
+// @desc    Mark patient as not attending an appointment
+// @access  Private (Physiotherapist only)
+router.put('/appointments/:appointmentId/no-show', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.markNoShow(req.params.appointmentId, req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to mark no-show',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/physiotherapists/appointments/:appointmentId/complete
+// @desc    Mark an appointment as completed
+// @access  Private (Physiotherapist only)
+router.put('/appointments/:appointmentId/complete', validateParams(['appointmentId']), async (req, res) => {
+  try {
+    const result = await appointmentService.completeAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.providerNotes
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Failed to complete appointment',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
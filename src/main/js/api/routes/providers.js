@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/authMiddleware');
+const { requireClinicAdmin } = require('../middleware/roleMiddleware');
+const { validateParams } = require('../middleware/validationMiddleware');
+const providerOnboardingService = require('../../services/ProviderOnboardingService');
+
+/**
+ * Provider Onboarding Routes
+ * Clinic admins invite physiotherapists and doctors and verify their
+ * licenses. Invitees sign up with POST /api/auth/register and the token
+ * from their invitation.
+ */
+
+// @route   POST /api/providers/invitations/lookup
+// @desc    Show who an invitation is for (to fill in the signup form)
+// @access  Public (invitation token in the body)
+router.post('/invitations/lookup', async (req, res) => {
+  try {
+    const result = await providerOnboardingService.lookupInvitation(req.body.token);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: 'Invitation not found',
+      message: error.message
+    });
+  }
+});
+
+// Everything else is for clinic admins
+router.use(authenticate);
+router.use(requireClinicAdmin);
+
+// @route   POST /api/providers/invitations
+// @desc    Invite a physiotherapist or doctor by email
+// @access  Private (Clinic admin)
+router.post('/invitations', async (req, res) => {
+  try {
+    const result = await providerOnboardingService.createInvitation(req.user.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    const status = error.message.includes('Access denied') ? 403
+      : error.message.includes('already exists') ? 409 : 400;
+
+    res.status(status).json({
+      success: false,
+      error: 'Failed to create invitation',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/providers/invitations
+// @desc    List invitations (filter with ?status=pending|accepted|revoked|expired)
+// @access  Private (Clinic admin)
+router.get('/invitations', async (req, res) => {
+  try {
+    const result = await providerOnboardingService.getInvitations(req.user.id, { status: req.query.status });
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message.includes('Access denied') ? 403 : 500).json({
+      success: false,
+      error: 'Failed to get invitations',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/providers/invitations/:invitationId
+// @desc    Revoke an invitation that has not been accepted
+// @access  Private (Clinic admin)
+router.delete('/invitations/:invitationId', validateParams(['invitationId']), async (req, res) => {
+  try {
+    const result = await providerOnboardingService.revokeInvitation(req.user.id, req.params.invitationId);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('Access denied') ? 403 : 400;
+
+    res.status(status).json({
+      success: false,
+      error: 'Failed to revoke invitation',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/providers/pending
+// @desc    Providers whose license is waiting for verification
+// @access  Private (Clinic admin)
+router.get('/pending', async (req, res) => {
+  try {
+    const result = await providerOnboardingService.getPendingProviders(req.user.id);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.message.includes('Access denied') ? 403 : 500).json({
+      success: false,
+      error: 'Failed to get pending providers',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/providers/:userId/license
+// @desc    Verify or reject a provider's license ({ decision, reason })
+// @access  Private (Clinic admin)
+router.put('/:userId/license', validateParams(['userId']), async (req, res) => {
+  try {
+    const result = await providerOnboardingService.reviewLicense(req.user.id, req.params.userId, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('Access denied') ? 403 : 400;
+
+    res.status(status).json({
+      success: false,
+      error: 'Failed to review license',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
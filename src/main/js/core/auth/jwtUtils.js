@@ -25,7 +25,7 @@ class JWTUtils {
 
   /**
    * Generate access token for user
-   * @param {Object} payload - User payload (id, role, email)
+   * @param {Object} payload - User payload (id, role, email, sessionId)
    * @param {String} expiresIn - Custom expiry time (optional)
    * @returns {Promise<String>} Access token
    */
@@ -39,6 +39,10 @@ class JWTUtils {
         iat: Math.floor(Date.now() / 1000)
       };
 
+      if (payload.sessionId) {
+        tokenPayload.sid = payload.sessionId.toString();
+      }
+
       const options = {
         expiresIn: expiresIn || this.accessTokenExpiry,
         issuer: 'rehab-tracker',
@@ -53,7 +57,7 @@ class JWTUtils {
 
   /**
    * Generate refresh token for user
-   * @param {Object} payload - User payload (id, role, email)
+   * @param {Object} payload - User payload (id, email, sessionId, tokenId)
    * @returns {Promise<String>} Refresh token
    */
   async generateRefreshToken(payload) {
@@ -65,6 +69,12 @@ class JWTUtils {
         iat: Math.floor(Date.now() / 1000)
       };
 
+      // The session store accepts each refresh token once, identified by its jti
+      if (payload.sessionId) {
+        tokenPayload.sid = payload.sessionId.toString();
+        tokenPayload.jti = payload.tokenId;
+      }
+
       const options = {
         expiresIn: this.refreshTokenExpiry,
         issuer: 'rehab-tracker',
@@ -80,14 +90,17 @@ class JWTUtils {
   /**
    * Generate both access and refresh tokens
    * @param {Object} user - User object with id, role, email
+   * @param {Object} session - sessionId and the refresh token's tokenId (optional)
    * @returns {Promise<Object>} Object with accessToken and refreshToken
    */
-  async generateTokenPair(user) {
+  async generateTokenPair(user, session = {}) {
     try {
       const payload = {
         userId: user._id || user.id,
         role: user.role,
-        email: user.email
+        email: user.email,
+        sessionId: session.sessionId,
+        tokenId: session.tokenId
       };
 
       const [accessToken, refreshToken] = await Promise.all([
@@ -226,80 +239,55 @@ class JWTUtils {
   }
 
   /**
-   * Refresh access token using refresh token
-   * @param {String} refreshToken - Valid refresh token
-   * @returns {Promise<Object>} New access token data
-   */
-  async refreshAccessToken(refreshToken) {
-    try {
-      // Verify refresh token
-      const decoded = await this.verifyRefreshToken(refreshToken);
-
-      // Generate new access token with same payload
-      const newAccessToken = await this.generateAccessToken({
-        userId: decoded.userId,
-        role: decoded.role,
-        email: decoded.email
-      });
-
-      return {
-        accessToken: newAccessToken,
-        tokenType: 'Bearer',
-        expiresIn: this.accessTokenExpiry
-      };
-    } catch (error) {
-      throw new Error(`Token refresh failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Generate password reset token
+   * Generate a short-lived token for the second login step. It proves the
+   * password was checked but grants no API access.
    * @param {Object} user - User object
-   * @returns {Promise<String>} Password reset token
+   * @param {String} purpose - 'verify' (enter a code) or 'enroll' (set up 2FA first)
+   * @returns {Promise<String>} Two-factor challenge token
    */
-  async generatePasswordResetToken(user) {
+  async generateTwoFactorToken(user, purpose) {
     try {
       const payload = {
         userId: user._id || user.id,
-        email: user.email,
-        tokenType: 'password_reset',
+        tokenType: 'two_factor',
+        purpose,
         iat: Math.floor(Date.now() / 1000)
       };
 
       const options = {
-        expiresIn: '1h', // Password reset tokens expire quickly
+        expiresIn: purpose === 'enroll' ? '15m' : '5m',
         issuer: 'rehab-tracker',
-        audience: 'rehab-tracker-password-reset'
+        audience: 'rehab-tracker-two-factor'
       };
 
       return await signAsync(payload, this.accessTokenSecret, options);
     } catch (error) {
-      throw new Error(`Password reset token generation failed: ${error.message}`);
+      throw new Error(`Two-factor token generation failed: ${error.message}`);
     }
   }
 
   /**
-   * Verify password reset token
-   * @param {String} token - Password reset token
+   * Verify two-factor challenge token
+   * @param {String} token - Two-factor challenge token
    * @returns {Promise<Object>} Decoded token payload
    */
-  async verifyPasswordResetToken(token) {
+  async verifyTwoFactorToken(token) {
     try {
       const decoded = await verifyAsync(token, this.accessTokenSecret, {
         issuer: 'rehab-tracker',
-        audience: 'rehab-tracker-password-reset'
+        audience: 'rehab-tracker-two-factor'
       });
 
-      if (decoded.tokenType !== 'password_reset') {
+      if (decoded.tokenType !== 'two_factor') {
         throw new Error('Invalid token type');
       }
 
       return decoded;
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
-        throw new Error('Password reset token expired');
+        throw new Error('Two-factor login expired. Please log in again');
       }
-      throw new Error(`Password reset token verification failed: ${error.message}`);
+      throw new Error('Invalid two-factor login. Please log in again');
     }
   }
 }
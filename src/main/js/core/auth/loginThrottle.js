@@ -0,0 +1,113 @@
+/**
+ * Login Throttle Policy
+ * Pure rules for failed-login counters, kept separate from storage so they
+ * can be tested without a database. Failures are counted per account (by
+ * email, whether or not it exists) and per IP address. Past a threshold each
+ * further attempt has to wait twice as long as the last (1s, 2s, 4s, ...);
+ * past a second threshold the account is locked, or the IP blocked, for a
+ * while. Repeat lockouts double in length.
+ */
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Build the policy from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} { windowMs, account, ip } where account and ip are rules
+ */
+function createLoginThrottlePolicy(env = process.env) {
+  const lockMinutes = toInt(env.LOGIN_LOCKOUT_MINUTES, 15);
+
+  return {
+    // Failures older than this are forgotten (unless a lockout is running)
+    windowMs: toInt(env.LOGIN_FAILURE_WINDOW_MINUTES, 15) * 60 * 1000,
+    account: {
+      delayAfter: toInt(env.LOGIN_ACCOUNT_DELAY_AFTER, 3),
+      lockAfter: toInt(env.LOGIN_ACCOUNT_LOCK_AFTER, 10),
+      maxDelaySeconds: 60,
+      lockMs: lockMinutes * 60 * 1000,
+      maxLockMs: 24 * 60 * 60 * 1000
+    },
+    ip: {
+      delayAfter: toInt(env.LOGIN_IP_DELAY_AFTER, 10),
+      lockAfter: toInt(env.LOGIN_IP_BLOCK_AFTER, 50),
+      maxDelaySeconds: 60,
+      lockMs: lockMinutes * 60 * 1000,
+      maxLockMs: 24 * 60 * 60 * 1000
+    }
+  };
+}
+
+/**
+ * Wait required after a number of consecutive failures
+ * @param {Number} failures - Failures in the current window
+ * @param {Object} rule - account or ip rule
+ * @returns {Number} Seconds before the next attempt is allowed (0 for none)
+ */
+function getDelaySeconds(failures, rule) {
+  if (failures < rule.delayAfter) return 0;
+  return Math.min(2 ** (failures - rule.delayAfter), rule.maxDelaySeconds);
+}
+
+/**
+ * Length of the next lockout
+ * @param {Number} lockCount - Lockouts so far, including the one starting now
+ * @param {Object} rule - account or ip rule
+ * @returns {Number} Milliseconds
+ */
+function getLockDurationMs(lockCount, rule) {
+  return Math.min(rule.lockMs * 2 ** Math.max(0, lockCount - 1), rule.maxLockMs);
+}
+
+/**
+ * Check whether a counter allows another attempt
+ * @param {Object} record - Stored counter (failures, lastFailureAt, lockedUntil) or null
+ * @param {Object} rule - account or ip rule
+ * @param {Object} policy - Policy from createLoginThrottlePolicy
+ * @param {Number} now - Milliseconds since the epoch
+ * @returns {Object} { allowed, locked, retryAfterSeconds }
+ */
+function checkAttempt(record, rule, policy, now = Date.now()) {
+  if (!record) return { allowed: true, locked: false, retryAfterSeconds: 0 };
+
+  if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      locked: true,
+      retryAfterSeconds: Math.ceil((record.lockedUntil.getTime() - now) / 1000)
+    };
+  }
+
+  if (!record.lastFailureAt || now - record.lastFailureAt.getTime() > policy.windowMs) {
+    return { allowed: true, locked: false, retryAfterSeconds: 0 };
+  }
+
+  const nextAttemptAt = record.lastFailureAt.getTime() + getDelaySeconds(record.failures, rule) * 1000;
+  if (nextAttemptAt > now) {
+    return { allowed: false, locked: false, retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000) };
+  }
+
+  return { allowed: true, locked: false, retryAfterSeconds: 0 };
+}
+
+/**
+ * Human-readable wait, e.g. "45 seconds" or "15 minutes"
+ * @param {Number} seconds - Seconds to wait
+ * @returns {String}
+ */
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  createLoginThrottlePolicy,
+  getDelaySeconds,
+  getLockDurationMs,
+  checkAttempt,
+  formatWait
+};
@@ -0,0 +1,79 @@
+/**
+ * Provider Access Rules
+ * Who counts as a clinic admin, and whether a healthcare provider's license
+ * has been verified. Clinic admins are configured by email
+ * (CLINIC_ADMIN_EMAILS) so the first one can exist before anyone can invite;
+ * the account only counts once its email address has been verified, so
+ * registering with a listed address is not enough on its own.
+ * Provider accounts without a recorded verification, including those created
+ * before invitations existed, count as pending.
+ */
+
+const PROVIDER_ROLES = ['physiotherapist', 'doctor'];
+
+/**
+ * Clinic admin emails from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Array<String>} Lowercased emails
+ */
+function getClinicAdminEmails(env = process.env) {
+  return String(env.CLINIC_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a user may invite providers and verify licenses. The email
+ * address must be listed and verified.
+ * @param {Object} user - User (or req.user) with email and emailVerified
+ * @param {Object} env - Environment variables
+ * @returns {Boolean}
+ */
+function isClinicAdmin(user, env = process.env) {
+  if (!user || !user.email || user.emailVerified !== true) return false;
+  return getClinicAdminEmails(env).includes(user.email.toLowerCase());
+}
+
+/**
+ * Check whether a role is a healthcare provider role
+ * @param {String} role - User role
+ * @returns {Boolean}
+ */
+function isProviderRole(role) {
+  return PROVIDER_ROLES.includes(role);
+}
+
+/**
+ * License verification state of a user
+ * @param {Object} user - User document
+ * @returns {String|null} pending, verified or rejected; null for patients
+ */
+function getLicenseStatus(user) {
+  if (!user || !isProviderRole(user.role)) return null;
+  const verification = user.professionalInfo && user.professionalInfo.licenseVerification;
+  return (verification && verification.status) || 'pending';
+}
+
+/**
+ * Check whether a user may use clinical features. Patients always may;
+ * providers once their license is verified. Clinic admins (with a verified
+ * email address) are trusted by configuration.
+ * @param {Object} user - User document
+ * @param {Object} env - Environment variables
+ * @returns {Boolean}
+ */
+function hasClinicalAccess(user, env = process.env) {
+  if (!user) return false;
+  if (!isProviderRole(user.role)) return true;
+  return getLicenseStatus(user) === 'verified' || isClinicAdmin(user, env);
+}
+
+module.exports = {
+  PROVIDER_ROLES,
+  getClinicAdminEmails,
+  isClinicAdmin,
+  isProviderRole,
+  getLicenseStatus,
+  hasClinicalAccess
+};
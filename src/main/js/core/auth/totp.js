@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based One-Time Passwords (RFC 6238)
+ * 6-digit, 30-second, HMAC-SHA1 codes as produced by Google Authenticator,
+ * Authy, 1Password and similar apps. Secrets are base32 encoded for the
+ * otpauth:// URL the app scans. Also encrypts secrets for storage, since
+ * unlike a password hash the server needs the secret itself to check codes.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(secret) {
+  const cleaned = secret.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new base32 secret
+ * @returns {String} Secret to show the user and store (encrypted)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step (30-second window number) for a moment in time
+ * @param {Number} now - Milliseconds since the epoch
+ * @returns {Number} Time step
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Compute the code for a time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step
+ * @returns {String} Zero-padded 6-digit code
+ */
+function generateCode(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+
+  return binary.toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and its neighbours (clock drift)
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code typed by the user
+ * @param {Object} options - window (steps either side, default 1), now
+ * @returns {Number|null} The matching time step, or null if the code is wrong
+ */
+function verifyCode(secret, code, options = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const window = options.window !== undefined ? options.window : 1;
+  const current = getTimeStep(options.now);
+
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URL an authenticator app scans from a QR code
+ * @param {String} secret - Base32 secret
+ * @param {Object} options - issuer, account (usually the email)
+ * @returns {String} otpauth URL
+ */
+function buildOtpauthUrl(secret, options) {
+  const label = encodeURIComponent(`${options.issuer}:${options.account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: options.issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+const deriveKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {String} secret - Base32 secret
+ * @param {String} key - Encryption key
+ * @returns {String} iv:tag:ciphertext, hex encoded
+ */
+function encryptSecret(secret, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {String} stored - Value from encryptSecret
+ * @param {String} key - Encryption key
+ * @returns {String} Base32 secret
+ */
+function decryptSecret(stored, key) {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  base32Encode,
+  base32Decode
+};
@@ -0,0 +1,208 @@
+const emailRenderer = require('./emailRenderer');
+const { createEmailTransport } = require('./emailTransports');
+const { createSmsProvider } = require('./smsProviders');
+const { createWebPushProvider, isAllowedPushEndpoint } = require('./webPushProviders');
+
+/**
+ * Notification Channel Adapters
+ * NotificationService hands each external channel to an adapter with
+ * send(notification), where the notification has its recipient populated.
+ * An adapter resolves to { messageId } once the provider accepts the message,
+ * resolves to { skipped: true, reason } when the recipient cannot or does not
+ * want to receive it, and throws when delivery fails. Errors with
+ * retryable === false are not retried.
+ */
+
+const SMS_MAX_LENGTH = 320; // two concatenated segments
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+function resolveActionUrl(actionUrl) {
+  if (!actionUrl) return null;
+  return emailRenderer.resolveUrl(actionUrl, (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, ''));
+}
+
+class EmailChannelAdapter {
+  constructor(options = {}) {
+    this.transport = options.transport || createEmailTransport();
+    this.from = options.from || process.env.EMAIL_FROM || 'noreply@rehabtracker.com';
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send(notification) {
+    const recipient = notification.recipient;
+
+    if (recipient.preferences?.notifications?.email === false) {
+      return { skipped: true, reason: 'Recipient has turned off email notifications' };
+    }
+
+    if (!recipient.email) {
+      throw permanentError('Recipient has no email address');
+    }
+
+    return this.transport.send({
+      from: this.from,
+      to: recipient.email,
+      ...emailRenderer.render(notification)
+    });
+  }
+}
+
+class SmsChannelAdapter {
+  constructor(options = {}) {
+    this.provider = options.provider || createSmsProvider();
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  async send(notification) {
+    const recipient = notification.recipient;
+
+    if (this.provider.disabled) {
+      return { skipped: true, reason: 'SMS is not configured on this server' };
+    }
+
+    // SMS is opt-in, so a missing preference means no
+    if (recipient.preferences?.notifications?.sms !== true) {
+      return { skipped: true, reason: 'Recipient has not turned on SMS notifications' };
+    }
+
+    if (!recipient.phoneNumber) {
+      return { skipped: true, reason: 'Recipient has no phone number' };
+    }
+
+    return this.provider.send({
+      to: recipient.phoneNumber.replace(/[\s\-()]/g, ''),
+      body: this.renderBody(notification)
+    });
+  }
+
+  renderBody(notification) {
+    const url = resolveActionUrl(notification.actionUrl);
+    const suffix = url ? ` ${url}` : '';
+    let text = `${notification.title}: ${notification.message}`;
+
+    if (text.length + suffix.length > SMS_MAX_LENGTH) {
+      text = `${text.slice(0, SMS_MAX_LENGTH - suffix.length - 3)}...`;
+    }
+
+    return `${text}${suffix}`;
+  }
+}
+
+class WebPushChannelAdapter {
+  /**
+   * @param {Object} options - provider, and subscriptions (the PushSubscription model)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || createWebPushProvider();
+    this.subscriptions = options.subscriptions;
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  async send(notification) {
+    const recipient = notification.recipient;
+
+    if (this.provider.disabled) {
+      return { skipped: true, reason: 'Push notifications are not configured on this server' };
+    }
+
+    if (recipient.preferences?.notifications?.push === false) {
+      return { skipped: true, reason: 'Recipient has turned off push notifications' };
+    }
+
+    const subscriptions = await this.subscriptions.find({ user: recipient._id });
+    if (subscriptions.length === 0) {
+      return { skipped: true, reason: 'Recipient has no push subscriptions' };
+    }
+
+    const payload = {
+      title: notification.title,
+      body: notification.message,
+      url: resolveActionUrl(notification.actionUrl),
+      tag: notification._id.toString(),
+      type: notification.type
+    };
+    const options = {
+      ttl: PUSH_TTL_SECONDS,
+      urgency: ['high', 'urgent'].includes(notification.priority) ? 'high' : 'normal'
+    };
+
+    const failures = [];
+    let delivered = 0;
+
+    for (const subscription of subscriptions) {
+      // Registered before endpoints were checked; never send there
+      if (!isAllowedPushEndpoint(subscription.endpoint)) {
+        await subscription.deleteOne();
+        continue;
+      }
+
+      try {
+        await this.provider.send(subscription.toWebPushSubscription(), payload, options);
+        delivered++;
+        subscription.lastSuccessAt = new Date();
+        subscription.consecutiveFailures = 0;
+        await subscription.save();
+      } catch (error) {
+        // The browser unsubscribed or the subscription expired
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await subscription.deleteOne();
+          continue;
+        }
+
+        failures.push(error.message);
+        subscription.lastFailureAt = new Date();
+        subscription.failureReason = error.message;
+        subscription.consecutiveFailures += 1;
+        await subscription.save();
+      }
+    }
+
+    if (delivered > 0) {
+      return { messageId: `${delivered}/${subscriptions.length} subscriptions` };
+    }
+
+    if (failures.length === 0) {
+      return { skipped: true, reason: 'All push subscriptions have expired' };
+    }
+
+    throw new Error(failures.join('; '));
+  }
+}
+
+/**
+ * Create the default adapters for external channels
+ * @param {Object} options - emailTransport, smsProvider, webPushProvider, pushSubscriptions (model)
+ * @returns {Object} Adapters keyed by channel type
+ */
+function createChannelAdapters(options = {}) {
+  return {
+    email: new EmailChannelAdapter({ transport: options.emailTransport }),
+    sms: new SmsChannelAdapter({ provider: options.smsProvider }),
+    push: new WebPushChannelAdapter({
+      provider: options.webPushProvider,
+      subscriptions: options.pushSubscriptions
+    })
+  };
+}
+
+module.exports = {
+  createChannelAdapters,
+  EmailChannelAdapter,
+  SmsChannelAdapter,
+  WebPushChannelAdapter
+};
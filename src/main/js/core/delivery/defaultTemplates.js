@@ -0,0 +1,114 @@
+/**
+ * Built-in Notification Templates
+ * English defaults used when no template has been saved in the database for
+ * a key. Saving a template through the API creates version 1 and takes
+ * precedence from then on.
+ */
+
+module.exports = {
+  task_reminder: {
+    title: 'Exercise Reminder',
+    message: 'You have a rehabilitation exercise due: {{taskTitle}}',
+    actionText: 'Start Exercise',
+    channels: ['in_app', 'push'],
+    sampleVariables: { taskTitle: 'Heel slides' }
+  },
+  task_overdue: {
+    title: 'Overdue Exercise',
+    message: 'Your exercise "{{taskTitle}}" is overdue. Please complete it when you can.',
+    actionText: 'Complete Now',
+    channels: ['in_app', 'push', 'email'],
+    sampleVariables: { taskTitle: 'Heel slides' }
+  },
+  task_completed: {
+    title: 'Great Work!',
+    message: 'You completed "{{taskTitle}}"! Keep up the excellent progress.',
+    actionText: 'View Progress',
+    channels: ['in_app'],
+    sampleVariables: { taskTitle: 'Heel slides' }
+  },
+  progress_milestone: {
+    title: 'Milestone Achieved!',
+    message: 'Congratulations! You\'ve reached {{milestone}} in your recovery journey.',
+    actionText: 'View Achievements',
+    channels: ['in_app', 'push'],
+    sampleVariables: { milestone: '50% of your program' }
+  },
+  comment_mention: {
+    title: 'You were mentioned',
+    message: '{{senderName}} mentioned you in a comment',
+    actionText: 'View Comment',
+    channels: ['in_app', 'push'],
+    sampleVariables: { senderName: 'Alex Morgan' }
+  },
+  comment_reply: {
+    title: 'New Reply',
+    message: '{{senderName}} replied to your comment',
+    actionText: 'View Reply',
+    channels: ['in_app', 'push'],
+    sampleVariables: { senderName: 'Alex Morgan' }
+  },
+  appointment_reminder: {
+    title: 'Appointment Reminder',
+    message: 'You have an appointment with {{providerName}} at {{time}}',
+    actionText: 'View Details',
+    channels: ['in_app', 'push', 'email'],
+    sampleVariables: { providerName: 'Alex Morgan', time: 'Jun 5, 2024, 10:30 AM' }
+  },
+  appointment_booked: {
+    title: 'Appointment Booked',
+    message: 'An appointment with {{participantName}} has been booked for {{time}}',
+    actionText: 'View Appointment',
+    channels: ['in_app', 'email'],
+    sampleVariables: { participantName: 'Alex Morgan', time: 'Jun 5, 2024, 10:30 AM' }
+  },
+  appointment_rescheduled: {
+    title: 'Appointment Rescheduled',
+    message: 'Your appointment with {{participantName}} has been moved to {{time}}',
+    actionText: 'View Appointment',
+    channels: ['in_app', 'push', 'email'],
+    sampleVariables: { participantName: 'Alex Morgan', time: 'Jun 5, 2024, 10:30 AM' }
+  },
+  appointment_cancelled: {
+    title: 'Appointment Cancelled',
+    message: 'Your appointment with {{participantName}} on {{time}} has been cancelled',
+    actionText: 'View Appointments',
+    channels: ['in_app', 'push', 'email'],
+    sampleVariables: { participantName: 'Alex Morgan', time: 'Jun 5, 2024, 10:30 AM' }
+  },
+  achievement_unlocked: {
+    title: 'Achievement Unlocked!',
+    message: 'You\'ve earned the "{{achievementName}}" badge!',
+    actionText: 'View Badge',
+    channels: ['in_app', 'push'],
+    sampleVariables: { achievementName: 'Seven Day Streak' }
+  },
+  low_engagement: {
+    title: 'We Miss You!',
+    message: 'You haven\'t logged your exercises in {{days}} days. Let\'s get back on track!',
+    actionText: 'Resume Exercises',
+    channels: ['in_app', 'push', 'email'],
+    sampleVariables: { days: 4 }
+  },
+  critical_alert: {
+    title: 'Important Health Alert',
+    message: '{{alertMessage}}',
+    actionText: 'Contact Provider',
+    channels: ['in_app', 'push', 'email', 'sms'],
+    sampleVariables: { alertMessage: 'Your reported pain score is above the agreed threshold.' }
+  },
+  welcome: {
+    title: 'Welcome to Your Recovery Journey',
+    message: 'Welcome {{firstName}}! Let\'s start your personalized rehabilitation program.',
+    actionText: 'Get Started',
+    channels: ['in_app', 'email'],
+    sampleVariables: { firstName: 'Sam' }
+  },
+  feedback_request: {
+    title: 'How Are You Feeling?',
+    message: 'Your therapist would like feedback on your recent progress.',
+    actionText: 'Provide Feedback',
+    channels: ['in_app', 'push'],
+    sampleVariables: {}
+  }
+};
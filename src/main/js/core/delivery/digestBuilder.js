@@ -0,0 +1,111 @@
+/**
+ * Digest Builder
+ * Summarises the notifications held for a recipient's digest as one
+ * notification, with a "view all" link into the recipient's dashboard
+ */
+
+const MAX_ITEMS = 20; // listed individually in the email; the rest are counted
+const MAX_MESSAGE_LENGTH = 500;
+
+const TYPE_LABELS = {
+  low_engagement: ['low engagement alert', 'low engagement alerts'],
+  comment_reply: ['comment reply', 'comment replies'],
+  comment_mention: ['mention', 'mentions'],
+  feedback_request: ['feedback request', 'feedback requests']
+};
+
+const DASHBOARD_PATHS = {
+  patient: '/patient/dashboard',
+  physiotherapist: '/physiotherapist/dashboard',
+  doctor: '/doctor/dashboard'
+};
+
+class DigestBuilder {
+  /**
+   * Build the digest notification content
+   * @param {Array} notifications - Batched notifications, oldest first
+   * @param {Object} options - frequency (daily/weekly), role, batchId
+   * @returns {Object} { title, message, actionUrl, actionText, templateVariables }
+   */
+  buildSummary(notifications, options = {}) {
+    const frequency = options.frequency === 'weekly' ? 'weekly' : 'daily';
+    const count = notifications.length;
+
+    const counts = {};
+    notifications.forEach(notification => {
+      counts[notification.type] = (counts[notification.type] || 0) + 1;
+    });
+
+    const breakdown = this.joinList(
+      Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, typeCount]) => `${typeCount} ${this.labelFor(type, typeCount)}`)
+    );
+
+    let message = `${count} new ${count === 1 ? 'update' : 'updates'}: ${breakdown}.`;
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      message = `${message.slice(0, MAX_MESSAGE_LENGTH - 3)}...`;
+    }
+
+    const items = notifications.slice(-MAX_ITEMS).reverse().map(notification => ({
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      actionUrl: notification.actionUrl,
+      createdAt: notification.createdAt
+    }));
+
+    return {
+      title: `Your ${frequency} digest`,
+      message,
+      actionUrl: this.getViewAllUrl(options.role, options.batchId),
+      actionText: 'View All',
+      templateVariables: {
+        frequency,
+        count,
+        items,
+        remaining: Math.max(count - items.length, 0)
+      }
+    };
+  }
+
+  /**
+   * Get the dashboard link that lists every notification in a digest
+   * @param {String} role - Recipient role
+   * @param {String} batchId - Digest batch ID
+   * @returns {String} Relative URL
+   */
+  getViewAllUrl(role, batchId) {
+    const path = DASHBOARD_PATHS[role] || '/';
+    return batchId ? `${path}?notifications=${encodeURIComponent(batchId)}` : path;
+  }
+
+  /**
+   * Read the items stored on a digest notification
+   * @param {Object} notification - Digest notification (document or plain object)
+   * @returns {Object} { items, remaining }
+   */
+  getItems(notification) {
+    const variables = notification.templateVariables;
+    const read = key => (variables instanceof Map ? variables.get(key) : variables?.[key]);
+
+    return {
+      items: read('items') || [],
+      remaining: read('remaining') || 0
+    };
+  }
+
+  // Helper methods
+
+  labelFor(type, count) {
+    const [singular, plural] = TYPE_LABELS[type] || [type.replace(/_/g, ' '), `${type.replace(/_/g, ' ')}s`];
+    return count === 1 ? singular : plural;
+  }
+
+  joinList(parts) {
+    if (parts.length <= 1) return parts.join('');
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+  }
+}
+
+module.exports = new DigestBuilder();
@@ -0,0 +1,122 @@
+const digestBuilder = require('./digestBuilder');
+
+/**
+ * Email Renderer
+ * Renders a notification (already filled in from its template) as a
+ * subject with plain-text and HTML bodies. Account emails (verification,
+ * password reset) use the same layout with a footer that does not point to
+ * notification settings, since they are sent regardless of preferences.
+ */
+
+const BRAND_COLOR = '#2563eb';
+
+const PRIORITY_LABELS = {
+  high: 'Important',
+  urgent: 'Urgent'
+};
+
+class EmailRenderer {
+  /**
+   * Render a notification as an email
+   * @param {Object} notification - Notification with recipient populated
+   * @param {Object} options - frontendUrl used to build absolute action links, transactional for account emails
+   * @returns {Object} { subject, text, html }
+   */
+  render(notification, options = {}) {
+    const frontendUrl = (options.frontendUrl || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+    const recipient = notification.recipient || {};
+    const greeting = recipient.firstName ? `Hi ${recipient.firstName},` : 'Hi,';
+    const label = PRIORITY_LABELS[notification.priority];
+    const subject = label ? `[${label}] ${notification.title}` : notification.title;
+    const actionUrl = this.resolveUrl(notification.actionUrl, frontendUrl);
+    const preferencesUrl = `${frontendUrl}/settings/notifications`;
+    const digest = notification.type === 'notification_digest' ? digestBuilder.getItems(notification) : null;
+    const footerText = options.transactional
+      ? 'You are receiving this email because of a request on your Rehab Tracker account.'
+      : `You are receiving this email from Rehab Tracker. Manage email notifications: ${preferencesUrl}`;
+    const footerHtml = options.transactional
+      ? this.escapeHtml(footerText)
+      : `You are receiving this email from Rehab Tracker. <a href="${this.escapeHtml(preferencesUrl)}" style="color:#6b7280;">Manage email notifications</a>`;
+
+    const text = [
+      greeting,
+      notification.message,
+      digest ? this.renderDigestText(digest, frontendUrl) : null,
+      actionUrl ? `${notification.actionText || 'Open Rehab Tracker'}: ${actionUrl}` : null,
+      '--',
+      footerText
+    ].filter(Boolean).join('\n\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;">
+<tr><td style="padding:24px;">
+<h1 style="margin:0 0 16px;font-size:20px;color:${BRAND_COLOR};">${this.escapeHtml(notification.title)}</h1>
+<p style="margin:0 0 12px;">${this.escapeHtml(greeting)}</p>
+<p style="margin:0 0 24px;line-height:1.5;">${this.escapeHtml(notification.message).replace(/\n/g, '<br>')}</p>
+${digest ? this.renderDigestHtml(digest, frontendUrl) : ''}
+${actionUrl ? `<p style="margin:0 0 24px;"><a href="${this.escapeHtml(actionUrl)}" style="display:inline-block;padding:10px 18px;background:${BRAND_COLOR};color:#ffffff;text-decoration:none;border-radius:6px;">${this.escapeHtml(notification.actionText || 'Open Rehab Tracker')}</a></p>` : ''}
+</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid #e5e7eb;font-size:12px;color:#6b7280;">
+${footerHtml}
+</td></tr>
+</table>
+</body>
+</html>`;
+
+    return { subject, text, html };
+  }
+
+  // Helper methods
+
+  renderDigestText(digest, frontendUrl) {
+    const lines = digest.items.map(item => {
+      const url = this.resolveUrl(item.actionUrl, frontendUrl);
+      return `- ${item.title}: ${item.message}${url ? ` (${url})` : ''}`;
+    });
+
+    if (digest.remaining > 0) {
+      lines.push(`...and ${digest.remaining} more`);
+    }
+
+    return lines.join('\n');
+  }
+
+  renderDigestHtml(digest, frontendUrl) {
+    const rows = digest.items.map(item => {
+      const url = this.resolveUrl(item.actionUrl, frontendUrl);
+      const title = url
+        ? `<a href="${this.escapeHtml(url)}" style="color:${BRAND_COLOR};text-decoration:none;">${this.escapeHtml(item.title)}</a>`
+        : this.escapeHtml(item.title);
+      return `<li style="margin:0 0 12px;"><strong>${title}</strong><br>${this.escapeHtml(item.message)}</li>`;
+    });
+
+    if (digest.remaining > 0) {
+      rows.push(`<li style="margin:0 0 12px;color:#6b7280;">...and ${digest.remaining} more</li>`);
+    }
+
+    return `<ul style="margin:0 0 24px;padding-left:20px;line-height:1.5;">\n${rows.join('\n')}\n</ul>`;
+  }
+
+  resolveUrl(url, baseUrl) {
+    if (!url) return null;
+    return /^https?:\/\//i.test(url) ? url : `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new EmailRenderer();
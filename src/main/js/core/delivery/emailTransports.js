@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Email Transports
+ * Every transport exposes send(message) resolving to { messageId }, where
+ * message is { from, to, subject, text, html }. SMTP is used in production;
+ * file, console and memory transports keep local development and tests offline.
+ */
+
+class SmtpTransport {
+  constructor(options = {}) {
+    // Loaded lazily so the other transports work without an SMTP client installed
+    const nodemailer = require('nodemailer');
+    const port = parseInt(options.port) || 587;
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port,
+      secure: port === 465,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory || './logs/emails';
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    await fs.promises.writeFile(
+      path.join(this.directory, `${messageId}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId };
+  }
+}
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+}
+
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push(message);
+    return { messageId: `memory-${this.sent.length}` };
+  }
+}
+
+/**
+ * Create the transport configured by EMAIL_TRANSPORT (smtp, file, console or memory).
+ * Defaults to SMTP when EMAIL_HOST is set, memory under test and console otherwise.
+ * Production only accepts SMTP: the other transports would write password
+ * reset, verification and invitation links to logs or disk.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Email transport
+ */
+function createEmailTransport(env = process.env) {
+  const type = env.EMAIL_TRANSPORT
+    || (env.EMAIL_HOST ? 'smtp' : env.NODE_ENV === 'test' ? 'memory' : 'console');
+
+  if (env.NODE_ENV === 'production' && (type !== 'smtp' || !env.EMAIL_HOST)) {
+    throw new Error('Production email must be sent over SMTP. Set EMAIL_HOST');
+  }
+
+  switch (type) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: env.EMAIL_HOST,
+        port: env.EMAIL_PORT,
+        user: env.EMAIL_USER,
+        pass: env.EMAIL_PASS
+      });
+    case 'file':
+      return new FileTransport({ directory: env.EMAIL_FILE_DIR });
+    case 'memory':
+      return new MemoryTransport();
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown email transport: ${type}`);
+  }
+}
+
+module.exports = {
+  createEmailTransport,
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+  MemoryTransport
+};
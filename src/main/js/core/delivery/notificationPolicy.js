@@ -0,0 +1,218 @@
+const timezoneUtils = require('../scheduling/timezoneUtils');
+
+/**
+ * Notification Policy
+ * Decides, per channel, whether a notification is delivered now, held until
+ * quiet hours / the sender's preferred window / the next digest, or skipped
+ * because the recipient opted out of that category on that channel
+ */
+
+const CATEGORIES = ['reminders', 'achievements', 'communication', 'system', 'health_alerts', 'schedule', 'progress'];
+const CHANNELS = ['in_app', 'email', 'sms', 'push'];
+// High-volume types a recipient in digest mode gets as one summary instead
+const DIGEST_TYPES = ['low_engagement', 'comment_reply'];
+const LOOKAHEAD_DAYS = 8;
+
+class NotificationPolicy {
+  constructor() {
+    this.categories = CATEGORIES;
+    this.channels = CHANNELS;
+    this.digestTypes = DIGEST_TYPES;
+  }
+
+  /**
+   * Critical alerts and health alerts ignore quiet hours, digests and category opt-outs
+   * @param {Object} notification - Notification
+   * @returns {Boolean} True if the notification must always go out immediately
+   */
+  isCritical(notification) {
+    return notification.type === 'critical_alert' || notification.category === 'health_alerts';
+  }
+
+  /**
+   * Digest mode is on by default for therapists and doctors, who receive these
+   * types for every patient, and off for patients
+   * @param {Object} recipient - User with role and preferences
+   * @returns {Boolean} True if digest types are batched for this recipient
+   */
+  isDigestEnabled(recipient = {}) {
+    const enabled = recipient.preferences?.notifications?.digest?.enabled;
+    return typeof enabled === 'boolean' ? enabled : ['physiotherapist', 'doctor'].includes(recipient.role);
+  }
+
+  /**
+   * Check whether a notification is batched into the recipient's digest.
+   * Health alerts among the digest types (low engagement) still go out right
+   * away unless the recipient opted in with digest.includeHealthAlerts.
+   * @param {Object} notification - Notification with recipient populated
+   * @returns {Boolean} True for digest types when the recipient is in digest mode
+   */
+  isDigestBatched(notification) {
+    if (!DIGEST_TYPES.includes(notification.type) || !this.isDigestEnabled(notification.recipient)) {
+      return false;
+    }
+    if (this.isCritical(notification)) {
+      return notification.recipient.preferences?.notifications?.digest?.includeHealthAlerts === true;
+    }
+    return true;
+  }
+
+  /**
+   * Decide what to do with one channel of a notification
+   * @param {Object} notification - Notification with recipient (and its preferences) populated
+   * @param {String} channelType - in_app, email, sms or push
+   * @param {Object} options - now, and releaseDeferred to deliver a channel whose hold has ended
+   * @returns {Object} { action: 'deliver' } | { action: 'skip', reason } | { action: 'defer', until, reason }
+   */
+  decide(notification, channelType, options = {}) {
+    const now = options.now || new Date();
+    const preferences = notification.recipient?.preferences || {};
+    const notificationPreferences = preferences.notifications || {};
+    const categoryPreferences = notificationPreferences.categories?.[notification.category] || {};
+    const batched = this.isDigestBatched(notification);
+
+    // A digest only carries channels its items were already cleared for
+    if (notification.type === 'notification_digest') {
+      return { action: 'deliver' };
+    }
+
+    if (this.isCritical(notification) && !batched) {
+      return { action: 'deliver' };
+    }
+
+    if (!this.isCritical(notification) && categoryPreferences[channelType] === false) {
+      return {
+        action: 'skip',
+        reason: `Recipient has turned off ${notification.category.replace(/_/g, ' ')} notifications for ${channelType.replace(/_/g, '-')}`
+      };
+    }
+
+    // Digest items reach the inbox with the digest, not on their own
+    if ((batched || categoryPreferences.delivery === 'digest') && !options.releaseDeferred) {
+      const timezone = timezoneUtils.resolveTimezone(preferences.timezone);
+      return {
+        action: 'defer',
+        until: this.getNextDigestTime(now, notificationPreferences.digest, timezone),
+        reason: 'digest'
+      };
+    }
+
+    // The in-app inbox is silent, so quiet hours never hold it back
+    if (channelType === 'in_app' || options.releaseDeferred) {
+      return { action: 'deliver' };
+    }
+
+    const conditions = notification.conditions || {};
+    const windows = {
+      timezone: timezoneUtils.resolveTimezone(conditions.timezone || preferences.timezone),
+      quietHours: notificationPreferences.quietHours?.enabled ? notificationPreferences.quietHours : null,
+      preferredTime: conditions.preferredTime?.start && conditions.preferredTime?.end ? conditions.preferredTime : null,
+      daysOfWeek: conditions.daysOfWeek?.length ? conditions.daysOfWeek : null
+    };
+
+    if (this.isAllowedAt(now, windows)) {
+      return { action: 'deliver' };
+    }
+
+    const until = this.getNextAllowedTime(now, windows);
+    const inQuietHours = !this.isAllowedAt(now, { ...windows, preferredTime: null, daysOfWeek: null });
+
+    return {
+      action: 'defer',
+      until,
+      reason: inQuietHours ? 'quiet_hours' : 'preferred_time'
+    };
+  }
+
+  /**
+   * Check whether an instant is outside quiet hours and inside the preferred window
+   * @param {Date} date - Instant
+   * @param {Object} windows - timezone, quietHours { start, end }, preferredTime { start, end }, daysOfWeek
+   * @returns {Boolean} True if delivery is allowed
+   */
+  isAllowedAt(date, windows) {
+    const parts = timezoneUtils.getZonedParts(date, windows.timezone);
+    const minutes = parts.hour * 60 + parts.minute;
+
+    if (windows.daysOfWeek && !windows.daysOfWeek.includes(parts.dayOfWeek)) {
+      return false;
+    }
+
+    if (windows.quietHours && this.isWithin(minutes, windows.quietHours.start, windows.quietHours.end)) {
+      return false;
+    }
+
+    if (windows.preferredTime && !this.isWithin(minutes, windows.preferredTime.start, windows.preferredTime.end)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the first instant delivery is allowed
+   * @param {Date} now - Reference time
+   * @param {Object} windows - As for isAllowedAt
+   * @returns {Date} Earliest allowed instant (falls back to now if no window opens within 8 days)
+   */
+  getNextAllowedTime(now, windows) {
+    if (this.isAllowedAt(now, windows)) return now;
+
+    // A window can only open at midnight, when quiet hours end or when the preferred window starts
+    const openings = ['00:00', windows.quietHours?.end, windows.preferredTime?.start].filter(Boolean);
+    const today = timezoneUtils.toLocalDateString(now, windows.timezone);
+    const candidates = [];
+
+    for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+      const localDate = timezoneUtils.addDays(today, day);
+      openings.forEach(time => {
+        const candidate = timezoneUtils.zonedTimeToUtc(localDate, time, windows.timezone);
+        if (candidate > now) candidates.push(candidate);
+      });
+    }
+
+    candidates.sort((a, b) => a - b);
+    return candidates.find(candidate => this.isAllowedAt(candidate, windows)) || now;
+  }
+
+  /**
+   * Get the next time a recipient's digest goes out
+   * @param {Date} now - Reference time
+   * @param {Object} digest - frequency (daily/weekly), time (HH:mm), dayOfWeek
+   * @param {String} timezone - Recipient's timezone
+   * @returns {Date} Next digest time
+   */
+  getNextDigestTime(now, digest = {}, timezone = 'UTC') {
+    const time = digest.time || '08:00';
+    const today = timezoneUtils.toLocalDateString(now, timezone);
+
+    for (let day = 0; day <= 7; day++) {
+      const localDate = timezoneUtils.addDays(today, day);
+
+      if (digest.frequency === 'weekly' && timezoneUtils.getDayOfWeek(localDate) !== (digest.dayOfWeek ?? 1)) {
+        continue;
+      }
+
+      const candidate = timezoneUtils.zonedTimeToUtc(localDate, time, timezone);
+      if (candidate > now) return candidate;
+    }
+
+    return new Date(now.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  // Helper methods
+
+  isWithin(minutes, start, end) {
+    const startMinutes = timezoneUtils.timeToMinutes(start);
+    const endMinutes = timezoneUtils.timeToMinutes(end);
+
+    if (startMinutes === endMinutes) return false;
+
+    // Windows such as 22:00-07:00 wrap past midnight
+    return startMinutes < endMinutes
+      ? minutes >= startMinutes && minutes < endMinutes
+      : minutes >= startMinutes || minutes < endMinutes;
+  }
+}
+
+module.exports = new NotificationPolicy();
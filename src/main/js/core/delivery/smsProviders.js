@@ -0,0 +1,118 @@
+/**
+ * SMS Providers
+ * Every provider exposes send({ to, body }) resolving to { messageId }.
+ * The HTTP provider speaks the Twilio Messages API; pointing SMS_API_URL at a
+ * local stand-in server exercises the same code path without a real account.
+ * In production only the HTTP provider is allowed: messages can carry health
+ * information, so they are never written to logs. Without an account SMS is
+ * turned off there instead.
+ */
+
+class HttpSmsProvider {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.apiUrl = (options.apiUrl || 'https://api.twilio.com').replace(/\/$/, '');
+    this.accountSid = options.accountSid;
+    this.authToken = options.authToken;
+    this.from = options.from;
+  }
+
+  async send({ to, body }) {
+    const response = await fetch(`${this.apiUrl}/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: this.from, Body: body }).toString()
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`SMS provider responded ${response.status}: ${result.message || response.statusText}`);
+      // 4xx means the request itself is bad (e.g. invalid number) and will not succeed on retry
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    return { messageId: result.sid };
+  }
+}
+
+class ConsoleSmsProvider {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, body }) {
+    console.log(`SMS to ${to}: ${body}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+}
+
+class DisabledSmsProvider {
+  constructor() {
+    this.name = 'none';
+    this.disabled = true; // the channel adapter skips SMS
+  }
+
+  async send() {
+    throw new Error('SMS is not configured on this server');
+  }
+}
+
+class MemorySmsProvider {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push(message);
+    return { messageId: `memory-${this.sent.length}` };
+  }
+}
+
+/**
+ * Create the provider configured by SMS_PROVIDER (http, console, memory or none).
+ * Defaults to http when SMS_ACCOUNT_SID is set, memory under test, none in
+ * production and console otherwise.
+ * @param {Object} env - Environment variables
+ * @returns {Object} SMS provider
+ */
+function createSmsProvider(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  const type = env.SMS_PROVIDER
+    || (env.SMS_ACCOUNT_SID ? 'http' : env.NODE_ENV === 'test' ? 'memory' : production ? 'none' : 'console');
+
+  if (production && !['http', 'none'].includes(type)) {
+    throw new Error('Production SMS must be sent through the http provider. Set SMS_ACCOUNT_SID or SMS_PROVIDER=none');
+  }
+
+  switch (type) {
+    case 'http':
+      return new HttpSmsProvider({
+        apiUrl: env.SMS_API_URL,
+        accountSid: env.SMS_ACCOUNT_SID,
+        authToken: env.SMS_AUTH_TOKEN,
+        from: env.SMS_FROM
+      });
+    case 'memory':
+      return new MemorySmsProvider();
+    case 'console':
+      return new ConsoleSmsProvider();
+    case 'none':
+      return new DisabledSmsProvider();
+    default:
+      throw new Error(`Unknown SMS provider: ${type}`);
+  }
+}
+
+module.exports = {
+  createSmsProvider,
+  HttpSmsProvider,
+  ConsoleSmsProvider,
+  DisabledSmsProvider,
+  MemorySmsProvider
+};
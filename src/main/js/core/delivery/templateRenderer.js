@@ -0,0 +1,85 @@
+/**
+ * Template Renderer
+ * Fills {{variable}} placeholders in notification templates and checks that
+ * every variable a template uses has been supplied
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const RENDERED_FIELDS = ['title', 'message', 'actionText'];
+
+class TemplateRenderer {
+  /**
+   * List the variables used in some template text
+   * @param {...String} texts - Template strings
+   * @returns {Array} Unique variable names in order of first use
+   */
+  extractVariables(...texts) {
+    const names = [];
+
+    texts.filter(Boolean).forEach(text => {
+      for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * Fill placeholders in a string. Placeholders without a value are left as is.
+   * @param {String} text - Template string
+   * @param {Object} variables - Values by name
+   * @returns {String} Rendered text
+   */
+  render(text, variables = {}) {
+    return text.replace(PLACEHOLDER_PATTERN, (match, key) => {
+      return this.hasValue(variables[key]) ? String(variables[key]) : match;
+    });
+  }
+
+  /**
+   * Get the required variables that have no value
+   * @param {Object} template - Template with requiredVariables (or the fields to scan)
+   * @param {Object} variables - Values by name
+   * @returns {Array} Missing variable names
+   */
+  findMissingVariables(template, variables = {}) {
+    const required = template.requiredVariables?.length
+      ? template.requiredVariables
+      : this.extractVariables(...RENDERED_FIELDS.map(field => template[field]));
+
+    return required.filter(name => !this.hasValue(variables[name]));
+  }
+
+  /**
+   * Render a template's title, message and action text
+   * @param {Object} template - title, message, actionText, requiredVariables
+   * @param {Object} variables - Values by name
+   * @param {Object} options - strict (default true) throws when required variables are missing
+   * @returns {Object} { title, message, actionText }
+   */
+  renderTemplate(template, variables = {}, options = {}) {
+    const missing = this.findMissingVariables(template, variables);
+
+    if (missing.length > 0 && options.strict !== false) {
+      const error = new Error(`Missing template variables: ${missing.join(', ')}`);
+      error.missingVariables = missing;
+      throw error;
+    }
+
+    const rendered = {};
+    RENDERED_FIELDS.forEach(field => {
+      rendered[field] = template[field] ? this.render(template[field], variables) : template[field];
+    });
+
+    return rendered;
+  }
+
+  // Helper methods
+
+  hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+}
+
+module.exports = new TemplateRenderer();
@@ -0,0 +1,170 @@
+/**
+ * Web Push Providers
+ * Every provider exposes send(subscription, payload, options) resolving to
+ * { statusCode }, where subscription is { endpoint, keys: { p256dh, auth } }.
+ * Failures carry a statusCode so expired subscriptions (404/410) can be pruned.
+ * In production only VAPID is allowed, so payloads never end up in logs;
+ * without keys push is turned off there instead.
+ */
+
+// Push services of the major browsers (Chrome, Firefox, Edge, Safari). A
+// leading dot also allows subdomains.
+const DEFAULT_PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'updates.push.services.mozilla.com',
+  '.notify.windows.com',
+  '.push.apple.com'
+];
+
+class VapidWebPushProvider {
+  constructor(options = {}) {
+    // Loaded lazily so the other providers work without the web-push library installed
+    this.webPush = require('web-push');
+    this.name = 'vapid';
+    this.publicKey = options.publicKey;
+
+    this.webPush.setVapidDetails(options.subject, options.publicKey, options.privateKey);
+  }
+
+  async send(subscription, payload, options = {}) {
+    try {
+      const result = await this.webPush.sendNotification(subscription, JSON.stringify(payload), {
+        TTL: options.ttl,
+        urgency: options.urgency
+      });
+      return { statusCode: result.statusCode };
+    } catch (error) {
+      const pushError = new Error(`Push service responded ${error.statusCode || 'with an error'}: ${error.body || error.message}`);
+      pushError.statusCode = error.statusCode;
+      throw pushError;
+    }
+  }
+}
+
+class ConsoleWebPushProvider {
+  constructor() {
+    this.name = 'console';
+    this.publicKey = null;
+  }
+
+  async send(subscription, payload) {
+    console.log(`Push to ${subscription.endpoint}: ${payload.title}`);
+    return { statusCode: 201 };
+  }
+}
+
+class DisabledWebPushProvider {
+  constructor() {
+    this.name = 'none';
+    this.publicKey = null;
+    this.disabled = true; // the channel adapter skips push
+  }
+
+  async send() {
+    throw new Error('Push notifications are not configured on this server');
+  }
+}
+
+class MemoryWebPushProvider {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.publicKey = options.publicKey || null;
+    this.sent = [];
+    // Endpoints that answer like an expired subscription, for testing pruning
+    this.expiredEndpoints = new Set();
+  }
+
+  async send(subscription, payload, options = {}) {
+    if (this.expiredEndpoints.has(subscription.endpoint)) {
+      const error = new Error('Push service responded 410: subscription has expired');
+      error.statusCode = 410;
+      throw error;
+    }
+
+    this.sent.push({ subscription, payload, options });
+    return { statusCode: 201 };
+  }
+}
+
+/**
+ * Create the provider configured by WEB_PUSH_PROVIDER (vapid, console, memory or none).
+ * Defaults to vapid when VAPID keys are set, memory under test, none in
+ * production and console otherwise.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Web push provider
+ */
+function createWebPushProvider(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  const type = env.WEB_PUSH_PROVIDER
+    || (env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY ? 'vapid'
+      : env.NODE_ENV === 'test' ? 'memory' : production ? 'none' : 'console');
+
+  if (production && !['vapid', 'none'].includes(type)) {
+    throw new Error('Production push notifications must be sent with VAPID keys. Set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY or WEB_PUSH_PROVIDER=none');
+  }
+
+  switch (type) {
+    case 'vapid':
+      return new VapidWebPushProvider({
+        subject: env.VAPID_SUBJECT || `mailto:${env.EMAIL_FROM || 'noreply@rehabtracker.com'}`,
+        publicKey: env.VAPID_PUBLIC_KEY,
+        privateKey: env.VAPID_PRIVATE_KEY
+      });
+    case 'memory':
+      return new MemoryWebPushProvider();
+    case 'console':
+      return new ConsoleWebPushProvider();
+    case 'none':
+      return new DisabledWebPushProvider();
+    default:
+      throw new Error(`Unknown web push provider: ${type}`);
+  }
+}
+
+/**
+ * Hosts a subscription endpoint may point at, from PUSH_SERVICE_HOSTS
+ * (comma-separated) or the browsers' push services
+ * @param {Object} env - Environment variables
+ * @returns {Array<String>} Lowercased hosts
+ */
+function getPushServiceHosts(env = process.env) {
+  const configured = String(env.PUSH_SERVICE_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_PUSH_SERVICE_HOSTS;
+}
+
+/**
+ * Check that a subscription endpoint is an https URL on a known push
+ * service. The server POSTs to the endpoint on every push, so anything else
+ * would let a client aim those requests at internal hosts.
+ * @param {String} endpoint - Subscription endpoint
+ * @param {Object} env - Environment variables
+ * @returns {Boolean}
+ */
+function isAllowedPushEndpoint(endpoint, env = process.env) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+
+  const hostname = url.hostname.toLowerCase();
+  return getPushServiceHosts(env).some(host => (host.startsWith('.')
+    ? hostname.endsWith(host)
+    : hostname === host));
+}
+
+module.exports = {
+  createWebPushProvider,
+  getPushServiceHosts,
+  isAllowedPushEndpoint,
+  VapidWebPushProvider,
+  ConsoleWebPushProvider,
+  DisabledWebPushProvider,
+  MemoryWebPushProvider
+};
@@ -0,0 +1,330 @@
+const os = require('os');
+
+/**
+ * Job Queue
+ * A MongoDB-backed queue that any number of server instances can share.
+ * A worker leases a job by atomically moving it to running with a
+ * lockedUntil time and keeps the lease alive while the handler runs. A job
+ * whose worker dies becomes claimable again once its lease expires. Failed
+ * jobs are retried with exponential backoff and, once out of attempts, stay
+ * in the dead-letter list (status dead) until retried by hand.
+ *
+ * Recurring jobs are defined as every N minutes or daily at HH:mm (UTC). Each
+ * time slot is inserted once under a unique key, so only one instance runs it.
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = 5 * 1000;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 30 * 1000; // 30s, 1m, 2m, 4m
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_JOBS_PER_TICK = 25;
+
+class JobQueue {
+  /**
+   * @param {Object} options - jobs (the Job model), workerId, pollIntervalMs
+   */
+  constructor(options = {}) {
+    this.jobs = options.jobs;
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.pollIntervalMs = options.pollIntervalMs || Number(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.handlers = new Map();
+    this.recurring = new Map();
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * Register the handler for a job name
+   * @param {String} name - Job name, e.g. notifications.taskReminders
+   * @param {Function} handler - async (payload, job) => result; throw to fail the attempt
+   * @param {Object} options - maxAttempts, leaseMs, backoffMs
+   */
+  register(name, handler, options = {}) {
+    this.handlers.set(name, {
+      handler,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      leaseMs: options.leaseMs || DEFAULT_LEASE_MS,
+      backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS
+    });
+  }
+
+  /**
+   * Run a registered job on a schedule
+   * @param {String} name - Registered job name
+   * @param {Object} schedule - { everyMinutes } or { dailyAt: 'HH:mm' } (UTC)
+   */
+  schedule(name, schedule) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`No handler registered for job: ${name}`);
+    }
+    if (!schedule.everyMinutes && !schedule.dailyAt) {
+      throw new Error('Schedule must set everyMinutes or dailyAt');
+    }
+    this.recurring.set(name, schedule);
+  }
+
+  /**
+   * Add a job to the queue. A job with the same uniqueKey is only added once.
+   * @param {String} name - Registered job name
+   * @param {Object} payload - Handler input (must be storable in MongoDB)
+   * @param {Object} options - runAt, uniqueKey, maxAttempts
+   * @returns {Promise<Object>} The queued job (the existing one for a duplicate uniqueKey)
+   */
+  async enqueue(name, payload = {}, options = {}) {
+    const definition = this.handlers.get(name);
+    const job = {
+      name,
+      payload,
+      runAt: options.runAt || new Date(),
+      maxAttempts: options.maxAttempts || definition?.maxAttempts || DEFAULT_MAX_ATTEMPTS
+    };
+
+    if (!options.uniqueKey) {
+      return this.jobs.create(job);
+    }
+
+    try {
+      return await this.jobs.findOneAndUpdate(
+        { uniqueKey: options.uniqueKey },
+        { $setOnInsert: { ...job, uniqueKey: options.uniqueKey, status: 'queued' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Another instance inserted the same key at the same moment
+      if (error.code === 11000) {
+        return this.jobs.findOne({ uniqueKey: options.uniqueKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a queued job, e.g. when a scheduled notification is dismissed
+   * @param {String} uniqueKey - Job's unique key
+   * @returns {Promise<Boolean>} True if a queued job was cancelled
+   */
+  async cancel(uniqueKey) {
+    const result = await this.jobs.updateOne(
+      { uniqueKey, status: 'queued' },
+      { status: 'cancelled', expiresAt: new Date(Date.now() + RETENTION_MS) }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick();
+    }, this.pollIntervalMs);
+    this.timer.unref();
+    this.tick();
+  }
+
+  /**
+   * Stop polling and wait for the job in progress to finish
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.ticking) await this.ticking;
+  }
+
+  /**
+   * One polling round: queue the current slot of every recurring job, then run due jobs
+   * @returns {Promise<Number>} Number of jobs run
+   */
+  async tick() {
+    // Skip the round if the previous one is still running
+    if (this.ticking) return 0;
+
+    this.ticking = (async () => {
+      try {
+        await this.enqueueRecurring();
+        return await this.processDue();
+      } catch (error) {
+        console.error('Job queue error:', error);
+        return 0;
+      } finally {
+        this.ticking = null;
+      }
+    })();
+
+    return this.ticking;
+  }
+
+  /**
+   * Queue the current time slot of every recurring job
+   * @param {Date} now - Reference time
+   */
+  async enqueueRecurring(now = new Date()) {
+    for (const [name, schedule] of this.recurring) {
+      const slot = this.getCurrentSlot(schedule, now);
+      await this.enqueue(name, {}, {
+        runAt: slot,
+        uniqueKey: `recurring:${name}:${slot.toISOString()}`
+      });
+    }
+  }
+
+  /**
+   * Claim and run due jobs one at a time
+   * @param {Object} options - limit on jobs run in this call
+   * @returns {Promise<Number>} Number of jobs run
+   */
+  async processDue(options = {}) {
+    const limit = options.limit || MAX_JOBS_PER_TICK;
+    let processed = 0;
+
+    while (processed < limit) {
+      const job = await this.claimNext();
+      if (!job) break;
+
+      await this.runJob(job);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Lease the next due job: a queued job whose runAt has passed, or a
+   * running job whose worker let its lease expire
+   * @returns {Promise<Object|null>} Claimed job
+   */
+  async claimNext() {
+    const now = new Date();
+    const names = [...this.handlers.keys()];
+    if (names.length === 0) return null;
+
+    const job = await this.jobs.findOneAndUpdate(
+      {
+        name: { $in: names },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + DEFAULT_LEASE_MS),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+
+    if (job && this.getDefinition(job).leaseMs !== DEFAULT_LEASE_MS) {
+      await this.extendLease(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Job leased by this worker
+   */
+  async runJob(job) {
+    const definition = this.getDefinition(job);
+    const startedAt = Date.now();
+
+    // A job reclaimed after its lease expired may already be out of attempts
+    if (job.attempts > job.maxAttempts) {
+      return this.fail(job, new Error('Lease expired on the final attempt'), definition);
+    }
+
+    const heartbeat = setInterval(() => {
+      this.extendLease(job).catch(error => console.error('Job lease renewal error:', error));
+    }, definition.leaseMs / 2);
+    heartbeat.unref();
+
+    try {
+      const result = await definition.handler(job.payload || {}, job);
+
+      await this.jobs.updateOne(this.ownedBy(job), {
+        $set: {
+          status: 'completed',
+          result,
+          completedAt: new Date(),
+          durationMs: Date.now() - startedAt,
+          expiresAt: new Date(Date.now() + RETENTION_MS)
+        },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      });
+    } catch (error) {
+      await this.fail(job, error, definition, Date.now() - startedAt);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Helper methods
+
+  async fail(job, error, definition, durationMs) {
+    const dead = job.attempts >= job.maxAttempts || error.retryable === false;
+    const failure = {
+      attempt: job.attempts,
+      message: error.message,
+      workerId: this.workerId,
+      failedAt: new Date()
+    };
+
+    const set = dead
+      ? { status: 'dead', deadAt: new Date() }
+      : { status: 'queued', runAt: new Date(Date.now() + definition.backoffMs * Math.pow(2, job.attempts - 1)) };
+
+    await this.jobs.updateOne(this.ownedBy(job), {
+      $set: { ...set, lastError: error.message, durationMs },
+      $unset: { lockedBy: 1, lockedUntil: 1 },
+      $push: { failures: { $each: [failure], $slice: -20 } }
+    });
+
+    if (dead) {
+      console.error(`Job ${job.name} (${job._id}) moved to dead-letter list: ${error.message}`);
+    }
+  }
+
+  async extendLease(job) {
+    const lockedUntil = new Date(Date.now() + this.getDefinition(job).leaseMs);
+    await this.jobs.updateOne(this.ownedBy(job), { lockedUntil });
+    job.lockedUntil = lockedUntil;
+    return job;
+  }
+
+  // Updates only apply while this worker still holds the lease for this attempt
+  ownedBy(job) {
+    return { _id: job._id, lockedBy: this.workerId, attempts: job.attempts };
+  }
+
+  getDefinition(job) {
+    return this.handlers.get(job.name) || {
+      handler: async () => {
+        throw new Error(`No handler registered for job: ${job.name}`);
+      },
+      leaseMs: DEFAULT_LEASE_MS,
+      backoffMs: DEFAULT_BACKOFF_MS
+    };
+  }
+
+  getCurrentSlot(schedule, now) {
+    if (schedule.everyMinutes) {
+      const intervalMs = schedule.everyMinutes * 60 * 1000;
+      return new Date(Math.floor(now.getTime() / intervalMs) * intervalMs);
+    }
+
+    const [hours, minutes] = schedule.dailyAt.split(':').map(Number);
+    const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hours, minutes));
+    if (slot > now) slot.setUTCDate(slot.getUTCDate() - 1);
+    return slot;
+  }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,247 @@
+const jwtUtils = require('../auth/jwtUtils');
+const { hasClinicalAccess } = require('../auth/providerAccess');
+
+/**
+ * Socket Gateway
+ * Authenticates Socket.IO connections with the same access tokens as the
+ * REST API and decides which rooms each socket is in. Every socket joins its
+ * own user room and the care-team room of each patient it may see (from
+ * AccessControlService). Clients cannot join rooms or relay events; real-time
+ * events are emitted by services after a successful write. The only events a
+ * client may send are the ones a service registers with handle() (e.g.
+ * typing indicators), and those handlers check access themselves.
+ * Physiotherapists and doctors whose license is not verified only join their
+ * own rooms and cannot send events until it is (see syncRooms).
+ *
+ * The client passes the token as `auth: { token }` when connecting. The
+ * socket is disconnected when the token expires and must reconnect with a
+ * fresh one, and straight away when its login session is revoked.
+ */
+
+const MAX_TIMER_MS = 2147483647; // setTimeout limit (~24.8 days)
+
+// What the handshake and syncRooms need to know about the user
+const USER_FIELDS = 'role isActive email emailVerified professionalInfo.licenseVerification';
+
+const userRoom = (userId) => `user_${userId}`;
+const patientRoom = (patientId) => `patient_${patientId}`;
+const sessionRoom = (sessionId) => `session_${sessionId}`;
+
+class SocketGateway {
+  /**
+   * @param {Object} io - Socket.IO server
+   * @param {Object} options - users (the User model), accessControl (AccessControlService),
+   *   sessions (SessionService; optional, checks that the token's session is still live)
+   */
+  constructor(io, options = {}) {
+    this.io = io;
+    this.users = options.users;
+    this.accessControl = options.accessControl;
+    this.sessions = options.sessions;
+    this.handlers = new Map();
+  }
+
+  /**
+   * Install the handshake check and connection handler on the server
+   */
+  attach() {
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+  }
+
+  /**
+   * Accept a client event. The handler gets the authenticated user and the
+   * payload; its result (or error message) goes back through the ack callback.
+   * @param {String} event - Event name
+   * @param {Function} handler - async (user, payload) => result; throw to refuse
+   */
+  handle(event, handler) {
+    this.handlers.set(event, handler);
+  }
+
+  /**
+   * Socket.IO middleware that verifies the handshake access token
+   */
+  async authenticate(socket, next) {
+    try {
+      const { auth = {}, headers = {} } = socket.handshake;
+      const token = auth.token || jwtUtils.extractTokenFromHeader(headers.authorization);
+
+      if (!token) {
+        return next(this.authError('No authentication token provided'));
+      }
+
+      const decoded = await jwtUtils.verifyAccessToken(token);
+      const user = await this.users.findById(decoded.userId).select(USER_FIELDS);
+
+      if (!user || !user.isActive) {
+        return next(this.authError('User not found or inactive'));
+      }
+
+      if (decoded.sid && this.sessions && !(await this.sessions.isSessionActive(decoded.sid, decoded.userId))) {
+        return next(this.authError('Session has been revoked'));
+      }
+
+      socket.data.user = { id: user._id.toString(), role: user.role };
+      socket.data.clinicalAccess = hasClinicalAccess(user);
+      socket.data.sessionId = decoded.sid;
+      socket.data.tokenExpiresAt = jwtUtils.getTokenExpiration(decoded);
+      next();
+    } catch (error) {
+      next(this.authError(error.message));
+    }
+  }
+
+  /**
+   * Join the socket to its rooms and refuse anything the client tries to send
+   */
+  async handleConnection(socket) {
+    const { id, role } = socket.data.user;
+
+    socket.onAny((event) => {
+      if (this.handlers.has(event)) return;
+      socket.emit('event-rejected', {
+        event,
+        message: 'Clients cannot join rooms or publish events'
+      });
+    });
+
+    this.handlers.forEach((handler, event) => {
+      socket.on(event, async (payload, ack) => {
+        try {
+          if (!socket.data.clinicalAccess) {
+            throw new Error('Your professional license has not been verified yet');
+          }
+          const data = await handler(socket.data.user, payload || {});
+          if (typeof ack === 'function') ack({ success: true, data });
+        } catch (error) {
+          if (typeof ack === 'function') {
+            ack({ success: false, error: error.message });
+          } else {
+            socket.emit('event-rejected', { event, message: error.message });
+          }
+        }
+      });
+    });
+
+    let expiryTimer = null;
+    if (socket.data.tokenExpiresAt) {
+      const remaining = Math.max(0, socket.data.tokenExpiresAt - Date.now());
+      expiryTimer = setTimeout(() => {
+        socket.emit('session-expired', { message: 'Access token expired' });
+        socket.disconnect(true);
+      }, Math.min(remaining, MAX_TIMER_MS));
+    }
+
+    socket.on('disconnect', () => {
+      if (expiryTimer) clearTimeout(expiryTimer);
+    });
+
+    try {
+      const patientIds = socket.data.clinicalAccess
+        ? await this.accessControl.getAccessiblePatientIds(id)
+        : [];
+      const rooms = [userRoom(id), ...patientIds.map(patientRoom)];
+      if (socket.data.sessionId) {
+        rooms.push(sessionRoom(socket.data.sessionId));
+      }
+      socket.join(rooms);
+      socket.emit('rooms-joined', { userId: id, role, patientCount: patientIds.length });
+    } catch (error) {
+      console.error('Error joining socket rooms:', error);
+      socket.disconnect(true);
+    }
+  }
+
+  /**
+   * Bring a user's connected sockets in line with their current patient
+   * access, e.g. after a care assignment is added or ended, or their license
+   * is verified
+   * @param {String} userId - User whose access changed
+   */
+  async syncRooms(userId) {
+    try {
+      const sockets = await this.io.in(userRoom(userId)).fetchSockets();
+      if (sockets.length === 0) return;
+
+      const user = await this.users.findById(userId).select(USER_FIELDS);
+      const clinicalAccess = Boolean(user && user.isActive && hasClinicalAccess(user));
+      const patientIds = clinicalAccess
+        ? await this.accessControl.getAccessiblePatientIds(userId)
+        : [];
+      const allowed = new Set(patientIds.map(patientRoom));
+
+      sockets.forEach(socket => {
+        socket.data.clinicalAccess = clinicalAccess;
+        [...socket.rooms]
+          .filter(room => room.startsWith('patient_') && !allowed.has(room))
+          .forEach(room => socket.leave(room));
+        socket.join([...allowed]);
+      });
+    } catch (error) {
+      console.error('Error syncing socket rooms:', error);
+    }
+  }
+
+  /**
+   * Disconnect the sockets opened with tokens from revoked sessions
+   * @param {Array} sessionIds - Revoked session IDs
+   */
+  disconnectSessions(sessionIds) {
+    if (sessionIds.length === 0) return;
+
+    const target = this.io.in(sessionIds.map(sessionRoom));
+    target.emit('session-expired', { message: 'Session has been revoked' });
+    target.disconnectSockets(true);
+  }
+
+  /**
+   * Emit an event to every connected socket of a user
+   * @param {String} userId - Recipient user ID
+   * @param {String} event - Event name
+   * @param {Object} payload - Event data
+   */
+  emitToUser(userId, event, payload) {
+    this.io.to(userRoom(userId)).emit(event, payload);
+  }
+
+  /**
+   * Emit an event to several users at once (each socket gets it once)
+   * @param {Array} userIds - Recipient user IDs
+   * @param {String} event - Event name
+   * @param {Object} payload - Event data
+   */
+  emitToUsers(userIds, event, payload) {
+    if (userIds.length === 0) return;
+    this.io.to(userIds.map(userRoom)).emit(event, payload);
+  }
+
+  /**
+   * Emit an event to a patient's care team
+   * @param {String} patientId - Patient whose room receives the event
+   * @param {String} event - Event name
+   * @param {Object} payload - Event data
+   * @param {Object} options - includePatient (default true) also sends it to the patient;
+   *   users adds users outside the care team (each socket still gets the event once)
+   */
+  emitToCareTeam(patientId, event, payload, options = {}) {
+    let target = this.io.to(patientRoom(patientId));
+    (options.users || []).forEach(userId => {
+      target = target.to(userRoom(userId));
+    });
+    if (options.includePatient === false) {
+      target = target.except(userRoom(patientId));
+    }
+    target.emit(event, payload);
+  }
+
+  // Helper methods
+
+  authError(message) {
+    const error = new Error('Authentication failed');
+    error.data = { message };
+    return error;
+  }
+}
+
+module.exports = { SocketGateway, userRoom, patientRoom };
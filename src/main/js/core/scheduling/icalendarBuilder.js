@@ -0,0 +1,442 @@
+const timezoneUtils = require('./timezoneUtils');
+const recurrenceRules = require('./recurrenceRules');
+
+/**
+ * iCalendar Builder for calendar subscription feeds (RFC 5545)
+ * Turns RehabTask schedules into recurring events and appointments into
+ * single events that calendar apps can subscribe to
+ */
+
+const PRODUCT_ID = '-//Rehab Tracker//Patient Schedule//EN';
+const UID_DOMAIN = 'rehab-tracker';
+const DEFAULT_SESSION_MINUTES = 30;
+const MAX_LINE_OCTETS = 75;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const TIMEZONE_YEARS_AHEAD = 5;
+const MINUTE_MS = 60 * 1000;
+// Offset changes are looked for a week at a time; no zone changes twice in a week
+const TRANSITION_SCAN_MS = 7 * 24 * 60 * MINUTE_MS;
+// URL values are not escaped, so only printable ASCII http(s) links are written
+const WEB_URL_PATTERN = /^https?:\/\/[!-~]+$/i;
+
+class ICalendarBuilder {
+  constructor() {
+    // VTIMEZONE lines by TZID and year range; working them out takes many Intl calls
+    this.timezoneCache = new Map();
+  }
+
+  /**
+   * Build a complete calendar
+   * @param {Object} options - name, timezone, events (from taskToEvents / appointmentToEvent)
+   * @returns {String} iCalendar document with CRLF line endings
+   */
+  buildCalendar({ name, timezone, events }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      `X-WR-TIMEZONE:${timezone}`,
+      // Ask subscribing apps to refresh regularly so therapist changes show up
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    // Every TZID used by an event needs a VTIMEZONE (RFC 5545 section 3.6.5)
+    const firstDates = new Map();
+    events.filter(event => event.start.timezone).forEach(event => {
+      const current = firstDates.get(event.start.timezone);
+      if (!current || event.start.localDate < current) {
+        firstDates.set(event.start.timezone, event.start.localDate);
+      }
+    });
+    firstDates.forEach((firstDate, tzid) => {
+      lines.push(...this.buildTimezone(tzid, firstDate));
+    });
+
+    events.forEach(event => {
+      lines.push(...this.buildEvent(event));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Convert a task into recurring events, one per daily session time
+   * @param {Object} task - RehabTask document
+   * @param {String} timezone - Patient's IANA timezone
+   * @returns {Array<Object>} Event definitions
+   */
+  taskToEvents(task, timezone) {
+    const schedule = task.schedule;
+    const startDate = timezoneUtils.toLocalDateString(schedule.startDate, timezone);
+    const times = recurrenceRules.getSessionTimes(schedule.customSchedule);
+    const firstDate = this.findFirstSessionDate(schedule, startDate);
+
+    if (!firstDate) return [];
+
+    const description = [
+      task.description,
+      task.instructions?.length
+        ? task.instructions.map(i => `${i.step}. ${i.instruction}`).join('\n')
+        : null,
+      task.assignedBy?.firstName
+        ? `Assigned by ${task.assignedBy.firstName} ${task.assignedBy.lastName}`
+        : null
+    ].filter(Boolean).join('\n\n');
+
+    return times.map((time, slot) => ({
+      uid: `task-${task._id}-${slot}@${UID_DOMAIN}`,
+      summary: task.title,
+      description,
+      categories: ['Exercise', task.category],
+      start: { localDate: firstDate, localTime: time, timezone },
+      durationMinutes: this.getSessionMinutes(task.parameters?.duration),
+      rrule: this.buildRecurrenceRule(schedule, startDate, timezone, { slot, slotsPerDay: times.length }),
+      lastModified: task.updatedAt
+    }));
+  }
+
+  /**
+   * Convert an appointment into a single event
+   * @param {Object} appointment - Appointment document with provider populated
+   * @returns {Object} Event definition
+   */
+  appointmentToEvent(appointment) {
+    const provider = appointment.provider?.firstName
+      ? `${appointment.provider.firstName} ${appointment.provider.lastName}`
+      : null;
+    const type = appointment.appointmentType.replace(/_/g, ' ');
+    const joinUrl = this.isWebUrl(appointment.location?.telehealthUrl) ? appointment.location.telehealthUrl : null;
+
+    return {
+      uid: `appointment-${appointment._id}@${UID_DOMAIN}`,
+      summary: provider ? `Appointment with ${provider}` : `Appointment (${type})`,
+      description: [
+        `Type: ${type}`,
+        appointment.reason ? `Reason: ${appointment.reason}` : null,
+        joinUrl ? `Join: ${joinUrl}` : null
+      ].filter(Boolean).join('\n'),
+      location: this.formatLocation(appointment.location),
+      url: joinUrl,
+      categories: ['Appointment'],
+      start: { utc: appointment.startTime },
+      end: { utc: appointment.endTime },
+      status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      lastModified: appointment.updatedAt
+    };
+  }
+
+  /**
+   * Build an RRULE from a task schedule
+   * @param {Object} schedule - RehabTask schedule
+   * @param {String} startDate - Schedule start in YYYY-MM-DD (patient local)
+   * @param {String} timezone - Patient's IANA timezone
+   * @param {Object} options - slot and slotsPerDay, used to split totalSessions across daily times
+   * @returns {String} RRULE value without the "RRULE:" prefix
+   */
+  buildRecurrenceRule(schedule, startDate, timezone, options = {}) {
+    const daysOfWeek = schedule.customSchedule?.daysOfWeek || [];
+    const byDay = (daysOfWeek.length > 0 ? [...new Set(daysOfWeek)].sort() : [timezoneUtils.getDayOfWeek(startDate)])
+      .map(day => WEEKDAYS[day])
+      .join(',');
+
+    const parts = [];
+
+    switch (schedule.frequency) {
+      case 'daily':
+        parts.push('FREQ=DAILY');
+        break;
+      case 'every_other_day':
+        parts.push('FREQ=DAILY', 'INTERVAL=2');
+        break;
+      case 'weekly':
+        parts.push('FREQ=WEEKLY', `BYDAY=${byDay}`);
+        break;
+      case 'bi_weekly':
+        // Weeks count from the start date, matching the session engine
+        parts.push('FREQ=WEEKLY', 'INTERVAL=2', `BYDAY=${byDay}`, `WKST=${WEEKDAYS[timezoneUtils.getDayOfWeek(startDate)]}`);
+        break;
+      case 'custom':
+        parts.push(...(daysOfWeek.length > 0 ? ['FREQ=WEEKLY', `BYDAY=${byDay}`] : ['FREQ=DAILY']));
+        break;
+      default:
+        parts.push('FREQ=DAILY');
+    }
+
+    if (schedule.totalSessions) {
+      // Sessions are numbered day by day, so earlier slots get any remainder
+      const slotsPerDay = options.slotsPerDay || 1;
+      parts.push(`COUNT=${Math.max(1, Math.ceil((schedule.totalSessions - (options.slot || 0)) / slotsPerDay))}`);
+    } else if (schedule.endDate) {
+      // UNTIL must be in UTC when DTSTART carries a TZID
+      const lastDate = timezoneUtils.toLocalDateString(schedule.endDate, timezone);
+      const until = timezoneUtils.zonedTimeToUtc(timezoneUtils.addDays(lastDate, 1), '00:00', timezone);
+      parts.push(`UNTIL=${this.formatUtc(new Date(until.getTime() - 1000))}`);
+    }
+
+    return parts.join(';');
+  }
+
+  /**
+   * Build the VTIMEZONE component for a TZID. Offset changes come from Intl,
+   * from the year before the first event to a few years ahead. A change that
+   * falls on the same weekday rule every year becomes an RRULE, so calendar
+   * apps keep applying it past that window; anything else is listed as RDATEs.
+   * @param {String} timezone - IANA timezone
+   * @param {String} firstDate - Earliest local date (YYYY-MM-DD) an event uses
+   * @returns {Array<String>} VTIMEZONE lines
+   */
+  buildTimezone(timezone, firstDate) {
+    const firstYear = Number(firstDate.slice(0, 4)) - 1;
+    const lastYear = Math.max(firstYear + 1, new Date().getUTCFullYear()) + TIMEZONE_YEARS_AHEAD;
+    const cacheKey = `${timezone}:${firstYear}:${lastYear}`;
+    if (this.timezoneCache.has(cacheKey)) {
+      return this.timezoneCache.get(cacheKey);
+    }
+
+    const transitions = this.findOffsetTransitions(timezone, firstYear, lastYear);
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+
+    if (transitions.length === 0) {
+      const offset = this.formatOffset(timezoneUtils.getOffsetMinutes(new Date(Date.UTC(firstYear, 0, 1)), timezone));
+      lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+    }
+
+    this.groupTransitions(transitions).forEach(group => {
+      const type = group.offsetTo > group.offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+      const starts = group.transitions.map(transition => this.formatLocalInstant(transition.at, transition.offsetFrom));
+      const rrule = this.findYearlyRule(group.transitions, lastYear);
+
+      lines.push(
+        `BEGIN:${type}`,
+        `DTSTART:${starts[0]}`,
+        `TZOFFSETFROM:${this.formatOffset(group.offsetFrom)}`,
+        `TZOFFSETTO:${this.formatOffset(group.offsetTo)}`
+      );
+      if (rrule) {
+        lines.push(`RRULE:${rrule}`);
+      } else if (starts.length > 1) {
+        lines.push(`RDATE:${starts.slice(1).join(',')}`);
+      }
+      lines.push(`END:${type}`);
+    });
+
+    lines.push('END:VTIMEZONE');
+    this.timezoneCache.set(cacheKey, lines);
+    return lines;
+  }
+
+  // Helper methods
+
+  buildEvent(event) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${this.formatUtc(new Date())}`
+    ];
+
+    if (event.start.utc) {
+      lines.push(`DTSTART:${this.formatUtc(event.start.utc)}`);
+      lines.push(`DTEND:${this.formatUtc(event.end.utc)}`);
+    } else {
+      lines.push(`DTSTART;TZID=${event.start.timezone}:${this.formatLocal(event.start.localDate, event.start.localTime)}`);
+      lines.push(`DURATION:PT${event.durationMinutes}M`);
+    }
+
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+
+    lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+
+    if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    if (this.isWebUrl(event.url)) lines.push(`URL:${event.url}`);
+    if (event.categories) lines.push(`CATEGORIES:${event.categories.filter(Boolean).map(c => this.escapeText(c)).join(',')}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${this.formatUtc(event.lastModified)}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  findFirstSessionDate(schedule, startDate) {
+    // DTSTART must itself be an occurrence, so start on the first session day
+    for (let localDate = startDate, day = 0; day < 14; localDate = timezoneUtils.addDays(localDate, 1), day++) {
+      if (recurrenceRules.isSessionDay(schedule, localDate, startDate)) {
+        return localDate;
+      }
+    }
+    return null;
+  }
+
+  getSessionMinutes(duration) {
+    if (!duration?.value) return DEFAULT_SESSION_MINUTES;
+
+    switch (duration.unit) {
+      case 'seconds':
+        return Math.max(1, Math.ceil(duration.value / 60));
+      case 'hours':
+        return Math.round(duration.value * 60);
+      default:
+        return Math.round(duration.value);
+    }
+  }
+
+  formatLocation(location = {}) {
+    if (location.type === 'telehealth') return 'Telehealth';
+
+    const address = location.address || {};
+    return [
+      location.clinicName,
+      location.room,
+      address.street,
+      address.city,
+      address.state,
+      address.postalCode,
+      address.country
+    ].filter(Boolean).join(', ');
+  }
+
+  findOffsetTransitions(timezone, firstYear, lastYear) {
+    const offsetAt = time => timezoneUtils.getOffsetMinutes(new Date(time), timezone);
+    const transitions = [];
+    const end = Date.UTC(lastYear + 1, 0, 1);
+    let time = Date.UTC(firstYear, 0, 1);
+    let offset = offsetAt(time);
+
+    while (time < end) {
+      const next = time + TRANSITION_SCAN_MS;
+      const nextOffset = offsetAt(next);
+
+      if (nextOffset !== offset) {
+        // Narrow the change down to the minute
+        let low = time;
+        let high = next;
+        while (high - low > MINUTE_MS) {
+          const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+          if (offsetAt(middle) === offset) {
+            low = middle;
+          } else {
+            high = middle;
+          }
+        }
+        transitions.push({ at: new Date(high), offsetFrom: offset, offsetTo: nextOffset });
+        offset = nextOffset;
+      }
+
+      time = next;
+    }
+
+    return transitions;
+  }
+
+  groupTransitions(transitions) {
+    const groups = new Map();
+
+    transitions.forEach(transition => {
+      const key = `${transition.offsetFrom}/${transition.offsetTo}`;
+      if (!groups.has(key)) {
+        groups.set(key, { offsetFrom: transition.offsetFrom, offsetTo: transition.offsetTo, transitions: [] });
+      }
+      groups.get(key).transitions.push(transition);
+    });
+
+    return [...groups.values()];
+  }
+
+  findYearlyRule(transitions, lastYear) {
+    // Wall-clock time of each change, before it happens
+    const changes = transitions.map(transition => {
+      const local = new Date(transition.at.getTime() + transition.offsetFrom * MINUTE_MS);
+      const day = local.getUTCDate();
+      const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+
+      return {
+        year: local.getUTCFullYear(),
+        month: local.getUTCMonth() + 1,
+        weekday: local.getUTCDay(),
+        time: local.getUTCHours() * 60 + local.getUTCMinutes(),
+        nth: Math.ceil(day / 7),
+        isLast: day + 7 > daysInMonth
+      };
+    });
+
+    // Only once a year, every year up to the end of the window
+    const first = changes[0];
+    const yearly = changes.length > 1 &&
+      changes.every((change, index) => change.year === first.year + index) &&
+      changes[changes.length - 1].year === lastYear;
+    const sameDay = changes.every(change =>
+      change.month === first.month && change.weekday === first.weekday && change.time === first.time
+    );
+    if (!yearly || !sameDay) return null;
+
+    let position = null;
+    if (changes.every(change => change.nth === first.nth)) {
+      position = first.nth;
+    } else if (changes.every(change => change.isLast)) {
+      position = -1;
+    }
+
+    return position === null
+      ? null
+      : `FREQ=YEARLY;BYMONTH=${first.month};BYDAY=${position}${WEEKDAYS[first.weekday]}`;
+  }
+
+  formatLocalInstant(date, offsetMinutes) {
+    return this.formatUtc(new Date(date.getTime() + offsetMinutes * MINUTE_MS)).replace('Z', '');
+  }
+
+  formatOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const minutes = Math.abs(offsetMinutes);
+    return `${sign}${timezoneUtils.pad(Math.floor(minutes / 60))}${timezoneUtils.pad(minutes % 60)}`;
+  }
+
+  formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  formatLocal(localDate, localTime) {
+    return `${localDate.replace(/-/g, '')}T${localTime.replace(':', '')}00`;
+  }
+
+  isWebUrl(url) {
+    return typeof url === 'string' && WEB_URL_PATTERN.test(url);
+  }
+
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  foldLine(line) {
+    // Lines longer than 75 octets continue on the next line after a space
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (Buffer.byteLength(current + char) > limit) {
+        chunks.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+  }
+}
+
+module.exports = new ICalendarBuilder();
@@ -0,0 +1,125 @@
+const timezoneUtils = require('./timezoneUtils');
+
+/**
+ * Recurrence Rules for RehabTask schedules
+ * Expands a task's frequency and custom schedule into concrete session
+ * occurrences on the patient's local calendar
+ */
+
+const DEFAULT_FIRST_SESSION = '09:00';
+const DEFAULT_LAST_SESSION = '21:00';
+const MAX_EXPANSION_DAYS = 3660;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class RecurrenceRules {
+  /**
+   * Get the local session times for each session day
+   * @param {Object} customSchedule - timesPerDay and optional specificTimes
+   * @returns {Array<String>} Times in HH:mm format, earliest first
+   */
+  getSessionTimes(customSchedule = {}) {
+    const specificTimes = (customSchedule.specificTimes || []).filter(time => TIME_PATTERN.test(time));
+    if (specificTimes.length > 0) {
+      return [...new Set(specificTimes)].sort();
+    }
+
+    // Spread sessions evenly across the day when no times are given
+    const timesPerDay = Math.max(1, customSchedule.timesPerDay || 1);
+    if (timesPerDay === 1) {
+      return [DEFAULT_FIRST_SESSION];
+    }
+
+    const first = timezoneUtils.timeToMinutes(DEFAULT_FIRST_SESSION);
+    const span = timezoneUtils.timeToMinutes(DEFAULT_LAST_SESSION) - first;
+
+    return Array.from({ length: timesPerDay }, (_, i) => {
+      const minutes = first + Math.round((span * i) / (timesPerDay - 1));
+      return `${timezoneUtils.pad(Math.floor(minutes / 60))}:${timezoneUtils.pad(minutes % 60)}`;
+    });
+  }
+
+  /**
+   * Check whether a local date is a session day for a schedule
+   * @param {Object} schedule - RehabTask schedule
+   * @param {String} localDate - Date in YYYY-MM-DD format
+   * @param {String} startDate - Schedule start date in YYYY-MM-DD format
+   * @returns {Boolean} True if sessions fall on this date
+   */
+  isSessionDay(schedule, localDate, startDate) {
+    const daysSinceStart = timezoneUtils.daysBetween(startDate, localDate);
+    if (daysSinceStart < 0) return false;
+
+    const daysOfWeek = schedule.customSchedule?.daysOfWeek || [];
+    const dayOfWeek = timezoneUtils.getDayOfWeek(localDate);
+    const onWeekday = daysOfWeek.length > 0
+      ? daysOfWeek.includes(dayOfWeek)
+      : dayOfWeek === timezoneUtils.getDayOfWeek(startDate);
+
+    switch (schedule.frequency) {
+      case 'daily':
+        return true;
+      case 'every_other_day':
+        return daysSinceStart % 2 === 0;
+      case 'weekly':
+        return onWeekday;
+      case 'bi_weekly':
+        return Math.floor(daysSinceStart / 7) % 2 === 0 && onWeekday;
+      case 'custom':
+        return daysOfWeek.length > 0 ? daysOfWeek.includes(dayOfWeek) : true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Expand a schedule into session occurrences up to a date
+   * @param {Object} schedule - RehabTask schedule
+   * @param {String} timezone - Patient's IANA timezone
+   * @param {Date} until - Last instant to expand to
+   * @returns {Array<Object>} { localDate, localTime, slot, occurrenceNumber, scheduledFor, dueBy }
+   */
+  expand(schedule, timezone, until) {
+    const startDate = timezoneUtils.toLocalDateString(schedule.startDate, timezone);
+    const untilDate = timezoneUtils.toLocalDateString(until, timezone);
+    const endDate = schedule.endDate
+      ? timezoneUtils.toLocalDateString(schedule.endDate, timezone)
+      : null;
+    const lastDate = endDate && endDate < untilDate ? endDate : untilDate;
+
+    const times = this.getSessionTimes(schedule.customSchedule);
+    const totalSessions = schedule.totalSessions || null;
+    const occurrences = [];
+    let occurrenceNumber = 0;
+
+    for (
+      let localDate = startDate, day = 0;
+      localDate <= lastDate && day < MAX_EXPANSION_DAYS;
+      localDate = timezoneUtils.addDays(localDate, 1), day++
+    ) {
+      if (!this.isSessionDay(schedule, localDate, startDate)) continue;
+
+      // Sessions are due by the end of the patient's local day
+      const dueBy = timezoneUtils.zonedTimeToUtc(timezoneUtils.addDays(localDate, 1), '00:00', timezone);
+
+      for (let slot = 0; slot < times.length; slot++) {
+        occurrenceNumber++;
+        if (totalSessions && occurrenceNumber > totalSessions) {
+          return occurrences;
+        }
+
+        occurrences.push({
+          localDate,
+          localTime: times[slot],
+          slot,
+          occurrenceNumber,
+          scheduledFor: timezoneUtils.zonedTimeToUtc(localDate, times[slot], timezone),
+          dueBy
+        });
+      }
+    }
+
+    return occurrences;
+  }
+}
+
+module.exports = new RecurrenceRules();
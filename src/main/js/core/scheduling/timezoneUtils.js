@@ -0,0 +1,199 @@
+/**
+ * Timezone Utilities for converting between wall-clock times and UTC
+ * Uses the built-in Intl API so any IANA timezone identifier is supported
+ */
+
+class TimezoneUtils {
+  constructor() {
+    this.formatters = new Map();
+  }
+
+  /**
+   * Check whether a timezone identifier is valid
+   * @param {String} timezone - IANA timezone (e.g. 'Europe/London')
+   * @returns {Boolean} True if the timezone can be used
+   */
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return false;
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve a timezone, falling back to UTC when it is missing or invalid
+   * @param {String} timezone - IANA timezone
+   * @returns {String} Usable timezone identifier
+   */
+  resolveTimezone(timezone) {
+    return this.isValidTimezone(timezone) ? timezone : 'UTC';
+  }
+
+  /**
+   * Get wall-clock parts of an instant in a timezone
+   * @param {Date} date - Instant
+   * @param {String} timezone - IANA timezone
+   * @returns {Object} { year, month, day, hour, minute, second, dayOfWeek }
+   */
+  getZonedParts(date, timezone) {
+    const formatter = this.getFormatter(this.resolveTimezone(timezone));
+    const parts = {};
+
+    formatter.formatToParts(new Date(date)).forEach(part => {
+      if (part.type !== 'literal') {
+        parts[part.type] = part.value;
+      }
+    });
+
+    const year = parseInt(parts.year);
+    const month = parseInt(parts.month);
+    const day = parseInt(parts.day);
+
+    return {
+      year,
+      month,
+      day,
+      // Some engines format midnight as hour 24
+      hour: parseInt(parts.hour) % 24,
+      minute: parseInt(parts.minute),
+      second: parseInt(parts.second),
+      dayOfWeek: new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+    };
+  }
+
+  /**
+   * Get the offset of a timezone from UTC at a given instant
+   * @param {Date} date - Instant
+   * @param {String} timezone - IANA timezone
+   * @returns {Number} Offset in minutes (positive east of UTC)
+   */
+  getOffsetMinutes(date, timezone) {
+    const instant = new Date(date);
+    const parts = this.getZonedParts(instant, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const truncated = instant.getTime() - instant.getMilliseconds();
+
+    return Math.round((asUtc - truncated) / (60 * 1000));
+  }
+
+  /**
+   * Convert a local date and time in a timezone to a UTC instant
+   * @param {String} dateString - Local date in YYYY-MM-DD format
+   * @param {String} timeString - Local time in HH:mm format
+   * @param {String} timezone - IANA timezone
+   * @returns {Date} UTC instant
+   */
+  zonedTimeToUtc(dateString, timeString, timezone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hour, minute] = timeString.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Apply the offset twice so times next to a DST transition resolve correctly
+    let offset = this.getOffsetMinutes(new Date(wallClock), timezone);
+    let result = wallClock - offset * 60 * 1000;
+    const correctedOffset = this.getOffsetMinutes(new Date(result), timezone);
+
+    if (correctedOffset !== offset) {
+      offset = correctedOffset;
+      result = wallClock - offset * 60 * 1000;
+    }
+
+    return new Date(result);
+  }
+
+  /**
+   * Get the local calendar date of an instant in a timezone
+   * @param {Date} date - Instant
+   * @param {String} timezone - IANA timezone
+   * @returns {String} Date in YYYY-MM-DD format
+   */
+  toLocalDateString(date, timezone) {
+    const { year, month, day } = this.getZonedParts(date, timezone);
+    return `${year}-${this.pad(month)}-${this.pad(day)}`;
+  }
+
+  /**
+   * Get the local wall-clock time of an instant in a timezone
+   * @param {Date} date - Instant
+   * @param {String} timezone - IANA timezone
+   * @returns {String} Time in HH:mm format
+   */
+  toLocalTimeString(date, timezone) {
+    const { hour, minute } = this.getZonedParts(date, timezone);
+    return `${this.pad(hour)}:${this.pad(minute)}`;
+  }
+
+  /**
+   * Get the day of week for a calendar date
+   * @param {String} dateString - Date in YYYY-MM-DD format
+   * @returns {Number} 0 (Sunday) to 6 (Saturday)
+   */
+  getDayOfWeek(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+
+  /**
+   * Add days to a calendar date
+   * @param {String} dateString - Date in YYYY-MM-DD format
+   * @param {Number} days - Number of days to add
+   * @returns {String} Date in YYYY-MM-DD format
+   */
+  addDays(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return `${date.getUTCFullYear()}-${this.pad(date.getUTCMonth() + 1)}-${this.pad(date.getUTCDate())}`;
+  }
+
+  /**
+   * Count calendar days between two dates
+   * @param {String} fromDate - Date in YYYY-MM-DD format
+   * @param {String} toDate - Date in YYYY-MM-DD format
+   * @returns {Number} Days from fromDate to toDate (negative if toDate is earlier)
+   */
+  daysBetween(fromDate, toDate) {
+    const [fromYear, fromMonth, fromDay] = fromDate.split('-').map(Number);
+    const [toYear, toMonth, toDay] = toDate.split('-').map(Number);
+    const diff = Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay);
+    return Math.round(diff / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Convert HH:mm to minutes since midnight
+   * @param {String} timeString - Time in HH:mm format
+   * @returns {Number} Minutes since midnight
+   */
+  timeToMinutes(timeString) {
+    const [hour, minute] = timeString.split(':').map(Number);
+    return hour * 60 + minute;
+  }
+
+  getFormatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+
+    return this.formatters.get(timezone);
+  }
+
+  pad(value) {
+    return String(value).padStart(2, '0');
+  }
+}
+
+module.exports = new TimezoneUtils();
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Account Token Schema for emailed links
+ * Email verification and password reset links carry a random token; only its
+ * SHA-256 hash is stored. A token works once, until it expires, and is
+ * invalidated when a newer link of the same kind is sent or the password changes.
+ */
+const accountTokenSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  email: {
+    type: String, // address the link was sent to
+    required: true,
+    lowercase: true
+  },
+
+  // Token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Lifetime
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  invalidatedAt: Date,
+  invalidatedReason: {
+    type: String,
+    enum: ['superseded', 'password_changed']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// Virtual for whether the link can still be used
+accountTokenSchema.virtual('isUsable').get(function() {
+  return !this.usedAt && !this.invalidatedAt && this.expiresAt > new Date();
+});
+
+// Indexes for performance
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
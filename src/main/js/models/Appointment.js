@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+
+/**
+ * Appointment Schema for clinic and telehealth visits
+ * Booked between a patient and one of their assigned providers
+ */
+const appointmentSchema = new mongoose.Schema({
+  // Participants
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient reference is required']
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Provider reference is required']
+  },
+  providerRole: {
+    type: String,
+    required: [true, 'Provider role is required'],
+    enum: {
+      values: ['physiotherapist', 'doctor'],
+      message: 'Provider role must be either physiotherapist or doctor'
+    }
+  },
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Booking user is required']
+  },
+
+  // Appointment Details
+  appointmentType: {
+    type: String,
+    required: [true, 'Appointment type is required'],
+    enum: {
+      values: [
+        'initial_assessment',
+        'follow_up',
+        'treatment_session',
+        'post_op_review',
+        'consultation',
+        'other'
+      ],
+      message: 'Invalid appointment type'
+    },
+    default: 'follow_up'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  // Location (clinic visit or telehealth call)
+  location: {
+    type: {
+      type: String,
+      enum: ['clinic', 'telehealth'],
+      required: [true, 'Location type is required'],
+      default: 'clinic'
+    },
+    clinicName: {
+      type: String,
+      trim: true
+    },
+    room: {
+      type: String,
+      trim: true
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String
+    },
+    telehealthUrl: {
+      type: String,
+      trim: true,
+      // Printable ASCII only; the link is copied into calendar feeds
+      match: [/^https?:\/\/[!-~]+$/i, 'Telehealth link must be an http or https URL']
+    }
+  },
+
+  // Scheduling
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(v) {
+        return v > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+
+  // Status and Lifecycle
+  status: {
+    type: String,
+    enum: ['scheduled', 'confirmed', 'completed', 'cancelled', 'no_show'],
+    default: 'scheduled'
+  },
+  cancellation: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+  noShow: {
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    markedAt: Date
+  },
+  completedAt: Date,
+  rescheduleHistory: [{
+    previousStartTime: Date,
+    previousEndTime: Date,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
+
+  // Reminders
+  reminders: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    sentAt: Date
+  },
+
+  // Notes
+  notes: {
+    patientNotes: {
+      type: String,
+      maxlength: [1000, 'Patient notes cannot exceed 1000 characters']
+    },
+    providerNotes: {
+      type: String,
+      maxlength: [1000, 'Provider notes cannot exceed 1000 characters']
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for duration in minutes
+appointmentSchema.virtual('durationMinutes').get(function() {
+  if (!this.startTime || !this.endTime) return null;
+  return Math.round((this.endTime - this.startTime) / (1000 * 60));
+});
+
+// Virtual for upcoming status
+appointmentSchema.virtual('isUpcoming').get(function() {
+  return ['scheduled', 'confirmed'].includes(this.status) && this.startTime > new Date();
+});
+
+// Pre-save middleware
+appointmentSchema.pre('save', function(next) {
+  // Telehealth appointments need a link, clinic appointments do not
+  if (this.location.type === 'clinic') {
+    this.location.telehealthUrl = undefined;
+  }
+
+  next();
+});
+
+// Instance method to cancel appointment
+appointmentSchema.methods.cancel = function(userId, reason) {
+  this.status = 'cancelled';
+  this.cancellation = {
+    reason,
+    cancelledBy: userId,
+    cancelledAt: new Date()
+  };
+  return this.save();
+};
+
+// Instance method to move appointment to a new time slot
+appointmentSchema.methods.reschedule = function(startTime, endTime, userId, reason) {
+  this.rescheduleHistory.push({
+    previousStartTime: this.startTime,
+    previousEndTime: this.endTime,
+    rescheduledBy: userId,
+    rescheduledAt: new Date(),
+    reason
+  });
+
+  this.startTime = startTime;
+  this.endTime = endTime;
+  this.status = 'scheduled';
+  this.reminders.sentAt = undefined;
+  return this.save();
+};
+
+// Instance method to mark patient as not attending
+appointmentSchema.methods.markNoShow = function(userId) {
+  this.status = 'no_show';
+  this.noShow = {
+    markedBy: userId,
+    markedAt: new Date()
+  };
+  return this.save();
+};
+
+// Instance method to mark appointment as completed
+appointmentSchema.methods.markCompleted = function() {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Static method to find upcoming appointments for a patient
+appointmentSchema.statics.findUpcomingForPatient = function(patientId, limit = 20) {
+  return this.find({
+    patient: patientId,
+    status: { $in: ['scheduled', 'confirmed'] },
+    startTime: { $gte: new Date() }
+  })
+    .populate('provider', 'firstName lastName role')
+    .sort({ startTime: 1 })
+    .limit(limit);
+};
+
+// Static method to find upcoming appointments for a provider
+appointmentSchema.statics.findUpcomingForProvider = function(providerId, limit = 50) {
+  return this.find({
+    provider: providerId,
+    status: { $in: ['scheduled', 'confirmed'] },
+    startTime: { $gte: new Date() }
+  })
+    .populate('patient', 'firstName lastName email')
+    .sort({ startTime: 1 })
+    .limit(limit);
+};
+
+// Static method to find active appointments overlapping a time range
+appointmentSchema.statics.findOverlapping = function(providerId, startTime, endTime, excludeId = null) {
+  const query = {
+    provider: providerId,
+    status: { $in: ['scheduled', 'confirmed'] },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query);
+};
+
+// Indexes for performance
+appointmentSchema.index({ patient: 1, startTime: -1 });
+appointmentSchema.index({ provider: 1, startTime: 1 });
+appointmentSchema.index({ status: 1, startTime: 1 });
+appointmentSchema.index({ 'reminders.sentAt': 1, startTime: 1 });
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+/**
+ * Care Assignment Schema for patient-provider relationship history
+ * One record per care relationship, from assignment until it ends.
+ * The active set mirrors User.assignedProviders / User.assignedPatients.
+ */
+const careAssignmentSchema = new mongoose.Schema({
+  // Relationship
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient reference is required']
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Provider reference is required']
+  },
+  providerRole: {
+    type: String,
+    required: [true, 'Provider role is required'],
+    enum: {
+      values: ['physiotherapist', 'doctor'],
+      message: 'Provider role must be either physiotherapist or doctor'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+
+  // Start of Care
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  startType: {
+    type: String,
+    enum: ['assigned', 'transfer', 'referral', 'legacy'],
+    default: 'assigned'
+  },
+  startReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  transferredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // End of Care
+  endDate: Date,
+  endType: {
+    type: String,
+    enum: ['unassigned', 'transferred', 'discharged']
+  },
+  endReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  transferredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for length of care in days
+careAssignmentSchema.virtual('durationDays').get(function() {
+  if (!this.startDate) return null;
+  const end = this.endDate || new Date();
+  return Math.floor((end - this.startDate) / (1000 * 60 * 60 * 24));
+});
+
+// Instance method to end the care relationship
+careAssignmentSchema.methods.end = function(userId, endType, reason, transferredTo = null) {
+  this.status = 'ended';
+  this.endDate = new Date();
+  this.endType = endType;
+  this.endReason = reason;
+  this.endedBy = userId;
+  if (transferredTo) {
+    this.transferredTo = transferredTo;
+  }
+  return this.save();
+};
+
+// Static method to find the active relationship between a patient and provider
+careAssignmentSchema.statics.findActive = function(patientId, providerId) {
+  return this.findOne({
+    patient: patientId,
+    provider: providerId,
+    status: 'active'
+  });
+};
+
+// Static method to get history for a patient
+careAssignmentSchema.statics.findByPatient = function(patientId) {
+  return this.find({ patient: patientId })
+    .populate('provider', 'firstName lastName role')
+    .populate('assignedBy', 'firstName lastName role')
+    .populate('endedBy', 'firstName lastName role')
+    .populate('transferredFrom', 'firstName lastName role')
+    .populate('transferredTo', 'firstName lastName role')
+    .sort({ startDate: -1 });
+};
+
+// Indexes for performance
+careAssignmentSchema.index({ patient: 1, startDate: -1 });
+careAssignmentSchema.index({ provider: 1, status: 1 });
+careAssignmentSchema.index({ patient: 1, provider: 1, status: 1 });
+
+module.exports = mongoose.model('CareAssignment', careAssignmentSchema);
@@ -179,6 +179,10 @@ const commentSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredFile' // set when the attachment was uploaded through /api/files
+    },
     size: Number, // in bytes
     uploadedAt: {
       type: Date,
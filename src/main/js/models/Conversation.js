@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Conversation Schema for direct messaging between a patient and their care team
+ * A direct conversation is between the patient and one provider; a care_team
+ * conversation includes the patient and every provider assigned to them.
+ */
+const conversationSchema = new mongoose.Schema({
+  // Conversation Details
+  type: {
+    type: String,
+    required: [true, 'Conversation type is required'],
+    enum: {
+      values: ['direct', 'care_team'],
+      message: 'Conversation type must be direct or care_team'
+    }
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient reference is required']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  directKey: {
+    type: String // sorted participant IDs, so each pair has one direct conversation
+  },
+
+  // Participants
+  participants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['patient', 'physiotherapist', 'doctor']
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastReadAt: Date
+  }],
+
+  // Latest Activity
+  lastMessage: {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    preview: String,
+    sentAt: Date
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Instance method to find a user's participant entry
+conversationSchema.methods.getParticipant = function(userId) {
+  const id = (userId._id || userId).toString();
+  return this.participants.find(p => (p.user._id || p.user).toString() === id);
+};
+
+// Instance method to list participant user IDs as strings
+conversationSchema.methods.getParticipantIds = function() {
+  return this.participants.map(p => (p.user._id || p.user).toString());
+};
+
+// Static method to build the key for a direct conversation between two users
+conversationSchema.statics.buildDirectKey = function(userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(':');
+};
+
+// Indexes for performance
+conversationSchema.index({ 'participants.user': 1, 'lastMessage.sentAt': -1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+conversationSchema.index(
+  { patient: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'care_team' } }
+);
+
+module.exports = mongoose.model('Conversation', conversationSchema);
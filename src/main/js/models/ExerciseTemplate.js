@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExerciseTemplate Schema for the reusable exercise library
+ * Carries the RehabTask fields a therapist would otherwise re-type for every patient.
+ * Personal templates are visible to their owner, clinic templates to every
+ * therapist with the same professionalInfo.institution.
+ */
+const exerciseTemplateSchema = new mongoose.Schema({
+  // Basic Template Information
+  title: {
+    type: String,
+    required: [true, 'Template title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Template description is required'],
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Template category is required'],
+    enum: {
+      values: [
+        'strength_training',
+        'flexibility',
+        'balance',
+        'cardio',
+        'range_of_motion',
+        'pain_management',
+        'posture',
+        'functional_movement',
+        'other'
+      ],
+      message: 'Invalid template category'
+    }
+  },
+  bodyParts: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  // Ownership and Sharing
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Template owner is required']
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: ['personal', 'clinic'],
+      message: 'Scope must be either personal or clinic'
+    },
+    default: 'personal'
+  },
+  clinic: {
+    type: String,
+    trim: true
+  },
+
+  // Exercise Specifications (mirrors RehabTask)
+  instructions: [{
+    step: {
+      type: Number,
+      required: true
+    },
+    instruction: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [500, 'Instruction cannot exceed 500 characters']
+    },
+    duration: String,
+    repetitions: String,
+    imageUrl: String,
+    videoUrl: String
+  }],
+  parameters: {
+    duration: {
+      value: Number,
+      unit: {
+        type: String,
+        enum: ['minutes', 'seconds', 'hours'],
+        default: 'minutes'
+      }
+    },
+    repetitions: {
+      sets: Number,
+      reps: Number
+    },
+    intensity: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium'
+    },
+    equipment: [String],
+    precautions: [String]
+  },
+  resources: [{
+    title: String,
+    type: {
+      type: String,
+      enum: ['pdf', 'video', 'image', 'link', 'audio'],
+      required: true
+    },
+    url: {
+      type: String,
+      required: function() { return !this.file; }
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredFile' // exercise resource uploaded through /api/files
+    },
+    description: String,
+    durationSeconds: Number,
+    chapters: [{
+      step: {
+        type: Number,
+        required: true
+      },
+      title: String,
+      startSeconds: {
+        type: Number,
+        required: true
+      },
+      endSeconds: Number
+    }]
+  }],
+  defaultGoals: [{
+    description: String,
+    targetValue: Number,
+    targetUnit: String
+  }],
+  defaultSchedule: {
+    frequency: {
+      type: String,
+      enum: {
+        values: ['daily', 'every_other_day', 'weekly', 'bi_weekly', 'custom'],
+        message: 'Invalid frequency'
+      },
+      default: 'daily'
+    },
+    customSchedule: {
+      daysOfWeek: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      timesPerDay: {
+        type: Number,
+        min: 1,
+        default: 1
+      },
+      specificTimes: [String]
+    },
+    durationWeeks: {
+      type: Number,
+      min: [1, 'Duration must be at least 1 week']
+    }
+  },
+
+  // Usage
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date,
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for number of instruction steps
+exerciseTemplateSchema.virtual('stepCount').get(function() {
+  return this.instructions ? this.instructions.length : 0;
+});
+
+// Pre-save middleware
+exerciseTemplateSchema.pre('save', function(next) {
+  if (this.scope === 'clinic' && !this.clinic) {
+    return next(new Error('Clinic templates require a clinic'));
+  }
+
+  if (this.scope === 'personal') {
+    this.clinic = undefined;
+  }
+
+  next();
+});
+
+// Instance method to record that a task was created from the template
+exerciseTemplateSchema.methods.recordUsage = function() {
+  this.usageCount += 1;
+  this.lastUsedAt = new Date();
+  return this.save();
+};
+
+// Static method to build the visibility filter for a therapist
+exerciseTemplateSchema.statics.visibleTo = function(therapistId, clinic) {
+  const visibility = [{ owner: therapistId }];
+  if (clinic) {
+    visibility.push({ scope: 'clinic', clinic });
+  }
+  return { $or: visibility, isArchived: false };
+};
+
+// Indexes for performance
+exerciseTemplateSchema.index({ owner: 1, isArchived: 1 });
+exerciseTemplateSchema.index({ scope: 1, clinic: 1, isArchived: 1 });
+exerciseTemplateSchema.index({ category: 1 });
+exerciseTemplateSchema.index({ bodyParts: 1 });
+exerciseTemplateSchema.index({ title: 'text', description: 'text', tags: 'text' });
+
+module.exports = mongoose.model('ExerciseTemplate', exerciseTemplateSchema);
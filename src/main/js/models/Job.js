@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Schema for the background job queue
+ * One document per run: recurring jobs get one per time slot, one-off jobs
+ * (e.g. a scheduled notification) one each. Dead jobs form the dead-letter list.
+ */
+const jobSchema = new mongoose.Schema({
+  // Job Definition
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Deduplicates jobs across server instances, e.g. "recurring:notifications.taskReminders:2024-06-05T10:15:00.000Z"
+  uniqueKey: {
+    type: String,
+    trim: true
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead', 'cancelled'],
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Leasing (a worker owns a running job until lockedUntil)
+  lockedBy: String,
+  lockedUntil: Date,
+
+  // Attempts
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: [1, 'A job needs at least one attempt']
+  },
+  failures: [{
+    attempt: Number,
+    message: String,
+    workerId: String,
+    failedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastError: String,
+
+  // Run Tracking
+  startedAt: Date,
+  completedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  deadAt: Date,
+
+  // Completed and cancelled runs are removed after a retention period
+  expiresAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the job can be retried by hand
+jobSchema.virtual('isRetryable').get(function() {
+  return this.status === 'dead' || this.status === 'cancelled';
+});
+
+// Indexes for performance
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
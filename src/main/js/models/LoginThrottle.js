@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Throttle Schema for failed-login counters
+ * One document per account (keyed by email, so unknown emails are throttled
+ * the same way) and per IP address. Holds the failures in the current window
+ * and any running lockout. Documents expire a day after the last activity, so
+ * lockouts keep escalating for repeat offenders within that day.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  // Counter Key
+  key: {
+    type: String, // "account:<email>" or "ip:<address>"
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // set for accounts that exist
+  },
+
+  // Failures in the current window
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: Date,
+  lastFailureAt: Date,
+
+  // Lockout
+  lockedUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lastLockedAt: Date,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+loginThrottleSchema.index({ user: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
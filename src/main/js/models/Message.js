@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message Schema for direct messages within a conversation
+ * readBy records a read receipt for each participant who has seen the message.
+ */
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Conversation reference is required']
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+
+  // Content
+  content: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  attachments: [{
+    type: {
+      type: String,
+      enum: ['image', 'document', 'video', 'audio'],
+      required: true
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    url: {
+      type: String,
+      required: true,
+      match: [/^(https?:\/\/|\/)/, 'Attachment URL must be an http(s) URL or a server path']
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredFile' // set when the attachment was uploaded through /api/files
+    },
+    size: Number, // in bytes
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Read Receipts
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Pre-validate middleware to reject empty messages
+messageSchema.pre('validate', function(next) {
+  if (!this.content && (!this.attachments || this.attachments.length === 0)) {
+    this.invalidate('content', 'Message must have content or an attachment');
+  }
+
+  if (this.attachments && this.attachments.length > 5) {
+    this.invalidate('attachments', 'A message can have at most 5 attachments');
+  }
+
+  next();
+});
+
+// Indexes for performance
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -56,7 +56,8 @@ const notificationSchema = new mongoose.Schema({
         'low_engagement',
         'critical_alert',
         'welcome',
-        'feedback_request'
+        'feedback_request',
+        'notification_digest'
       ],
       message: 'Invalid notification type'
     }
@@ -93,7 +94,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['rehabTask', 'progress', 'comment', 'appointment', 'user', 'system']
+      enum: ['rehabTask', 'progress', 'comment', 'appointment', 'protocol', 'user', 'system']
     },
     entityId: {
       type: mongoose.Schema.Types.ObjectId
@@ -141,15 +142,23 @@ const notificationSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'sent', 'delivered', 'failed'],
+      enum: ['pending', 'sent', 'delivered', 'failed', 'skipped', 'deferred', 'batched'], // batched: sent as part of a digest
       default: 'pending'
     },
     sentAt: Date,
     deliveredAt: Date,
+    providerMessageId: String, // ID returned by the email/SMS/push provider
     failureReason: String,
+    skipReason: String, // e.g. recipient turned the channel off
     retryCount: {
       type: Number,
       default: 0
+    },
+    nextRetryAt: Date, // unset once retries are exhausted
+    deferredUntil: Date,
+    deferReason: {
+      type: String,
+      enum: ['quiet_hours', 'preferred_time', 'digest']
     }
   }],
 
@@ -168,7 +177,7 @@ const notificationSchema = new mongoose.Schema({
     default: false
   },
 
-  // Bulk Notification Support
+  // Bulk Notification Support (also groups a digest with the notifications it summarises)
   batchId: {
     type: String,
     index: true
@@ -183,6 +192,8 @@ const notificationSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  templateLanguage: String,
+  templateVersion: Number, // 0 for the built-in default
   templateVariables: {
     type: Map,
     of: mongoose.Schema.Types.Mixed
@@ -264,7 +275,11 @@ notificationSchema.virtual('timeAgo').get(function() {
 notificationSchema.virtual('deliveryStatus').get(function() {
   if (this.channels.length === 0) return 'pending';
 
-  const statuses = this.channels.map(c => c.status);
+  const statuses = this.channels.map(c => c.status).filter(s => s !== 'skipped' && s !== 'batched');
+  // Nothing was sent on its own: it went out in a digest, or every channel was skipped
+  if (statuses.length === 0) {
+    return this.channels.some(c => c.status === 'batched') ? 'batched' : 'pending';
+  }
   if (statuses.every(s => s === 'delivered')) return 'delivered';
   if (statuses.some(s => s === 'failed')) return 'partially_failed';
   if (statuses.some(s => s === 'sent')) return 'in_transit';
@@ -311,7 +326,8 @@ notificationSchema.pre('save', function(next) {
       'low_engagement': 'health_alerts',
       'critical_alert': 'health_alerts',
       'welcome': 'system',
-      'feedback_request': 'communication'
+      'feedback_request': 'communication',
+      'notification_digest': 'system'
     };
     this.category = categoryMap[this.type] || 'system';
   }
@@ -364,11 +380,19 @@ notificationSchema.methods.updateDeliveryStatus = function(channel, status, deta
 
     if (status === 'sent') {
       this.channels[channelIndex].sentAt = new Date();
+      this.channels[channelIndex].providerMessageId = details.providerMessageId;
+      this.channels[channelIndex].nextRetryAt = undefined;
     } else if (status === 'delivered') {
       this.channels[channelIndex].deliveredAt = new Date();
     } else if (status === 'failed') {
       this.channels[channelIndex].failureReason = details.reason;
       this.channels[channelIndex].retryCount += 1;
+      this.channels[channelIndex].nextRetryAt = details.nextRetryAt;
+    } else if (status === 'skipped') {
+      this.channels[channelIndex].skipReason = details.reason;
+    } else if (status === 'deferred') {
+      this.channels[channelIndex].deferredUntil = details.deferredUntil;
+      this.channels[channelIndex].deferReason = details.reason;
     }
 
     return this.save();
@@ -470,6 +494,8 @@ notificationSchema.index({ recipient: 1, priority: 1, isRead: 1 });
 notificationSchema.index({ batchId: 1 });
 notificationSchema.index({ scheduledFor: 1, status: 1 });
 notificationSchema.index({ 'channels.type': 1, 'channels.status': 1 });
+notificationSchema.index({ 'channels.status': 1, 'channels.nextRetryAt': 1 });
+notificationSchema.index({ 'channels.status': 1, 'channels.deferredUntil': 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
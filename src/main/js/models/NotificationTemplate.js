@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const templateRenderer = require('../core/delivery/templateRenderer');
+
+/**
+ * NotificationTemplate Schema for admin-editable notification content
+ * Each edit saves a new version; one version per key and language is active.
+ * Recipients get the variant matching User.preferences.language.
+ */
+const notificationTemplateSchema = new mongoose.Schema({
+  // Template Identity
+  key: {
+    type: String,
+    required: [true, 'Template key is required'],
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Template key may only contain lowercase letters, numbers and underscores']
+  },
+  language: {
+    type: String,
+    required: [true, 'Template language is required'],
+    trim: true,
+    lowercase: true,
+    default: 'en',
+    match: [/^[a-z]{2}(-[a-z]{2})?$/, 'Language must be a code such as "en" or "pt-br"']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Template version is required'],
+    min: [1, 'Template version must be at least 1']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Content
+  title: {
+    type: String,
+    required: [true, 'Template title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Template message is required'],
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  actionText: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Action text cannot exceed 50 characters']
+  },
+  channels: [{
+    type: String,
+    enum: {
+      values: ['in_app', 'email', 'sms', 'push'],
+      message: 'Invalid channel: {VALUE}'
+    }
+  }],
+
+  // Variables
+  requiredVariables: [String], // placeholders used in the content, filled in on save
+  sampleVariables: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  },
+
+  // Change Tracking
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Change note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Pre-validate middleware to keep requiredVariables in step with the content
+notificationTemplateSchema.pre('validate', function(next) {
+  const used = templateRenderer.extractVariables(this.title, this.message, this.actionText);
+  this.requiredVariables = [...new Set([...used, ...(this.requiredVariables || [])])];
+
+  if (!this.channels || this.channels.length === 0) {
+    this.channels = ['in_app'];
+  }
+
+  next();
+});
+
+// Static method to find the active version of each candidate language
+notificationTemplateSchema.statics.findActive = function(key, languages) {
+  return this.find({ key, language: { $in: languages }, isActive: true })
+    .sort({ version: -1 });
+};
+
+// Indexes for performance
+notificationTemplateSchema.index({ key: 1, language: 1, version: -1 }, { unique: true });
+notificationTemplateSchema.index({ key: 1, isActive: 1 });
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
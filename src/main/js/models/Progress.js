@@ -219,6 +219,10 @@ const progressSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredFile' // set when the attachment was uploaded through /api/files
+    },
     caption: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -226,6 +230,61 @@ const progressSchema = new mongoose.Schema({
     }
   }],
 
+  // Form Check (a clip the patient sends for the therapist to review)
+  formCheck: {
+    status: {
+      type: String,
+      enum: ['pending', 'reviewed']
+    },
+    video: {
+      file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoredFile'
+      },
+      url: String,
+      durationSeconds: Number
+    },
+    patientQuestion: {
+      type: String,
+      maxlength: [500, 'Question cannot exceed 500 characters']
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    annotations: [{
+      timestampSeconds: {
+        type: Number,
+        min: [0, 'Annotation time cannot be negative'],
+        required: [true, 'Annotation time is required']
+      },
+      comment: {
+        type: String,
+        required: [true, 'Annotation comment is required'],
+        maxlength: [500, 'Annotation comment cannot exceed 500 characters']
+      },
+      type: {
+        type: String,
+        enum: ['correction', 'praise', 'note'],
+        default: 'note'
+      }
+    }],
+    summary: {
+      type: String,
+      maxlength: [1000, 'Review summary cannot exceed 1000 characters']
+    },
+    formQuality: {
+      type: String,
+      enum: ['excellent', 'good', 'fair', 'poor']
+    },
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
   // Next Session Planning
   nextSession: {
     recommendations: String,
@@ -392,5 +451,6 @@ progressSchema.index({ rehabTask: 1, sessionDate: -1 });
 progressSchema.index({ recordedBy: 1 });
 progressSchema.index({ sessionDate: 1 });
 progressSchema.index({ 'flags.requiresReview': 1 });
+progressSchema.index({ 'formCheck.reviewer': 1, 'formCheck.status': 1, 'formCheck.requestedAt': 1 });
 
 module.exports = mongoose.model('Progress', progressSchema);
\ No newline at end of file
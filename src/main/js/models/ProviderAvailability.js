@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Time block within a day, expressed as wall-clock times
+ * in the provider's preferences.timezone
+ */
+const timeBlockSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: [true, 'Block start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Block end time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+    validate: {
+      validator: function(v) {
+        return !this.startTime || v > this.startTime;
+      },
+      message: 'Block end time must be after start time'
+    }
+  },
+  locationType: {
+    type: String,
+    enum: ['clinic', 'telehealth', 'any'],
+    default: 'any'
+  }
+}, { _id: false });
+
+/**
+ * Provider Availability Schema for publishing bookable hours
+ * A weekly template with date-specific exceptions (days off, changed hours)
+ */
+const providerAvailabilitySchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Provider reference is required'],
+    unique: true
+  },
+
+  // Weekly Template
+  weeklyTemplate: [{
+    dayOfWeek: {
+      type: Number,
+      required: [true, 'Day of week is required'],
+      min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+    },
+    blocks: [timeBlockSchema]
+  }],
+
+  // Date-specific Exceptions
+  exceptions: [{
+    date: {
+      type: String,
+      required: [true, 'Exception date is required'],
+      match: [DATE_PATTERN, 'Exception date must be in YYYY-MM-DD format']
+    },
+    isAvailable: {
+      type: Boolean,
+      default: false
+    },
+    blocks: [timeBlockSchema],
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+  }],
+
+  // Slot Settings
+  slotDuration: {
+    type: Number,
+    default: 45,
+    min: [10, 'Slot duration must be at least 10 minutes'],
+    max: [240, 'Slot duration cannot exceed 240 minutes']
+  },
+  bufferMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Buffer cannot be negative'],
+    max: [120, 'Buffer cannot exceed 120 minutes']
+  },
+  minNoticeHours: {
+    type: Number,
+    default: 2,
+    min: [0, 'Minimum notice cannot be negative']
+  },
+  isAcceptingBookings: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for weekly published hours
+providerAvailabilitySchema.virtual('weeklyHours').get(function() {
+  const toMinutes = time => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  };
+
+  const minutes = (this.weeklyTemplate || []).reduce((total, day) => {
+    return total + day.blocks.reduce((sum, block) => {
+      return sum + (toMinutes(block.endTime) - toMinutes(block.startTime));
+    }, 0);
+  }, 0);
+
+  return Math.round((minutes / 60) * 10) / 10;
+});
+
+// Pre-save middleware
+providerAvailabilitySchema.pre('save', function(next) {
+  // Keep one template entry per weekday and one exception per date
+  const days = this.weeklyTemplate.map(day => day.dayOfWeek);
+  if (new Set(days).size !== days.length) {
+    return next(new Error('Each day of week can only appear once in the weekly template'));
+  }
+
+  const dates = this.exceptions.map(exception => exception.date);
+  if (new Set(dates).size !== dates.length) {
+    return next(new Error('Only one exception is allowed per date'));
+  }
+
+  this.exceptions.sort((a, b) => a.date.localeCompare(b.date));
+  next();
+});
+
+// Instance method to get bookable blocks for a local calendar date
+providerAvailabilitySchema.methods.getBlocksForDate = function(dateString, dayOfWeek) {
+  const exception = this.exceptions.find(e => e.date === dateString);
+  if (exception) {
+    return exception.isAvailable ? exception.blocks : [];
+  }
+
+  const templateDay = this.weeklyTemplate.find(day => day.dayOfWeek === dayOfWeek);
+  return templateDay ? templateDay.blocks : [];
+};
+
+// Static method to find availability for a provider
+providerAvailabilitySchema.statics.findByProvider = function(providerId) {
+  return this.findOne({ provider: providerId });
+};
+
+module.exports = mongoose.model('ProviderAvailability', providerAvailabilitySchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Provider Invitation Schema
+ * Physiotherapists and doctors can only sign up through an invitation from a
+ * clinic admin. The emailed link carries a random token; only its SHA-256
+ * hash is stored. An invitation works once, until it expires or is revoked,
+ * and fixes the email address and role of the new account.
+ */
+const providerInvitationSchema = new mongoose.Schema({
+  // Invitee
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['physiotherapist', 'doctor'],
+      message: 'Role must be either physiotherapist or doctor'
+    },
+    required: [true, 'Role is required']
+  },
+  firstName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Lifetime
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['superseded', 'revoked']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Virtual for the invitation's state
+providerInvitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Indexes for performance
+providerInvitationSchema.index({ email: 1, createdAt: -1 });
+providerInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ProviderInvitation', providerInvitationSchema);
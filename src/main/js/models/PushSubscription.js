@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * PushSubscription Schema for Web Push delivery
+ * One document per browser/device a user has allowed notifications on
+ */
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  // Subscription details from the browser's PushManager
+  endpoint: {
+    type: String,
+    required: [true, 'Subscription endpoint is required'],
+    unique: true,
+    trim: true,
+    match: [/^https:\/\//, 'Subscription endpoint must be an https URL']
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: [true, 'Subscription p256dh key is required']
+    },
+    auth: {
+      type: String,
+      required: [true, 'Subscription auth key is required']
+    }
+  },
+  expirationTime: Date,
+
+  // Device Information
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+
+  // Delivery Tracking
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  failureReason: String,
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Instance method to get the subscription in the format push services expect
+pushSubscriptionSchema.methods.toWebPushSubscription = function() {
+  return {
+    endpoint: this.endpoint,
+    keys: {
+      p256dh: this.keys.p256dh,
+      auth: this.keys.auth
+    }
+  };
+};
+
+// Indexes for performance
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+/**
+ * Referral Schema for doctor-to-physiotherapist handoffs
+ * Created from a surgery record or a recovery review and accepted
+ * or declined by the receiving physiotherapist
+ */
+const referralSchema = new mongoose.Schema({
+  // Participants
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient reference is required']
+  },
+  referringDoctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referring doctor is required']
+  },
+  physiotherapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Receiving physiotherapist is required']
+  },
+
+  // Source of Referral
+  source: {
+    type: {
+      type: String,
+      required: [true, 'Referral source is required'],
+      enum: {
+        values: ['surgery', 'recovery_review'],
+        message: 'Referral source must be either surgery or recovery_review'
+      }
+    },
+    surgery: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Surgery'
+    }
+  },
+
+  // Clinical Details
+  reason: {
+    type: String,
+    required: [true, 'Referral reason is required'],
+    trim: true,
+    maxlength: [2000, 'Reason cannot exceed 2000 characters']
+  },
+  diagnosis: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Diagnosis cannot exceed 500 characters']
+  },
+  bodyPart: {
+    type: String,
+    trim: true
+  },
+  goals: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Goal cannot exceed 200 characters']
+  }],
+  precautions: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Precaution cannot exceed 200 characters']
+  }],
+  urgency: {
+    type: String,
+    enum: ['routine', 'soon', 'urgent'],
+    default: 'routine'
+  },
+  requestedStartDate: Date,
+  expectedDuration: {
+    type: Number, // in weeks
+    min: [1, 'Expected duration must be at least 1 week']
+  },
+
+  // Status and Response
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  response: {
+    respondedAt: Date,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Response notes cannot exceed 1000 characters']
+    },
+    declineReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Decline reason cannot exceed 500 characters']
+    }
+  },
+  cancellation: {
+    cancelledAt: Date,
+    reason: String
+  },
+
+  // Outcome of Acceptance
+  careAssignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CareAssignment'
+  },
+  draftPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RehabTask'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for days waiting on a response
+referralSchema.virtual('daysPending').get(function() {
+  if (this.status !== 'pending' || !this.createdAt) return null;
+  return Math.floor((Date.now() - this.createdAt.getTime()) / (1000 * 60 * 60 * 24));
+});
+
+// Static method to find pending referrals for a physiotherapist
+referralSchema.statics.findPendingForPhysiotherapist = function(physiotherapistId) {
+  return this.find({
+    physiotherapist: physiotherapistId,
+    status: 'pending'
+  })
+    .populate('patient', 'firstName lastName dateOfBirth')
+    .populate('referringDoctor', 'firstName lastName professionalInfo.specialization')
+    .populate('source.surgery', 'procedure.name anatomicalSite.bodyPart scheduling.actualDate')
+    .sort({ createdAt: 1 });
+};
+
+// Indexes for performance
+referralSchema.index({ physiotherapist: 1, status: 1, createdAt: 1 });
+referralSchema.index({ referringDoctor: 1, createdAt: -1 });
+referralSchema.index({ patient: 1, status: 1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
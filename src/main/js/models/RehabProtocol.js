@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+/**
+ * RehabProtocol Schema for multi-week rehabilitation protocols
+ * Groups a patient's RehabTasks into ordered phases. Each phase carries
+ * entry criteria for the next phase, evaluated against Progress data and
+ * time since surgery.
+ */
+const phaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Phase name is required'],
+    trim: true,
+    maxlength: [100, 'Phase name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Phase description cannot exceed 1000 characters']
+  },
+  goals: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Goal cannot exceed 200 characters']
+  }],
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RehabTask'
+  }],
+
+  // Criteria that must be met before moving on from this phase
+  exitCriteria: {
+    maxPain: {
+      type: Number, // average pain after exercise over the evaluation window
+      min: [0, 'Pain threshold cannot be below 0'],
+      max: [10, 'Pain threshold cannot exceed 10']
+    },
+    rangeOfMotion: [{
+      joint: {
+        type: String,
+        required: [true, 'Range of motion criteria require a joint'],
+        trim: true,
+        lowercase: true
+      },
+      direction: {
+        type: String,
+        trim: true,
+        lowercase: true
+      },
+      minDegrees: {
+        type: Number,
+        required: [true, 'Range of motion criteria require a minimum']
+      }
+    }],
+    minWeeksSinceSurgery: {
+      type: Number,
+      min: [0, 'Weeks since surgery cannot be negative']
+    },
+    minDaysInPhase: {
+      type: Number,
+      min: [0, 'Days in phase cannot be negative']
+    },
+    minSessions: {
+      type: Number, // completed sessions within the evaluation window
+      min: [0, 'Session count cannot be negative']
+    },
+    evaluationWindowDays: {
+      type: Number,
+      min: [1, 'Evaluation window must be at least 1 day'],
+      default: 7
+    }
+  },
+
+  // Phase Lifecycle
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'completed'],
+    default: 'pending'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  advancement: {
+    type: {
+      type: String,
+      enum: ['automatic', 'manual', 'override']
+    },
+    advancedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  },
+  lastEvaluation: {
+    evaluatedAt: Date,
+    criteriaMet: {
+      type: Boolean,
+      default: false
+    },
+    checks: [{
+      criterion: String,
+      required: mongoose.Schema.Types.Mixed,
+      actual: mongoose.Schema.Types.Mixed,
+      met: Boolean,
+      _id: false
+    }]
+  }
+});
+
+const rehabProtocolSchema = new mongoose.Schema({
+  // Basic Protocol Information
+  name: {
+    type: String,
+    required: [true, 'Protocol name is required'],
+    trim: true,
+    maxlength: [150, 'Protocol name cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  // Participants and Source
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient reference is required']
+  },
+  physiotherapist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Physiotherapist reference is required']
+  },
+  surgery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Surgery'
+  },
+  referral: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral'
+  },
+
+  // Phases
+  phases: {
+    type: [phaseSchema],
+    validate: {
+      validator: function(v) {
+        return v && v.length > 0;
+      },
+      message: 'A protocol needs at least one phase'
+    }
+  },
+  currentPhaseIndex: {
+    type: Number,
+    default: 0
+  },
+  autoAdvance: {
+    type: Boolean,
+    default: false
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'completed', 'discontinued'],
+    default: 'draft'
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the phase the patient is currently in
+rehabProtocolSchema.virtual('currentPhase').get(function() {
+  if (!this.phases || this.status === 'draft') return null;
+  return this.phases[this.currentPhaseIndex] || null;
+});
+
+// Virtual for days spent in the current phase
+rehabProtocolSchema.virtual('daysInCurrentPhase').get(function() {
+  const phase = this.phases && this.phases[this.currentPhaseIndex];
+  if (!phase || !phase.startedAt || phase.status !== 'active') return null;
+  return Math.floor((Date.now() - phase.startedAt.getTime()) / (1000 * 60 * 60 * 24));
+});
+
+// Instance method to start the protocol at its first phase
+rehabProtocolSchema.methods.start = function() {
+  const now = new Date();
+  this.status = 'active';
+  this.startedAt = now;
+  this.currentPhaseIndex = 0;
+  this.phases[0].status = 'active';
+  this.phases[0].startedAt = now;
+};
+
+// Instance method to complete the current phase and start the next one
+rehabProtocolSchema.methods.advance = function(userId, type, notes) {
+  const now = new Date();
+  const current = this.phases[this.currentPhaseIndex];
+
+  current.status = 'completed';
+  current.completedAt = now;
+  current.advancement = { type, advancedBy: userId, notes };
+
+  const next = this.phases[this.currentPhaseIndex + 1];
+  if (next) {
+    this.currentPhaseIndex += 1;
+    next.status = 'active';
+    next.startedAt = now;
+  } else {
+    this.status = 'completed';
+    this.completedAt = now;
+  }
+
+  return { completed: current, started: next || null };
+};
+
+// Static method to find active protocols for a set of patients
+rehabProtocolSchema.statics.findActiveForPatients = function(patientIds) {
+  return this.find({
+    patient: { $in: patientIds },
+    status: 'active'
+  }).sort({ startedAt: -1 });
+};
+
+// Indexes for performance
+rehabProtocolSchema.index({ patient: 1, status: 1 });
+rehabProtocolSchema.index({ physiotherapist: 1, status: 1 });
+rehabProtocolSchema.index({ 'phases.tasks': 1 });
+
+module.exports = mongoose.model('RehabProtocol', rehabProtocolSchema);
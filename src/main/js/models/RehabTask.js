@@ -89,6 +89,10 @@ const rehabTaskSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Assigned to patient is required']
   },
+  sourceTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExerciseTemplate'
+  },
 
   // Scheduling Information
   schedule: {
@@ -213,9 +217,36 @@ const rehabTaskSchema = new mongoose.Schema({
     },
     url: {
       type: String,
-      required: true
+      required: function() { return !this.file; } // uploaded files are played through signed URLs
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredFile' // set when the resource was uploaded through /api/files
     },
-    description: String
+    description: String,
+
+    // Video demonstrations: chapters jump to the part of the video for an instruction step
+    durationSeconds: {
+      type: Number,
+      min: [0, 'Video duration cannot be negative']
+    },
+    chapters: [{
+      step: {
+        type: Number,
+        required: true // matches instructions[].step
+      },
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Chapter title cannot exceed 100 characters']
+      },
+      startSeconds: {
+        type: Number,
+        required: true,
+        min: [0, 'Chapter start cannot be negative']
+      },
+      endSeconds: Number
+    }]
   }],
 
   // Reminders and Notifications
@@ -267,6 +298,34 @@ rehabTaskSchema.virtual('isOverdue').get(function() {
   return new Date() > new Date(this.schedule.endDate);
 });
 
+// Pre-validate middleware to check video chapters against the instruction steps
+rehabTaskSchema.pre('validate', function(next) {
+  const steps = new Set((this.instructions || []).map(instruction => instruction.step));
+
+  (this.resources || []).forEach((resource) => {
+    if (!resource.chapters || resource.chapters.length === 0) return;
+
+    if (resource.type !== 'video') {
+      this.invalidate('resources', 'Only video resources can have chapters');
+      return;
+    }
+
+    resource.chapters.forEach((chapter) => {
+      if (!steps.has(chapter.step)) {
+        this.invalidate('resources', `Chapter refers to instruction step ${chapter.step}, which does not exist`);
+      }
+      if (chapter.endSeconds !== undefined && chapter.endSeconds !== null && chapter.endSeconds <= chapter.startSeconds) {
+        this.invalidate('resources', 'Chapter end must be after its start');
+      }
+      if (resource.durationSeconds && chapter.startSeconds >= resource.durationSeconds) {
+        this.invalidate('resources', 'Chapter start must be within the video');
+      }
+    });
+  });
+
+  next();
+});
+
 // Pre-save middleware
 rehabTaskSchema.pre('save', function(next) {
   // Auto-update status based on dates and completion
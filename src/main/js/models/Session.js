@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema for a signed-in device
+ * Created at login or registration and kept until logout, revocation or
+ * expiry. Every token issued for the session carries its ID (sid). The
+ * refresh token is single use: each refresh replaces tokenHash, and
+ * presenting an older refresh token revokes the whole session.
+ */
+const sessionSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  // Current Refresh Token
+  tokenHash: {
+    type: String, // SHA-256 of the current refresh token's jti
+    required: true
+  },
+  previousTokenHash: String, // the token just rotated out, tolerated briefly for concurrent refreshes
+  rotatedAt: Date,
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Device
+  device: {
+    userAgent: {
+      type: String,
+      maxlength: 500
+    },
+    name: String // e.g. "Chrome on Windows"
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastIpAddress: String,
+
+  // Lifetime
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'refresh_token_reuse', 'password_changed', 'account_deactivated']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.previousTokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
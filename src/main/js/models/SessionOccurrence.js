@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+/**
+ * SessionOccurrence Schema for individual scheduled exercise sessions
+ * Materialized from a RehabTask schedule in the patient's timezone and
+ * resolved as done, skipped or missed by linking it to Progress records
+ */
+const sessionOccurrenceSchema = new mongoose.Schema({
+  // References
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RehabTask',
+    required: [true, 'Task reference is required']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient reference is required']
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timing
+  localDate: {
+    type: String, // YYYY-MM-DD in the patient's timezone
+    required: [true, 'Local date is required']
+  },
+  localTime: {
+    type: String, // HH:mm in the patient's timezone
+    required: [true, 'Local time is required']
+  },
+  slot: {
+    type: Number, // position within the day, 0 for the first session
+    default: 0
+  },
+  occurrenceNumber: Number,
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  scheduledFor: {
+    type: Date,
+    required: [true, 'Scheduled time is required']
+  },
+  dueBy: {
+    type: Date,
+    required: [true, 'Due time is required']
+  },
+
+  // Outcome
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'done', 'skipped', 'missed'],
+      message: 'Invalid occurrence status'
+    },
+    default: 'pending'
+  },
+  progress: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Progress'
+  },
+  completedAt: Date,
+  missedAt: Date,
+  skip: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Skip reason cannot exceed 500 characters']
+    },
+    skippedAt: Date
+  },
+
+  // Reminder Tracking
+  reminders: {
+    beforeSentAt: Date,
+    missedSentAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be done
+sessionOccurrenceSchema.virtual('isOpen').get(function() {
+  return this.status === 'pending' && this.dueBy > new Date();
+});
+
+// Static method to count outcomes for adherence calculations
+sessionOccurrenceSchema.statics.countOutcomes = async function(match) {
+  const results = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { pending: 0, done: 0, skipped: 0, missed: 0 };
+  results.forEach(r => {
+    counts[r._id] = r.count;
+  });
+  return counts;
+};
+
+// Indexes for performance
+sessionOccurrenceSchema.index({ task: 1, localDate: 1, slot: 1 }, { unique: true });
+sessionOccurrenceSchema.index({ patient: 1, scheduledFor: 1 });
+sessionOccurrenceSchema.index({ status: 1, dueBy: 1 });
+sessionOccurrenceSchema.index({ status: 1, scheduledFor: 1 });
+sessionOccurrenceSchema.index({ progress: 1 });
+
+module.exports = mongoose.model('SessionOccurrence', sessionOccurrenceSchema);
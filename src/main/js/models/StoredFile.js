@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * StoredFile Schema for uploaded attachments
+ * Patient attachments belong to a patient, and access to them follows access
+ * to that patient. Exercise resources (demo videos, handouts) belong to the
+ * provider who uploaded them and their clinic, and are shared with patients
+ * through the tasks that use them. The bytes live in the storage backend under
+ * storage.key; records elsewhere (comments, progress, tasks, templates,
+ * surgeries, messages) point here by ID.
+ */
+const storedFileSchema = new mongoose.Schema({
+  // Ownership
+  purpose: {
+    type: String,
+    enum: ['patient_attachment', 'exercise_resource'],
+    default: 'patient_attachment'
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.purpose === 'patient_attachment'; }, 'Patient reference is required']
+  },
+  clinic: {
+    type: String, // uploader's professionalInfo.institution, for exercise resources
+    trim: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+
+  // File Details
+  originalName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['image', 'document', 'video', 'audio']
+  },
+  size: {
+    type: Number, // in bytes
+    required: true,
+    min: 1
+  },
+  checksum: {
+    type: String // SHA-256 of the contents
+  },
+
+  // Storage Location
+  storage: {
+    backend: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    }
+  },
+  thumbnail: {
+    key: String,
+    mimeType: String,
+    size: Number,
+    width: Number,
+    height: Number
+  },
+
+  // Virus Scan
+  scan: {
+    status: {
+      type: String,
+      enum: ['clean', 'skipped'],
+      required: true
+    },
+    scanner: String,
+    scannedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      // Storage keys are internal; clients download through signed URLs
+      delete ret.storage;
+      if (ret.thumbnail) delete ret.thumbnail.key;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether a thumbnail is available
+storedFileSchema.virtual('hasThumbnail').get(function() {
+  return Boolean(this.thumbnail && this.thumbnail.key);
+});
+
+// Indexes for performance
+storedFileSchema.index({ patient: 1, createdAt: -1 });
+storedFileSchema.index({ uploadedBy: 1 });
+storedFileSchema.index({ purpose: 1, clinic: 1 });
+
+module.exports = mongoose.model('StoredFile', storedFileSchema);
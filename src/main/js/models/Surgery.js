@@ -312,6 +312,23 @@ const surgerySchema = new mongoose.Schema({
       type: String, // URL to video
       caption: String,
       duration: Number // in seconds
+    }],
+    files: [{
+      file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StoredFile',
+        required: true
+      },
+      kind: {
+        type: String,
+        enum: ['operative_report', 'pathology_report', 'imaging', 'photo', 'video', 'other'],
+        default: 'other'
+      },
+      stage: {
+        type: String,
+        enum: ['pre_op', 'intra_op', 'post_op', 'follow_up']
+      },
+      caption: String
     }]
   },
 
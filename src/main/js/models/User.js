@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { getLicenseStatus, isClinicAdmin } = require('../core/auth/providerAccess');
+
+// Per-category notification settings: which channels to use, and whether
+// external channels send immediately or wait for the digest
+const categoryNotificationPreferences = {
+  in_app: { type: Boolean, default: true },
+  email: { type: Boolean, default: true },
+  sms: { type: Boolean, default: true },
+  push: { type: Boolean, default: true },
+  delivery: {
+    type: String,
+    enum: ['immediate', 'digest'],
+    default: 'immediate'
+  }
+};
 
 /**
  * User Schema for Rehab Tracker
@@ -88,7 +103,25 @@ const userSchema = new mongoose.Schema({
     specialization: [String], // Array of specializations
     institution: String,
     yearsOfExperience: Number,
-    certifications: [String]
+    certifications: [String],
+    // Set by a clinic admin; clinical routes stay closed until verified
+    licenseVerification: {
+      status: {
+        type: String,
+        enum: ['pending', 'verified', 'rejected']
+      },
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      rejectionReason: String
+    }
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // clinic admin who invited this provider
   },
 
   // Relationships
@@ -104,6 +137,10 @@ const userSchema = new mongoose.Schema({
     role: {
       type: String,
       enum: ['physiotherapist', 'doctor']
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
     }
   }], // For patients
 
@@ -120,6 +157,49 @@ const userSchema = new mongoose.Schema({
     type: Date
   },
 
+  // Calendar Subscription (patients)
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      select: false // Only the hash is stored, the token is shown once
+    },
+    createdAt: Date,
+    lastAccessedAt: Date
+  },
+
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false // encrypted; needed to check codes
+    },
+    pendingSecret: {
+      type: String,
+      select: false // encrypted; set up but not confirmed with a code yet
+    },
+    enabledAt: Date,
+    lastUsedStep: {
+      type: Number,
+      select: false // a code cannot be used twice
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false // SHA-256 hashes; the codes are shown once
+    }
+  },
+
   // Avatar/Profile Picture
   avatar: {
     type: String, // URL to profile picture
@@ -129,6 +209,7 @@ const userSchema = new mongoose.Schema({
   // Preferences
   preferences: {
     notifications: {
+      // Channel master switches
       email: {
         type: Boolean,
         default: true
@@ -140,6 +221,59 @@ const userSchema = new mongoose.Schema({
       push: {
         type: Boolean,
         default: true
+      },
+      // Category x channel matrix (health alerts cannot be turned off)
+      categories: {
+        reminders: categoryNotificationPreferences,
+        achievements: categoryNotificationPreferences,
+        communication: categoryNotificationPreferences,
+        system: categoryNotificationPreferences,
+        health_alerts: categoryNotificationPreferences,
+        schedule: categoryNotificationPreferences,
+        progress: categoryNotificationPreferences
+      },
+      // Non-urgent email/SMS/push is held until quiet hours end
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        start: {
+          type: String, // HH:mm in preferences.timezone
+          default: '22:00',
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours start must be in HH:mm format']
+        },
+        end: {
+          type: String,
+          default: '07:00',
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours end must be in HH:mm format']
+        }
+      },
+      // When the digest (digest types and categories set to digest) is sent
+      digest: {
+        enabled: {
+          type: Boolean // unset: on for therapists and doctors, off for patients
+        },
+        includeHealthAlerts: {
+          type: Boolean, // batch low engagement alerts too; they are sent right away otherwise
+          default: false
+        },
+        frequency: {
+          type: String,
+          enum: ['daily', 'weekly'],
+          default: 'daily'
+        },
+        time: {
+          type: String,
+          default: '08:00',
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Digest time must be in HH:mm format']
+        },
+        dayOfWeek: {
+          type: Number, // for weekly digests, 0 (Sunday) to 6 (Saturday)
+          min: 0,
+          max: 6,
+          default: 1
+        }
       }
     },
     language: {
@@ -175,6 +309,16 @@ userSchema.virtual('age').get(function() {
   return age;
 });
 
+// Virtual for license verification (null for patients)
+userSchema.virtual('licenseStatus').get(function() {
+  return getLicenseStatus(this);
+});
+
+// Virtual for clinic admin access (configured by email)
+userSchema.virtual('isClinicAdmin').get(function() {
+  return isClinicAdmin(this);
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -224,6 +368,8 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ 'assignedPatients': 1 });
 userSchema.index({ 'assignedProviders.providerId': 1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
+userSchema.index({ role: 1, 'professionalInfo.licenseVerification.status': 1 });
 
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', {
@@ -231,6 +377,9 @@ userSchema.set('toJSON', {
   transform: function(doc, ret) {
     delete ret.password;
     delete ret.__v;
+    if (ret.twoFactor) {
+      ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+    }
     return ret;
   }
 });
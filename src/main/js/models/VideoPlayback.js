@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * VideoPlayback Schema for how far a patient watched a task's demo video
+ * One document per patient and video resource. The summary fields are kept up
+ * to date as playback events arrive; events keeps the most recent ones.
+ */
+const videoPlaybackSchema = new mongoose.Schema({
+  // What was watched
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient reference is required']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RehabTask',
+    required: [true, 'Task reference is required']
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Resource reference is required'] // RehabTask.resources[]._id
+  },
+
+  // Summary
+  firstStartedAt: Date,
+  lastWatchedAt: Date,
+  playCount: {
+    type: Number,
+    default: 0
+  },
+  maxPercentWatched: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  completedAt: Date, // first time the patient reached the completion threshold
+  chaptersViewed: [Number], // instruction steps whose chapter was reached
+
+  // Recent Events
+  events: [{
+    type: {
+      type: String,
+      enum: ['started', 'progress', 'completed'],
+      required: true
+    },
+    positionSeconds: Number,
+    percentWatched: Number,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the video was watched to the end
+videoPlaybackSchema.virtual('completed').get(function() {
+  return Boolean(this.completedAt);
+});
+
+// Indexes for performance
+videoPlaybackSchema.index({ patient: 1, resource: 1 }, { unique: true });
+videoPlaybackSchema.index({ task: 1 });
+
+module.exports = mongoose.model('VideoPlayback', videoPlaybackSchema);
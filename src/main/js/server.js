@@ -20,9 +20,29 @@ const physiotherapistRoutes = require('./api/routes/physiotherapists');
 const doctorRoutes = require('./api/routes/doctors');
 const commentRoutes = require('./api/routes/comments');
 const notificationRoutes = require('./api/routes/notifications');
+const assignmentRoutes = require('./api/routes/assignments');
+const calendarRoutes = require('./api/routes/calendar');
+const jobRoutes = require('./api/routes/jobs');
+const messageRoutes = require('./api/routes/messages');
+const fileRoutes = require('./api/routes/files');
+const providerRoutes = require('./api/routes/providers');
 const NotificationService = require('./services/NotificationService');
+const Job = require('./models/Job');
+const { JobQueue } = require('./core/jobs/jobQueue');
+const { SocketGateway } = require('./core/realtime/socketGateway');
+const User = require('./models/User');
 const CommentService = require('./services/CommentService');
+const AppointmentService = require('./services/AppointmentService');
+const AssignmentService = require('./services/AssignmentService');
+const ReferralService = require('./services/ReferralService');
+const ProtocolService = require('./services/ProtocolService');
 const AccessControlService = require('./services/AccessControlService');
+const MessagingService = require('./services/MessagingService');
+const ProgressService = require('./services/ProgressService');
+const FormCheckService = require('./services/FormCheckService');
+const SessionService = require('./services/SessionService');
+const LoginProtectionService = require('./services/LoginProtectionService');
+const ProviderOnboardingService = require('./services/ProviderOnboardingService');
 const { securityHeaders, roleBasedRateLimit } = require('./api/middleware/enhancedSecurityMiddleware');
 
 const app = express();
@@ -78,66 +98,59 @@ app.use('/api/physiotherapists', physiotherapistRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/notifications', notificationRoutes);
-
-// Socket.io for real-time features
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join room based on user role/ID for targeted updates
-  socket.on('join-room', (room) => {
-    socket.join(room);
-    console.log(`User ${socket.id} joined room: ${room}`);
-  });
-
-  // Handle progress updates
-  socket.on('progress-update', (data) => {
-    socket.to(data.room).emit('progress-updated', data);
-  });
-
-  // Handle schedule changes
-  socket.on('schedule-change', (data) => {
-    socket.to(data.room).emit('schedule-changed', data);
-  });
-
-  // Handle comment updates
-  socket.on('comment-added', (data) => {
-    socket.to(data.room).emit('comment-updated', data);
-  });
-
-  socket.on('comment-reaction', (data) => {
-    socket.to(data.room).emit('reaction-updated', data);
-  });
-
-  socket.on('comment-reply', (data) => {
-    socket.to(data.room).emit('reply-added', data);
-  });
-
-  // Handle notification events
-  socket.on('notification-read', (data) => {
-    socket.to(data.room).emit('notification-status-changed', data);
-  });
-
-  socket.on('notification-dismissed', (data) => {
-    socket.to(data.room).emit('notification-status-changed', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/providers', providerRoutes);
 
 // Initialize services
-const notificationService = new NotificationService(io);
+const jobQueue = new JobQueue({ jobs: Job });
+const notificationService = new NotificationService(io, { jobQueue });
 const commentService = CommentService;
+const appointmentService = AppointmentService;
+const assignmentService = AssignmentService;
+const referralService = ReferralService;
+const protocolService = ProtocolService;
+const progressService = ProgressService;
+const messagingService = MessagingService;
+const formCheckService = FormCheckService;
+const sessionService = SessionService;
+const loginProtectionService = LoginProtectionService;
+const providerOnboardingService = ProviderOnboardingService;
 const accessControlService = new AccessControlService();
 
+// Socket.io for real-time features: authenticated sockets in server-managed rooms
+const socketGateway = new SocketGateway(io, { users: User, accessControl: accessControlService, sessions: sessionService });
+socketGateway.attach();
+
 // Connect services
 commentService.setNotificationService(notificationService);
+appointmentService.setNotificationService(notificationService);
+assignmentService.setNotificationService(notificationService);
+referralService.setNotificationService(notificationService);
+protocolService.setNotificationService(notificationService);
+formCheckService.setNotificationService(notificationService);
+loginProtectionService.setNotificationService(notificationService);
+providerOnboardingService.setNotificationService(notificationService);
+commentService.setSocketGateway(socketGateway);
+appointmentService.setSocketGateway(socketGateway);
+assignmentService.setSocketGateway(socketGateway);
+progressService.setSocketGateway(socketGateway);
+messagingService.setSocketGateway(socketGateway);
+sessionService.setSocketGateway(socketGateway);
+providerOnboardingService.setSocketGateway(socketGateway);
 
 // Make services available to routes
 app.set('io', io);
+app.set('socketGateway', socketGateway);
 app.set('notificationService', notificationService);
 app.set('commentService', commentService);
+app.set('appointmentService', appointmentService);
+app.set('assignmentService', assignmentService);
+app.set('referralService', referralService);
+app.set('protocolService', protocolService);
 app.set('accessControlService', accessControlService);
 
 // 404 handler
@@ -161,6 +174,9 @@ const startServer = async () => {
     await connectDatabase();
     console.log('📄 Database connected successfully');
 
+    // Start processing background jobs (reminders, digests, scheduled notifications)
+    jobQueue.start();
+
     // Start server
     server.listen(PORT, () => {
       console.log(`
@@ -178,16 +194,18 @@ const startServer = async () => {
 };
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  await jobQueue.stop();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  await jobQueue.stop();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
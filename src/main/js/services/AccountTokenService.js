@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const emailRenderer = require('../core/delivery/emailRenderer');
+const { createEmailTransport } = require('../core/delivery/emailTransports');
+
+/**
+ * Account Token Service
+ * Issues and redeems the single-use links emailed for email verification and
+ * password resets. The raw token only ever appears in the email; the database
+ * holds its hash. Account emails go straight to the email transport rather
+ * than through NotificationService, because they must arrive even when the
+ * user has turned off email notifications.
+ */
+
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const RESEND_INTERVAL_SECONDS = 60;
+
+const INVALID_LINK = 'This link is invalid or has expired. Please request a new one';
+
+class AccountTokenService {
+  constructor() {
+    this.transport = createEmailTransport();
+    this.from = process.env.EMAIL_FROM || 'noreply@rehabtracker.com';
+  }
+
+  /**
+   * Replace the email transport (tests use a MemoryTransport)
+   * @param {Object} transport - Email transport with send(message)
+   */
+  setEmailTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Email a link that confirms the user owns their address
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { expiresAt }
+   */
+  async sendEmailVerification(user) {
+    await this.checkResendInterval(user._id, 'email_verification');
+
+    const { token, expiresAt } = await this.issueToken(user, 'email_verification', VERIFICATION_TTL_HOURS * 60);
+
+    await this.sendEmail(user, {
+      title: 'Verify your email address',
+      message: `Please confirm that ${user.email} is your email address. The link expires in ${VERIFICATION_TTL_HOURS} hours.`,
+      actionUrl: `/verify-email?token=${token}`,
+      actionText: 'Verify Email'
+    });
+
+    return { expiresAt };
+  }
+
+  /**
+   * Email a password reset link
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { expiresAt }
+   */
+  async sendPasswordReset(user) {
+    await this.checkResendInterval(user._id, 'password_reset');
+
+    const { token, expiresAt } = await this.issueToken(user, 'password_reset', RESET_TTL_MINUTES);
+
+    await this.sendEmail(user, {
+      title: 'Reset your password',
+      message: `We received a request to reset your password. The link expires in ${RESET_TTL_MINUTES} minutes and can be used once. If you did not ask for this, you can ignore this email; your password will not change.`,
+      actionUrl: `/reset-password?token=${token}`,
+      actionText: 'Reset Password'
+    });
+
+    return { expiresAt };
+  }
+
+  /**
+   * Look up a link's token without using it up
+   * @param {String} token - Token from the link
+   * @param {String} purpose - email_verification or password_reset
+   * @returns {Promise<Object>} Account token
+   */
+  async findUsableToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+      throw new Error(INVALID_LINK);
+    }
+
+    const accountToken = await AccountToken.findOne({
+      tokenHash: this.hashToken(token),
+      purpose,
+      usedAt: null,
+      invalidatedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!accountToken) {
+      throw new Error(INVALID_LINK);
+    }
+
+    return accountToken;
+  }
+
+  /**
+   * Use up a link's token. Only one of several concurrent requests succeeds.
+   * @param {String} token - Token from the link
+   * @param {String} purpose - email_verification or password_reset
+   * @returns {Promise<Object>} Account token
+   */
+  async consumeToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+      throw new Error(INVALID_LINK);
+    }
+
+    const accountToken = await AccountToken.findOneAndUpdate(
+      {
+        tokenHash: this.hashToken(token),
+        purpose,
+        usedAt: null,
+        invalidatedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+    if (!accountToken) {
+      throw new Error(INVALID_LINK);
+    }
+
+    return accountToken;
+  }
+
+  /**
+   * Invalidate a user's outstanding links
+   * @param {String} userId - User ID
+   * @param {String} purpose - email_verification or password_reset
+   * @param {String} reason - superseded or password_changed
+   * @returns {Promise<Number>} Number of links invalidated
+   */
+  async invalidateTokens(userId, purpose, reason) {
+    const result = await AccountToken.updateMany(
+      { user: userId, purpose, usedAt: null, invalidatedAt: null },
+      { $set: { invalidatedAt: new Date(), invalidatedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Helper methods
+
+  async issueToken(user, purpose, ttlMinutes) {
+    // Only the newest link of each kind works
+    await this.invalidateTokens(user._id, purpose, 'superseded');
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    await AccountToken.create({
+      user: user._id,
+      purpose,
+      email: user.email,
+      tokenHash: this.hashToken(token),
+      expiresAt
+    });
+
+    return { token, expiresAt };
+  }
+
+  async checkResendInterval(userId, purpose) {
+    const recent = await AccountToken.exists({
+      user: userId,
+      purpose,
+      createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_SECONDS * 1000) }
+    });
+    if (recent) {
+      throw new Error('An email was sent moments ago. Please wait a minute before requesting another');
+    }
+  }
+
+  async sendEmail(user, content) {
+    return this.transport.send({
+      from: this.from,
+      to: user.email,
+      ...emailRenderer.render({ ...content, recipient: user }, { transactional: true })
+    });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new AccountTokenService();
@@ -0,0 +1,610 @@
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const availabilityService = require('./AvailabilityService');
+
+/**
+ * Appointment Service
+ * Handles booking, rescheduling, cancellation and attendance tracking for appointments
+ */
+
+class AppointmentService {
+  constructor() {
+    this.notificationService = null;
+    this.socketGateway = null;
+  }
+
+  /**
+   * Set notification service for sending notifications
+   * @param {NotificationService} notificationService
+   */
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Set socket gateway for real-time updates
+   * @param {SocketGateway} socketGateway
+   */
+  setSocketGateway(socketGateway) {
+    this.socketGateway = socketGateway;
+  }
+
+  /**
+   * Book a new appointment
+   * @param {String} userId - ID of the user making the booking
+   * @param {Object} appointmentData - Appointment data
+   * @returns {Promise<Object>} Created appointment
+   */
+  async bookAppointment(userId, appointmentData) {
+    try {
+      const bookingUser = await User.findById(userId);
+      if (!bookingUser) {
+        throw new Error('User not found');
+      }
+
+      // Patients book with a provider, providers book for a patient
+      const patientId = bookingUser.role === 'patient' ? userId : appointmentData.patientId;
+      const providerId = bookingUser.role === 'patient' ? appointmentData.providerId : userId;
+
+      if (!patientId || !providerId) {
+        throw new Error('Both patient and provider are required');
+      }
+
+      const [patient, provider] = await Promise.all([
+        User.findById(patientId),
+        User.findById(providerId)
+      ]);
+
+      if (!patient || patient.role !== 'patient') {
+        throw new Error('Appointment must be booked for a valid patient');
+      }
+
+      if (!provider || !['physiotherapist', 'doctor'].includes(provider.role)) {
+        throw new Error('Appointment must be booked with a valid provider');
+      }
+
+      if (!this.isProviderForPatient(provider, patient)) {
+        throw new Error('Provider is not assigned to this patient');
+      }
+
+      const {
+        startTime,
+        endTime,
+        appointmentType,
+        reason,
+        location,
+        notes
+      } = appointmentData;
+
+      if (!startTime || !endTime) {
+        throw new Error('Missing required fields: startTime, endTime');
+      }
+
+      const start = new Date(startTime);
+      const end = new Date(endTime);
+
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new Error('Start and end times must be valid dates');
+      }
+
+      if (start < new Date()) {
+        throw new Error('Appointment cannot be booked in the past');
+      }
+
+      // Patients can only pick published hours, providers may book outside them
+      await this.assertSlotAvailable(providerId, patientId, start, end, {
+        enforceAvailability: bookingUser.role === 'patient'
+      });
+
+      const appointment = new Appointment({
+        patient: patientId,
+        provider: providerId,
+        providerRole: provider.role,
+        bookedBy: userId,
+        startTime: start,
+        endTime: end,
+        appointmentType: appointmentType || 'follow_up',
+        reason,
+        location: location || { type: 'clinic' },
+        notes: bookingUser.role === 'patient'
+          ? { patientNotes: notes }
+          : { providerNotes: notes }
+      });
+
+      await appointment.save();
+
+      // Another booking may have been saved for the same slot after our check
+      if (await this.hasConflictingBooking(appointment, { earlierOnly: true })) {
+        await Appointment.deleteOne({ _id: appointment._id });
+        throw new Error('Provider already has an appointment during this time');
+      }
+
+      await appointment.populate([
+        { path: 'patient', select: 'firstName lastName email preferences' },
+        { path: 'provider', select: 'firstName lastName role preferences' }
+      ]);
+
+      await this.notifyParticipant(appointment, userId, 'appointment_booked');
+      this.broadcastScheduleChange(appointment, 'booked');
+
+      return {
+        success: true,
+        message: 'Appointment booked successfully',
+        data: {
+          appointment: appointment.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get appointments for a user
+   * @param {String} userId - User ID
+   * @param {String} role - User role
+   * @param {Object} filters - Query filters
+   * @returns {Promise<Object>} Appointments list
+   */
+  async getAppointments(userId, role, filters = {}) {
+    try {
+      const query = role === 'patient' ? { patient: userId } : { provider: userId };
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      if (filters.patientId && role !== 'patient') {
+        query.patient = filters.patientId;
+      }
+
+      if (filters.from || filters.to) {
+        query.startTime = {};
+        if (filters.from) query.startTime.$gte = new Date(filters.from);
+        if (filters.to) query.startTime.$lte = new Date(filters.to);
+      }
+
+      if (filters.upcoming === 'true') {
+        query.status = { $in: ['scheduled', 'confirmed'] };
+        query.startTime = { ...(query.startTime || {}), $gte: new Date() };
+      }
+
+      // Pagination
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [appointments, total] = await Promise.all([
+        Appointment.find(query)
+          .populate('patient', 'firstName lastName email')
+          .populate('provider', 'firstName lastName role')
+          .sort({ startTime: filters.upcoming === 'true' ? 1 : -1 })
+          .skip(skip)
+          .limit(limit),
+        Appointment.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          appointments,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a specific appointment by ID
+   * @param {String} appointmentId - Appointment ID
+   * @param {String} userId - Requesting user ID
+   * @returns {Promise<Object>} Appointment details
+   */
+  async getAppointmentById(appointmentId, userId) {
+    try {
+      const appointment = await Appointment.findById(appointmentId)
+        .populate('patient', 'firstName lastName email')
+        .populate('provider', 'firstName lastName role')
+        .populate('cancellation.cancelledBy', 'firstName lastName role');
+
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      this.assertParticipant(appointment, userId);
+
+      return {
+        success: true,
+        data: {
+          appointment: appointment.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move an appointment to a new time slot
+   * @param {String} appointmentId - Appointment ID
+   * @param {String} userId - Requesting user ID
+   * @param {Object} rescheduleData - New startTime, endTime and optional reason
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async rescheduleAppointment(appointmentId, userId, rescheduleData) {
+    try {
+      const appointment = await Appointment.findById(appointmentId);
+
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      this.assertParticipant(appointment, userId);
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        throw new Error(`Cannot reschedule a ${appointment.status} appointment`);
+      }
+
+      const { startTime, endTime, reason } = rescheduleData;
+      if (!startTime || !endTime) {
+        throw new Error('Missing required fields: startTime, endTime');
+      }
+
+      const start = new Date(startTime);
+      const end = new Date(endTime);
+
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new Error('Start and end times must be valid dates');
+      }
+
+      if (start < new Date()) {
+        throw new Error('Appointment cannot be moved into the past');
+      }
+
+      await this.assertSlotAvailable(appointment.provider, appointment.patient, start, end, {
+        excludeId: appointment._id,
+        enforceAvailability: appointment.patient.toString() === userId.toString()
+      });
+
+      const previousStart = appointment.startTime;
+      const previousEnd = appointment.endTime;
+      const previousStatus = appointment.status;
+      const previousReminderSentAt = appointment.reminders.sentAt;
+
+      await appointment.reschedule(start, end, userId, reason);
+
+      if (await this.hasConflictingBooking(appointment)) {
+        appointment.startTime = previousStart;
+        appointment.endTime = previousEnd;
+        appointment.status = previousStatus;
+        appointment.reminders.sentAt = previousReminderSentAt;
+        appointment.rescheduleHistory.pop();
+        await appointment.save();
+        throw new Error('Provider already has an appointment during this time');
+      }
+
+      await appointment.populate([
+        { path: 'patient', select: 'firstName lastName email preferences' },
+        { path: 'provider', select: 'firstName lastName role preferences' }
+      ]);
+
+      await this.notifyParticipant(appointment, userId, 'appointment_rescheduled');
+      this.broadcastScheduleChange(appointment, 'rescheduled');
+
+      return {
+        success: true,
+        message: 'Appointment rescheduled successfully',
+        data: {
+          appointment: appointment.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an appointment
+   * @param {String} appointmentId - Appointment ID
+   * @param {String} userId - Requesting user ID
+   * @param {String} reason - Cancellation reason
+   * @returns {Promise<Object>} Cancelled appointment
+   */
+  async cancelAppointment(appointmentId, userId, reason) {
+    try {
+      const appointment = await Appointment.findById(appointmentId);
+
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      this.assertParticipant(appointment, userId);
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        throw new Error(`Cannot cancel a ${appointment.status} appointment`);
+      }
+
+      if (!reason) {
+        throw new Error('Cancellation reason is required');
+      }
+
+      await appointment.cancel(userId, reason);
+
+      await appointment.populate([
+        { path: 'patient', select: 'firstName lastName email preferences' },
+        { path: 'provider', select: 'firstName lastName role preferences' }
+      ]);
+
+      await this.notifyParticipant(appointment, userId, 'appointment_cancelled');
+      this.broadcastScheduleChange(appointment, 'cancelled');
+
+      return {
+        success: true,
+        message: 'Appointment cancelled successfully',
+        data: {
+          appointment: appointment.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a patient as not attending an appointment
+   * @param {String} appointmentId - Appointment ID
+   * @param {String} providerId - Provider ID
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async markNoShow(appointmentId, providerId) {
+    try {
+      const appointment = await Appointment.findById(appointmentId);
+
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      if (appointment.provider.toString() !== providerId.toString()) {
+        throw new Error('Only the appointment provider can mark a no-show');
+      }
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        throw new Error(`Cannot mark a ${appointment.status} appointment as no-show`);
+      }
+
+      if (appointment.startTime > new Date()) {
+        throw new Error('Cannot mark a no-show before the appointment has started');
+      }
+
+      await appointment.markNoShow(providerId);
+
+      return {
+        success: true,
+        message: 'Appointment marked as no-show',
+        data: {
+          appointment: appointment.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an appointment as completed
+   * @param {String} appointmentId - Appointment ID
+   * @param {String} providerId - Provider ID
+   * @param {String} providerNotes - Optional visit notes
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async completeAppointment(appointmentId, providerId, providerNotes) {
+    try {
+      const appointment = await Appointment.findById(appointmentId);
+
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      if (appointment.provider.toString() !== providerId.toString()) {
+        throw new Error('Only the appointment provider can complete an appointment');
+      }
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        throw new Error(`Cannot complete a ${appointment.status} appointment`);
+      }
+
+      if (providerNotes) {
+        appointment.notes.providerNotes = providerNotes;
+      }
+
+      await appointment.markCompleted();
+
+      return {
+        success: true,
+        message: 'Appointment marked as completed',
+        data: {
+          appointment: appointment.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get missed appointments for a set of patients
+   * @param {Array} patientIds - Patient IDs
+   * @param {Number} days - Look-back window in days
+   * @returns {Promise<Array>} No-show appointments, newest first
+   */
+  async getMissedAppointments(patientIds, days = 30) {
+    try {
+      const since = new Date();
+      since.setDate(since.getDate() - days);
+
+      return await Appointment.find({
+        patient: { $in: patientIds },
+        status: 'no_show',
+        startTime: { $gte: since }
+      })
+        .populate('patient', 'firstName lastName email')
+        .populate('provider', 'firstName lastName role')
+        .sort({ startTime: -1 });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Check whether a provider may see appointments for a patient.
+   * Doctors oversee all patients, physiotherapists only their assigned ones.
+   */
+  isProviderForPatient(provider, patient) {
+    if (provider.role === 'doctor') {
+      return true;
+    }
+
+    return patient.assignedProviders.some(
+      assigned => assigned.providerId.toString() === provider._id.toString()
+    );
+  }
+
+  assertParticipant(appointment, userId) {
+    const patientId = appointment.patient._id || appointment.patient;
+    const providerId = appointment.provider._id || appointment.provider;
+
+    const isParticipant =
+      patientId.toString() === userId.toString() ||
+      providerId.toString() === userId.toString();
+
+    if (!isParticipant) {
+      throw new Error('Access denied. You can only manage your own appointments');
+    }
+  }
+
+  async assertSlotAvailable(providerId, patientId, startTime, endTime, options = {}) {
+    const { excludeId = null, enforceAvailability = false } = options;
+
+    if (endTime <= startTime) {
+      throw new Error('End time must be after start time');
+    }
+
+    const overlapping = await Appointment.findOverlapping(providerId, startTime, endTime, excludeId);
+    if (overlapping.length > 0) {
+      throw new Error('Provider already has an appointment during this time');
+    }
+
+    const patientQuery = {
+      patient: patientId,
+      status: { $in: ['scheduled', 'confirmed'] },
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime }
+    };
+    if (excludeId) {
+      patientQuery._id = { $ne: excludeId };
+    }
+
+    if (await Appointment.exists(patientQuery)) {
+      throw new Error('Patient already has an appointment during this time');
+    }
+
+    // Published hours, minimum notice and buffers bind patients; providers manage their own calendar
+    if (enforceAvailability) {
+      await availabilityService.assertBookable(providerId, startTime, endTime, { excludeId });
+    }
+  }
+
+  /**
+   * Re-check a saved appointment for overlaps written concurrently.
+   * With earlierOnly the older booking (lower ObjectId) wins the slot.
+   */
+  async hasConflictingBooking(appointment, options = {}) {
+    const overlapping = await Appointment.findOverlapping(
+      appointment.provider._id || appointment.provider,
+      appointment.startTime,
+      appointment.endTime,
+      appointment._id
+    );
+
+    if (!options.earlierOnly) {
+      return overlapping.length > 0;
+    }
+
+    return overlapping.some(other => other._id.toString() < appointment._id.toString());
+  }
+
+  /**
+   * Notify the other participant about a change made by the acting user
+   */
+  async notifyParticipant(appointment, actingUserId, templateId) {
+    if (!this.notificationService) return;
+
+    const actingIsPatient = appointment.patient._id.toString() === actingUserId.toString();
+    const recipient = actingIsPatient ? appointment.provider : appointment.patient;
+    const actor = actingIsPatient ? appointment.patient : appointment.provider;
+    const timezone = recipient.preferences?.timezone || 'UTC';
+
+    await this.notificationService.createNotification({
+      recipient: recipient._id,
+      sender: actor._id,
+      type: 'schedule_change',
+      category: 'schedule',
+      priority: templateId === 'appointment_cancelled' ? 'high' : 'normal',
+      templateId,
+      templateVariables: {
+        participantName: `${actor.firstName} ${actor.lastName}`,
+        time: this.notificationService.formatDateTime(appointment.startTime, timezone)
+      },
+      relatedEntity: {
+        entityType: 'appointment',
+        entityId: appointment._id
+      },
+      actionUrl: `/appointments/${appointment._id}`,
+      metadata: { source: 'user' }
+    });
+  }
+
+  /**
+   * Push the change to the patient's care team and the provider so open calendars refresh
+   */
+  broadcastScheduleChange(appointment, change) {
+    if (!this.socketGateway) return;
+
+    this.socketGateway.emitToCareTeam(appointment.patient._id, 'schedule-changed', {
+      change,
+      appointmentId: appointment._id,
+      patientId: appointment.patient._id,
+      providerId: appointment.provider._id,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      status: appointment.status
+    }, { users: [appointment.provider._id] });
+  }
+}
+
+module.exports = new AppointmentService();
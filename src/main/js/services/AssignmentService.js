@@ -0,0 +1,498 @@
+const CareAssignment = require('../models/CareAssignment');
+const User = require('../models/User');
+const { hasClinicalAccess } = require('../core/auth/providerAccess');
+
+/**
+ * Assignment Service
+ * Manages patient-provider care relationships. Every change updates both
+ * User.assignedProviders (patient side) and User.assignedPatients (provider side)
+ * and is recorded as CareAssignment history.
+ */
+
+class AssignmentService {
+  constructor() {
+    this.notificationService = null;
+    this.socketGateway = null;
+  }
+
+  /**
+   * Set notification service for sending notifications
+   * @param {NotificationService} notificationService
+   */
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Set socket gateway for real-time updates
+   * @param {SocketGateway} socketGateway
+   */
+  setSocketGateway(socketGateway) {
+    this.socketGateway = socketGateway;
+  }
+
+  /**
+   * Assign a provider to a patient
+   * @param {String} actingUserId - ID of the user making the assignment
+   * @param {Object} assignmentData - patientId, providerId, reason
+   * @returns {Promise<Object>} Created assignment
+   */
+  async assignProvider(actingUserId, assignmentData) {
+    try {
+      const actingUser = await this.getUser(actingUserId);
+      if (actingUser.role !== 'doctor') {
+        throw new Error('Only doctors can assign providers to patients');
+      }
+
+      const { patientId, providerId, reason } = assignmentData;
+      if (!patientId || !providerId) {
+        throw new Error('Missing required fields: patientId, providerId');
+      }
+
+      const assignment = await this.createAssignment(patientId, providerId, {
+        assignedBy: actingUserId,
+        reason
+      });
+
+      return {
+        success: true,
+        message: 'Provider assigned successfully',
+        data: {
+          assignment: assignment.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * End a care relationship
+   * @param {String} actingUserId - ID of the user ending the relationship
+   * @param {Object} unassignData - patientId, providerId, reason, endType
+   * @returns {Promise<Object>} Ended assignment
+   */
+  async unassignProvider(actingUserId, unassignData) {
+    try {
+      const actingUser = await this.getUser(actingUserId);
+      const { patientId, providerId, reason, endType = 'unassigned' } = unassignData;
+
+      if (!patientId || !providerId) {
+        throw new Error('Missing required fields: patientId, providerId');
+      }
+
+      if (!reason) {
+        throw new Error('A reason is required to end a care relationship');
+      }
+
+      if (!['unassigned', 'discharged'].includes(endType)) {
+        throw new Error('End type must be either unassigned or discharged');
+      }
+
+      const isSelf = actingUserId.toString() === providerId.toString();
+      if (actingUser.role !== 'doctor' && !isSelf) {
+        throw new Error('You can only end your own care relationships');
+      }
+
+      const assignment = await this.endAssignment(patientId, providerId, {
+        endedBy: actingUserId,
+        endType,
+        reason
+      });
+
+      return {
+        success: true,
+        message: 'Provider unassigned successfully',
+        data: {
+          assignment: assignment.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a caseload over to a colleague with the same role
+   * @param {String} actingUserId - ID of the user performing the transfer
+   * @param {Object} transferData - fromProviderId, toProviderId, patientIds (optional, defaults to whole caseload), reason
+   * @returns {Promise<Object>} Transfer summary: patients moved, and patients skipped because the
+   *   colleague already cares for them (their relationship with the old provider still ends)
+   */
+  async transferCaseload(actingUserId, transferData) {
+    try {
+      const actingUser = await this.getUser(actingUserId);
+      const { fromProviderId, toProviderId, patientIds, reason } = transferData;
+
+      if (!fromProviderId || !toProviderId) {
+        throw new Error('Missing required fields: fromProviderId, toProviderId');
+      }
+
+      if (!reason) {
+        throw new Error('A reason is required to transfer patients');
+      }
+
+      if (fromProviderId.toString() === toProviderId.toString()) {
+        throw new Error('Cannot transfer patients to the same provider');
+      }
+
+      if (actingUser.role !== 'doctor' && actingUserId.toString() !== fromProviderId.toString()) {
+        throw new Error('Access denied: you can only transfer your own caseload');
+      }
+
+      const [fromProvider, toProvider] = await Promise.all([
+        this.getProvider(fromProviderId),
+        this.getProvider(toProviderId)
+      ]);
+
+      if (fromProvider.role !== toProvider.role) {
+        throw new Error('Caseload can only be transferred to a provider with the same role');
+      }
+
+      if (!toProvider.isActive) {
+        throw new Error('Cannot transfer patients to an inactive provider');
+      }
+
+      // Checked before any relationship ends so a refused transfer changes nothing
+      if (!hasClinicalAccess(toProvider)) {
+        throw new Error('Cannot transfer patients to a provider whose license has not been verified');
+      }
+
+      const caseload = fromProvider.assignedPatients.map(id => id.toString());
+      const toTransfer = Array.isArray(patientIds) && patientIds.length > 0
+        ? patientIds.map(id => id.toString())
+        : caseload;
+
+      const notInCaseload = toTransfer.filter(id => !caseload.includes(id));
+      if (notInCaseload.length > 0) {
+        throw new Error(`Patients not in caseload: ${notInCaseload.join(', ')}`);
+      }
+
+      const transferred = [];
+      const skipped = [];
+
+      for (const patientId of toTransfer) {
+        await this.endAssignment(patientId, fromProviderId, {
+          endedBy: actingUserId,
+          endType: 'transferred',
+          reason,
+          transferredTo: toProviderId,
+          notify: false
+        });
+
+        // The colleague may already be caring for this patient
+        const existing = await CareAssignment.findActive(patientId, toProviderId);
+        if (existing) {
+          skipped.push(patientId);
+          continue;
+        }
+
+        await this.createAssignment(patientId, toProviderId, {
+          assignedBy: actingUserId,
+          reason,
+          startType: 'transfer',
+          transferredFrom: fromProviderId
+        });
+        transferred.push(patientId);
+      }
+
+      const message = skipped.length > 0
+        ? `Transferred ${transferred.length} patient(s); ${skipped.length} already under the colleague's care`
+        : `Transferred ${transferred.length} patient(s) successfully`;
+
+      return {
+        success: true,
+        message,
+        data: {
+          fromProvider: fromProviderId,
+          toProvider: toProviderId,
+          transferredCount: transferred.length,
+          transferred,
+          skippedCount: skipped.length,
+          skipped
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get assignment history for a patient
+   * @param {String} patientId - Patient ID
+   * @param {String} userId - Requesting user ID
+   * @returns {Promise<Object>} Assignment history, newest first
+   */
+  async getPatientHistory(patientId, userId) {
+    try {
+      const user = await this.getUser(userId);
+      const patient = await User.findById(patientId).select('role assignedProviders firstName lastName');
+
+      if (!patient || patient.role !== 'patient') {
+        throw new Error('Patient not found');
+      }
+
+      const isSelf = patientId.toString() === userId.toString();
+      const hasCared = await CareAssignment.exists({ patient: patientId, provider: userId });
+
+      if (user.role !== 'doctor' && !isSelf && !hasCared) {
+        throw new Error('Access denied. You are not part of this patient\'s care team');
+      }
+
+      const history = await CareAssignment.findByPatient(patientId);
+
+      return {
+        success: true,
+        data: {
+          patient: {
+            _id: patient._id,
+            firstName: patient.firstName,
+            lastName: patient.lastName
+          },
+          activeProviders: history.filter(a => a.status === 'active'),
+          history
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get assignment history for a provider
+   * @param {String} providerId - Provider ID
+   * @param {Object} filters - status filter
+   * @returns {Promise<Object>} Assignment history, newest first
+   */
+  async getProviderHistory(providerId, filters = {}) {
+    try {
+      await this.getProvider(providerId);
+
+      const query = { provider: providerId };
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      const history = await CareAssignment.find(query)
+        .populate('patient', 'firstName lastName email')
+        .populate('transferredFrom', 'firstName lastName role')
+        .populate('transferredTo', 'firstName lastName role')
+        .sort({ startDate: -1 });
+
+      return {
+        success: true,
+        data: {
+          history,
+          activeCount: history.filter(a => a.status === 'active').length
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a care relationship and link both users
+   * @param {String} patientId - Patient ID
+   * @param {String} providerId - Provider ID
+   * @param {Object} options - assignedBy, reason, startType, transferredFrom, notify
+   * @returns {Promise<CareAssignment>} Created assignment
+   */
+  async createAssignment(patientId, providerId, options = {}) {
+    const { assignedBy, reason, startType = 'assigned', transferredFrom, notify = true } = options;
+
+    const [patient, provider] = await Promise.all([
+      User.findById(patientId),
+      this.getProvider(providerId)
+    ]);
+
+    if (!patient || patient.role !== 'patient') {
+      throw new Error('Assignment must be for a valid patient');
+    }
+
+    if (!hasClinicalAccess(provider)) {
+      throw new Error('Provider\'s license has not been verified');
+    }
+
+    const alreadyLinked = patient.assignedProviders.some(
+      p => p.providerId.toString() === providerId.toString()
+    );
+    const existing = await CareAssignment.findActive(patientId, providerId);
+
+    if (alreadyLinked && existing) {
+      throw new Error('Provider is already assigned to this patient');
+    }
+
+    const assignment = existing || await CareAssignment.create({
+      patient: patientId,
+      provider: providerId,
+      providerRole: provider.role,
+      startType,
+      startReason: reason,
+      assignedBy,
+      transferredFrom
+    });
+
+    await this.linkUsers(patientId, provider);
+
+    if (notify) {
+      await this.notifyAssignmentChange(patient, provider, 'assigned', assignedBy);
+    }
+
+    return assignment;
+  }
+
+  /**
+   * End a care relationship and unlink both users
+   * @param {String} patientId - Patient ID
+   * @param {String} providerId - Provider ID
+   * @param {Object} options - endedBy, endType, reason, transferredTo, notify
+   * @returns {Promise<CareAssignment>} Ended assignment
+   */
+  async endAssignment(patientId, providerId, options = {}) {
+    const { endedBy, endType, reason, transferredTo, notify = true } = options;
+
+    const [patient, provider] = await Promise.all([
+      User.findById(patientId),
+      this.getProvider(providerId)
+    ]);
+
+    if (!patient || patient.role !== 'patient') {
+      throw new Error('Patient not found');
+    }
+
+    const link = patient.assignedProviders.find(
+      p => p.providerId.toString() === providerId.toString()
+    );
+    let assignment = await CareAssignment.findActive(patientId, providerId);
+
+    if (!link && !assignment) {
+      throw new Error('Provider is not assigned to this patient');
+    }
+
+    // Relationships created before history tracking have no record yet
+    if (!assignment) {
+      assignment = new CareAssignment({
+        patient: patientId,
+        provider: providerId,
+        providerRole: provider.role,
+        startType: 'legacy',
+        startDate: link.assignedAt
+      });
+    }
+
+    await assignment.end(endedBy, endType, reason, transferredTo);
+    await this.unlinkUsers(patientId, providerId);
+
+    if (notify) {
+      await this.notifyAssignmentChange(patient, provider, 'ended', endedBy);
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Undo an assignment that was the first step of a change that then failed.
+   * Unlike endAssignment, nothing is kept in the history.
+   * @param {CareAssignment} assignment - Assignment returned by createAssignment
+   */
+  async revertAssignment(assignment) {
+    await CareAssignment.deleteOne({ _id: assignment._id });
+    await this.unlinkUsers(assignment.patient, assignment.provider);
+  }
+
+  // Helper methods
+
+  async linkUsers(patientId, provider) {
+    await Promise.all([
+      User.updateOne(
+        { _id: patientId, 'assignedProviders.providerId': { $ne: provider._id } },
+        { $push: { assignedProviders: { providerId: provider._id, role: provider.role, assignedAt: new Date() } } }
+      ),
+      User.updateOne(
+        { _id: provider._id },
+        { $addToSet: { assignedPatients: patientId } }
+      )
+    ]);
+
+    // Live sockets start receiving the patient's events without reconnecting
+    await this.socketGateway?.syncRooms(provider._id);
+  }
+
+  async unlinkUsers(patientId, providerId) {
+    await Promise.all([
+      User.updateOne(
+        { _id: patientId },
+        { $pull: { assignedProviders: { providerId } } }
+      ),
+      User.updateOne(
+        { _id: providerId },
+        { $pull: { assignedPatients: patientId } }
+      )
+    ]);
+
+    await this.socketGateway?.syncRooms(providerId);
+  }
+
+  async getUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  async getProvider(providerId) {
+    const provider = await User.findById(providerId);
+    if (!provider || !['physiotherapist', 'doctor'].includes(provider.role)) {
+      throw new Error('Provider not found');
+    }
+    return provider;
+  }
+
+  async notifyAssignmentChange(patient, provider, change, actingUserId) {
+    if (!this.notificationService) return;
+
+    const providerName = `${provider.firstName} ${provider.lastName}`;
+    const patientName = `${patient.firstName} ${patient.lastName}`;
+    const assigned = change === 'assigned';
+
+    await Promise.all([
+      this.notificationService.createNotification({
+        recipient: patient._id,
+        sender: actingUserId,
+        type: 'system_alert',
+        category: 'system',
+        title: assigned ? 'New Care Team Member' : 'Care Team Update',
+        message: assigned
+          ? `${providerName} has joined your care team`
+          : `${providerName} is no longer part of your care team`,
+        relatedEntity: { entityType: 'user', entityId: provider._id },
+        actionUrl: '/providers'
+      }),
+      this.notificationService.createNotification({
+        recipient: provider._id,
+        sender: actingUserId,
+        type: 'system_alert',
+        category: 'system',
+        title: assigned ? 'New Patient Assigned' : 'Patient Unassigned',
+        message: assigned
+          ? `${patientName} has been assigned to you`
+          : `${patientName} has been removed from your caseload`,
+        relatedEntity: { entityType: 'user', entityId: patient._id },
+        actionUrl: `/patients/${patient._id}`
+      })
+    ]);
+  }
+}
+
+module.exports = new AssignmentService();
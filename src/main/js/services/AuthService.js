@@ -1,19 +1,32 @@
 const User = require('../models/User');
 const jwtUtils = require('../core/auth/jwtUtils');
 const passwordUtils = require('../core/auth/passwordUtils');
+const sessionService = require('./SessionService');
+const twoFactorService = require('./TwoFactorService');
+const accountTokenService = require('./AccountTokenService');
+const loginProtectionService = require('./LoginProtectionService');
+const providerOnboardingService = require('./ProviderOnboardingService');
+const { getClinicAdminEmails, isProviderRole } = require('../core/auth/providerAccess');
 
 /**
  * Authentication Service
- * Handles user registration, login, token management, and authentication flows
+ * Handles user registration, login, token management, and authentication flows.
+ * Users with two-factor authentication (or whose role requires it) get a
+ * short-lived challenge token instead of tokens after the password check;
+ * tokens are issued once the code is verified or setup is finished.
+ * Physiotherapists and doctors register through a clinic admin's invitation.
  */
 
 class AuthService {
   /**
-   * Register a new user
+   * Register a new user. Providers need an invitationToken (the invitation
+   * sets their email and role) and a license number; their license starts
+   * out pending verification.
    * @param {Object} userData - User registration data
+   * @param {Object} context - userAgent, ipAddress of the device signing in
    * @returns {Promise<Object>} Created user and tokens
    */
-  async register(userData) {
+  async register(userData, context = {}) {
     try {
       const {
         firstName,
@@ -23,20 +36,40 @@ class AuthService {
         role,
         phoneNumber,
         dateOfBirth,
+        invitationToken,
+        professionalInfo,
         ...otherData
       } = userData;
 
+      // An invitation fixes the email address and role
+      const invitation = invitationToken
+        ? await providerOnboardingService.findUsableInvitation(invitationToken)
+        : null;
+      const accountEmail = invitation ? invitation.email : email;
+      const accountRole = invitation ? invitation.role : role;
+
       // Validate required fields
-      if (!firstName || !lastName || !email || !password || !role) {
+      if (!firstName || !lastName || !accountEmail || !password || !accountRole) {
         throw new Error('Missing required fields: firstName, lastName, email, password, role');
       }
 
       // Validate role
       const validRoles = ['patient', 'physiotherapist', 'doctor'];
-      if (!validRoles.includes(role)) {
+      if (!validRoles.includes(accountRole)) {
         throw new Error('Invalid role. Must be patient, physiotherapist, or doctor');
       }
 
+      // Providers sign up by invitation; clinic admins (CLINIC_ADMIN_EMAILS) may bootstrap themselves,
+      // but get no admin rights until they verify the email address
+      const isProvider = isProviderRole(accountRole);
+      const isBootstrapAdmin = isProvider && !invitation && getClinicAdminEmails().includes(accountEmail.toLowerCase());
+      if (isProvider && !invitation && !isBootstrapAdmin) {
+        throw new Error('Healthcare provider accounts need an invitation from your clinic');
+      }
+      if (isProvider && !(professionalInfo && String(professionalInfo.licenseNumber || '').trim())) {
+        throw new Error('License number is required for healthcare providers');
+      }
+
       // Validate password strength
       const passwordStrength = passwordUtils.checkPasswordStrength(password);
       if (passwordStrength.level === 'very_weak' || passwordStrength.level === 'weak') {
@@ -44,43 +77,73 @@ class AuthService {
       }
 
       // Check if user already exists
-      const existingUser = await User.findByEmail(email);
+      const existingUser = await User.findByEmail(accountEmail);
       if (existingUser) {
         throw new Error('User with this email already exists');
       }
 
+      // Account state is never taken from the request
+      ['isActive', 'emailVerified', 'twoFactor', 'invitedBy'].forEach(field => delete otherData[field]);
+      Object.keys(otherData)
+        .filter(field => field.startsWith('professionalInfo.'))
+        .forEach(field => delete otherData[field]);
+
       // Create user object (password will be hashed by pre-save middleware)
       const userData_ = {
+        ...otherData,
         firstName: firstName.trim(),
         lastName: lastName.trim(),
-        email: email.toLowerCase().trim(),
+        email: accountEmail.toLowerCase().trim(),
         password,
-        role,
+        role: accountRole,
         phoneNumber: phoneNumber?.trim(),
-        dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined,
-        ...otherData
+        dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined
       };
 
-      // Create user
-      const user = new User(userData_);
-      await user.save();
+      if (isProvider) {
+        const { licenseVerification, ...profile } = professionalInfo;
+        userData_.professionalInfo = {
+          ...profile,
+          licenseNumber: String(profile.licenseNumber).trim(),
+          licenseVerification: { status: 'pending', submittedAt: new Date() }
+        };
+      }
 
-      // Generate tokens
-      const tokens = await jwtUtils.generateTokenPair(user);
+      if (invitation) {
+        // The invitation link proves the address
+        userData_.emailVerified = true;
+        userData_.invitedBy = invitation.invitedBy;
+      }
 
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
+      // Only one signup can use the invitation; reopen it if the account is not created
+      const acceptedInvitation = invitation
+        ? await providerOnboardingService.acceptInvitation(invitationToken)
+        : null;
 
-      // Return user data (password excluded by schema transform)
-      return {
-        success: true,
-        message: 'User registered successfully',
-        data: {
-          user: user.toJSON(),
-          tokens
+      // Create user
+      const user = new User(userData_);
+      try {
+        await user.save();
+      } catch (saveError) {
+        if (acceptedInvitation) {
+          await providerOnboardingService.completeInvitation(acceptedInvitation, null);
         }
-      };
+        throw saveError;
+      }
+
+      if (acceptedInvitation) {
+        await providerOnboardingService.completeInvitation(acceptedInvitation, user);
+      } else {
+        // A failed email should not fail the registration; the user can ask for another
+        try {
+          await accountTokenService.sendEmailVerification(user);
+        } catch (emailError) {
+          console.error('Verification email error:', emailError.message);
+        }
+      }
+
+      // Start a session for this device (or ask for two-factor setup first)
+      return await this.signIn(user, context, 'User registered successfully');
 
     } catch (error) {
       // Handle Mongoose validation errors
@@ -103,18 +166,24 @@ class AuthService {
    * Login user with email and password
    * @param {String} email - User email
    * @param {String} password - User password
+   * @param {Object} context - userAgent, ipAddress of the device signing in
    * @returns {Promise<Object>} User data and tokens
    */
-  async login(email, password) {
+  async login(email, password, context = {}) {
     try {
       // Validate input
       if (!email || !password) {
         throw new Error('Email and password are required');
       }
 
+      // Locked accounts and throttled IPs are refused before the password is checked
+      await loginProtectionService.assertLoginAllowed(email, context.ipAddress);
+
       // Find user and include password field
       const user = await User.findByEmail(email).select('+password');
       if (!user) {
+        // Unknown emails are counted too, so they behave like real accounts
+        await loginProtectionService.recordFailure(email, context.ipAddress);
         throw new Error('Invalid email or password');
       }
 
@@ -126,24 +195,51 @@ class AuthService {
       // Verify password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
+        await loginProtectionService.recordFailure(email, context.ipAddress, user);
         throw new Error('Invalid email or password');
       }
 
-      // Generate tokens
-      const tokens = await jwtUtils.generateTokenPair(user);
+      // Start a session for this device (or ask for the second factor first)
+      return await this.signIn(user, context, 'Login successful');
 
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      return {
-        success: true,
-        message: 'Login successful',
-        data: {
-          user: user.toJSON(),
-          tokens
+  /**
+   * Second login step: check the authenticator or recovery code and start the session
+   * @param {String} challengeToken - Token from the password step
+   * @param {Object} credentials - code or recoveryCode
+   * @param {Object} context - userAgent, ipAddress of the device signing in
+   * @returns {Promise<Object>} User data and tokens
+   */
+  async completeTwoFactorLogin(challengeToken, credentials = {}, context = {}) {
+    try {
+      if (!challengeToken) {
+        throw new Error('Two-factor challenge token is required');
+      }
+      if (!credentials.code && !credentials.recoveryCode) {
+        throw new Error('Verification code or recovery code is required');
+      }
+
+      const user = await this.getChallengeUser(challengeToken, 'verify');
+      await loginProtectionService.assertLoginAllowed(user.email, context.ipAddress);
+
+      let verification;
+      try {
+        verification = await twoFactorService.verifyLogin(user._id, credentials);
+      } catch (verifyError) {
+        // Wrong codes count towards the account lockout like wrong passwords
+        if (/^Invalid (verification|recovery) code/.test(verifyError.message)) {
+          await loginProtectionService.recordFailure(user.email, context.ipAddress, user);
         }
-      };
+        throw verifyError;
+      }
+
+      const result = await this.startSession(user, context, 'Login successful');
+      result.data.recoveryCodesRemaining = verification.recoveryCodesRemaining;
+      return result;
 
     } catch (error) {
       throw error;
@@ -151,36 +247,112 @@ class AuthService {
   }
 
   /**
-   * Refresh access token using refresh token
-   * @param {String} refreshToken - Valid refresh token
-   * @returns {Promise<Object>} New access token
+   * Get the current user's two-factor status
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} enabled, required, recoveryCodesRemaining
    */
-  async refreshToken(refreshToken) {
+  async getTwoFactorStatus(userId) {
     try {
-      if (!refreshToken) {
-        throw new Error('Refresh token is required');
+      return await twoFactorService.getStatus(userId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Start two-factor setup, either signed in or during login when the role requires it
+   * @param {Object} auth - userId of a signed-in user, or challengeToken from the password step
+   * @returns {Promise<Object>} Secret, otpauth URL and QR code
+   */
+  async beginTwoFactorSetup(auth = {}) {
+    try {
+      const userId = await this.resolveTwoFactorSetupUser(auth);
+      return await twoFactorService.beginEnrollment(userId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Finish two-factor setup with a first code. During login this also starts the session.
+   * @param {Object} auth - userId of a signed-in user, or challengeToken from the password step
+   * @param {String} code - Code from the authenticator app
+   * @param {Object} context - userAgent, ipAddress of the device signing in
+   * @returns {Promise<Object>} Recovery codes, plus user and tokens during login
+   */
+  async enableTwoFactor(auth = {}, code, context = {}) {
+    try {
+      if (!code) {
+        throw new Error('Verification code is required');
       }
 
-      // Verify refresh token
-      const decoded = await jwtUtils.verifyRefreshToken(refreshToken);
+      const userId = await this.resolveTwoFactorSetupUser(auth);
+      const result = await twoFactorService.confirmEnrollment(userId, code);
 
-      // Find user to ensure they still exist and are active
-      const user = await User.findById(decoded.userId);
-      if (!user) {
-        throw new Error('User not found');
+      if (auth.userId) {
+        return result;
       }
 
-      if (!user.isActive) {
-        throw new Error('Account is deactivated');
+      const user = await User.findById(userId);
+      const signedIn = await this.startSession(user, context, result.message);
+      signedIn.data.recoveryCodes = result.data.recoveryCodes;
+      return signedIn;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {String} userId - User ID
+   * @param {Object} credentials - password and a current code
+   * @returns {Promise<Object>} Confirmation
+   */
+  async disableTwoFactor(userId, credentials) {
+    try {
+      return await twoFactorService.disable(userId, credentials);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {String} userId - User ID
+   * @param {String} code - Current code from the authenticator app
+   * @returns {Promise<Object>} New recovery codes
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      if (!code) {
+        throw new Error('Verification code is required');
       }
+      return await twoFactorService.regenerateRecoveryCodes(userId, code);
+    } catch (error) {
+      throw error;
+    }
+  }
 
-      // Generate new access token
-      const tokenData = await jwtUtils.refreshAccessToken(refreshToken);
+  /**
+   * Rotate a refresh token: the presented token is used up and a new access
+   * and refresh token pair is returned
+   * @param {String} refreshToken - Refresh token from the last login or refresh
+   * @param {Object} context - userAgent, ipAddress of the device
+   * @returns {Promise<Object>} New token pair
+   */
+  async refreshToken(refreshToken, context = {}) {
+    try {
+      if (!refreshToken) {
+        throw new Error('Refresh token is required');
+      }
+
+      const { tokens } = await sessionService.rotateRefreshToken(refreshToken, context);
 
       return {
         success: true,
         message: 'Token refreshed successfully',
-        data: tokenData
+        data: tokens
       };
 
     } catch (error) {
@@ -189,19 +361,16 @@ class AuthService {
   }
 
   /**
-   * Logout user (in a real app, you'd blacklist the token)
+   * Logout user by revoking the session of the current token
    * @param {String} userId - User ID
+   * @param {String} sessionId - Session of the access token used for the request
    * @returns {Promise<Object>} Logout confirmation
    */
-  async logout(userId) {
+  async logout(userId, sessionId) {
     try {
-      // In a production app, you would:
-      // 1. Add the token to a blacklist/revoked tokens list
-      // 2. Store blacklisted tokens in Redis with expiration
-      // 3. Check blacklist in auth middleware
-
-      // For now, we'll just confirm logout
-      // You could also update user's lastLogout timestamp if needed
+      if (sessionId) {
+        await sessionService.revokeSession(userId, sessionId, 'logout');
+      }
 
       return {
         success: true,
@@ -213,6 +382,69 @@ class AuthService {
     }
   }
 
+  /**
+   * Logout user from every device
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Number of sessions ended
+   */
+  async logoutAllDevices(userId) {
+    try {
+      const revokedCount = await sessionService.revokeAllSessions(userId, 'logout_all');
+
+      return {
+        success: true,
+        message: 'Logged out of all devices',
+        data: { revokedCount }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List the devices the user is signed in on
+   * @param {String} userId - User ID
+   * @param {String} currentSessionId - Session of the request, flagged as current
+   * @returns {Promise<Object>} Active sessions
+   */
+  async getSessions(userId, currentSessionId) {
+    try {
+      const sessions = await sessionService.listSessions(userId, currentSessionId);
+
+      return {
+        success: true,
+        data: {
+          sessions,
+          count: sessions.length
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out one of the user's devices
+   * @param {String} userId - User ID
+   * @param {String} sessionId - Session to revoke
+   * @returns {Promise<Object>} Revocation confirmation
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      await sessionService.revokeSession(userId, sessionId, 'revoked');
+
+      return {
+        success: true,
+        message: 'Session revoked successfully'
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get current user profile
    * @param {String} userId - User ID from token
@@ -258,14 +490,35 @@ class AuthService {
       }
 
       // Remove fields that shouldn't be updated via this method
-      const restrictedFields = ['password', 'email', 'role', '_id', 'createdAt', 'updatedAt'];
+      const restrictedFields = ['password', 'email', 'role', 'twoFactor', 'invitedBy', 'emailVerified', 'isActive', '_id', 'createdAt', 'updatedAt'];
       restrictedFields.forEach(field => {
         delete updateData[field];
       });
 
+      // Only clinic admins change license verification; merge the rest so it is kept
+      let licenseChanged = false;
+      if (updateData.professionalInfo) {
+        const { licenseVerification, ...professionalInfo } = updateData.professionalInfo;
+        const current = user.toObject().professionalInfo || {};
+        licenseChanged = isProviderRole(user.role) &&
+          professionalInfo.licenseNumber !== undefined &&
+          String(professionalInfo.licenseNumber).trim() !== (current.licenseNumber || '');
+        if (licenseChanged && !String(professionalInfo.licenseNumber).trim()) {
+          throw new Error('License number is required for healthcare providers');
+        }
+        updateData.professionalInfo = { ...current, ...professionalInfo };
+      }
+
       // Update user
       Object.assign(user, updateData);
-      await user.save();
+
+      // A new license number has to be verified again
+      if (licenseChanged) {
+        user.professionalInfo.licenseNumber = String(user.professionalInfo.licenseNumber).trim();
+        await providerOnboardingService.resubmitLicense(user);
+      } else {
+        await user.save();
+      }
 
       return {
         success: true,
@@ -285,13 +538,14 @@ class AuthService {
   }
 
   /**
-   * Change user password
+   * Change user password. Other devices are signed out.
    * @param {String} userId - User ID
    * @param {String} currentPassword - Current password
    * @param {String} newPassword - New password
+   * @param {String} currentSessionId - Session that stays signed in
    * @returns {Promise<Object>} Success confirmation
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, currentSessionId) {
     try {
       // Validate input
       if (!currentPassword || !newPassword) {
@@ -326,6 +580,9 @@ class AuthService {
       user.password = newPassword;
       await user.save();
 
+      await sessionService.revokeAllSessions(userId, 'password_changed', { exceptSessionId: currentSessionId });
+      await accountTokenService.invalidateTokens(userId, 'password_reset', 'password_changed');
+
       return {
         success: true,
         message: 'Password changed successfully'
@@ -337,42 +594,27 @@ class AuthService {
   }
 
   /**
-   * Request password reset
+   * Request password reset. A single-use link is emailed; the response is the
+   * same whether or not the email belongs to an account.
    * @param {String} email - User email
-   * @returns {Promise<Object>} Reset token (in production, send via email)
+   * @returns {Promise<Object>} Confirmation
    */
   async requestPasswordReset(email) {
     try {
+      const response = {
+        success: true,
+        message: 'If the email exists, a password reset link has been sent'
+      };
+
       const user = await User.findByEmail(email);
-      if (!user) {
+      if (!user || !user.isActive) {
         // Don't reveal if email exists or not for security
-        return {
-          success: true,
-          message: 'If the email exists, a password reset link has been sent'
-        };
-      }
-
-      if (!user.isActive) {
-        throw new Error('Account is deactivated');
+        return response;
       }
 
-      // Generate password reset token
-      const resetToken = await jwtUtils.generatePasswordResetToken(user);
+      await accountTokenService.sendPasswordReset(user);
 
-      // In production, you would:
-      // 1. Store the token with expiration in database
-      // 2. Send email with reset link
-      // 3. Never return the token in the response
-
-      return {
-        success: true,
-        message: 'Password reset link has been sent to your email',
-        // Remove this in production - only for development
-        data: {
-          resetToken,
-          userId: user._id
-        }
-      };
+      return response;
 
     } catch (error) {
       throw error;
@@ -380,8 +622,9 @@ class AuthService {
   }
 
   /**
-   * Reset password with token
-   * @param {String} resetToken - Password reset token
+   * Reset password with the token from the emailed link. Every device is
+   * signed out and other reset links stop working.
+   * @param {String} resetToken - Token from the reset link
    * @param {String} newPassword - New password
    * @returns {Promise<Object>} Success confirmation
    */
@@ -391,13 +634,12 @@ class AuthService {
         throw new Error('Reset token and new password are required');
       }
 
-      // Verify reset token
-      const decoded = await jwtUtils.verifyPasswordResetToken(resetToken);
+      // Check the link first so a rejected password does not use it up
+      const accountToken = await accountTokenService.findUsableToken(resetToken, 'password_reset');
 
-      // Find user
-      const user = await User.findById(decoded.userId).select('+password');
-      if (!user) {
-        throw new Error('Invalid or expired reset token');
+      const user = await User.findById(accountToken.user).select('+password');
+      if (!user || user.email !== accountToken.email) {
+        throw new Error('This link is invalid or has expired. Please request a new one');
       }
 
       if (!user.isActive) {
@@ -416,10 +658,18 @@ class AuthService {
         throw new Error('New password must be different from current password');
       }
 
-      // Update password
+      await accountTokenService.consumeToken(resetToken, 'password_reset');
+
+      // Update password and sign out every device
       user.password = newPassword;
       await user.save();
 
+      await sessionService.revokeAllSessions(user._id, 'password_changed');
+      await accountTokenService.invalidateTokens(user._id, 'password_reset', 'password_changed');
+
+      // Proving access to the inbox lifts a lockout
+      await loginProtectionService.clearAccount(user.email);
+
       return {
         success: true,
         message: 'Password reset successfully'
@@ -431,29 +681,57 @@ class AuthService {
   }
 
   /**
-   * Verify user email
-   * @param {String} userId - User ID
-   * @param {String} verificationToken - Email verification token
+   * Verify user email with the token from the emailed link
+   * @param {String} verificationToken - Token from the verification link
    * @returns {Promise<Object>} Verification confirmation
    */
-  async verifyEmail(userId, verificationToken) {
+  async verifyEmail(verificationToken) {
     try {
-      // In a production app, you would:
-      // 1. Generate and store email verification tokens
-      // 2. Send verification emails during registration
-      // 3. Verify token and mark email as verified
+      const accountToken = await accountTokenService.consumeToken(verificationToken, 'email_verification');
+
+      const user = await User.findById(accountToken.user);
+      if (!user || user.email !== accountToken.email) {
+        throw new Error('This link is invalid or has expired. Please request a new one');
+      }
+
+      user.emailVerified = true;
+      await user.save();
+
+      return {
+        success: true,
+        message: 'Email verified successfully',
+        data: {
+          email: user.email
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
 
+  /**
+   * Send a new verification email; earlier links stop working
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Confirmation
+   */
+  async resendVerificationEmail(userId) {
+    try {
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('User not found');
       }
 
-      user.emailVerified = true;
-      await user.save();
+      if (user.emailVerified) {
+        throw new Error('Email is already verified');
+      }
+
+      const { expiresAt } = await accountTokenService.sendEmailVerification(user);
 
       return {
         success: true,
-        message: 'Email verified successfully'
+        message: `Verification email sent to ${user.email}`,
+        data: { expiresAt }
       };
 
     } catch (error) {
@@ -477,6 +755,8 @@ class AuthService {
       user.isActive = false;
       await user.save();
 
+      await sessionService.revokeAllSessions(userId, 'account_deactivated');
+
       return {
         success: true,
         message: 'Account deactivated successfully'
@@ -486,6 +766,113 @@ class AuthService {
       throw error;
     }
   }
+
+  /**
+   * Get an account's login lockout state (staff only)
+   * @param {String} actingUserId - Physiotherapist (own patients) or doctor
+   * @param {String} userId - Account to check
+   * @returns {Promise<Object>} locked, lockedUntil, recentFailures
+   */
+  async getAccountLockStatus(actingUserId, userId) {
+    try {
+      return await loginProtectionService.getAccountStatus(actingUserId, userId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Unlock an account locked after failed logins (staff only)
+   * @param {String} actingUserId - Physiotherapist (own patients) or doctor
+   * @param {String} userId - Account to unlock
+   * @returns {Promise<Object>} Confirmation
+   */
+  async unlockAccount(actingUserId, userId) {
+    try {
+      return await loginProtectionService.unlockAccount(actingUserId, userId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Finish a password check: issue tokens, or a challenge token when a
+   * second factor (or its setup) is still needed
+   */
+  async signIn(user, context, message) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      // Each password login allows a fresh set of code attempts
+      await twoFactorService.resetFailedAttempts(user._id);
+      return {
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await jwtUtils.generateTwoFactorToken(user, 'verify')
+        }
+      };
+    }
+
+    if (twoFactorService.isRequiredForRole(user.role)) {
+      return {
+        success: true,
+        message: 'Set up two-factor authentication to continue',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: await jwtUtils.generateTwoFactorToken(user, 'enroll')
+        }
+      };
+    }
+
+    return this.startSession(user, context, message);
+  }
+
+  async startSession(user, context, message) {
+    const { tokens } = await sessionService.createSession(user, context);
+    await loginProtectionService.clearAccount(user.email);
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Return user data (password excluded by schema transform)
+    return {
+      success: true,
+      message,
+      data: {
+        user: user.toJSON(),
+        tokens
+      }
+    };
+  }
+
+  async getChallengeUser(challengeToken, purpose) {
+    const decoded = await jwtUtils.verifyTwoFactorToken(challengeToken);
+    if (decoded.purpose !== purpose) {
+      throw new Error('Invalid two-factor login. Please log in again');
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!user.isActive) {
+      throw new Error('Account is deactivated. Please contact support');
+    }
+    return user;
+  }
+
+  async resolveTwoFactorSetupUser(auth) {
+    if (auth.userId) return auth.userId;
+    if (!auth.challengeToken) {
+      throw new Error('Authentication required');
+    }
+
+    const user = await this.getChallengeUser(auth.challengeToken, 'enroll');
+    return user._id;
+  }
 }
 
 module.exports = new AuthService();
\ No newline at end of file
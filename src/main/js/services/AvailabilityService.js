@@ -0,0 +1,428 @@
+const ProviderAvailability = require('../models/ProviderAvailability');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const timezoneUtils = require('../core/scheduling/timezoneUtils');
+
+/**
+ * Availability Service
+ * Handles provider availability calendars and conflict-free slot search.
+ * Template times are wall-clock times in the provider's preferences.timezone.
+ */
+
+// Appointment lengths a slot search may ask for, in minutes
+const MIN_SEARCH_DURATION = 5;
+const MAX_SEARCH_DURATION = 480;
+
+class AvailabilityService {
+  constructor() {
+    this.maxSearchDays = 31;
+  }
+
+  /**
+   * Get a provider's availability calendar
+   * @param {String} providerId - Provider ID
+   * @returns {Promise<Object>} Availability with provider timezone
+   */
+  async getAvailability(providerId) {
+    try {
+      const provider = await this.getProvider(providerId);
+      const availability = await ProviderAvailability.findByProvider(providerId);
+
+      return {
+        success: true,
+        data: {
+          availability: availability ? availability.toJSON() : null,
+          timezone: timezoneUtils.resolveTimezone(provider.preferences?.timezone)
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the weekly template and slot settings
+   * @param {String} providerId - Provider ID
+   * @param {Object} templateData - weeklyTemplate, slotDuration, bufferMinutes, minNoticeHours, isAcceptingBookings
+   * @returns {Promise<Object>} Updated availability
+   */
+  async setWeeklyTemplate(providerId, templateData) {
+    try {
+      await this.getProvider(providerId);
+
+      const { weeklyTemplate } = templateData;
+      if (!Array.isArray(weeklyTemplate)) {
+        throw new Error('Weekly template must be an array of days');
+      }
+
+      let availability = await ProviderAvailability.findByProvider(providerId);
+      if (!availability) {
+        availability = new ProviderAvailability({ provider: providerId });
+      }
+
+      availability.weeklyTemplate = weeklyTemplate;
+
+      const settings = ['slotDuration', 'bufferMinutes', 'minNoticeHours', 'isAcceptingBookings'];
+      settings.forEach(field => {
+        if (templateData[field] !== undefined) {
+          availability[field] = templateData[field];
+        }
+      });
+
+      await availability.save();
+
+      return {
+        success: true,
+        message: 'Availability updated successfully',
+        data: {
+          availability: availability.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add or replace a date-specific exception
+   * @param {String} providerId - Provider ID
+   * @param {Object} exceptionData - date, isAvailable, blocks, reason
+   * @returns {Promise<Object>} Updated availability
+   */
+  async setException(providerId, exceptionData) {
+    try {
+      const availability = await ProviderAvailability.findByProvider(providerId);
+      if (!availability) {
+        throw new Error('Set up a weekly template before adding exceptions');
+      }
+
+      const { date, isAvailable, blocks, reason } = exceptionData;
+      if (!date) {
+        throw new Error('Exception date is required');
+      }
+
+      if (isAvailable && (!Array.isArray(blocks) || blocks.length === 0)) {
+        throw new Error('Changed hours must include at least one time block');
+      }
+
+      availability.exceptions = availability.exceptions.filter(e => e.date !== date);
+      availability.exceptions.push({
+        date,
+        isAvailable: Boolean(isAvailable),
+        blocks: isAvailable ? blocks : [],
+        reason
+      });
+
+      await availability.save();
+
+      return {
+        success: true,
+        message: 'Availability exception saved successfully',
+        data: {
+          availability: availability.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a date-specific exception
+   * @param {String} providerId - Provider ID
+   * @param {String} date - Exception date (YYYY-MM-DD)
+   * @returns {Promise<Object>} Updated availability
+   */
+  async removeException(providerId, date) {
+    try {
+      const availability = await ProviderAvailability.findByProvider(providerId);
+      if (!availability) {
+        throw new Error('Availability not found');
+      }
+
+      const before = availability.exceptions.length;
+      availability.exceptions = availability.exceptions.filter(e => e.date !== date);
+
+      if (availability.exceptions.length === before) {
+        throw new Error('Exception not found');
+      }
+
+      await availability.save();
+
+      return {
+        success: true,
+        message: 'Availability exception removed successfully',
+        data: {
+          availability: availability.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find bookable slots for a provider
+   * @param {String} providerId - Provider ID
+   * @param {Object} options - from, to (YYYY-MM-DD in provider timezone), duration (minutes), locationType
+   * @returns {Promise<Object>} Available slots grouped by provider-local date
+   */
+  async findAvailableSlots(providerId, options = {}) {
+    try {
+      const provider = await this.getProvider(providerId);
+      const timezone = timezoneUtils.resolveTimezone(provider.preferences?.timezone);
+      const availability = await ProviderAvailability.findByProvider(providerId);
+
+      if (!availability || !availability.isAcceptingBookings) {
+        return {
+          success: true,
+          data: { timezone, slots: [], totalSlots: 0 }
+        };
+      }
+
+      const today = timezoneUtils.toLocalDateString(new Date(), timezone);
+      const fromDate = options.from || today;
+      const toDate = options.to || timezoneUtils.addDays(fromDate, 13);
+      const duration = this.parseSearchDuration(options.duration, availability.slotDuration);
+
+      if (![fromDate, toDate].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        throw new Error('Search dates must be in YYYY-MM-DD format');
+      }
+
+      const dates = this.listDates(fromDate, toDate);
+      if (dates.length === 0) {
+        throw new Error('Search range end must not be before its start');
+      }
+      if (dates.length > this.maxSearchDays) {
+        throw new Error(`Search range cannot exceed ${this.maxSearchDays} days`);
+      }
+
+      const rangeStart = timezoneUtils.zonedTimeToUtc(dates[0], '00:00', timezone);
+      const rangeEnd = timezoneUtils.zonedTimeToUtc(timezoneUtils.addDays(dates[dates.length - 1], 1), '00:00', timezone);
+
+      const booked = await Appointment.find({
+        provider: providerId,
+        status: { $in: ['scheduled', 'confirmed'] },
+        startTime: { $lt: rangeEnd },
+        endTime: { $gt: rangeStart }
+      }).select('startTime endTime');
+
+      const earliestStart = new Date(Date.now() + availability.minNoticeHours * 60 * 60 * 1000);
+      const bufferMs = availability.bufferMinutes * 60 * 1000;
+      const step = duration + availability.bufferMinutes;
+      if (!(step > 0)) {
+        throw new Error('Slot step must be positive');
+      }
+
+      const slots = [];
+      dates.forEach(date => {
+        const blocks = availability.getBlocksForDate(date, timezoneUtils.getDayOfWeek(date));
+
+        blocks
+          .filter(block => !options.locationType || ['any', options.locationType].includes(block.locationType))
+          .forEach(block => {
+            const blockEnd = timezoneUtils.timeToMinutes(block.endTime);
+
+            for (let minute = timezoneUtils.timeToMinutes(block.startTime); minute + duration <= blockEnd; minute += step) {
+              const localStart = this.minutesToTime(minute);
+              const startTime = timezoneUtils.zonedTimeToUtc(date, localStart, timezone);
+              const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
+
+              if (startTime < earliestStart) continue;
+
+              const conflicts = booked.some(appointment =>
+                appointment.startTime.getTime() - bufferMs < endTime.getTime() &&
+                appointment.endTime.getTime() + bufferMs > startTime.getTime()
+              );
+              if (conflicts) continue;
+
+              slots.push({
+                startTime,
+                endTime,
+                localDate: date,
+                localStartTime: localStart,
+                localEndTime: this.minutesToTime(minute + duration),
+                locationType: block.locationType
+              });
+            }
+          });
+      });
+
+      return {
+        success: true,
+        data: {
+          timezone,
+          from: fromDate,
+          to: toDate,
+          duration,
+          slots,
+          totalSlots: slots.length
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a requested time fits inside the provider's published hours.
+   * Providers without a published calendar accept any time.
+   * @param {String} providerId - Provider ID
+   * @param {Date} startTime - Requested start
+   * @param {Date} endTime - Requested end
+   * @returns {Promise<Boolean>} True if bookable
+   */
+  async isWithinAvailability(providerId, startTime, endTime) {
+    const availability = await ProviderAvailability.findByProvider(providerId);
+    if (!availability) {
+      return true;
+    }
+
+    if (!availability.isAcceptingBookings) {
+      return false;
+    }
+
+    const provider = await this.getProvider(providerId);
+    const timezone = timezoneUtils.resolveTimezone(provider.preferences?.timezone);
+    const date = timezoneUtils.toLocalDateString(startTime, timezone);
+
+    // Appointments may not cross midnight in the provider's timezone
+    if (timezoneUtils.toLocalDateString(new Date(endTime.getTime() - 1), timezone) !== date) {
+      return false;
+    }
+
+    const startMinutes = timezoneUtils.timeToMinutes(timezoneUtils.toLocalTimeString(startTime, timezone));
+    const endMinutes = startMinutes + Math.round((endTime - startTime) / (60 * 1000));
+    const blocks = availability.getBlocksForDate(date, timezoneUtils.getDayOfWeek(date));
+
+    return blocks.some(block =>
+      timezoneUtils.timeToMinutes(block.startTime) <= startMinutes &&
+      timezoneUtils.timeToMinutes(block.endTime) >= endMinutes
+    );
+  }
+
+  /**
+   * Check a requested time against the provider's booking rules: published
+   * hours, minimum notice and the buffer kept free around other appointments.
+   * These are the rules findAvailableSlots applies, so a direct booking cannot
+   * get a time the slot search would not offer.
+   * @param {String} providerId - Provider ID
+   * @param {Date} startTime - Requested start
+   * @param {Date} endTime - Requested end
+   * @param {Object} options - excludeId (the appointment being rescheduled)
+   */
+  async assertBookable(providerId, startTime, endTime, options = {}) {
+    if (!(await this.isWithinAvailability(providerId, startTime, endTime))) {
+      throw new Error('Requested time is outside the provider\'s available hours');
+    }
+
+    const availability = await ProviderAvailability.findByProvider(providerId);
+    if (!availability) {
+      return;
+    }
+
+    const earliestStart = new Date(Date.now() + availability.minNoticeHours * 60 * 60 * 1000);
+    if (startTime < earliestStart) {
+      const hours = availability.minNoticeHours;
+      throw new Error(`Appointments must be booked at least ${hours} hour${hours === 1 ? '' : 's'} in advance`);
+    }
+
+    if (availability.bufferMinutes > 0) {
+      const bufferMs = availability.bufferMinutes * 60 * 1000;
+      const query = {
+        provider: providerId,
+        status: { $in: ['scheduled', 'confirmed'] },
+        startTime: { $lt: new Date(endTime.getTime() + bufferMs) },
+        endTime: { $gt: new Date(startTime.getTime() - bufferMs) }
+      };
+      if (options.excludeId) {
+        query._id = { $ne: options.excludeId };
+      }
+
+      if (await Appointment.exists(query)) {
+        throw new Error(`Provider keeps ${availability.bufferMinutes} minutes free between appointments`);
+      }
+    }
+  }
+
+  /**
+   * Get published hours for a provider over a date range
+   * @param {String} providerId - Provider ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @returns {Promise<Number|null>} Published hours, or null when no calendar is set up
+   */
+  async getAvailableHours(providerId, from, to) {
+    const availability = await ProviderAvailability.findByProvider(providerId);
+    if (!availability) {
+      return null;
+    }
+
+    const provider = await this.getProvider(providerId);
+    const timezone = timezoneUtils.resolveTimezone(provider.preferences?.timezone);
+    const dates = this.listDates(
+      timezoneUtils.toLocalDateString(from, timezone),
+      timezoneUtils.toLocalDateString(to, timezone)
+    );
+
+    const minutes = dates.reduce((total, date) => {
+      const blocks = availability.getBlocksForDate(date, timezoneUtils.getDayOfWeek(date));
+      return total + blocks.reduce((sum, block) => {
+        return sum + timezoneUtils.timeToMinutes(block.endTime) - timezoneUtils.timeToMinutes(block.startTime);
+      }, 0);
+    }, 0);
+
+    return Math.round((minutes / 60) * 10) / 10;
+  }
+
+  // Helper methods
+
+  parseSearchDuration(value, defaultDuration) {
+    if (value === undefined || value === null || value === '') return defaultDuration;
+
+    const duration = Number(value);
+    if (!/^\d+$/.test(String(value)) || duration < MIN_SEARCH_DURATION || duration > MAX_SEARCH_DURATION) {
+      throw new Error(`Duration must be a whole number of minutes from ${MIN_SEARCH_DURATION} to ${MAX_SEARCH_DURATION}`);
+    }
+    return duration;
+  }
+
+  async getProvider(providerId) {
+    const provider = await User.findById(providerId).select('role preferences firstName lastName');
+    if (!provider || !['physiotherapist', 'doctor'].includes(provider.role)) {
+      throw new Error('Provider not found');
+    }
+    return provider;
+  }
+
+  listDates(fromDate, toDate) {
+    const dates = [];
+    let current = fromDate;
+
+    while (current <= toDate && dates.length <= this.maxSearchDays) {
+      dates.push(current);
+      current = timezoneUtils.addDays(current, 1);
+    }
+
+    return dates;
+  }
+
+  minutesToTime(minutes) {
+    return `${timezoneUtils.pad(Math.floor(minutes / 60))}:${timezoneUtils.pad(minutes % 60)}`;
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const rehabService = require('./RehabService');
+const icalendarBuilder = require('../core/scheduling/icalendarBuilder');
+const timezoneUtils = require('../core/scheduling/timezoneUtils');
+
+/**
+ * Calendar Feed Service
+ * Publishes a patient's exercise schedule and appointments as an iCalendar
+ * subscription, authenticated by a per-patient feed token
+ */
+
+const FEED_HORIZON_DAYS = 90;
+const APPOINTMENT_HISTORY_DAYS = 30;
+
+class CalendarFeedService {
+  /**
+   * Create or replace the patient's feed token. Any previous URL stops working.
+   * @param {String} patientId - Patient ID
+   * @returns {Promise<Object>} Subscription URL containing the new token
+   */
+  async generateFeedToken(patientId) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+      const createdAt = new Date();
+
+      const patient = await User.findOneAndUpdate(
+        { _id: patientId, role: 'patient' },
+        {
+          calendarFeed: {
+            tokenHash: this.hashToken(token),
+            createdAt
+          }
+        },
+        { new: true }
+      );
+
+      if (!patient) {
+        throw new Error('Patient not found');
+      }
+
+      return {
+        success: true,
+        message: 'Calendar feed created. Keep this link private, anyone with it can see your schedule.',
+        data: {
+          feedUrl: this.buildFeedUrl(token),
+          createdAt
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the patient's feed token
+   * @param {String} patientId - Patient ID
+   * @returns {Promise<Object>} Revocation result
+   */
+  async revokeFeedToken(patientId) {
+    try {
+      const patient = await User.findById(patientId).select('+calendarFeed.tokenHash');
+
+      if (!patient || !patient.calendarFeed?.tokenHash) {
+        throw new Error('No calendar feed to revoke');
+      }
+
+      patient.calendarFeed = undefined;
+      await patient.save();
+
+      return {
+        success: true,
+        message: 'Calendar feed revoked'
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get whether the patient has an active feed
+   * @param {String} patientId - Patient ID
+   * @returns {Promise<Object>} Feed status (the token itself cannot be recovered)
+   */
+  async getFeedStatus(patientId) {
+    try {
+      const patient = await User.findById(patientId).select('+calendarFeed.tokenHash');
+
+      if (!patient) {
+        throw new Error('Patient not found');
+      }
+
+      const enabled = Boolean(patient.calendarFeed?.tokenHash);
+
+      return {
+        success: true,
+        data: {
+          enabled,
+          createdAt: enabled ? patient.calendarFeed.createdAt : null,
+          lastAccessedAt: enabled ? patient.calendarFeed.lastAccessedAt : null
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Build the calendar for a feed token
+   * @param {String} token - Feed token from the subscription URL
+   * @returns {Promise<String>} iCalendar document
+   */
+  async getCalendarForToken(token) {
+    if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+      throw new Error('Calendar feed not found');
+    }
+
+    const patient = await User.findOne({
+      'calendarFeed.tokenHash': this.hashToken(token),
+      role: 'patient',
+      isActive: true
+    });
+
+    if (!patient) {
+      throw new Error('Calendar feed not found');
+    }
+
+    await User.updateOne({ _id: patient._id }, { 'calendarFeed.lastAccessedAt': new Date() });
+
+    return this.buildPatientCalendar(patient);
+  }
+
+  /**
+   * Build a patient's calendar from their active tasks and appointments
+   * @param {Object} patient - Patient user document
+   * @returns {Promise<String>} iCalendar document
+   */
+  async buildPatientCalendar(patient) {
+    const timezone = timezoneUtils.resolveTimezone(patient.preferences?.timezone);
+
+    const [upcoming, appointments] = await Promise.all([
+      rehabService.getUpcomingTasks(patient._id, FEED_HORIZON_DAYS),
+      Appointment.find({
+        patient: patient._id,
+        startTime: { $gte: new Date(Date.now() - APPOINTMENT_HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+      })
+        .populate('provider', 'firstName lastName')
+        .sort({ startTime: 1 })
+    ]);
+
+    const events = [
+      ...upcoming.data.tasks.flatMap(task => icalendarBuilder.taskToEvents(task, timezone)),
+      ...appointments
+        .filter(appointment => appointment.status !== 'no_show')
+        .map(appointment => icalendarBuilder.appointmentToEvent(appointment))
+    ];
+
+    return icalendarBuilder.buildCalendar({
+      name: 'Rehab Tracker',
+      timezone,
+      events
+    });
+  }
+
+  // Helper methods
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  buildFeedUrl(token) {
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl.replace(/\/$/, '')}/api/calendar/${token}.ics`;
+  }
+}
+
+module.exports = new CalendarFeedService();
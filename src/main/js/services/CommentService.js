@@ -12,6 +12,7 @@ const mongoose = require('mongoose');
 class CommentService {
   constructor() {
     this.notificationService = null;
+    this.socketGateway = null;
   }
 
   /**
@@ -22,6 +23,14 @@ class CommentService {
     this.notificationService = notificationService;
   }
 
+  /**
+   * Set socket gateway for real-time updates
+   * @param {SocketGateway} socketGateway
+   */
+  setSocketGateway(socketGateway) {
+    this.socketGateway = socketGateway;
+  }
+
   /**
    * Create a new comment or reply
    * @param {String} authorId - Author user ID
@@ -102,6 +111,7 @@ class CommentService {
 
       // Send notifications for mentions, replies, etc.
       await this.sendCommentNotifications(populatedComment);
+      this.broadcastComment(populatedComment, isReply ? 'reply-added' : 'comment-updated');
 
       // Return with thread context
       const threadInfo = await this.getThreadInfo(savedComment._id);
@@ -287,6 +297,8 @@ class CommentService {
       // Get reaction summary
       const reactionSummary = this.summarizeReactions(updatedComment.reactions);
 
+      this.broadcastComment(updatedComment, 'reaction-updated', { reactionSummary });
+
       return {
         success: true,
         data: {
@@ -700,6 +712,37 @@ class CommentService {
     }
   }
 
+  /**
+   * Push a comment event to the users allowed to see the comment
+   */
+  broadcastComment(comment, event, extra = {}) {
+    if (!this.socketGateway) return;
+
+    const patientId = comment.relatedPatient?._id || comment.relatedPatient;
+    const payload = {
+      commentId: comment._id,
+      parentComment: comment.parentComment,
+      patientId,
+      targetType: comment.targetType,
+      targetId: comment.targetId,
+      author: comment.author,
+      content: comment.content,
+      createdAt: comment.createdAt,
+      ...extra
+    };
+
+    switch (comment.visibility) {
+      case 'private':
+        this.socketGateway.emitToUser(comment.author?._id || comment.author, event, payload);
+        break;
+      case 'team_visible':
+        this.socketGateway.emitToCareTeam(patientId, event, payload, { includePatient: false });
+        break;
+      default:
+        this.socketGateway.emitToCareTeam(patientId, event, payload);
+    }
+  }
+
   async getNotificationRecipients(comment) {
     const recipients = [];
 
@@ -947,6 +990,7 @@ class CommentService {
 
       const threadInfo = await this.getThreadInfo(savedReply._id);
       const notifications = await this.sendCommentNotifications(populatedReply);
+      this.broadcastComment(populatedReply, 'reply-added');
 
       return {
         success: true,
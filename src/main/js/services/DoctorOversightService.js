@@ -3,6 +3,9 @@ const RehabTask = require('../models/RehabTask');
 const Progress = require('../models/Progress');
 const Comment = require('../models/Comment');
 const Surgery = require('../models/Surgery');
+const Appointment = require('../models/Appointment');
+const protocolService = require('./ProtocolService');
+const occurrenceService = require('./OccurrenceService');
 const mongoose = require('mongoose');
 
 /**
@@ -285,6 +288,13 @@ class DoctorOversightService {
           patient: task.assignedTo,
           message: `Task "${task.title}" overdue by ${this.calculateDaysOverdue(task.schedule.endDate)} days`,
           actionRequired: 'Review task timeline'
+        })),
+        ...missedAppointments.map(m => ({
+          type: 'missed_appointments',
+          priority: m.missedCount > 1 ? 'high' : 'medium',
+          patient: m.patient,
+          message: `Missed ${m.missedCount} appointment${m.missedCount > 1 ? 's' : ''} in the last 30 days`,
+          actionRequired: 'Contact patient to rebook'
         }))
       ].sort((a, b) => {
         const priority = { critical: 3, high: 2, medium: 1 };
@@ -549,37 +559,22 @@ class DoctorOversightService {
   }
 
   async categorizePatientsByTreatmentPhase(patients, doctorId) {
-    const phases = {
-      'initial_assessment': 0,
-      'active_treatment': 0,
-      'maintenance': 0,
-      'discharge_ready': 0
-    };
-
-    for (const patient of patients) {
-      const activeTasks = await RehabTask.countDocuments({
-        assignedTo: patient._id,
-        status: 'active'
-      });
+    // Phases come from each patient's active rehab protocol
+    const currentPhases = await protocolService.getCurrentPhases(patients.map(p => p._id));
 
-      const recentProgress = await Progress.countDocuments({
-        patient: patient._id,
-        sessionDate: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
-      });
+    const byPhase = {};
+    currentPhases.forEach(entry => {
+      byPhase[entry.phase] = (byPhase[entry.phase] || 0) + 1;
+    });
 
-      // Simple phase classification logic
-      if (activeTasks === 0 && recentProgress === 0) {
-        phases.initial_assessment++;
-      } else if (activeTasks > 3 || recentProgress > 5) {
-        phases.active_treatment++;
-      } else if (activeTasks <= 2 && recentProgress > 0) {
-        phases.maintenance++;
-      } else {
-        phases.discharge_ready++;
-      }
-    }
+    const patientsOnProtocol = new Set(currentPhases.map(entry => entry.patient._id.toString()));
 
-    return phases;
+    return {
+      byPhase,
+      readyToAdvance: currentPhases.filter(entry => entry.readyToAdvance).length,
+      withoutProtocol: patients.filter(p => !patientsOnProtocol.has(p._id.toString())).length,
+      patients: currentPhases
+    };
   }
 
   async stratifyPatientsByRisk(patients, doctorId) {
@@ -851,8 +846,13 @@ class DoctorOversightService {
   }
 
   async calculatePhysiotherapistAdherenceRates(ptId, patientIds) {
-    // Implementation for calculating adherence rates
-    return { avgAdherence: 0 };
+    const adherence = await occurrenceService.getAdherence({ patientIds, assignedBy: ptId });
+    return {
+      avgAdherence: adherence.adherenceRate || 0,
+      sessionsDue: adherence.due,
+      sessionsDone: adherence.done,
+      sessionsMissed: adherence.missed
+    };
   }
 
   async calculatePhysiotherapistResponseTime(ptId, patientIds) {
@@ -891,8 +891,35 @@ class DoctorOversightService {
   }
 
   async identifyMissedAppointments(patientIds) {
-    // Implementation for missed appointments
-    return [];
+    const since = new Date();
+    since.setDate(since.getDate() - 30);
+
+    const missed = await Appointment.find({
+      patient: { $in: patientIds },
+      status: 'no_show',
+      startTime: { $gte: since }
+    })
+      .populate('patient', 'firstName lastName')
+      .sort({ startTime: -1 });
+
+    // Group no-shows per patient, newest first
+    const byPatient = {};
+    missed.forEach(appointment => {
+      if (!appointment.patient) return;
+      const key = appointment.patient._id.toString();
+      if (!byPatient[key]) {
+        byPatient[key] = {
+          patient: appointment.patient,
+          missedCount: 0,
+          lastMissed: appointment.startTime,
+          appointments: []
+        };
+      }
+      byPatient[key].missedCount++;
+      byPatient[key].appointments.push(appointment._id);
+    });
+
+    return Object.values(byPatient);
   }
 
   async calculateAlertTrends(doctorId) {
@@ -0,0 +1,367 @@
+const ExerciseTemplate = require('../models/ExerciseTemplate');
+const User = require('../models/User');
+const rehabService = require('./RehabService');
+const exerciseVideoService = require('./ExerciseVideoService');
+
+/**
+ * Exercise Library Service
+ * Manages reusable exercise templates shared per therapist or per clinic,
+ * and turns a template into a patient's rehabilitation task.
+ */
+
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'bodyParts',
+  'tags',
+  'instructions',
+  'parameters',
+  'resources',
+  'defaultGoals',
+  'defaultSchedule',
+  'scope'
+];
+
+class ExerciseLibraryService {
+  /**
+   * Create an exercise template
+   * @param {String} physiotherapistId - Owner of the template
+   * @param {Object} templateData - Template data; scope 'clinic' shares it with the owner's institution
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(physiotherapistId, templateData) {
+    try {
+      const physiotherapist = await this.getPhysiotherapist(physiotherapistId);
+
+      const { title, description, category } = templateData;
+      if (!title || !description || !category) {
+        throw new Error('Missing required fields: title, description, category');
+      }
+
+      const fields = this.pickEditableFields(templateData);
+      if (fields.resources) {
+        fields.resources = await exerciseVideoService.prepareResources(fields.resources, physiotherapistId);
+      }
+
+      const template = new ExerciseTemplate({
+        ...fields,
+        owner: physiotherapistId,
+        clinic: this.resolveClinic(physiotherapist, templateData.scope)
+      });
+
+      await template.save();
+
+      return {
+        success: true,
+        message: 'Exercise template created successfully',
+        data: {
+          template: template.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Search the templates visible to a physiotherapist
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @param {Object} filters - q, category, bodyPart, scope, mine and pagination
+   * @returns {Promise<Object>} Matching templates
+   */
+  async searchTemplates(physiotherapistId, filters = {}) {
+    try {
+      const physiotherapist = await this.getPhysiotherapist(physiotherapistId);
+      const clinic = physiotherapist.professionalInfo?.institution;
+
+      const query = ExerciseTemplate.visibleTo(physiotherapistId, clinic);
+
+      if (filters.q) {
+        query.$text = { $search: filters.q };
+      }
+
+      if (filters.category) {
+        query.category = filters.category;
+      }
+
+      // A repeated ?bodyPart= arrives as an array and matches any of them
+      const bodyParts = [].concat(filters.bodyPart || [])
+        .filter(bodyPart => typeof bodyPart === 'string' && bodyPart.trim())
+        .map(bodyPart => bodyPart.toLowerCase().trim());
+
+      if (bodyParts.length) {
+        query.bodyParts = { $in: bodyParts };
+      }
+
+      if (filters.scope) {
+        query.scope = filters.scope;
+      }
+
+      if (filters.mine === 'true' || filters.mine === true) {
+        query.owner = physiotherapistId;
+      }
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const sort = filters.q
+        ? { score: { $meta: 'textScore' } }
+        : { usageCount: -1, title: 1 };
+
+      const [templates, total] = await Promise.all([
+        ExerciseTemplate.find(query)
+          .populate('owner', 'firstName lastName')
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        ExerciseTemplate.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          templates,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a template visible to a physiotherapist
+   * @param {String} templateId - Template ID
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplateById(templateId, physiotherapistId) {
+    try {
+      const template = await this.findVisibleTemplate(templateId, physiotherapistId);
+      await template.populate('owner', 'firstName lastName');
+
+      return {
+        success: true,
+        data: {
+          template
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a template. Only the owner can change it.
+   * @param {String} templateId - Template ID
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(templateId, physiotherapistId, updateData) {
+    try {
+      const template = await this.findOwnedTemplate(templateId, physiotherapistId);
+
+      const updates = this.pickEditableFields(updateData);
+      if (updates.resources) {
+        updates.resources = await exerciseVideoService.prepareResources(updates.resources, physiotherapistId);
+      }
+      Object.assign(template, updates);
+
+      if (updates.scope) {
+        const physiotherapist = await this.getPhysiotherapist(physiotherapistId);
+        template.clinic = this.resolveClinic(physiotherapist, updates.scope);
+      }
+
+      await template.save();
+
+      return {
+        success: true,
+        message: 'Exercise template updated successfully',
+        data: {
+          template: template.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a template so it no longer appears in the library.
+   * Tasks already created from it are unaffected.
+   * @param {String} templateId - Template ID
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @returns {Promise<Object>} Archive result
+   */
+  async archiveTemplate(templateId, physiotherapistId) {
+    try {
+      const template = await this.findOwnedTemplate(templateId, physiotherapistId);
+
+      template.isArchived = true;
+      await template.save();
+
+      return {
+        success: true,
+        message: 'Exercise template archived successfully'
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a rehabilitation task for a patient from a template
+   * @param {String} templateId - Template ID
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @param {Object} taskData - assignedTo, schedule, and optional overrides
+   *   (parameters for dosage, title, description, priority, goals, therapistNotes)
+   * @returns {Promise<Object>} Created task
+   */
+  async createTaskFromTemplate(templateId, physiotherapistId, taskData) {
+    try {
+      const template = await this.findVisibleTemplate(templateId, physiotherapistId);
+
+      if (!taskData.assignedTo) {
+        throw new Error('Missing required field: assignedTo');
+      }
+
+      if (!taskData.schedule || !taskData.schedule.startDate) {
+        throw new Error('Schedule start date is required');
+      }
+
+      const defaults = template.toObject({ virtuals: false });
+
+      const result = await rehabService.createTask(physiotherapistId, {
+        title: taskData.title || defaults.title,
+        description: taskData.description || defaults.description,
+        category: defaults.category,
+        instructions: defaults.instructions.map(({ _id, ...step }) => step),
+        parameters: this.mergeParameters(defaults.parameters, taskData.parameters),
+        schedule: this.buildSchedule(defaults.defaultSchedule, taskData.schedule),
+        assignedTo: taskData.assignedTo,
+        priority: taskData.priority,
+        goals: taskData.goals || defaults.defaultGoals.map(({ _id, ...goal }) => goal),
+        therapistNotes: taskData.therapistNotes,
+        resources: defaults.resources.map(({ _id, ...resource }) => resource),
+        reminders: taskData.reminders,
+        sourceTemplate: template._id
+      });
+
+      await template.recordUsage();
+
+      return result;
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  async getPhysiotherapist(physiotherapistId) {
+    const physiotherapist = await User.findById(physiotherapistId);
+    if (!physiotherapist || physiotherapist.role !== 'physiotherapist') {
+      throw new Error('Only physiotherapists can use the exercise library');
+    }
+    return physiotherapist;
+  }
+
+  async findVisibleTemplate(templateId, physiotherapistId) {
+    const physiotherapist = await this.getPhysiotherapist(physiotherapistId);
+    const clinic = physiotherapist.professionalInfo?.institution;
+
+    const template = await ExerciseTemplate.findOne({
+      _id: templateId,
+      ...ExerciseTemplate.visibleTo(physiotherapistId, clinic)
+    });
+
+    if (!template) {
+      throw new Error('Exercise template not found');
+    }
+    return template;
+  }
+
+  async findOwnedTemplate(templateId, physiotherapistId) {
+    const template = await ExerciseTemplate.findById(templateId);
+    if (!template || template.isArchived) {
+      throw new Error('Exercise template not found');
+    }
+
+    if (template.owner.toString() !== physiotherapistId.toString()) {
+      throw new Error('Only the template owner can modify this template');
+    }
+    return template;
+  }
+
+  resolveClinic(physiotherapist, scope) {
+    if (scope !== 'clinic') return undefined;
+
+    const clinic = physiotherapist.professionalInfo?.institution;
+    if (!clinic) {
+      throw new Error('Set your institution before sharing templates with a clinic');
+    }
+    return clinic;
+  }
+
+  pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (data[key] !== undefined) {
+        fields[key] = data[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  mergeParameters(defaults, overrides) {
+    const base = defaults || {};
+    const changes = overrides || {};
+
+    return {
+      ...base,
+      ...changes,
+      duration: { ...base.duration, ...changes.duration },
+      repetitions: { ...base.repetitions, ...changes.repetitions }
+    };
+  }
+
+  buildSchedule(defaults, overrides) {
+    const base = defaults || {};
+    const schedule = {
+      frequency: base.frequency,
+      customSchedule: base.customSchedule,
+      ...overrides
+    };
+
+    // Default the end date from the template's programme length
+    if (!schedule.endDate && base.durationWeeks) {
+      const endDate = new Date(schedule.startDate);
+      endDate.setDate(endDate.getDate() + base.durationWeeks * 7);
+      schedule.endDate = endDate;
+    }
+
+    return schedule;
+  }
+}
+
+module.exports = new ExerciseLibraryService();
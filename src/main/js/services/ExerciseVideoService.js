@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const RehabTask = require('../models/RehabTask');
+const VideoPlayback = require('../models/VideoPlayback');
+const fileStorageService = require('./FileStorageService');
+
+/**
+ * Exercise Video Service
+ * Demo videos on rehab tasks (RehabTask.resources of type video), either
+ * uploaded through /api/files as exercise resources or linked, and the
+ * patient's playback of them. Uploaded videos are played through a signed
+ * URL from /api/files/:fileId/url, so resources only store the file ID.
+ * Playback events are folded into one VideoPlayback summary per patient and
+ * video so therapists can see whether a demo was actually watched.
+ */
+
+const PLAYBACK_EVENTS = ['started', 'progress', 'completed'];
+const COMPLETION_THRESHOLD = 90; // percent watched that counts as watched
+const MAX_STORED_EVENTS = 50;
+
+// Resource type -> StoredFile category an uploaded file must have
+const RESOURCE_FILE_CATEGORIES = {
+  video: 'video',
+  image: 'image',
+  pdf: 'document',
+  audio: 'audio'
+};
+
+class ExerciseVideoService {
+  /**
+   * Check uploaded files on task or template resources
+   * @param {Array} resources - Resources from a task or template create or update request
+   * @param {String} providerId - Provider saving the resources; uploaded files must be
+   *   exercise resources they or their clinic uploaded
+   * @returns {Promise<Array>} Resources ready to save
+   */
+  async prepareResources(resources = [], providerId) {
+    return Promise.all(resources.map(async (resource) => {
+      const prepared = { ...resource };
+
+      if (prepared.file) {
+        const file = await fileStorageService.getUsableExerciseResource(prepared.file, providerId);
+
+        if (RESOURCE_FILE_CATEGORIES[prepared.type] !== file.category) {
+          throw new Error(`Resource of type ${prepared.type} cannot use a ${file.category} file`);
+        }
+
+        prepared.title = prepared.title || file.originalName;
+      }
+
+      if (Array.isArray(prepared.chapters)) {
+        prepared.chapters = [...prepared.chapters].sort((a, b) => a.startSeconds - b.startSeconds);
+      }
+
+      return prepared;
+    }));
+  }
+
+  /**
+   * Record a playback event for one of the patient's task videos
+   * @param {String} patientId - Patient ID
+   * @param {String} taskId - Task ID
+   * @param {String} resourceId - Video resource ID
+   * @param {Object} eventData - event (started, progress, completed), positionSeconds, durationSeconds
+   * @returns {Promise<Object>} Updated playback summary
+   */
+  async recordPlayback(patientId, taskId, resourceId, eventData = {}) {
+    try {
+      const { event } = eventData;
+      if (!PLAYBACK_EVENTS.includes(event)) {
+        throw new Error(`Playback event must be one of: ${PLAYBACK_EVENTS.join(', ')}`);
+      }
+
+      const positionSeconds = Math.max(0, Number(eventData.positionSeconds) || 0);
+      const resource = await this.getTaskVideo(patientId, taskId, resourceId);
+
+      // The therapist's duration wins over what the player reports
+      const durationSeconds = resource.durationSeconds || Number(eventData.durationSeconds) || 0;
+      const percentWatched = event === 'completed'
+        ? 100
+        : durationSeconds > 0 ? Math.min(100, Math.round((positionSeconds / durationSeconds) * 100)) : 0;
+
+      const chaptersReached = (resource.chapters || [])
+        .filter(chapter => chapter.startSeconds <= positionSeconds)
+        .map(chapter => chapter.step);
+
+      const now = new Date();
+      const update = {
+        $setOnInsert: { task: taskId },
+        $set: { lastWatchedAt: now },
+        $max: { maxPercentWatched: percentWatched },
+        $addToSet: { chaptersViewed: { $each: chaptersReached } },
+        $push: {
+          events: {
+            $each: [{ type: event, positionSeconds, percentWatched, at: now }],
+            $slice: -MAX_STORED_EVENTS
+          }
+        }
+      };
+
+      if (event === 'started') {
+        update.$inc = { playCount: 1 };
+        update.$min = { firstStartedAt: now };
+      }
+      if (percentWatched >= COMPLETION_THRESHOLD) {
+        update.$min = { ...update.$min, completedAt: now };
+      }
+
+      const filter = { patient: patientId, resource: resource._id };
+      const options = { upsert: true, new: true, runValidators: true };
+
+      let playback;
+      try {
+        playback = await VideoPlayback.findOneAndUpdate(filter, update, options);
+      } catch (error) {
+        // Two first events raced to create the summary; the second one updates it
+        if (error.code !== 11000) throw error;
+        playback = await VideoPlayback.findOneAndUpdate(filter, update, options);
+      }
+
+      return {
+        success: true,
+        data: { playback }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Summarise how a patient has engaged with the demo videos on their tasks
+   * @param {String} patientId - Patient ID
+   * @param {Array} tasks - RehabTask documents to report on
+   * @returns {Promise<Object>} Per-video engagement and totals
+   */
+  async getVideoEngagement(patientId, tasks) {
+    const videos = tasks.flatMap(task => (task.resources || [])
+      .filter(resource => resource.type === 'video')
+      .map(resource => ({ task, resource })));
+
+    const playbacks = await VideoPlayback.find({
+      patient: patientId,
+      resource: { $in: videos.map(video => video.resource._id) }
+    });
+    const byResource = new Map(playbacks.map(playback => [playback.resource.toString(), playback]));
+
+    const engagement = videos.map(({ task, resource }) => {
+      const playback = byResource.get(resource._id.toString());
+
+      return {
+        task: { _id: task._id, title: task.title, status: task.status },
+        resource: {
+          _id: resource._id,
+          title: resource.title,
+          durationSeconds: resource.durationSeconds,
+          chapterCount: (resource.chapters || []).length
+        },
+        started: Boolean(playback),
+        playCount: playback ? playback.playCount : 0,
+        maxPercentWatched: playback ? playback.maxPercentWatched : 0,
+        completed: playback ? playback.completed : false,
+        chaptersViewed: playback ? playback.chaptersViewed : [],
+        firstStartedAt: playback ? playback.firstStartedAt : null,
+        lastWatchedAt: playback ? playback.lastWatchedAt : null
+      };
+    });
+
+    return {
+      videos: engagement,
+      summary: {
+        total: engagement.length,
+        started: engagement.filter(video => video.started).length,
+        completed: engagement.filter(video => video.completed).length,
+        notStarted: engagement.filter(video => !video.started).length
+      }
+    };
+  }
+
+  // Helper methods
+
+  async getTaskVideo(patientId, taskId, resourceId) {
+    if (!mongoose.Types.ObjectId.isValid(taskId) || !mongoose.Types.ObjectId.isValid(resourceId)) {
+      throw new Error('Video not found');
+    }
+
+    const task = await RehabTask.findOne({ _id: taskId, assignedTo: patientId });
+    if (!task) {
+      throw new Error('Task not found');
+    }
+
+    const resource = task.resources.id(resourceId);
+    if (!resource || resource.type !== 'video') {
+      throw new Error('Video not found');
+    }
+
+    return resource;
+  }
+}
+
+module.exports = new ExerciseVideoService();
@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const StoredFile = require('../models/StoredFile');
+const RehabTask = require('../models/RehabTask');
+const User = require('../models/User');
+const AccessControlService = require('./AccessControlService');
+const { createStorageBackend } = require('../core/storage/storageBackends');
+const { createVirusScanner } = require('../core/storage/virusScanners');
+const { createThumbnailer } = require('../core/storage/thumbnailers');
+const { inspectFile } = require('../core/storage/fileInspection');
+const { createSignedUrl, verifySignedUrl } = require('../core/storage/signedUrls');
+const { isProviderRole } = require('../core/auth/providerAccess');
+
+/**
+ * File Storage Service
+ * Uploads attachments for a patient and hands out short-lived signed download
+ * URLs. Uploads are type-checked, size-checked and virus-scanned before they
+ * are stored. Both issuing and using a download URL check the user's current
+ * access to the patient, so ending a care assignment also ends file access.
+ * Exercise resources are uploaded by providers without a patient; they are
+ * visible to the uploader, their clinic, and whoever can see a patient whose
+ * task uses the file.
+ */
+
+const FILE_PURPOSES = ['patient_attachment', 'exercise_resource'];
+
+class FileStorageService {
+  constructor(options = {}) {
+    this.accessControl = new AccessControlService();
+    this.storage = options.storage || createStorageBackend();
+    this.scanner = options.scanner || createVirusScanner();
+    this.thumbnailer = options.thumbnailer || null; // created on first image upload
+    this.urlTtlSeconds = parseInt(process.env.FILE_URL_TTL_SECONDS) || 300;
+  }
+
+  /**
+   * Validate, scan and store an uploaded file
+   * @param {String} userId - Uploader ID
+   * @param {Object} file - Parsed upload { originalname, mimetype, buffer }
+   * @param {Object} options - purpose (patient_attachment or exercise_resource) and
+   *   patientId for attachments (defaults to the uploader when they are a patient)
+   * @returns {Promise<Object>} Stored file record
+   */
+  async uploadFile(userId, file, options = {}) {
+    try {
+      const user = await this.getUser(userId);
+      const purpose = options.purpose || 'patient_attachment';
+      const ownership = { purpose };
+
+      if (!FILE_PURPOSES.includes(purpose)) {
+        throw new Error(`Purpose must be one of: ${FILE_PURPOSES.join(', ')}`);
+      }
+
+      if (purpose === 'exercise_resource') {
+        if (!isProviderRole(user.role)) {
+          throw new Error('Access denied: only providers can upload exercise resources');
+        }
+        ownership.clinic = user.professionalInfo?.institution;
+      } else {
+        const patientId = options.patientId || (user.role === 'patient' ? user._id : null);
+
+        if (!patientId) {
+          throw new Error('Patient ID is required');
+        }
+        if (!mongoose.Types.ObjectId.isValid(patientId)) {
+          throw new Error('Invalid patient ID');
+        }
+
+        await this.assertPatientAccess(userId, patientId);
+        ownership.patient = patientId;
+      }
+
+      const { mimeType, category, extension } = inspectFile(file);
+
+      const scanResult = await this.scanner.scan(file.buffer).catch((error) => {
+        console.error('Virus scan failed:', error.message);
+        throw new Error('File could not be scanned for viruses, please try again later');
+      });
+      if (!scanResult.clean) {
+        throw new Error('File was rejected by the virus scanner');
+      }
+
+      const fileId = new mongoose.Types.ObjectId();
+      const keyPrefix = ownership.patient ? `${ownership.patient}` : `exercise/${userId}`;
+      const key = `${keyPrefix}/${fileId}${extension}`;
+      await this.storage.put(key, file.buffer, { contentType: mimeType });
+
+      const storedFile = new StoredFile({
+        _id: fileId,
+        ...ownership,
+        uploadedBy: userId,
+        originalName: this.sanitizeFilename(file.originalname),
+        mimeType,
+        category,
+        size: file.buffer.length,
+        checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        storage: { backend: this.storage.name, key },
+        thumbnail: await this.storeThumbnail(file.buffer, mimeType, `${keyPrefix}/${fileId}-thumb`),
+        scan: {
+          status: scanResult.skipped ? 'skipped' : 'clean',
+          scanner: this.scanner.name,
+          scannedAt: new Date()
+        }
+      });
+
+      try {
+        await storedFile.save();
+      } catch (error) {
+        await this.removeStoredObjects(storedFile);
+        throw error;
+      }
+
+      return {
+        success: true,
+        message: 'File uploaded successfully',
+        data: { file: storedFile }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a file's details
+   * @param {String} fileId - File ID
+   * @param {String} userId - Requesting user ID
+   * @returns {Promise<Object>} File record
+   */
+  async getFile(fileId, userId) {
+    try {
+      const file = await this.getAccessibleFile(fileId, userId);
+      await file.populate('uploadedBy', 'firstName lastName role');
+
+      return {
+        success: true,
+        data: { file }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List a patient's files, newest first
+   * @param {String} userId - Requesting user ID
+   * @param {String} patientId - Patient ID
+   * @param {Object} options - page, limit, category
+   * @returns {Promise<Object>} Files with pagination
+   */
+  async listPatientFiles(userId, patientId, options = {}) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(patientId)) {
+        throw new Error('Invalid patient ID');
+      }
+
+      await this.assertPatientAccess(userId, patientId);
+
+      const { page = 1, limit = 20, category } = options;
+      const query = { patient: patientId };
+      if (category) {
+        query.category = category;
+      }
+
+      const [files, total] = await Promise.all([
+        StoredFile.find(query)
+          .populate('uploadedBy', 'firstName lastName role')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        StoredFile.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          files,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a short-lived signed download URL
+   * @param {String} fileId - File ID
+   * @param {String} userId - Requesting user ID
+   * @param {Object} options - variant: original or thumbnail
+   * @returns {Promise<Object>} { url, expiresAt }
+   */
+  async getDownloadUrl(fileId, userId, options = {}) {
+    try {
+      const variant = options.variant || 'original';
+      const file = await this.getAccessibleFile(fileId, userId);
+      this.getVariant(file, variant);
+
+      const signed = createSignedUrl(
+        { fileId: file._id.toString(), userId, variant },
+        { secret: this.getSigningSecret(), ttlSeconds: this.urlTtlSeconds }
+      );
+
+      return {
+        success: true,
+        data: signed
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a signed download request to the file contents
+   * @param {String} fileId - File ID
+   * @param {Object} query - Signed URL query (variant, user, expires, signature)
+   * @returns {Promise<Object>} { file, buffer, mimeType, filename, expiresAt }
+   */
+  async openSignedDownload(fileId, query) {
+    const { userId, variant, expiresAt } = verifySignedUrl(fileId, query, {
+      secret: this.getSigningSecret()
+    });
+
+    // Re-check access in case the assignment ended after the link was issued
+    const file = await this.getAccessibleFile(fileId, userId);
+    const { key, mimeType } = this.getVariant(file, variant);
+
+    return {
+      file,
+      buffer: await this.storage.get(key),
+      mimeType,
+      filename: variant === 'thumbnail' ? `thumbnail-${file.originalName}.webp` : file.originalName,
+      expiresAt
+    };
+  }
+
+  /**
+   * Delete a file and its thumbnail
+   * @param {String} fileId - File ID
+   * @param {String} userId - Requesting user ID (the uploader, or a doctor with access to a patient attachment)
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteFile(fileId, userId) {
+    try {
+      const file = await this.getAccessibleFile(fileId, userId);
+      const user = await this.getUser(userId);
+
+      // Exercise resources may be in use on other patients' tasks, so only their uploader removes them
+      const doctorOverride = user.role === 'doctor' && file.purpose !== 'exercise_resource';
+      if (file.uploadedBy.toString() !== userId.toString() && !doctorOverride) {
+        throw new Error('Access denied: only the uploader can delete this file');
+      }
+
+      await this.removeStoredObjects(file);
+      await StoredFile.deleteOne({ _id: file._id });
+
+      return {
+        success: true,
+        message: 'File deleted successfully'
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  async getUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  async assertPatientAccess(userId, patientId) {
+    if (userId.toString() === patientId.toString()) return;
+
+    const patientIds = await this.accessControl.getAccessiblePatientIds(userId);
+    if (!patientIds.some(id => id.toString() === patientId.toString())) {
+      throw new Error('Access denied: patient is not assigned to you');
+    }
+  }
+
+  async getAccessibleFile(fileId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(fileId)) {
+      throw new Error('File not found');
+    }
+
+    const file = await StoredFile.findById(fileId);
+    if (!file) {
+      throw new Error('File not found');
+    }
+
+    if (file.purpose === 'exercise_resource') {
+      await this.assertExerciseResourceAccess(userId, file);
+    } else {
+      await this.assertPatientAccess(userId, file.patient);
+    }
+    return file;
+  }
+
+  /**
+   * Get an exercise resource a provider may attach to tasks and templates:
+   * one they uploaded, or one uploaded at their clinic
+   * @param {String} fileId - File ID
+   * @param {String} userId - Provider ID
+   * @returns {Promise<Object>} File record
+   */
+  async getUsableExerciseResource(fileId, userId) {
+    const file = mongoose.Types.ObjectId.isValid(fileId) ? await StoredFile.findById(fileId) : null;
+    if (!file || file.purpose !== 'exercise_resource' || !(await this.isUploaderOrClinicPeer(userId, file))) {
+      throw new Error('Exercise resource file not found');
+    }
+    return file;
+  }
+
+  async isUploaderOrClinicPeer(userId, file) {
+    if (file.uploadedBy.toString() === userId.toString()) return true;
+    if (!file.clinic) return false;
+
+    const user = await this.getUser(userId);
+    return isProviderRole(user.role) && user.professionalInfo?.institution === file.clinic;
+  }
+
+  async assertExerciseResourceAccess(userId, file) {
+    if (await this.isUploaderOrClinicPeer(userId, file)) return;
+
+    // Patients see the resources on their own tasks; providers those on tasks of patients they can see
+    const patientIds = await this.accessControl.getAccessiblePatientIds(userId);
+    const usedOnTask = await RehabTask.exists({ assignedTo: { $in: patientIds }, 'resources.file': file._id });
+    if (!usedOnTask) {
+      throw new Error('Access denied: this file is not shared with you');
+    }
+  }
+
+  getVariant(file, variant) {
+    if (variant === 'original') {
+      return { key: file.storage.key, mimeType: file.mimeType };
+    }
+    if (variant === 'thumbnail' && file.hasThumbnail) {
+      return { key: file.thumbnail.key, mimeType: file.thumbnail.mimeType };
+    }
+    throw new Error(`Variant ${variant} not found`);
+  }
+
+  async storeThumbnail(buffer, mimeType, keyPrefix) {
+    if (!mimeType.startsWith('image/')) return undefined;
+
+    try {
+      if (!this.thumbnailer) {
+        this.thumbnailer = createThumbnailer();
+      }
+
+      const thumbnail = await this.thumbnailer.create(buffer, mimeType);
+      if (!thumbnail) return undefined;
+
+      const key = `${keyPrefix}.webp`;
+      await this.storage.put(key, thumbnail.buffer, { contentType: thumbnail.mimeType });
+
+      return {
+        key,
+        mimeType: thumbnail.mimeType,
+        size: thumbnail.buffer.length,
+        width: thumbnail.width,
+        height: thumbnail.height
+      };
+    } catch (error) {
+      console.error('Thumbnail generation failed:', error.message);
+      return undefined;
+    }
+  }
+
+  async removeStoredObjects(file) {
+    const keys = [file.storage.key, file.thumbnail && file.thumbnail.key].filter(Boolean);
+    await Promise.all(keys.map(key => this.storage.delete(key)));
+  }
+
+  getSigningSecret() {
+    const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('FILE_URL_SECRET or JWT_SECRET must be set to sign download URLs');
+    }
+    return secret;
+  }
+
+  sanitizeFilename(filename) {
+    const name = (filename || 'file')
+      .replace(/^.*[\\/]/, '') // drop any client-supplied path
+      .replace(/[\u0000-\u001f"<>]/g, '')
+      .trim();
+    return (name || 'file').substring(0, 255);
+  }
+}
+
+module.exports = new FileStorageService();
@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const Progress = require('../models/Progress');
+const RehabTask = require('../models/RehabTask');
+const StoredFile = require('../models/StoredFile');
+const User = require('../models/User');
+const progressService = require('./ProgressService');
+
+/**
+ * Form Check Service
+ * Patients attach a short clip of themselves doing an exercise to a logged
+ * session (Progress.formCheck). The clip is queued for their physiotherapist,
+ * whose review - time-stamped annotations and a form quality rating - is
+ * written back to the session and sent to the patient.
+ */
+
+const MAX_CLIP_SECONDS = 120;
+const MAX_CLIP_SIZE = 50 * 1024 * 1024;
+const FORM_QUALITY_RATINGS = ['excellent', 'good', 'fair', 'poor'];
+const ANNOTATION_TYPES = ['correction', 'praise', 'note'];
+const MAX_ANNOTATIONS = 30;
+
+class FormCheckService {
+  constructor() {
+    this.notificationService = null;
+  }
+
+  /**
+   * Set notification service for review requests and results
+   * @param {NotificationService} notificationService
+   */
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Attach a clip to one of the patient's sessions and queue it for review
+   * @param {String} patientId - Patient ID
+   * @param {String} progressId - Progress record ID
+   * @param {Object} requestData - fileId, question, durationSeconds
+   * @returns {Promise<Object>} Progress record with the pending form check
+   */
+  async requestFormCheck(patientId, progressId, requestData = {}) {
+    try {
+      const { fileId, question } = requestData;
+      const progress = await this.getPatientProgress(patientId, progressId);
+
+      if (progress.formCheck && progress.formCheck.status === 'pending') {
+        throw new Error('This session already has a form check waiting for review');
+      }
+
+      const file = mongoose.Types.ObjectId.isValid(fileId) ? await StoredFile.findById(fileId) : null;
+      if (!file || !file.patient || file.patient.toString() !== patientId.toString()) {
+        throw new Error('Video file not found');
+      }
+      if (file.category !== 'video') {
+        throw new Error('A form check needs a video file');
+      }
+      if (file.size > MAX_CLIP_SIZE) {
+        throw new Error(`Form check clips cannot exceed ${MAX_CLIP_SIZE / (1024 * 1024)} MB`);
+      }
+
+      const durationSeconds = requestData.durationSeconds !== undefined ? Number(requestData.durationSeconds) : undefined;
+      if (durationSeconds !== undefined && !(durationSeconds > 0)) {
+        throw new Error('Clip duration must be a positive number of seconds');
+      }
+      if (durationSeconds > MAX_CLIP_SECONDS) {
+        throw new Error(`Form check clips cannot be longer than ${MAX_CLIP_SECONDS} seconds`);
+      }
+
+      const reviewer = await this.findReviewer(progress);
+      if (!reviewer) {
+        throw new Error('No physiotherapist is assigned to review this session');
+      }
+
+      const url = `/api/files/${file._id}`;
+      if (!progress.attachments.some(attachment => attachment.file && attachment.file.toString() === file._id.toString())) {
+        progress.attachments.push({
+          type: 'video',
+          url,
+          file: file._id,
+          caption: 'Form check',
+          uploadedBy: patientId
+        });
+      }
+
+      progress.formCheck = {
+        status: 'pending',
+        video: { file: file._id, url, durationSeconds },
+        patientQuestion: question,
+        reviewer,
+        requestedAt: new Date()
+      };
+      await progress.save();
+
+      await progress.populate([
+        { path: 'patient', select: 'firstName lastName' },
+        { path: 'rehabTask', select: 'title category' }
+      ]);
+
+      await this.notifyReviewRequested(progress);
+
+      return {
+        success: true,
+        message: 'Form check sent for review',
+        data: {
+          progress: progress.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the form checks queued for a physiotherapist, oldest first
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @param {Object} filters - status (pending by default, or reviewed), limit
+   * @returns {Promise<Object>} Form checks with patient and task details
+   */
+  async getReviewQueue(physiotherapistId, filters = {}) {
+    const status = filters.status || 'pending';
+    if (!['pending', 'reviewed'].includes(status)) {
+      throw new Error('Status must be pending or reviewed');
+    }
+    const limit = Math.min(parseInt(filters.limit, 10) || 50, 100);
+
+    const formChecks = await Progress.find({
+      'formCheck.reviewer': physiotherapistId,
+      'formCheck.status': status
+    })
+      .sort(status === 'pending' ? { 'formCheck.requestedAt': 1 } : { 'formCheck.reviewedAt': -1 })
+      .limit(limit)
+      .populate('patient', 'firstName lastName')
+      .populate('rehabTask', 'title category instructions')
+      .select('patient rehabTask sessionDate completionStatus performance assessments notes formCheck');
+
+    return {
+      success: true,
+      data: {
+        formChecks,
+        count: formChecks.length
+      }
+    };
+  }
+
+  /**
+   * Review a patient's form check clip
+   * @param {String} physiotherapistId - Reviewing physiotherapist ID
+   * @param {String} progressId - Progress record ID
+   * @param {Object} reviewData - formQuality, annotations [{timestampSeconds, comment, type}], summary
+   * @returns {Promise<Object>} Reviewed progress record
+   */
+  async reviewFormCheck(physiotherapistId, progressId, reviewData = {}) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(progressId)) {
+        throw new Error('Form check not found');
+      }
+
+      const progress = await Progress.findById(progressId);
+      if (!progress || !progress.formCheck || !progress.formCheck.status) {
+        throw new Error('Form check not found');
+      }
+
+      await this.assertAssignedPhysiotherapist(physiotherapistId, progress.patient);
+
+      if (progress.formCheck.status === 'reviewed') {
+        throw new Error('This form check has already been reviewed');
+      }
+
+      const { formQuality, summary } = reviewData;
+      if (!FORM_QUALITY_RATINGS.includes(formQuality)) {
+        throw new Error(`Form quality must be one of: ${FORM_QUALITY_RATINGS.join(', ')}`);
+      }
+
+      const annotations = this.normalizeAnnotations(reviewData.annotations, progress.formCheck.video.durationSeconds);
+      const now = new Date();
+
+      Object.assign(progress.formCheck, {
+        status: 'reviewed',
+        annotations,
+        summary,
+        formQuality,
+        reviewedAt: now,
+        reviewedBy: physiotherapistId
+      });
+
+      progress.performance.formQuality = formQuality;
+      progress.validated.byTherapist = true;
+      progress.validated.validationDate = now;
+      progress.validated.validatedBy = physiotherapistId;
+
+      await progress.save();
+
+      await progress.populate([
+        { path: 'patient', select: 'firstName lastName' },
+        { path: 'rehabTask', select: 'title category' }
+      ]);
+
+      await this.notifyReviewed(progress, physiotherapistId);
+      progressService.broadcastProgress(progress, 'updated');
+
+      return {
+        success: true,
+        message: 'Form check reviewed successfully',
+        data: {
+          progress: progress.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  async getPatientProgress(patientId, progressId) {
+    if (!mongoose.Types.ObjectId.isValid(progressId)) {
+      throw new Error('Progress record not found');
+    }
+
+    const progress = await Progress.findById(progressId);
+    if (!progress) {
+      throw new Error('Progress record not found');
+    }
+    if (progress.patient.toString() !== patientId.toString()) {
+      throw new Error('You can only request form checks on your own sessions');
+    }
+
+    return progress;
+  }
+
+  /**
+   * The therapist who assigned the task reviews it while still assigned to
+   * the patient; otherwise the patient's first assigned physiotherapist
+   */
+  async findReviewer(progress) {
+    const [patient, task] = await Promise.all([
+      User.findById(progress.patient).select('assignedProviders'),
+      RehabTask.findById(progress.rehabTask).select('assignedBy')
+    ]);
+
+    const physiotherapists = (patient ? patient.assignedProviders : [])
+      .filter(provider => provider.role === 'physiotherapist')
+      .map(provider => provider.providerId);
+
+    if (task && physiotherapists.some(id => id.toString() === task.assignedBy.toString())) {
+      return task.assignedBy;
+    }
+    return physiotherapists[0] || null;
+  }
+
+  async assertAssignedPhysiotherapist(physiotherapistId, patientId) {
+    const patient = await User.findById(patientId).select('assignedProviders');
+    const isAssigned = patient && patient.assignedProviders.some(
+      provider => provider.providerId.toString() === physiotherapistId.toString()
+    );
+    if (!isAssigned) {
+      throw new Error('Access denied: patient is not assigned to you');
+    }
+  }
+
+  normalizeAnnotations(annotations = [], durationSeconds) {
+    if (!Array.isArray(annotations)) {
+      throw new Error('Annotations must be a list');
+    }
+    if (annotations.length > MAX_ANNOTATIONS) {
+      throw new Error(`A review can have at most ${MAX_ANNOTATIONS} annotations`);
+    }
+
+    return annotations
+      .map((annotation) => {
+        const timestampSeconds = Number(annotation.timestampSeconds);
+        if (!Number.isFinite(timestampSeconds) || timestampSeconds < 0) {
+          throw new Error('Each annotation needs a time in seconds');
+        }
+        if (durationSeconds && timestampSeconds > durationSeconds) {
+          throw new Error(`Annotation at ${timestampSeconds}s is past the end of the clip`);
+        }
+        if (annotation.type && !ANNOTATION_TYPES.includes(annotation.type)) {
+          throw new Error(`Annotation type must be one of: ${ANNOTATION_TYPES.join(', ')}`);
+        }
+
+        return {
+          timestampSeconds,
+          comment: annotation.comment,
+          type: annotation.type || 'note'
+        };
+      })
+      .sort((a, b) => a.timestampSeconds - b.timestampSeconds);
+  }
+
+  async notifyReviewRequested(progress) {
+    if (!this.notificationService) return;
+
+    const patientName = `${progress.patient.firstName} ${progress.patient.lastName}`;
+
+    await this.notificationService.createNotification({
+      recipient: progress.formCheck.reviewer,
+      sender: progress.patient._id,
+      type: 'feedback_request',
+      category: 'progress',
+      title: 'Form Check Requested',
+      message: `${patientName} sent a clip of ${progress.rehabTask.title} for you to review`,
+      relatedEntity: { entityType: 'progress', entityId: progress._id },
+      actionUrl: '/physiotherapist/form-checks',
+      metadata: { source: 'user' }
+    });
+  }
+
+  async notifyReviewed(progress, physiotherapistId) {
+    if (!this.notificationService) return;
+
+    const corrections = progress.formCheck.annotations.filter(annotation => annotation.type === 'correction').length;
+    const correctionText = corrections > 0
+      ? ` with ${corrections} correction${corrections === 1 ? '' : 's'}`
+      : '';
+
+    await this.notificationService.createNotification({
+      recipient: progress.patient._id,
+      sender: physiotherapistId,
+      type: 'comment_reply',
+      category: 'progress',
+      title: 'Form Check Reviewed',
+      message: `Your therapist rated your ${progress.rehabTask.title} form as ${progress.formCheck.formQuality}${correctionText}`,
+      relatedEntity: { entityType: 'progress', entityId: progress._id },
+      actionUrl: '/patient/progress',
+      metadata: { source: 'user' }
+    });
+  }
+}
+
+module.exports = new FormCheckService();
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+/**
+ * Job Service
+ * Admin view of the background job queue: job runs, the dead-letter list,
+ * per-job statistics and manual retries
+ */
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead', 'cancelled'];
+
+class JobService {
+  /**
+   * List job runs, newest first
+   * @param {Object} filters - status, name and pagination
+   * @returns {Promise<Object>} Jobs
+   */
+  async listJobs(filters = {}) {
+    try {
+      const query = {};
+
+      if (filters.status) {
+        if (!JOB_STATUSES.includes(filters.status)) {
+          throw new Error(`Status must be one of: ${JOB_STATUSES.join(', ')}`);
+        }
+        query.status = filters.status;
+      }
+      if (filters.name) query.name = filters.name;
+
+      const page = parseInt(filters.page) || 1;
+      const limit = Math.min(parseInt(filters.limit) || 20, 100);
+      const skip = (page - 1) * limit;
+
+      const [jobs, total] = await Promise.all([
+        Job.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Job.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          jobs,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List jobs that ran out of attempts
+   * @param {Object} filters - name and pagination
+   * @returns {Promise<Object>} Dead jobs
+   */
+  async getDeadLetters(filters = {}) {
+    return this.listJobs({ ...filters, status: 'dead' });
+  }
+
+  /**
+   * Get one job run with its failure history
+   * @param {String} jobId - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  async getJob(jobId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        throw new Error('Job not found');
+      }
+
+      const job = await Job.findById(jobId);
+
+      if (!job) {
+        throw new Error('Job not found');
+      }
+
+      return {
+        success: true,
+        data: { job }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Put a dead or cancelled job back on the queue with a fresh set of attempts
+   * @param {String} jobId - Job ID
+   * @returns {Promise<Object>} Requeued job
+   */
+  async retryJob(jobId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        throw new Error('Job not found');
+      }
+
+      const job = await Job.findOneAndUpdate(
+        { _id: jobId, status: { $in: ['dead', 'cancelled'] } },
+        {
+          $set: { status: 'queued', attempts: 0, runAt: new Date() },
+          $unset: { deadAt: 1, expiresAt: 1 }
+        },
+        { new: true }
+      );
+
+      if (!job) {
+        const exists = await Job.exists({ _id: jobId });
+        throw new Error(exists ? 'Only dead or cancelled jobs can be retried' : 'Job not found');
+      }
+
+      return {
+        success: true,
+        message: 'Job queued for retry',
+        data: { job }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count jobs by name and status, with each job's most recent run
+   * @returns {Promise<Object>} Statistics per job name
+   */
+  async getStatistics() {
+    try {
+      const [counts, lastRuns] = await Promise.all([
+        Job.aggregate([
+          { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }
+        ]),
+        Job.aggregate([
+          { $match: { status: { $in: ['completed', 'dead'] } } },
+          { $sort: { updatedAt: -1 } },
+          {
+            $group: {
+              _id: '$name',
+              status: { $first: '$status' },
+              finishedAt: { $first: '$updatedAt' },
+              durationMs: { $first: '$durationMs' },
+              lastError: { $first: '$lastError' }
+            }
+          }
+        ])
+      ]);
+
+      const jobs = {};
+      const entryFor = name => {
+        if (!jobs[name]) {
+          jobs[name] = { counts: Object.fromEntries(JOB_STATUSES.map(status => [status, 0])), lastRun: null };
+        }
+        return jobs[name];
+      };
+
+      counts.forEach(({ _id, count }) => {
+        entryFor(_id.name).counts[_id.status] = count;
+      });
+
+      lastRuns.forEach(({ _id, ...lastRun }) => {
+        entryFor(_id).lastRun = lastRun;
+      });
+
+      return {
+        success: true,
+        data: { jobs }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const AccessControlService = require('./AccessControlService');
+const {
+  createLoginThrottlePolicy,
+  getLockDurationMs,
+  checkAttempt,
+  formatWait
+} = require('../core/auth/loginThrottle');
+
+/**
+ * Login Protection Service
+ * Brute-force protection for password and two-factor logins. Failed attempts
+ * are counted per account and per IP address; repeated failures first slow
+ * the next attempt down, then lock the account (or block the IP) for a while.
+ * The user is notified when their account is locked, and the providers who
+ * can access a patient (their physiotherapists, or doctors) can unlock it early.
+ */
+
+const RECORD_RETENTION_MS = 24 * 60 * 60 * 1000; // remember lockouts for a day so repeats escalate
+
+function throttleError(message, retryAfterSeconds) {
+  const error = new Error(message);
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+}
+
+class LoginProtectionService {
+  constructor() {
+    this.notificationService = null;
+    this.accessControl = new AccessControlService();
+    this.policy = createLoginThrottlePolicy();
+  }
+
+  /**
+   * Set notification service for lockout alerts
+   * @param {NotificationService} notificationService
+   */
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Refuse the attempt if the account is locked, the IP is blocked or the
+   * progressive delay since the last failure has not passed
+   * @param {String} email - Email being logged in to
+   * @param {String} ipAddress - Client IP address
+   * @throws {Error} with retryAfterSeconds when the attempt is not allowed
+   */
+  async assertLoginAllowed(email, ipAddress) {
+    const now = Date.now();
+    const [account, ip] = await Promise.all([
+      LoginThrottle.findOne({ key: this.accountKey(email) }),
+      ipAddress ? LoginThrottle.findOne({ key: this.ipKey(ipAddress) }) : null
+    ]);
+
+    const accountCheck = checkAttempt(account, this.policy.account, this.policy, now);
+    if (accountCheck.locked) {
+      throw this.lockedError(accountCheck.retryAfterSeconds);
+    }
+
+    const ipCheck = checkAttempt(ip, this.policy.ip, this.policy, now);
+    if (ipCheck.locked) {
+      throw throttleError(
+        `Too many failed login attempts from this network. Try again in ${formatWait(ipCheck.retryAfterSeconds)}`,
+        ipCheck.retryAfterSeconds
+      );
+    }
+
+    const wait = Math.max(accountCheck.retryAfterSeconds, ipCheck.retryAfterSeconds);
+    if (wait > 0) {
+      throw throttleError(`Too many failed login attempts. Please wait ${formatWait(wait)} before trying again`, wait);
+    }
+  }
+
+  /**
+   * Count a failed password or two-factor code
+   * @param {String} email - Email being logged in to
+   * @param {String} ipAddress - Client IP address
+   * @param {Object} user - User document, if the account exists
+   * @throws {Error} with retryAfterSeconds when this failure locks the account
+   */
+  async recordFailure(email, ipAddress, user = null) {
+    const now = Date.now();
+    const [account, ip] = await Promise.all([
+      this.incrementCounter(this.accountKey(email), 'account', this.policy.account, now, user),
+      ipAddress ? this.incrementCounter(this.ipKey(ipAddress), 'ip', this.policy.ip, now) : null
+    ]);
+
+    if (ip && ip.justLocked) {
+      console.warn(`Login: blocked ${ipAddress} after ${this.policy.ip.lockAfter} failed attempts`);
+    }
+
+    if (account.justLocked) {
+      const retryAfterSeconds = Math.ceil((account.record.lockedUntil.getTime() - now) / 1000);
+      if (user) {
+        await this.notifyLocked(user, retryAfterSeconds);
+      }
+      throw this.lockedError(retryAfterSeconds);
+    }
+  }
+
+  /**
+   * Forget an account's failures after a successful login or password reset
+   * @param {String} email - Account email
+   */
+  async clearAccount(email) {
+    await LoginThrottle.deleteOne({ key: this.accountKey(email) });
+  }
+
+  /**
+   * Get an account's lockout state
+   * @param {String} actingUserId - Staff member asking
+   * @param {String} userId - Account to check
+   * @returns {Promise<Object>} locked, lockedUntil, recentFailures
+   */
+  async getAccountStatus(actingUserId, userId) {
+    try {
+      const user = await this.getUnlockableUser(actingUserId, userId);
+      const record = await LoginThrottle.findOne({ key: this.accountKey(user.email) });
+      const locked = Boolean(record && record.lockedUntil && record.lockedUntil.getTime() > Date.now());
+
+      return {
+        success: true,
+        data: {
+          userId: user._id,
+          locked,
+          lockedUntil: locked ? record.lockedUntil : null,
+          recentFailures: record ? record.failures : 0
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Unlock an account before its lockout runs out
+   * @param {String} actingUserId - Physiotherapist (own patients) or doctor
+   * @param {String} userId - Account to unlock
+   * @returns {Promise<Object>} Confirmation
+   */
+  async unlockAccount(actingUserId, userId) {
+    try {
+      const user = await this.getUnlockableUser(actingUserId, userId);
+
+      const record = await LoginThrottle.findOneAndDelete({
+        key: this.accountKey(user.email),
+        lockedUntil: { $gt: new Date() }
+      });
+      if (!record) {
+        throw new Error('Account is not locked');
+      }
+
+      await this.notifyUnlocked(user, actingUserId);
+
+      return {
+        success: true,
+        message: 'Account unlocked',
+        data: { userId: user._id }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  async incrementCounter(key, kind, rule, now, user) {
+    const windowStart = new Date(now - this.policy.windowMs);
+    const expiresAt = new Date(now + RECORD_RETENTION_MS);
+
+    // Count on from recent failures, or start a new window
+    let record = await LoginThrottle.findOneAndUpdate(
+      { key, lastFailureAt: { $gt: windowStart } },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: new Date(now), expiresAt } },
+      { new: true }
+    );
+    if (!record) {
+      record = await LoginThrottle.findOneAndUpdate(
+        { key },
+        {
+          $set: {
+            kind,
+            failures: 1,
+            firstFailureAt: new Date(now),
+            lastFailureAt: new Date(now),
+            expiresAt,
+            ...(user ? { user: user._id } : {})
+          }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    if (record.failures < rule.lockAfter) {
+      return { record, justLocked: false };
+    }
+
+    // Only one of several concurrent failures starts the lockout
+    const lockedUntil = new Date(now + getLockDurationMs(record.lockCount + 1, rule));
+    const locked = await LoginThrottle.findOneAndUpdate(
+      { _id: record._id, failures: { $gte: rule.lockAfter } },
+      {
+        $set: {
+          failures: 0,
+          lockedUntil,
+          lastLockedAt: new Date(now),
+          expiresAt: new Date(lockedUntil.getTime() + RECORD_RETENTION_MS)
+        },
+        $inc: { lockCount: 1 }
+      },
+      { new: true }
+    );
+
+    return locked ? { record: locked, justLocked: true } : { record, justLocked: false };
+  }
+
+  async getUnlockableUser(actingUserId, userId) {
+    const user = mongoose.Types.ObjectId.isValid(userId)
+      ? await User.findById(userId).select('email firstName lastName role')
+      : null;
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Only patient accounts the provider currently has access to; never other staff
+    const patientIds = user.role === 'patient' && actingUserId.toString() !== userId.toString()
+      ? await this.accessControl.getAccessiblePatientIds(actingUserId)
+      : [];
+    if (!patientIds.some(id => id.toString() === user._id.toString())) {
+      throw new Error('Access denied: you can only unlock accounts of your own patients');
+    }
+
+    return user;
+  }
+
+  lockedError(retryAfterSeconds) {
+    return throttleError(
+      `Account temporarily locked after too many failed login attempts. Try again in ${formatWait(retryAfterSeconds)} or reset your password`,
+      retryAfterSeconds
+    );
+  }
+
+  async notifyLocked(user, retryAfterSeconds) {
+    if (!this.notificationService) return;
+
+    await this.notificationService.createNotification({
+      recipient: user._id,
+      type: 'system_alert',
+      category: 'system',
+      priority: 'high',
+      title: 'Account Locked',
+      message: `Your account was locked for ${formatWait(retryAfterSeconds)} after ${this.policy.account.lockAfter} failed login attempts. If this wasn't you, reset your password.`,
+      relatedEntity: { entityType: 'user', entityId: user._id },
+      actionUrl: '/forgot-password',
+      actionText: 'Reset Password',
+      channels: [
+        { type: 'in_app', status: 'pending' },
+        { type: 'email', status: 'pending' }
+      ],
+      metadata: { source: 'system' }
+    });
+  }
+
+  async notifyUnlocked(user, actingUserId) {
+    if (!this.notificationService) return;
+
+    await this.notificationService.createNotification({
+      recipient: user._id,
+      sender: actingUserId,
+      type: 'system_alert',
+      category: 'system',
+      title: 'Account Unlocked',
+      message: 'Your care team unlocked your account. You can log in again.',
+      relatedEntity: { entityType: 'user', entityId: user._id },
+      actionUrl: '/login',
+      metadata: { source: 'user' }
+    });
+  }
+
+  accountKey(email) {
+    return `account:${String(email || '').toLowerCase().trim()}`;
+  }
+
+  ipKey(ipAddress) {
+    return `ip:${ipAddress}`;
+  }
+}
+
+module.exports = new LoginProtectionService();
@@ -0,0 +1,498 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const StoredFile = require('../models/StoredFile');
+const User = require('../models/User');
+const AccessControlService = require('./AccessControlService');
+
+/**
+ * Messaging Service
+ * Direct and care-team conversations between a patient and the providers
+ * assigned to them. Every read and write checks the conversation membership
+ * and the provider's current patient access, so ending a care assignment
+ * also ends access to its conversations.
+ */
+
+const PARTICIPANT_FIELDS = 'firstName lastName role profilePicture';
+
+class MessagingService {
+  constructor() {
+    this.accessControl = new AccessControlService();
+    this.socketGateway = null;
+  }
+
+  /**
+   * Set socket gateway for real-time updates and accept typing indicators
+   * @param {SocketGateway} socketGateway
+   */
+  setSocketGateway(socketGateway) {
+    this.socketGateway = socketGateway;
+    socketGateway.handle('typing', (user, payload) => this.sendTypingIndicator(user.id, payload));
+  }
+
+  /**
+   * List the people a user can start a conversation with
+   * @param {String} userId - Requesting user ID
+   * @returns {Promise<Object>} Assigned providers (patients) or accessible patients (providers)
+   */
+  async getContacts(userId) {
+    try {
+      const user = await this.getUser(userId);
+
+      const contactIds = user.role === 'patient'
+        ? (user.assignedProviders || []).map(p => p.providerId)
+        : await this.accessControl.getAccessiblePatientIds(userId);
+
+      const contacts = await User.find({ _id: { $in: contactIds }, isActive: true })
+        .select(PARTICIPANT_FIELDS)
+        .sort({ lastName: 1, firstName: 1 });
+
+      return {
+        success: true,
+        data: { contacts }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Open (or find) the direct conversation between a patient and a provider
+   * @param {String} userId - Requesting user ID
+   * @param {String} participantId - The other person
+   * @returns {Promise<Object>} Conversation and whether it was created
+   */
+  async startDirectConversation(userId, participantId) {
+    try {
+      if (!participantId) {
+        throw new Error('Missing required field: participantId');
+      }
+
+      const [user, other] = await Promise.all([this.getUser(userId), this.getUser(participantId)]);
+      const patient = [user, other].find(u => u.role === 'patient');
+      const provider = [user, other].find(u => u.role !== 'patient');
+
+      if (!patient || !provider) {
+        throw new Error('Direct conversations are between a patient and a provider');
+      }
+
+      await this.assertPatientAccess(provider._id, patient._id);
+
+      const directKey = Conversation.buildDirectKey(patient._id, provider._id);
+      let conversation = await Conversation.findOne({ directKey });
+      let created = false;
+
+      if (!conversation) {
+        try {
+          conversation = await Conversation.create({
+            type: 'direct',
+            patient: patient._id,
+            directKey,
+            participants: [
+              { user: patient._id, role: 'patient' },
+              { user: provider._id, role: provider.role }
+            ],
+            createdBy: userId
+          });
+          created = true;
+        } catch (error) {
+          // Both people opened the conversation at the same time
+          if (error.code !== 11000) throw error;
+          conversation = await Conversation.findOne({ directKey });
+        }
+      }
+
+      await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+      return {
+        success: true,
+        message: created ? 'Conversation started' : 'Conversation already exists',
+        data: {
+          conversation,
+          created
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the group conversation for a patient's care team, creating it on
+   * first use. Members follow the patient's current provider assignments.
+   * @param {String} userId - Requesting user ID
+   * @param {String} patientId - Patient ID
+   * @returns {Promise<Object>} Care-team conversation
+   */
+  async getCareTeamConversation(userId, patientId) {
+    try {
+      const patient = await User.findOne({ _id: patientId, role: 'patient' });
+      if (!patient) {
+        throw new Error('Patient not found');
+      }
+
+      await this.assertPatientAccess(userId, patientId);
+
+      const providers = await User.find({
+        _id: { $in: (patient.assignedProviders || []).map(p => p.providerId) },
+        isActive: true
+      }).select('role');
+
+      const members = [
+        { user: patient._id, role: 'patient' },
+        ...providers.map(p => ({ user: p._id, role: p.role }))
+      ];
+
+      if (!members.some(m => m.user.toString() === userId.toString())) {
+        throw new Error('Access denied: only the patient and their assigned providers can join this conversation');
+      }
+
+      let conversation;
+      try {
+        conversation = await Conversation.findOneAndUpdate(
+          { patient: patient._id, type: 'care_team' },
+          { $setOnInsert: { title: 'Care team', createdBy: userId } },
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        conversation = await Conversation.findOne({ patient: patient._id, type: 'care_team' });
+      }
+
+      if (this.syncParticipants(conversation, members)) {
+        await conversation.save();
+      }
+
+      await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+      return {
+        success: true,
+        data: { conversation }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's conversations, most recent activity first
+   * @param {String} userId - Requesting user ID
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} Conversations with unread counts
+   */
+  async listConversations(userId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const query = await this.buildConversationQuery(userId);
+
+      const [conversations, total] = await Promise.all([
+        Conversation.find(query)
+          .populate('participants.user', PARTICIPANT_FIELDS)
+          .populate('patient', 'firstName lastName')
+          .sort({ 'lastMessage.sentAt': -1, updatedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Conversation.countDocuments(query)
+      ]);
+
+      const withUnread = await Promise.all(conversations.map(async (conversation) => ({
+        ...conversation.toJSON(),
+        unreadCount: await this.countUnread(conversation, userId)
+      })));
+
+      return {
+        success: true,
+        data: {
+          conversations: withUnread,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count unread messages across all of a user's conversations
+   * @param {String} userId - Requesting user ID
+   * @returns {Promise<Object>} Unread message count
+   */
+  async getUnreadCount(userId) {
+    try {
+      const conversations = await Conversation.find(await this.buildConversationQuery(userId))
+        .select('participants');
+
+      const counts = await Promise.all(conversations.map(c => this.countUnread(c, userId)));
+
+      return {
+        success: true,
+        data: { unreadCount: counts.reduce((sum, count) => sum + count, 0) }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get messages in a conversation, oldest first
+   * @param {String} conversationId - Conversation ID
+   * @param {String} userId - Requesting user ID
+   * @param {Object} options - before (load messages older than this date), limit
+   * @returns {Promise<Object>} Messages and whether older ones exist
+   */
+  async getMessages(conversationId, userId, options = {}) {
+    try {
+      const { before, limit = 50 } = options;
+      await this.getAccessibleConversation(conversationId, userId);
+
+      const query = { conversation: conversationId };
+      if (before) {
+        query.createdAt = { $lt: new Date(before) };
+      }
+
+      const messages = await Message.find(query)
+        .populate('sender', 'firstName lastName role')
+        .sort({ createdAt: -1 })
+        .limit(limit + 1);
+
+      const hasMore = messages.length > limit;
+
+      return {
+        success: true,
+        data: {
+          messages: messages.slice(0, limit).reverse(),
+          hasMore
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message to a conversation
+   * @param {String} conversationId - Conversation ID
+   * @param {String} userId - Sender ID
+   * @param {Object} messageData - content and attachments ({ type, filename, url, size })
+   * @returns {Promise<Object>} Created message
+   */
+  async sendMessage(conversationId, userId, messageData) {
+    try {
+      const conversation = await this.getAccessibleConversation(conversationId, userId);
+      await this.assertAttachmentsBelongTo(messageData.attachments, conversation.patient);
+      const now = new Date();
+
+      const message = new Message({
+        conversation: conversation._id,
+        sender: userId,
+        content: this.sanitizeContent(messageData.content),
+        attachments: messageData.attachments || [],
+        readBy: [{ user: userId, readAt: now }]
+      });
+
+      await message.save();
+
+      conversation.lastMessage = {
+        message: message._id,
+        sender: userId,
+        preview: message.content
+          ? message.content.substring(0, 100)
+          : `Sent ${message.attachments.length} attachment${message.attachments.length === 1 ? '' : 's'}`,
+        sentAt: message.createdAt
+      };
+      conversation.getParticipant(userId).lastReadAt = now;
+      await conversation.save();
+
+      await message.populate('sender', 'firstName lastName role');
+
+      this.broadcast(conversation, 'message-received', {
+        conversationId: conversation._id,
+        message
+      });
+
+      return {
+        success: true,
+        message: 'Message sent successfully',
+        data: { message }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every message in a conversation as read and send read receipts
+   * @param {String} conversationId - Conversation ID
+   * @param {String} userId - Reader ID
+   * @returns {Promise<Object>} Number of messages marked read
+   */
+  async markAsRead(conversationId, userId) {
+    try {
+      const conversation = await this.getAccessibleConversation(conversationId, userId);
+      const readAt = new Date();
+
+      const result = await Message.updateMany(
+        { conversation: conversation._id, sender: { $ne: userId }, 'readBy.user': { $ne: userId } },
+        { $push: { readBy: { user: userId, readAt } } }
+      );
+
+      conversation.getParticipant(userId).lastReadAt = readAt;
+      await conversation.save();
+
+      this.broadcast(conversation, 'messages-read', {
+        conversationId: conversation._id,
+        userId,
+        readAt
+      });
+
+      return {
+        success: true,
+        data: { modifiedCount: result.modifiedCount }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the other participants that a user started or stopped typing
+   * @param {String} userId - Typing user ID
+   * @param {Object} payload - conversationId, isTyping
+   */
+  async sendTypingIndicator(userId, payload) {
+    if (!mongoose.Types.ObjectId.isValid(payload.conversationId)) {
+      throw new Error('Invalid conversation ID');
+    }
+
+    const conversation = await this.getAccessibleConversation(payload.conversationId, userId);
+
+    this.broadcast(conversation, 'typing', {
+      conversationId: conversation._id,
+      userId,
+      isTyping: Boolean(payload.isTyping)
+    }, { exclude: userId });
+
+    return { conversationId: conversation._id };
+  }
+
+  // Helper methods
+
+  async getUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  async assertPatientAccess(userId, patientId) {
+    if (userId.toString() === patientId.toString()) return;
+
+    const patientIds = await this.accessControl.getAccessiblePatientIds(userId);
+    if (!patientIds.some(id => id.toString() === patientId.toString())) {
+      throw new Error('Access denied: patient is not assigned to you');
+    }
+  }
+
+  async getAccessibleConversation(conversationId, userId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (!conversation.getParticipant(userId)) {
+      throw new Error('Access denied: you are not part of this conversation');
+    }
+
+    await this.assertPatientAccess(userId, conversation.patient);
+    return conversation;
+  }
+
+  async buildConversationQuery(userId) {
+    const user = await this.getUser(userId);
+    const query = { 'participants.user': user._id };
+
+    // Providers only see conversations for patients they still have access to
+    if (user.role !== 'patient') {
+      query.patient = { $in: await this.accessControl.getAccessiblePatientIds(userId) };
+    }
+
+    return query;
+  }
+
+  async countUnread(conversation, userId) {
+    const participant = conversation.getParticipant(userId);
+    const query = { conversation: conversation._id, sender: { $ne: userId } };
+
+    if (participant?.lastReadAt) {
+      query.createdAt = { $gt: participant.lastReadAt };
+    }
+
+    return Message.countDocuments(query);
+  }
+
+  syncParticipants(conversation, members) {
+    const memberIds = members.map(m => m.user.toString());
+    const currentIds = conversation.getParticipantIds();
+
+    const removed = conversation.participants.filter(p => !memberIds.includes(p.user.toString()));
+    removed.forEach(p => conversation.participants.pull(p._id));
+
+    const added = members.filter(m => !currentIds.includes(m.user.toString()));
+    added.forEach(m => conversation.participants.push(m));
+
+    return removed.length > 0 || added.length > 0;
+  }
+
+  broadcast(conversation, event, payload, options = {}) {
+    if (!this.socketGateway) return;
+
+    const recipients = conversation.getParticipantIds()
+      .filter(id => !options.exclude || id !== options.exclude.toString());
+
+    this.socketGateway.emitToUsers(recipients, event, payload);
+  }
+
+  // Uploaded files can only be shared in conversations about the patient they belong to
+  async assertAttachmentsBelongTo(attachments = [], patientId) {
+    const fileIds = attachments.filter(a => a && a.file).map(a => a.file);
+    if (fileIds.length === 0) return;
+
+    const count = await StoredFile.countDocuments({ _id: { $in: fileIds }, patient: patientId });
+    if (count !== new Set(fileIds.map(String)).size) {
+      throw new Error('Access denied: attachments must be files uploaded for this patient');
+    }
+  }
+
+  sanitizeContent(content) {
+    if (!content) return content;
+
+    return content
+      .trim()
+      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove script tags
+      .replace(/javascript:/gi, ''); // Remove javascript: protocols
+  }
+}
+
+module.exports = new MessagingService();
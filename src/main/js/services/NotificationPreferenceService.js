@@ -0,0 +1,212 @@
+const User = require('../models/User');
+const notificationPolicy = require('../core/delivery/notificationPolicy');
+const timezoneUtils = require('../core/scheduling/timezoneUtils');
+
+/**
+ * Notification Preference Service
+ * Reads and updates the per-user preference center: channel switches, the
+ * category x channel matrix, quiet hours and digest settings
+ */
+
+const MASTER_CHANNELS = ['email', 'sms', 'push'];
+const DELIVERY_MODES = ['immediate', 'digest'];
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class NotificationPreferenceService {
+  /**
+   * Get a user's notification preferences with defaults filled in
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Preferences
+   */
+  async getPreferences(userId) {
+    try {
+      const user = await User.findById(userId).select('role preferences');
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return {
+        success: true,
+        data: {
+          preferences: this.formatPreferences(user)
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update notification preferences. Only the fields supplied are changed.
+   * @param {String} userId - User ID
+   * @param {Object} updates - channels, categories, quietHours, digest, timezone
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async updatePreferences(userId, updates = {}) {
+    try {
+      const set = this.buildUpdate(updates);
+
+      if (Object.keys(set).length === 0) {
+        throw new Error('No preference changes supplied');
+      }
+
+      const user = await User.findByIdAndUpdate(userId, { $set: set }, { new: true, runValidators: true })
+        .select('role preferences');
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return {
+        success: true,
+        message: 'Notification preferences updated',
+        data: {
+          preferences: this.formatPreferences(user)
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  buildUpdate(updates) {
+    const set = {};
+    const prefix = 'preferences.notifications';
+
+    if (updates.timezone !== undefined) {
+      if (!timezoneUtils.isValidTimezone(updates.timezone)) {
+        throw new Error(`Invalid timezone: ${updates.timezone}`);
+      }
+      set['preferences.timezone'] = updates.timezone;
+    }
+
+    Object.entries(updates.channels || {}).forEach(([channel, enabled]) => {
+      if (!MASTER_CHANNELS.includes(channel)) {
+        throw new Error(`Invalid channel: ${channel}`);
+      }
+      set[`${prefix}.${channel}`] = this.toBoolean(enabled, `channels.${channel}`);
+    });
+
+    Object.entries(updates.categories || {}).forEach(([category, settings]) => {
+      if (!notificationPolicy.categories.includes(category)) {
+        throw new Error(`Invalid category: ${category}`);
+      }
+
+      Object.entries(settings || {}).forEach(([key, value]) => {
+        if (key === 'delivery') {
+          if (!DELIVERY_MODES.includes(value)) {
+            throw new Error(`Delivery for ${category} must be one of: ${DELIVERY_MODES.join(', ')}`);
+          }
+        } else if (!notificationPolicy.channels.includes(key)) {
+          throw new Error(`Invalid channel for ${category}: ${key}`);
+        } else {
+          value = this.toBoolean(value, `categories.${category}.${key}`);
+        }
+
+        set[`${prefix}.categories.${category}.${key}`] = value;
+      });
+    });
+
+    if (updates.quietHours) {
+      const { enabled, start, end } = updates.quietHours;
+      if (enabled !== undefined) set[`${prefix}.quietHours.enabled`] = this.toBoolean(enabled, 'quietHours.enabled');
+      if (start !== undefined) set[`${prefix}.quietHours.start`] = this.toTime(start, 'quietHours.start');
+      if (end !== undefined) set[`${prefix}.quietHours.end`] = this.toTime(end, 'quietHours.end');
+    }
+
+    if (updates.digest) {
+      const { enabled, includeHealthAlerts, frequency, time, dayOfWeek } = updates.digest;
+
+      if (enabled !== undefined) set[`${prefix}.digest.enabled`] = this.toBoolean(enabled, 'digest.enabled');
+      if (includeHealthAlerts !== undefined) {
+        set[`${prefix}.digest.includeHealthAlerts`] = this.toBoolean(includeHealthAlerts, 'digest.includeHealthAlerts');
+      }
+
+      if (frequency !== undefined) {
+        if (!DIGEST_FREQUENCIES.includes(frequency)) {
+          throw new Error(`Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+        }
+        set[`${prefix}.digest.frequency`] = frequency;
+      }
+
+      if (time !== undefined) set[`${prefix}.digest.time`] = this.toTime(time, 'digest.time');
+
+      if (dayOfWeek !== undefined) {
+        const day = Number(dayOfWeek);
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+          throw new Error('digest.dayOfWeek must be 0 (Sunday) to 6 (Saturday)');
+        }
+        set[`${prefix}.digest.dayOfWeek`] = day;
+      }
+    }
+
+    return set;
+  }
+
+  formatPreferences(user) {
+    const notifications = user.preferences?.notifications || {};
+    const categories = {};
+
+    notificationPolicy.categories.forEach(category => {
+      const settings = notifications.categories?.[category] || {};
+      categories[category] = {
+        in_app: settings.in_app !== false,
+        email: settings.email !== false,
+        sms: settings.sms !== false,
+        push: settings.push !== false,
+        delivery: settings.delivery || 'immediate',
+        // Health alerts are always delivered immediately on every enabled channel
+        locked: category === 'health_alerts'
+      };
+    });
+
+    return {
+      timezone: timezoneUtils.resolveTimezone(user.preferences?.timezone),
+      channels: {
+        email: notifications.email !== false,
+        sms: notifications.sms === true,
+        push: notifications.push !== false
+      },
+      categories,
+      quietHours: {
+        enabled: notifications.quietHours?.enabled === true,
+        start: notifications.quietHours?.start || '22:00',
+        end: notifications.quietHours?.end || '07:00'
+      },
+      digest: {
+        enabled: notificationPolicy.isDigestEnabled(user),
+        includeHealthAlerts: notifications.digest?.includeHealthAlerts === true,
+        types: notificationPolicy.digestTypes,
+        frequency: notifications.digest?.frequency || 'daily',
+        time: notifications.digest?.time || '08:00',
+        dayOfWeek: notifications.digest?.dayOfWeek ?? 1
+      }
+    };
+  }
+
+  toBoolean(value, field) {
+    if (typeof value !== 'boolean') {
+      throw new Error(`${field} must be true or false`);
+    }
+    return value;
+  }
+
+  toTime(value, field) {
+    if (!TIME_PATTERN.test(value)) {
+      throw new Error(`${field} must be in HH:mm format`);
+    }
+    return value;
+  }
+}
+
+module.exports = new NotificationPreferenceService();
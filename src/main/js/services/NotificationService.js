@@ -1,99 +1,47 @@
+const mongoose = require('mongoose');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
-const RehabTask = require('../models/RehabTask');
 const Comment = require('../models/Comment');
-const cron = require('node-cron');
+const Appointment = require('../models/Appointment');
+const SessionOccurrence = require('../models/SessionOccurrence');
+const occurrenceService = require('./OccurrenceService');
+const notificationTemplateService = require('./NotificationTemplateService');
+const PushSubscription = require('../models/PushSubscription');
+const Job = require('../models/Job');
+const { createChannelAdapters } = require('../core/delivery/channelAdapters');
+const notificationPolicy = require('../core/delivery/notificationPolicy');
+const digestBuilder = require('../core/delivery/digestBuilder');
+const templateRenderer = require('../core/delivery/templateRenderer');
+const { JobQueue } = require('../core/jobs/jobQueue');
+const { userRoom } = require('../core/realtime/socketGateway');
+
+// Channels that talk to an external provider and are retried with backoff
+const RETRYABLE_CHANNELS = ['email', 'sms', 'push'];
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000; // 1, 2, 4, 8 minutes
+const RECIPIENT_FIELDS = 'firstName lastName role email phoneNumber preferences';
+
+// Digest items stay out of the inbox until their digest is sent
+const NOT_HELD_FOR_DIGEST = {
+  channels: { $not: { $elemMatch: { type: 'in_app', status: 'deferred', deferReason: 'digest' } } }
+};
 
 /**
  * Comprehensive Notification Service
  * Handles creation, delivery, scheduling, and management of all notifications
  */
 class NotificationService {
-  constructor(io) {
+  constructor(io, options = {}) {
     this.io = io; // Socket.io instance for real-time notifications
-    this.templates = this.initializeTemplates();
-    this.scheduledJobs = new Map();
-    this.initializeScheduledTasks();
-  }
-
-  /**
-   * Initialize notification templates
-   */
-  initializeTemplates() {
-    return {
-      task_reminder: {
-        title: 'Exercise Reminder',
-        message: 'You have a rehabilitation exercise due: {{taskTitle}}',
-        actionText: 'Start Exercise',
-        channels: ['in_app', 'push']
-      },
-      task_overdue: {
-        title: 'Overdue Exercise',
-        message: 'Your exercise "{{taskTitle}}" is overdue. Please complete it when you can.',
-        actionText: 'Complete Now',
-        channels: ['in_app', 'push', 'email']
-      },
-      task_completed: {
-        title: 'Great Work!',
-        message: 'You completed "{{taskTitle}}"! Keep up the excellent progress.',
-        actionText: 'View Progress',
-        channels: ['in_app']
-      },
-      progress_milestone: {
-        title: 'Milestone Achieved!',
-        message: 'Congratulations! You\'ve reached {{milestone}} in your recovery journey.',
-        actionText: 'View Achievements',
-        channels: ['in_app', 'push']
-      },
-      comment_mention: {
-        title: 'You were mentioned',
-        message: '{{senderName}} mentioned you in a comment',
-        actionText: 'View Comment',
-        channels: ['in_app', 'push']
-      },
-      comment_reply: {
-        title: 'New Reply',
-        message: '{{senderName}} replied to your comment',
-        actionText: 'View Reply',
-        channels: ['in_app', 'push']
-      },
-      appointment_reminder: {
-        title: 'Appointment Reminder',
-        message: 'You have an appointment with {{providerName}} at {{time}}',
-        actionText: 'View Details',
-        channels: ['in_app', 'push', 'email']
-      },
-      achievement_unlocked: {
-        title: 'Achievement Unlocked!',
-        message: 'You\'ve earned the "{{achievementName}}" badge!',
-        actionText: 'View Badge',
-        channels: ['in_app', 'push']
-      },
-      low_engagement: {
-        title: 'We Miss You!',
-        message: 'You haven\'t logged your exercises in {{days}} days. Let\'s get back on track!',
-        actionText: 'Resume Exercises',
-        channels: ['in_app', 'push', 'email']
-      },
-      critical_alert: {
-        title: 'Important Health Alert',
-        message: '{{alertMessage}}',
-        actionText: 'Contact Provider',
-        channels: ['in_app', 'push', 'email', 'sms']
-      },
-      welcome: {
-        title: 'Welcome to Your Recovery Journey',
-        message: 'Welcome {{firstName}}! Let\'s start your personalized rehabilitation program.',
-        actionText: 'Get Started',
-        channels: ['in_app', 'email']
-      },
-      feedback_request: {
-        title: 'How Are You Feeling?',
-        message: 'Your therapist would like feedback on your recent progress.',
-        actionText: 'Provide Feedback',
-        channels: ['in_app', 'push']
-      }
-    };
+    this.channelAdapters = createChannelAdapters({
+      emailTransport: options.emailTransport,
+      smsProvider: options.smsProvider,
+      webPushProvider: options.webPushProvider,
+      pushSubscriptions: PushSubscription
+    });
+    // Jobs only run once the queue is started (see server.js)
+    this.jobQueue = options.jobQueue || new JobQueue({ jobs: Job });
+    this.registerJobs();
   }
 
   /**
@@ -107,16 +55,26 @@ class NotificationService {
         throw new Error('Recipient not found');
       }
 
-      // Get template if templateId provided
+      // Get template if templateId provided, in the recipient's language
       let finalData = { ...notificationData };
-      if (notificationData.templateId && this.templates[notificationData.templateId]) {
-        const template = this.templates[notificationData.templateId];
+      const template = notificationData.templateId
+        ? await notificationTemplateService.resolveTemplate(notificationData.templateId, recipient.preferences?.language)
+        : null;
+
+      if (template) {
+        // Variables only need to be supplied for content the template fills in
+        const rendered = templateRenderer.renderTemplate(template, notificationData.templateVariables, {
+          strict: !(finalData.title && finalData.message)
+        });
+
         finalData = {
           ...finalData,
-          title: finalData.title || this.processTemplate(template.title, notificationData.templateVariables),
-          message: finalData.message || this.processTemplate(template.message, notificationData.templateVariables),
-          actionText: finalData.actionText || template.actionText,
-          channels: finalData.channels || template.channels.map(type => ({ type, status: 'pending' }))
+          title: finalData.title || rendered.title,
+          message: finalData.message || rendered.message,
+          actionText: finalData.actionText || rendered.actionText,
+          channels: finalData.channels || template.channels.map(type => ({ type, status: 'pending' })),
+          templateLanguage: template.language,
+          templateVersion: template.version
         };
       }
 
@@ -135,7 +93,7 @@ class NotificationService {
       // Populate sender information
       const populatedNotification = await Notification.findById(savedNotification._id)
         .populate('sender', 'firstName lastName role')
-        .populate('recipient', 'firstName lastName role email phoneNumber');
+        .populate('recipient', RECIPIENT_FIELDS);
 
       // Handle immediate delivery or scheduling
       if (notification.scheduledFor && notification.scheduledFor > new Date()) {
@@ -175,7 +133,7 @@ class NotificationService {
       for (const notification of createdNotifications) {
         const populated = await Notification.findById(notification._id)
           .populate('sender', 'firstName lastName role')
-          .populate('recipient', 'firstName lastName role email phoneNumber');
+          .populate('recipient', RECIPIENT_FIELDS);
         await this.deliverNotification(populated);
       }
 
@@ -196,37 +154,60 @@ class NotificationService {
 
   /**
    * Deliver notification through specified channels
+   * Each channel is checked against the recipient's preferences first, and
+   * may be skipped (opted out) or deferred (quiet hours, preferred time, digest)
+   * @param {Object} notification - Notification with recipient populated
+   * @param {Object} options - channelTypes to deliver only some channels (used for retries),
+   *   releaseDeferred to deliver channels whose hold has ended
    */
-  async deliverNotification(notification) {
+  async deliverNotification(notification, options = {}) {
     try {
-      const deliveryPromises = notification.channels.map(async (channel) => {
+      const channels = options.channelTypes
+        ? notification.channels.filter(c => options.channelTypes.includes(c.type))
+        : notification.channels;
+
+      // Channels are delivered one at a time because each status update saves the document
+      for (const channel of channels) {
         try {
-          switch (channel.type) {
-            case 'in_app':
-              await this.deliverInAppNotification(notification);
-              break;
-            case 'push':
-              await this.deliverPushNotification(notification);
-              break;
-            case 'email':
-              await this.deliverEmailNotification(notification);
-              break;
-            case 'sms':
-              await this.deliverSMSNotification(notification);
-              break;
+          const decision = notificationPolicy.decide(notification, channel.type, {
+            releaseDeferred: options.releaseDeferred
+          });
+
+          if (decision.action === 'skip') {
+            await notification.updateDeliveryStatus(channel.type, 'skipped', { reason: decision.reason });
+            continue;
+          }
+
+          if (decision.action === 'defer') {
+            await notification.updateDeliveryStatus(channel.type, 'deferred', {
+              deferredUntil: decision.until,
+              reason: decision.reason
+            });
+            continue;
           }
 
-          await notification.updateDeliveryStatus(channel.type, 'sent');
+          const result = channel.type === 'in_app'
+            ? await this.deliverInAppNotification(notification)
+            : await this.deliverThroughAdapter(channel.type, notification);
+
+          if (result?.skipped) {
+            await notification.updateDeliveryStatus(channel.type, 'skipped', { reason: result.reason });
+          } else {
+            await notification.updateDeliveryStatus(channel.type, 'sent', { providerMessageId: result?.messageId });
+          }
         } catch (error) {
-          await notification.updateDeliveryStatus(channel.type, 'failed', { reason: error.message });
+          await notification.updateDeliveryStatus(channel.type, 'failed', {
+            reason: error.message,
+            nextRetryAt: this.getNextRetryTime(channel, error)
+          });
         }
-      });
-
-      await Promise.allSettled(deliveryPromises);
+      }
 
       // Update overall notification status
-      notification.status = 'sent';
-      await notification.save();
+      if (notification.status === 'pending') {
+        notification.status = 'sent';
+        await notification.save();
+      }
 
       return {
         success: true,
@@ -245,8 +226,7 @@ class NotificationService {
    */
   async deliverInAppNotification(notification) {
     if (this.io) {
-      const room = `user_${notification.recipient._id}`;
-      this.io.to(room).emit('notification', {
+      this.io.to(userRoom(notification.recipient._id)).emit('notification', {
         id: notification._id,
         title: notification.title,
         message: notification.message,
@@ -262,74 +242,272 @@ class NotificationService {
   }
 
   /**
-   * Deliver push notification (placeholder for push service integration)
+   * Keep the recipient's other open tabs and devices in sync after a read or dismiss
    */
-  async deliverPushNotification(notification) {
-    // Placeholder for push notification service (FCM, APNS, etc.)
-    console.log(`Push notification sent to ${notification.recipient.email}:`, notification.title);
+  emitStatusChange(userId, change) {
+    if (this.io) {
+      this.io.to(userRoom(userId)).emit('notification-status-changed', change);
+    }
+  }
 
-    // In a real implementation, you would integrate with:
-    // - Firebase Cloud Messaging (FCM) for Android
-    // - Apple Push Notification Service (APNS) for iOS
-    // - Web Push API for web browsers
+  /**
+   * Deliver through the adapter registered for an external channel (email, sms, push)
+   */
+  async deliverThroughAdapter(channelType, notification) {
+    const adapter = this.channelAdapters[channelType];
+    if (!adapter) {
+      const error = new Error(`No delivery adapter registered for ${channelType}`);
+      error.retryable = false;
+      throw error;
+    }
 
-    return Promise.resolve();
+    return adapter.send(notification);
   }
 
   /**
-   * Deliver email notification (placeholder for email service integration)
+   * Register or replace a channel adapter (see core/delivery/channelAdapters for the interface)
    */
-  async deliverEmailNotification(notification) {
-    // Placeholder for email service integration
-    console.log(`Email notification sent to ${notification.recipient.email}:`, notification.title);
+  registerChannelAdapter(channelType, adapter) {
+    this.channelAdapters[channelType] = adapter;
+  }
+
+  /**
+   * Replace the email transport (e.g. a file transport for local testing)
+   */
+  setEmailTransport(transport) {
+    this.channelAdapters.email.setTransport(transport);
+  }
+
+  /**
+   * Deliver channels held for quiet hours or a preferred window once their time comes.
+   * Channels held for the digest are sent by deliverDigests instead.
+   */
+  async deliverDeferredNotifications() {
+    try {
+      const now = new Date();
+      const notifications = await Notification.find({
+        isDismissed: false,
+        channels: {
+          $elemMatch: {
+            status: 'deferred',
+            deferReason: { $ne: 'digest' },
+            deferredUntil: { $lte: now }
+          }
+        }
+      }).populate('recipient', RECIPIENT_FIELDS);
 
-    // In a real implementation, you would integrate with:
-    // - SendGrid
-    // - AWS SES
-    // - Nodemailer with SMTP
+      let released = 0;
 
-    return Promise.resolve();
+      for (const notification of notifications) {
+        const channelTypes = notification.channels
+          .filter(c => c.status === 'deferred' && c.deferReason !== 'digest' && c.deferredUntil <= now)
+          .map(c => c.type);
+
+        await this.deliverNotification(notification, { channelTypes, releaseDeferred: true });
+        released += channelTypes.length;
+      }
+
+      return {
+        success: true,
+        data: { deliveriesReleased: released }
+      };
+    } catch (error) {
+      console.error('Deferred delivery error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
   }
 
   /**
-   * Deliver SMS notification (placeholder for SMS service integration)
+   * Send each recipient whose digest is due one summary of everything held for it.
+   * Dismissed notifications are left out of the summary.
    */
-  async deliverSMSNotification(notification) {
-    // Placeholder for SMS service integration
-    console.log(`SMS notification sent to ${notification.recipient.phoneNumber}:`, notification.title);
+  async deliverDigests() {
+    try {
+      const now = new Date();
+      const notifications = await Notification.find({
+        isDismissed: false,
+        channels: {
+          $elemMatch: {
+            status: 'deferred',
+            deferReason: 'digest',
+            deferredUntil: { $lte: now }
+          }
+        }
+      })
+        .populate('recipient', RECIPIENT_FIELDS)
+        .sort({ createdAt: 1 });
+
+      const byRecipient = new Map();
+      notifications.forEach(notification => {
+        if (!notification.recipient) return;
+        const key = notification.recipient._id.toString();
+        if (!byRecipient.has(key)) byRecipient.set(key, []);
+        byRecipient.get(key).push(notification);
+      });
+
+      let digestsSent = 0;
+      let notificationsBatched = 0;
+
+      for (const batch of byRecipient.values()) {
+        const result = await this.sendDigest(batch, now);
+        if (result.success) {
+          digestsSent++;
+          notificationsBatched += batch.length;
+        }
+      }
+
+      return {
+        success: true,
+        data: { digestsSent, notificationsBatched }
+      };
+    } catch (error) {
+      console.error('Digest delivery error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create and deliver one digest for a recipient. The digest and the
+   * notifications it summarises share a batchId, so "view all" can list them.
+   * @param {Array} notifications - Notifications for one recipient, oldest first
+   * @param {Date} now - Digest time
+   */
+  async sendDigest(notifications, now = new Date()) {
+    try {
+      const recipient = notifications[0].recipient;
+      const batchId = new mongoose.Types.ObjectId().toString();
+      const isDue = channel => channel.status === 'deferred' && channel.deferReason === 'digest' && channel.deferredUntil <= now;
 
-    // In a real implementation, you would integrate with:
-    // - Twilio
-    // - AWS SNS
-    // - Other SMS providers
+      const channelTypes = new Set(['in_app']);
+      notifications.forEach(notification => {
+        notification.channels.filter(isDue).forEach(channel => channelTypes.add(channel.type));
+      });
+
+      const summary = digestBuilder.buildSummary(notifications, {
+        frequency: recipient.preferences?.notifications?.digest?.frequency,
+        role: recipient.role,
+        batchId
+      });
+
+      const digest = await new Notification({
+        ...summary,
+        recipient: recipient._id,
+        recipientRole: recipient.role,
+        type: 'notification_digest',
+        category: 'system',
+        channels: [...channelTypes].map(type => ({ type, status: 'pending' })),
+        batchId,
+        isBulkNotification: true,
+        metadata: { source: 'scheduler' }
+      }).save();
+
+      for (const notification of notifications) {
+        notification.channels.filter(isDue).forEach(channel => {
+          channel.status = 'batched';
+        });
+        notification.batchId = batchId;
+        notification.isBulkNotification = true;
+        await notification.save();
+      }
+
+      const populatedDigest = await Notification.findById(digest._id)
+        .populate('recipient', RECIPIENT_FIELDS);
 
-    return Promise.resolve();
+      return this.deliverNotification(populatedDigest);
+    } catch (error) {
+      console.error('Digest error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
   }
 
   /**
-   * Schedule notification for future delivery
+   * Retry failed deliveries on external channels whose backoff has elapsed
+   */
+  async retryFailedDeliveries() {
+    try {
+      const now = new Date();
+      const notifications = await Notification.find({
+        channels: {
+          $elemMatch: {
+            type: { $in: RETRYABLE_CHANNELS },
+            status: 'failed',
+            nextRetryAt: { $lte: now }
+          }
+        }
+      }).populate('recipient', RECIPIENT_FIELDS);
+
+      let retried = 0;
+
+      for (const notification of notifications) {
+        const channelTypes = notification.channels
+          .filter(c => RETRYABLE_CHANNELS.includes(c.type) && c.status === 'failed' && c.nextRetryAt && c.nextRetryAt <= now)
+          .map(c => c.type);
+
+        await this.deliverNotification(notification, { channelTypes });
+        retried += channelTypes.length;
+      }
+
+      return {
+        success: true,
+        data: { deliveriesRetried: retried }
+      };
+    } catch (error) {
+      console.error('Delivery retry error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Schedule notification for future delivery on the job queue
    */
   async scheduleNotification(notification) {
     const scheduleTime = new Date(notification.scheduledFor);
-    const jobId = `notification_${notification._id}`;
 
-    // Convert to cron format (simplified for minute precision)
-    const cronExpression = `${scheduleTime.getMinutes()} ${scheduleTime.getHours()} ${scheduleTime.getDate()} ${scheduleTime.getMonth() + 1} *`;
-
-    const job = cron.schedule(cronExpression, async () => {
-      await this.deliverNotification(notification);
-      this.scheduledJobs.delete(jobId);
+    const job = await this.jobQueue.enqueue('notifications.deliverScheduled', {
+      notificationId: notification._id.toString()
     }, {
-      scheduled: false,
-      timezone: notification.conditions?.timezone || 'UTC'
+      runAt: scheduleTime,
+      uniqueKey: `notification:${notification._id}`
     });
 
-    job.start();
-    this.scheduledJobs.set(jobId, job);
-
     return {
       success: true,
-      data: { jobId, scheduledFor: scheduleTime }
+      data: { jobId: job._id, scheduledFor: scheduleTime }
+    };
+  }
+
+  /**
+   * Deliver a scheduled notification when its job runs
+   * @param {String} notificationId - Notification ID
+   */
+  async deliverScheduledNotification(notificationId) {
+    const notification = await Notification.findById(notificationId)
+      .populate('sender', 'firstName lastName role')
+      .populate('recipient', RECIPIENT_FIELDS);
+
+    // Dismissed, expired or already delivered (e.g. a retried job)
+    if (!notification || notification.isDismissed || notification.status !== 'pending') {
+      return { success: true, data: { delivered: false } };
+    }
+
+    const result = await this.deliverNotification(notification);
+
+    return {
+      success: result.success,
+      error: result.error,
+      data: { delivered: result.success }
     };
   }
 
@@ -344,12 +522,14 @@ class NotificationService {
         category,
         priority,
         unreadOnly = false,
-        type
+        type,
+        batchId
       } = options;
 
-      const query = { recipient: userId };
+      const query = { recipient: userId, ...NOT_HELD_FOR_DIGEST };
 
       if (category) query.category = category;
+      if (batchId) query.batchId = batchId;
       if (priority) query.priority = priority;
       if (type) query.type = type;
       if (unreadOnly) {
@@ -400,7 +580,8 @@ class NotificationService {
         recipient: userId,
         isRead: false,
         isDismissed: false,
-        status: { $in: ['pending', 'sent', 'delivered'] }
+        status: { $in: ['pending', 'sent', 'delivered'] },
+        ...NOT_HELD_FOR_DIGEST
       });
 
       return {
@@ -430,6 +611,7 @@ class NotificationService {
       }
 
       await notification.markAsRead();
+      this.emitStatusChange(userId, { id: notification._id, status: 'read' });
 
       return {
         success: true,
@@ -461,6 +643,7 @@ class NotificationService {
         readAt: new Date(),
         status: 'read'
       });
+      this.emitStatusChange(userId, { all: true, category: options.category, type: options.type, status: 'read' });
 
       return {
         success: true,
@@ -492,6 +675,11 @@ class NotificationService {
 
       await notification.dismiss();
 
+      if (notification.isScheduled) {
+        await this.jobQueue.cancel(`notification:${notification._id}`);
+      }
+      this.emitStatusChange(userId, { id: notification._id, status: 'dismissed' });
+
       return {
         success: true,
         data: { notification }
@@ -533,44 +721,56 @@ class NotificationService {
   }
 
   /**
-   * Create task reminder notifications
+   * Create reminders for session occurrences starting soon.
+   * Each task's reminders.beforeSession sets the lead time in minutes.
    */
   async createTaskReminders() {
     try {
       const now = new Date();
-      const reminderTime = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours from now
+      const lookAhead = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+
+      const upcoming = await SessionOccurrence.find({
+        status: 'pending',
+        'reminders.beforeSentAt': { $exists: false },
+        scheduledFor: { $gte: now, $lte: lookAhead }
+      }).populate('task', 'title priority status reminders');
+
+      let remindersCreated = 0;
+      for (const occurrence of upcoming) {
+        const task = occurrence.task;
+        if (!task || task.status !== 'active' || task.reminders?.enabled === false) continue;
+
+        const leadMinutes = task.reminders?.beforeSession ?? 30;
+        if (occurrence.scheduledFor.getTime() - leadMinutes * 60 * 1000 > now.getTime()) continue;
+
+        const result = await this.createNotification({
+          recipient: occurrence.patient,
+          type: 'task_reminder',
+          category: 'reminders',
+          templateId: 'task_reminder',
+          templateVariables: {
+            taskTitle: task.title
+          },
+          relatedEntity: {
+            entityType: 'rehabTask',
+            entityId: task._id
+          },
+          actionUrl: `/tasks/${task._id}`,
+          priority: task.priority || 'normal',
+          metadata: { source: 'scheduler' }
+        });
 
-      const upcomingTasks = await RehabTask.find({
-        status: 'active',
-        scheduledDate: {
-          $gte: now,
-          $lte: reminderTime
+        if (result.success) {
+          occurrence.reminders.beforeSentAt = now;
+          await occurrence.save();
+          remindersCreated++;
         }
-      }).populate('assignedTo');
-
-      const notifications = upcomingTasks.map(task => ({
-        recipient: task.assignedTo._id,
-        type: 'task_reminder',
-        templateId: 'task_reminder',
-        templateVariables: {
-          taskTitle: task.title
-        },
-        relatedEntity: {
-          entityType: 'rehabTask',
-          entityId: task._id
-        },
-        actionUrl: `/tasks/${task._id}`,
-        priority: task.priority || 'normal'
-      }));
-
-      if (notifications.length > 0) {
-        await this.createBulkNotifications(upcomingTasks.map(t => t.assignedTo), notifications[0]);
       }
 
       return {
         success: true,
         data: {
-          remindersCreated: notifications.length
+          remindersCreated
         }
       };
     } catch (error) {
@@ -582,22 +782,33 @@ class NotificationService {
   }
 
   /**
-   * Create overdue task notifications
+   * Mark sessions whose day has ended as missed, and nudge patients about
+   * sessions still not done reminders.missedSession minutes after their time
    */
   async createOverdueTaskNotifications() {
     try {
       const now = new Date();
+      const missed = await occurrenceService.markMissedOccurrences(now);
+
+      const overdue = await SessionOccurrence.find({
+        status: 'pending',
+        'reminders.missedSentAt': { $exists: false },
+        scheduledFor: { $lt: now },
+        dueBy: { $gt: now }
+      }).populate('task', 'title status reminders');
 
-      const overdueTasks = await RehabTask.find({
-        status: 'active',
-        scheduledDate: { $lt: now }
-      }).populate('assignedTo');
+      let overdueNotificationsCreated = 0;
+      for (const occurrence of overdue) {
+        const task = occurrence.task;
+        if (!task || task.status !== 'active' || task.reminders?.enabled === false) continue;
 
-      const notifications = [];
-      for (const task of overdueTasks) {
-        notifications.push({
-          recipient: task.assignedTo._id,
+        const graceMinutes = task.reminders?.missedSession ?? 60;
+        if (occurrence.scheduledFor.getTime() + graceMinutes * 60 * 1000 > now.getTime()) continue;
+
+        const result = await this.createNotification({
+          recipient: occurrence.patient,
           type: 'task_overdue',
+          category: 'reminders',
           templateId: 'task_overdue',
           templateVariables: {
             taskTitle: task.title
@@ -607,21 +818,88 @@ class NotificationService {
             entityId: task._id
           },
           actionUrl: `/tasks/${task._id}`,
-          priority: 'high'
+          priority: 'high',
+          metadata: { source: 'scheduler' }
         });
+
+        if (result.success) {
+          occurrence.reminders.missedSentAt = now;
+          await occurrence.save();
+          overdueNotificationsCreated++;
+        }
       }
 
-      if (notifications.length > 0) {
-        const result = await this.createBulkNotifications(
-          overdueTasks.map(t => t.assignedTo),
-          notifications[0]
-        );
-        return result;
+      return {
+        success: true,
+        data: {
+          overdueNotificationsCreated,
+          sessionsMarkedMissed: missed.length
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create appointment reminder notifications for the next 24 hours
+   */
+  async createAppointmentReminders() {
+    try {
+      const now = new Date();
+      const reminderTime = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours from now
+
+      const upcomingAppointments = await Appointment.find({
+        status: { $in: ['scheduled', 'confirmed'] },
+        'reminders.enabled': true,
+        'reminders.sentAt': { $exists: false },
+        startTime: {
+          $gte: now,
+          $lte: reminderTime
+        }
+      })
+        .populate('patient', 'firstName lastName preferences')
+        .populate('provider', 'firstName lastName');
+
+      let remindersCreated = 0;
+      for (const appointment of upcomingAppointments) {
+        if (!appointment.patient || !appointment.provider) continue;
+
+        const timezone = appointment.patient.preferences?.timezone || 'UTC';
+        const result = await this.createNotification({
+          recipient: appointment.patient._id,
+          sender: appointment.provider._id,
+          type: 'appointment_reminder',
+          category: 'schedule',
+          templateId: 'appointment_reminder',
+          templateVariables: {
+            providerName: `${appointment.provider.firstName} ${appointment.provider.lastName}`,
+            time: this.formatDateTime(appointment.startTime, timezone)
+          },
+          relatedEntity: {
+            entityType: 'appointment',
+            entityId: appointment._id
+          },
+          actionUrl: `/appointments/${appointment._id}`,
+          priority: 'high',
+          metadata: { source: 'scheduler' }
+        });
+
+        if (result.success) {
+          appointment.reminders.sentAt = new Date();
+          await appointment.save();
+          remindersCreated++;
+        }
       }
 
       return {
         success: true,
-        data: { overdueNotificationsCreated: 0 }
+        data: {
+          remindersCreated
+        }
       };
     } catch (error) {
       return {
@@ -631,32 +909,103 @@ class NotificationService {
     }
   }
 
+  /**
+   * Format a date for display in the recipient's timezone
+   */
+  formatDateTime(date, timezone = 'UTC') {
+    try {
+      return new Date(date).toLocaleString('en-US', {
+        timeZone: timezone,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+      });
+    } catch (error) {
+      // Unknown timezone identifiers fall back to UTC
+      return new Date(date).toLocaleString('en-US', {
+        timeZone: 'UTC',
+        dateStyle: 'medium',
+        timeStyle: 'short'
+      });
+    }
+  }
+
+  /**
+   * Get when a failed channel should next be retried
+   * @param {Object} channel - Channel before its retryCount is incremented
+   * @param {Error} error - Delivery error; retryable === false means retrying cannot help
+   * @returns {Date|undefined} Retry time, or undefined when retries are exhausted
+   */
+  getNextRetryTime(channel, error) {
+    const attempts = (channel.retryCount || 0) + 1;
+
+    if (!RETRYABLE_CHANNELS.includes(channel.type) || error?.retryable === false || attempts >= MAX_DELIVERY_ATTEMPTS) {
+      return undefined;
+    }
+
+    return new Date(Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1));
+  }
+
   /**
    * Process template variables
    */
   processTemplate(template, variables = {}) {
-    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return variables[key] || match;
-    });
+    return templateRenderer.render(template, variables);
   }
 
   /**
-   * Initialize scheduled tasks
+   * Register notification jobs and their schedules on the job queue
    */
-  initializeScheduledTasks() {
-    // Run task reminders every hour
-    cron.schedule('0 * * * *', async () => {
-      await this.createTaskReminders();
-    });
+  registerJobs() {
+    const queue = this.jobQueue;
+
+    // Service methods report failure in their result; throwing lets the queue retry
+    const run = (method) => async () => {
+      const result = await this[method]();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return result.data;
+    };
 
-    // Check for overdue tasks every 6 hours
-    cron.schedule('0 */6 * * *', async () => {
-      await this.createOverdueTaskNotifications();
-    });
+    // Materialize session occurrences two weeks ahead every night
+    queue.register('sessions.materialize', () => occurrenceService.materializeUpcoming());
+    queue.schedule('sessions.materialize', { dailyAt: '01:00' });
+
+    // Send session reminders every 15 minutes
+    queue.register('notifications.taskReminders', run('createTaskReminders'));
+    queue.schedule('notifications.taskReminders', { everyMinutes: 15 });
+
+    // Send appointment reminders every 15 minutes
+    queue.register('notifications.appointmentReminders', run('createAppointmentReminders'));
+    queue.schedule('notifications.appointmentReminders', { everyMinutes: 15 });
+
+    // Check for overdue and missed sessions every hour
+    queue.register('notifications.overdueTasks', run('createOverdueTaskNotifications'));
+    queue.schedule('notifications.overdueTasks', { everyMinutes: 60 });
+
+    // Retry failed email, SMS and push deliveries every 5 minutes
+    queue.register('notifications.retryFailed', run('retryFailedDeliveries'));
+    queue.schedule('notifications.retryFailed', { everyMinutes: 5 });
+
+    // Release deliveries held for quiet hours and preferred times every 5 minutes
+    queue.register('notifications.releaseDeferred', run('deliverDeferredNotifications'));
+    queue.schedule('notifications.releaseDeferred', { everyMinutes: 5 });
+
+    // Send daily and weekly digests as they fall due (digest times are per user)
+    queue.register('notifications.digests', run('deliverDigests'));
+    queue.schedule('notifications.digests', { everyMinutes: 5 });
 
     // Clean up old notifications daily
-    cron.schedule('0 2 * * *', async () => {
-      await this.cleanupOldNotifications();
+    queue.register('notifications.cleanup', run('cleanupOldNotifications'));
+    queue.schedule('notifications.cleanup', { dailyAt: '02:00' });
+
+    // One job per notification with a scheduledFor time
+    queue.register('notifications.deliverScheduled', async (payload) => {
+      const result = await this.deliverScheduledNotification(payload.notificationId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return result.data;
     });
   }
 
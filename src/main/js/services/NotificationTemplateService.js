@@ -0,0 +1,325 @@
+const NotificationTemplate = require('../models/NotificationTemplate');
+const defaultTemplates = require('../core/delivery/defaultTemplates');
+const templateRenderer = require('../core/delivery/templateRenderer');
+
+/**
+ * Notification Template Service
+ * Manages versioned, per-language notification templates and resolves the
+ * template a recipient should get. Keys without a saved template fall back
+ * to the built-in English defaults.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+const EDITABLE_FIELDS = ['title', 'message', 'actionText', 'channels', 'requiredVariables', 'sampleVariables', 'description'];
+
+class NotificationTemplateService {
+  /**
+   * List the template each key resolves to for a language
+   * @param {String} language - Language code (default en)
+   * @returns {Promise<Object>} Templates keyed by template key
+   */
+  async listTemplates(language = DEFAULT_LANGUAGE) {
+    try {
+      const savedKeys = await NotificationTemplate.distinct('key', { isActive: true });
+      const keys = [...new Set([...Object.keys(defaultTemplates), ...savedKeys])].sort();
+
+      const templates = {};
+      for (const key of keys) {
+        templates[key] = await this.resolveTemplate(key, language);
+      }
+
+      return {
+        success: true,
+        data: {
+          language: this.normalizeLanguage(language),
+          templates
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a template with its language variants and version history
+   * @param {String} key - Template key
+   * @param {String} language - Language whose versions are listed
+   * @returns {Promise<Object>} Template, variants and versions
+   */
+  async getTemplate(key, language = DEFAULT_LANGUAGE) {
+    try {
+      const normalized = this.normalizeLanguage(language);
+      const template = await this.resolveTemplate(key, normalized);
+
+      if (!template) {
+        throw new Error('Template not found');
+      }
+
+      const [variants, versions] = await Promise.all([
+        NotificationTemplate.find({ key, isActive: true })
+          .select('language version updatedAt')
+          .sort({ language: 1 }),
+        NotificationTemplate.find({ key, language: normalized })
+          .select('version isActive title message actionText changeNote createdBy createdAt')
+          .populate('createdBy', 'firstName lastName')
+          .sort({ version: -1 })
+      ]);
+
+      return {
+        success: true,
+        data: {
+          template,
+          variants,
+          versions
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a template, or a new language variant of an existing key
+   * @param {Object} templateData - key, language and content fields
+   * @param {String} userId - Staff member creating the template
+   * @returns {Promise<Object>} Created template (version 1)
+   */
+  async createTemplate(templateData, userId) {
+    try {
+      const { key } = templateData;
+      const language = this.normalizeLanguage(templateData.language);
+
+      if (!key || !templateData.title || !templateData.message) {
+        throw new Error('Missing required fields: key, title, message');
+      }
+
+      const exists = await NotificationTemplate.exists({ key, language });
+      if (exists) {
+        throw new Error(`Template ${key} already exists for language ${language}; update it to create a new version`);
+      }
+
+      const template = new NotificationTemplate({
+        ...this.pickEditableFields(templateData),
+        key,
+        language,
+        version: 1,
+        changeNote: templateData.changeNote,
+        createdBy: userId
+      });
+
+      await template.save();
+
+      return {
+        success: true,
+        message: 'Notification template created successfully',
+        data: { template }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save a new version of a template. Fields not supplied are carried over.
+   * @param {String} key - Template key
+   * @param {Object} updateData - language, content fields and changeNote
+   * @param {String} userId - Staff member making the change
+   * @returns {Promise<Object>} New active version
+   */
+  async updateTemplate(key, updateData, userId) {
+    try {
+      const language = this.normalizeLanguage(updateData.language);
+      const [current] = await NotificationTemplate.findActive(key, [language]);
+      const base = current ? current.toObject() : (language === DEFAULT_LANGUAGE ? defaultTemplates[key] : null);
+
+      if (!base) {
+        throw new Error('Template not found');
+      }
+
+      const latest = await NotificationTemplate.findOne({ key, language }).sort({ version: -1 });
+      const updates = this.pickEditableFields(updateData);
+
+      const template = new NotificationTemplate({
+        title: base.title,
+        message: base.message,
+        actionText: base.actionText,
+        channels: base.channels,
+        sampleVariables: base.sampleVariables,
+        description: base.description,
+        ...updates,
+        key,
+        language,
+        version: (latest?.version || 0) + 1,
+        changeNote: updateData.changeNote,
+        createdBy: userId
+      });
+
+      await template.save();
+      await this.deactivateOtherVersions(template);
+
+      return {
+        success: true,
+        message: `Template ${key} updated to version ${template.version}`,
+        data: { template }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Make an earlier version the active one again
+   * @param {String} key - Template key
+   * @param {String} language - Language code
+   * @param {Number} version - Version to activate
+   * @returns {Promise<Object>} Activated version
+   */
+  async activateVersion(key, language, version) {
+    try {
+      const template = await NotificationTemplate.findOneAndUpdate(
+        { key, language: this.normalizeLanguage(language), version: Number(version) },
+        { isActive: true },
+        { new: true }
+      );
+
+      if (!template) {
+        throw new Error('Template version not found');
+      }
+
+      await this.deactivateOtherVersions(template);
+
+      return {
+        success: true,
+        message: `Template ${key} version ${template.version} is now active`,
+        data: { template }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Render a template with sample variables. Draft title, message and
+   * actionText can be supplied to preview an edit before saving it.
+   * @param {String} key - Template key
+   * @param {Object} options - language, variables, and draft content fields
+   * @returns {Promise<Object>} Rendered preview and any missing variables
+   */
+  async previewTemplate(key, options = {}) {
+    try {
+      const saved = await this.resolveTemplate(key, options.language);
+      if (!saved && !(options.title && options.message)) {
+        throw new Error('Template not found');
+      }
+
+      const draft = { ...(saved || {}), ...this.pickEditableFields(options) };
+
+      // Edited content is checked against the placeholders it actually uses
+      const isDraft = ['title', 'message', 'actionText'].some(field => options[field] !== undefined);
+      if (isDraft && options.requiredVariables === undefined) {
+        draft.requiredVariables = undefined;
+      }
+
+      const variables = { ...(draft.sampleVariables || {}), ...(options.variables || {}) };
+      const missingVariables = templateRenderer.findMissingVariables(draft, variables);
+
+      return {
+        success: true,
+        data: {
+          preview: templateRenderer.renderTemplate(draft, variables, { strict: false }),
+          variables,
+          missingVariables
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the template a recipient should get: the active version in their
+   * language, then in the base language (pt for pt-br), then in English,
+   * then the built-in default
+   * @param {String} key - Template key
+   * @param {String} language - Recipient's User.preferences.language
+   * @returns {Promise<Object|null>} Template as a plain object, or null
+   */
+  async resolveTemplate(key, language) {
+    const candidates = this.getLanguageCandidates(language);
+    const saved = await NotificationTemplate.findActive(key, candidates);
+
+    for (const candidate of candidates) {
+      const template = saved.find(t => t.language === candidate);
+      if (template) {
+        return this.formatTemplate(template.toObject({ flattenMaps: true }), 'database');
+      }
+    }
+
+    if (defaultTemplates[key]) {
+      return this.formatTemplate({ ...defaultTemplates[key], key, language: DEFAULT_LANGUAGE, version: 0 }, 'default');
+    }
+
+    return null;
+  }
+
+  // Helper methods
+
+  formatTemplate(template, source) {
+    return {
+      key: template.key,
+      language: template.language,
+      version: template.version,
+      source,
+      title: template.title,
+      message: template.message,
+      actionText: template.actionText,
+      channels: template.channels,
+      requiredVariables: template.requiredVariables?.length
+        ? template.requiredVariables
+        : templateRenderer.extractVariables(template.title, template.message, template.actionText),
+      sampleVariables: template.sampleVariables || {},
+      description: template.description,
+      updatedAt: template.updatedAt
+    };
+  }
+
+  async deactivateOtherVersions(template) {
+    await NotificationTemplate.updateMany(
+      { key: template.key, language: template.language, _id: { $ne: template._id } },
+      { isActive: false }
+    );
+  }
+
+  getLanguageCandidates(language) {
+    const normalized = this.normalizeLanguage(language);
+    return [...new Set([normalized, normalized.split('-')[0], DEFAULT_LANGUAGE])];
+  }
+
+  normalizeLanguage(language) {
+    return (language || DEFAULT_LANGUAGE).toString().trim().toLowerCase().replace('_', '-');
+  }
+
+  pickEditableFields(data) {
+    const picked = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) picked[field] = data[field];
+    });
+    return picked;
+  }
+}
+
+module.exports = new NotificationTemplateService();
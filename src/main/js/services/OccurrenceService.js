@@ -0,0 +1,356 @@
+const SessionOccurrence = require('../models/SessionOccurrence');
+const RehabTask = require('../models/RehabTask');
+const User = require('../models/User');
+const recurrenceRules = require('../core/scheduling/recurrenceRules');
+const timezoneUtils = require('../core/scheduling/timezoneUtils');
+const mongoose = require('mongoose');
+
+/**
+ * Occurrence Service
+ * Materializes RehabTask schedules into concrete session occurrences in each
+ * patient's timezone, resolves them against Progress records and reports
+ * adherence as done sessions over sessions that have fallen due.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HORIZON_DAYS = 14;
+const SKIPPED_COMPLETION_STATUSES = ['skipped', 'unable_to_complete'];
+
+class OccurrenceService {
+  /**
+   * Create any missing occurrences for a task up to the horizon
+   * @param {Object} task - RehabTask document
+   * @param {Object} options - timezone, from (Date, defaults to today), horizonDays
+   * @returns {Promise<Number>} Number of occurrences created
+   */
+  async materializeForTask(task, options = {}) {
+    if (task.status !== 'active') return 0;
+
+    const timezone = options.timezone || await this.getPatientTimezone(task.assignedTo);
+    const horizonDays = options.horizonDays || DEFAULT_HORIZON_DAYS;
+    const until = new Date(Date.now() + horizonDays * DAY_MS);
+
+    // Sessions before the engine first saw the task are not back-filled unless asked for
+    const fromDate = timezoneUtils.toLocalDateString(options.from || new Date(), timezone);
+
+    const occurrences = recurrenceRules.expand(task.schedule, timezone, until)
+      .filter(o => o.localDate >= fromDate);
+
+    if (occurrences.length === 0) return 0;
+
+    const result = await SessionOccurrence.bulkWrite(occurrences.map(o => ({
+      updateOne: {
+        filter: { task: task._id, localDate: o.localDate, slot: o.slot },
+        update: {
+          $setOnInsert: {
+            patient: task.assignedTo,
+            assignedBy: task.assignedBy,
+            localTime: o.localTime,
+            occurrenceNumber: o.occurrenceNumber,
+            timezone,
+            scheduledFor: o.scheduledFor,
+            dueBy: o.dueBy,
+            status: 'pending'
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return result.upsertedCount || 0;
+  }
+
+  /**
+   * Materialize occurrences for every active task
+   * @param {Object} options - patientId to limit to one patient, horizonDays
+   * @returns {Promise<Object>} Number of tasks processed and occurrences created
+   */
+  async materializeUpcoming(options = {}) {
+    const query = { status: 'active' };
+    if (options.patientId) {
+      query.assignedTo = options.patientId;
+    }
+
+    const tasks = await RehabTask.find(query).select('assignedTo assignedBy status schedule');
+    const timezones = new Map();
+    let created = 0;
+
+    for (const task of tasks) {
+      const patientKey = task.assignedTo.toString();
+      if (!timezones.has(patientKey)) {
+        timezones.set(patientKey, await this.getPatientTimezone(task.assignedTo));
+      }
+
+      created += await this.materializeForTask(task, {
+        timezone: timezones.get(patientKey),
+        horizonDays: options.horizonDays
+      });
+    }
+
+    return { tasksProcessed: tasks.length, occurrencesCreated: created };
+  }
+
+  /**
+   * Rebuild future occurrences after a task's schedule or status changes.
+   * Resolved and past occurrences are kept.
+   * @param {Object} task - RehabTask document
+   * @returns {Promise<Number>} Number of occurrences created
+   */
+  async syncTask(task) {
+    await SessionOccurrence.deleteMany({
+      task: task._id,
+      status: 'pending',
+      scheduledFor: { $gte: new Date() }
+    });
+
+    return this.materializeForTask(task);
+  }
+
+  /**
+   * Remove all occurrences for a deleted task
+   * @param {String} taskId - Task ID
+   */
+  async removeTask(taskId) {
+    await SessionOccurrence.deleteMany({ task: taskId });
+  }
+
+  /**
+   * Mark pending occurrences whose day has ended as missed
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} Newly missed occurrences
+   */
+  async markMissedOccurrences(now = new Date()) {
+    const overdue = await SessionOccurrence.find({
+      status: 'pending',
+      dueBy: { $lte: now }
+    }).populate('task', 'title reminders status');
+
+    if (overdue.length === 0) return [];
+
+    await SessionOccurrence.updateMany(
+      { _id: { $in: overdue.map(o => o._id) }, status: 'pending' },
+      { status: 'missed', missedAt: now }
+    );
+
+    overdue.forEach(o => {
+      o.status = 'missed';
+      o.missedAt = now;
+    });
+    return overdue;
+  }
+
+  /**
+   * Resolve the matching occurrence for a newly recorded session
+   * @param {Object} progress - Progress document
+   * @returns {Promise<Object|null>} Resolved occurrence, if one was due that day
+   */
+  async linkProgress(progress) {
+    const timezone = await this.getPatientTimezone(progress.patient);
+    const localDate = timezoneUtils.toLocalDateString(progress.sessionDate, timezone);
+
+    let occurrence = await this.findOpenOccurrence(progress.rehabTask, localDate);
+
+    if (!occurrence) {
+      // The task may have been activated since the last materialization run
+      const task = await RehabTask.findById(progress.rehabTask);
+      if (task) {
+        await this.materializeForTask(task, { timezone, from: progress.sessionDate });
+        occurrence = await this.findOpenOccurrence(progress.rehabTask, localDate);
+      }
+    }
+
+    if (!occurrence) return null;
+
+    occurrence.status = SKIPPED_COMPLETION_STATUSES.includes(progress.completionStatus) ? 'skipped' : 'done';
+    occurrence.progress = progress._id;
+    occurrence.completedAt = progress.sessionDate;
+    await occurrence.save();
+
+    return occurrence;
+  }
+
+  /**
+   * Reopen the occurrence linked to a deleted progress record
+   * @param {String} progressId - Progress ID
+   */
+  async unlinkProgress(progressId) {
+    const occurrence = await SessionOccurrence.findOne({ progress: progressId });
+    if (!occurrence) return;
+
+    const now = new Date();
+    occurrence.status = occurrence.dueBy <= now ? 'missed' : 'pending';
+    occurrence.missedAt = occurrence.status === 'missed' ? now : undefined;
+    occurrence.progress = undefined;
+    occurrence.completedAt = undefined;
+    await occurrence.save();
+  }
+
+  /**
+   * Let a patient skip a session with a reason
+   * @param {String} occurrenceId - Occurrence ID
+   * @param {String} patientId - Patient ID
+   * @param {String} reason - Why the session is skipped
+   * @returns {Promise<Object>} Updated occurrence
+   */
+  async skipOccurrence(occurrenceId, patientId, reason) {
+    try {
+      const occurrence = await SessionOccurrence.findById(occurrenceId);
+
+      if (!occurrence || occurrence.patient.toString() !== patientId.toString()) {
+        throw new Error('Session not found');
+      }
+
+      if (!['pending', 'missed'].includes(occurrence.status)) {
+        throw new Error(`Cannot skip a session that is already ${occurrence.status}`);
+      }
+
+      occurrence.status = 'skipped';
+      occurrence.skip = { reason, skippedAt: new Date() };
+      await occurrence.save();
+
+      return {
+        success: true,
+        message: 'Session skipped',
+        data: {
+          occurrence: occurrence.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get session occurrences for a patient
+   * @param {String} patientId - Patient ID
+   * @param {Object} filters - from, to, status, taskId
+   * @returns {Promise<Object>} Occurrences with adherence for the period
+   */
+  async getPatientSessions(patientId, filters = {}) {
+    try {
+      await this.materializeUpcoming({ patientId });
+
+      const from = filters.from ? new Date(filters.from) : new Date(Date.now() - 7 * DAY_MS);
+      const to = filters.to ? new Date(filters.to) : new Date(Date.now() + 7 * DAY_MS);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        throw new Error('from and to must be valid dates');
+      }
+
+      if (filters.taskId && !mongoose.Types.ObjectId.isValid(filters.taskId)) {
+        throw new Error('Invalid task ID');
+      }
+
+      const query = {
+        patient: patientId,
+        scheduledFor: { $gte: from, $lte: to }
+      };
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      if (filters.taskId) {
+        query.task = filters.taskId;
+      }
+
+      const occurrences = await SessionOccurrence.find(query)
+        .populate('task', 'title category priority parameters.duration')
+        .sort({ scheduledFor: 1 });
+
+      return {
+        success: true,
+        data: {
+          occurrences,
+          adherence: await this.getAdherence({ patientId, taskId: filters.taskId, from, to }),
+          period: { from, to }
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get upcoming sessions for a patient
+   * @param {String} patientId - Patient ID
+   * @param {Number} days - Days ahead
+   * @returns {Promise<Array>} Pending occurrences, soonest first
+   */
+  async getUpcomingSessions(patientId, days = 7) {
+    await this.materializeUpcoming({ patientId, horizonDays: Math.max(days, DEFAULT_HORIZON_DAYS) });
+
+    return SessionOccurrence.find({
+      patient: patientId,
+      status: 'pending',
+      dueBy: { $gt: new Date() },
+      scheduledFor: { $lte: new Date(Date.now() + days * DAY_MS) }
+    })
+      .populate('task', 'title category priority')
+      .sort({ scheduledFor: 1 });
+  }
+
+  /**
+   * Calculate adherence from sessions that have fallen due
+   * @param {Object} criteria - patientId or patientIds, optional assignedBy, taskId, from, to, days
+   * @returns {Promise<Object>} Outcome counts and adherence rate (null when nothing was due)
+   */
+  async getAdherence(criteria = {}) {
+    const now = new Date();
+    const from = criteria.from || new Date(now.getTime() - (criteria.days || 30) * DAY_MS);
+    const to = criteria.to && criteria.to < now ? criteria.to : now;
+
+    const match = { dueBy: { $gte: from, $lte: to } };
+
+    if (criteria.patientIds) {
+      match.patient = { $in: criteria.patientIds.map(id => new mongoose.Types.ObjectId(id)) };
+    } else if (criteria.patientId) {
+      match.patient = new mongoose.Types.ObjectId(criteria.patientId);
+    }
+
+    if (criteria.assignedBy) {
+      match.assignedBy = new mongoose.Types.ObjectId(criteria.assignedBy);
+    }
+
+    if (criteria.taskId) {
+      match.task = new mongoose.Types.ObjectId(criteria.taskId);
+    }
+
+    const counts = await SessionOccurrence.countOutcomes(match);
+
+    // Anything still pending past its due time is missed, the sweep just has not run yet
+    const missed = counts.missed + counts.pending;
+    const due = counts.done + counts.skipped + missed;
+
+    return {
+      due,
+      done: counts.done,
+      skipped: counts.skipped,
+      missed,
+      adherenceRate: due > 0 ? Math.round((counts.done / due) * 100) : null
+    };
+  }
+
+  // Helper methods
+
+  async getPatientTimezone(patientId) {
+    const patient = await User.findById(patientId).select('preferences.timezone');
+    return timezoneUtils.resolveTimezone(patient?.preferences?.timezone);
+  }
+
+  findOpenOccurrence(taskId, localDate) {
+    return SessionOccurrence.findOne({
+      task: taskId,
+      localDate,
+      status: { $in: ['pending', 'missed'] }
+    }).sort({ slot: 1 });
+  }
+}
+
+module.exports = new OccurrenceService();
@@ -2,6 +2,13 @@ const User = require('../models/User');
 const RehabTask = require('../models/RehabTask');
 const Progress = require('../models/Progress');
 const Comment = require('../models/Comment');
+const Appointment = require('../models/Appointment');
+const availabilityService = require('./AvailabilityService');
+const referralService = require('./ReferralService');
+const protocolService = require('./ProtocolService');
+const occurrenceService = require('./OccurrenceService');
+const exerciseVideoService = require('./ExerciseVideoService');
+const timezoneUtils = require('../core/scheduling/timezoneUtils');
 const mongoose = require('mongoose');
 
 /**
@@ -23,14 +30,16 @@ class PhysiotherapistWorkflowService {
         recentActivity,
         upcomingDeadlines,
         patientAlerts,
-        workloadAnalytics
+        workloadAnalytics,
+        pendingReferrals
       ] = await Promise.all([
         this.getPatientOverview(physiotherapistId),
         this.getTaskMetrics(physiotherapistId),
         this.getRecentActivity(physiotherapistId),
         this.getUpcomingDeadlines(physiotherapistId),
         this.getPatientAlerts(physiotherapistId),
-        this.getWorkloadAnalytics(physiotherapistId)
+        this.getWorkloadAnalytics(physiotherapistId),
+        referralService.getPendingReferralsSummary(physiotherapistId)
       ]);
 
       return {
@@ -42,6 +51,7 @@ class PhysiotherapistWorkflowService {
           upcomingDeadlines,
           patientAlerts,
           workloadAnalytics,
+          pendingReferrals,
           lastUpdated: new Date()
         }
       };
@@ -64,6 +74,8 @@ class PhysiotherapistWorkflowService {
         isActive: true
       }).select('firstName lastName email dateOfBirth assignedProviders createdAt');
 
+      const currentPhases = await protocolService.getCurrentPhases(patients.map(p => p._id));
+
       // Get patient progress summaries
       const patientsWithProgress = await Promise.all(
         patients.map(async (patient) => {
@@ -80,8 +92,13 @@ class PhysiotherapistWorkflowService {
             this.calculatePatientAdherence(patient._id, physiotherapistId)
           ]);
 
+          const protocolPhase = currentPhases.find(
+            entry => entry.patient._id.toString() === patient._id.toString()
+          );
+
           return {
             ...patient.toObject(),
+            currentPhase: protocolPhase || null,
             metrics: {
               activeTasks,
               recentSessions: recentProgress,
@@ -271,18 +288,72 @@ class PhysiotherapistWorkflowService {
         upcoming: upcomingTasks.filter(task => new Date(task.schedule.endDate) > nextWeek)
       };
 
+      const bookedHours = await this.getBookedHours(physiotherapistId, now, cutoffDate);
+
       return {
         totalUpcoming: upcomingTasks.length,
         deadlineGroups,
         urgentCount: deadlineGroups.overdue.length + deadlineGroups.today.length,
         nextDeadline: upcomingTasks[0] || null,
-        patientsWithDeadlines: [...new Set(upcomingTasks.map(t => t.assignedTo._id.toString()))].length
+        patientsWithDeadlines: [...new Set(upcomingTasks.map(t => t.assignedTo._id.toString()))].length,
+        bookedHours
       };
     } catch (error) {
       throw new Error(`Failed to get upcoming deadlines: ${error.message}`);
     }
   }
 
+  /**
+   * Get booked appointment hours against published availability
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @returns {Promise<Object>} Booked hours data
+   */
+  async getBookedHours(physiotherapistId, from, to) {
+    const physiotherapist = await User.findById(physiotherapistId).select('preferences');
+    const timezone = timezoneUtils.resolveTimezone(physiotherapist?.preferences?.timezone);
+
+    const appointments = await Appointment.find({
+      provider: physiotherapistId,
+      status: { $in: ['scheduled', 'confirmed'] },
+      startTime: { $gte: from, $lte: to }
+    })
+      .populate('patient', 'firstName lastName')
+      .sort({ startTime: 1 });
+
+    const byDay = {};
+    let totalMinutes = 0;
+
+    appointments.forEach(appointment => {
+      const minutes = appointment.durationMinutes;
+      const day = timezoneUtils.toLocalDateString(appointment.startTime, timezone);
+
+      if (!byDay[day]) {
+        byDay[day] = { date: day, hours: 0, appointmentCount: 0 };
+      }
+      byDay[day].hours += minutes / 60;
+      byDay[day].appointmentCount++;
+      totalMinutes += minutes;
+    });
+
+    const totalHours = Math.round((totalMinutes / 60) * 10) / 10;
+    const availableHours = await availabilityService.getAvailableHours(physiotherapistId, from, to);
+
+    return {
+      timezone,
+      totalHours,
+      appointmentCount: appointments.length,
+      availableHours,
+      utilizationRate: availableHours ? Math.round((totalHours / availableHours) * 100) : null,
+      byDay: Object.values(byDay).map(day => ({
+        ...day,
+        hours: Math.round(day.hours * 10) / 10
+      })),
+      nextAppointment: appointments[0] || null
+    };
+  }
+
   /**
    * Get patient alerts and notifications
    * @param {String} physiotherapistId - Physiotherapist ID
@@ -478,6 +549,11 @@ class PhysiotherapistWorkflowService {
         this.calculateImprovementTrends(patientId)
       ]);
 
+      const [[currentPhase], videoEngagement] = await Promise.all([
+        protocolService.getCurrentPhases([patient._id]),
+        exerciseVideoService.getVideoEngagement(patientId, [...activeTasks, ...completedTasks])
+      ]);
+
       return {
         success: true,
         data: {
@@ -491,6 +567,8 @@ class PhysiotherapistWorkflowService {
             completed: completedTasks,
             totalCount: activeTasks.length + completedTasks.length
           },
+          currentPhase: currentPhase || null,
+          videoEngagement,
           progressHistory,
           recentComments,
           improvementTrends,
@@ -505,6 +583,16 @@ class PhysiotherapistWorkflowService {
   // Helper methods
 
   async calculatePatientAdherence(patientId, physiotherapistId, days = 30) {
+    const adherence = await occurrenceService.getAdherence({
+      patientId,
+      assignedBy: physiotherapistId,
+      days
+    });
+    if (adherence.adherenceRate !== null) {
+      return adherence.adherenceRate;
+    }
+
+    // Fall back to session counts for tasks that have no scheduled sessions yet
     const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
     const [totalTasks, completedSessions] = await Promise.all([
@@ -1,6 +1,8 @@
 const Progress = require('../models/Progress');
 const RehabTask = require('../models/RehabTask');
 const User = require('../models/User');
+const protocolService = require('./ProtocolService');
+const occurrenceService = require('./OccurrenceService');
 const mongoose = require('mongoose');
 
 /**
@@ -9,6 +11,18 @@ const mongoose = require('mongoose');
  */
 
 class ProgressService {
+  constructor() {
+    this.socketGateway = null;
+  }
+
+  /**
+   * Set socket gateway for real-time updates
+   * @param {SocketGateway} socketGateway
+   */
+  setSocketGateway(socketGateway) {
+    this.socketGateway = socketGateway;
+  }
+
   /**
    * Record a new exercise session
    * @param {String} patientId - Patient ID
@@ -90,12 +104,29 @@ class ProgressService {
         $inc: { 'schedule.completedSessions': 1 }
       });
 
+      // Resolve the scheduled session this recording belongs to. The progress is
+      // already saved, so a failure here must not make the client retry it
+      try {
+        await occurrenceService.linkProgress(progress);
+      } catch (error) {
+        console.error('Error linking progress to its session:', error);
+      }
+
+      // New pain and range of motion data may satisfy the current phase's exit criteria
+      try {
+        await protocolService.evaluatePatientProtocols(patientId);
+      } catch (error) {
+        console.error('Error evaluating rehab protocols:', error);
+      }
+
       // Populate for response
       await progress.populate([
         { path: 'patient', select: 'firstName lastName' },
         { path: 'rehabTask', select: 'title category' }
       ]);
 
+      this.broadcastProgress(progress, 'recorded');
+
       return {
         success: true,
         message: 'Session recorded successfully',
@@ -336,6 +367,13 @@ class ProgressService {
       // Calculate task-specific metrics
       const metrics = this.calculateTaskMetrics(progressRecords, task);
 
+      // Scheduled sessions give a truer adherence figure than elapsed days
+      const adherence = await occurrenceService.getAdherence({ patientId, taskId: rehabTaskId, from: task.schedule.startDate });
+      if (adherence.adherenceRate !== null) {
+        metrics.adherenceRate = adherence.adherenceRate;
+        metrics.sessions = adherence;
+      }
+
       return {
         success: true,
         data: {
@@ -374,8 +412,8 @@ class ProgressService {
         throw new Error('You can only update your own progress records');
       }
 
-      // Prevent updating certain fields
-      const restrictedFields = ['patient', 'rehabTask', '_id', 'createdAt'];
+      // Prevent updating certain fields (form checks and validation are set by the therapist's review)
+      const restrictedFields = ['patient', 'rehabTask', '_id', 'createdAt', 'formCheck', 'validated'];
       restrictedFields.forEach(field => {
         delete updateData[field];
       });
@@ -389,6 +427,8 @@ class ProgressService {
         { path: 'rehabTask', select: 'title category' }
       ]);
 
+      this.broadcastProgress(progress, 'updated');
+
       return {
         success: true,
         message: 'Progress record updated successfully',
@@ -430,6 +470,7 @@ class ProgressService {
       });
 
       await Progress.findByIdAndDelete(progressId);
+      await occurrenceService.unlinkProgress(progressId);
 
       return {
         success: true,
@@ -607,6 +648,22 @@ class ProgressService {
 
     return { currentStreak, longestStreak };
   }
+
+  /**
+   * Let the patient's care team know a session was logged or edited
+   */
+  broadcastProgress(progress, change) {
+    if (!this.socketGateway) return;
+
+    this.socketGateway.emitToCareTeam(progress.patient._id, 'progress-updated', {
+      change,
+      progressId: progress._id,
+      patientId: progress.patient._id,
+      rehabTask: progress.rehabTask,
+      sessionDate: progress.sessionDate,
+      completionStatus: progress.completionStatus
+    });
+  }
 }
 
 module.exports = new ProgressService();
\ No newline at end of file
@@ -0,0 +1,661 @@
+const RehabProtocol = require('../models/RehabProtocol');
+const RehabTask = require('../models/RehabTask');
+const Progress = require('../models/Progress');
+const Surgery = require('../models/Surgery');
+const User = require('../models/User');
+
+/**
+ * Protocol Service
+ * Manages multi-week rehabilitation protocols. Tasks are grouped into phases
+ * and a patient moves to the next phase once the current phase's exit
+ * criteria are met by their Progress data and time since surgery.
+ */
+
+class ProtocolService {
+  constructor() {
+    this.notificationService = null;
+  }
+
+  /**
+   * Set notification service for sending notifications
+   * @param {NotificationService} notificationService
+   */
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Create a draft protocol for a patient
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @param {Object} protocolData - patientId, name, phases and optional surgeryId, referralId, autoAdvance
+   * @returns {Promise<Object>} Created protocol
+   */
+  async createProtocol(physiotherapistId, protocolData) {
+    try {
+      const { patientId, name, description, surgeryId, referralId, autoAdvance, phases } = protocolData;
+
+      if (!patientId || !name || !Array.isArray(phases) || phases.length === 0) {
+        throw new Error('Missing required fields: patientId, name, phases');
+      }
+
+      await this.assertAssignedPhysiotherapist(physiotherapistId, patientId);
+
+      if (surgeryId) {
+        const surgery = await Surgery.findById(surgeryId);
+        if (!surgery || surgery.patient.toString() !== patientId.toString()) {
+          throw new Error('Surgery record not found for this patient');
+        }
+      }
+
+      const builtPhases = [];
+      for (const phase of phases) {
+        builtPhases.push(await this.buildPhase(phase, patientId, surgeryId));
+      }
+
+      const protocol = new RehabProtocol({
+        name,
+        description,
+        patient: patientId,
+        physiotherapist: physiotherapistId,
+        surgery: surgeryId,
+        referral: referralId,
+        autoAdvance: Boolean(autoAdvance),
+        phases: builtPhases
+      });
+
+      await protocol.save();
+
+      return {
+        success: true,
+        message: 'Protocol created successfully',
+        data: {
+          protocol: protocol.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get protocols visible to a user
+   * @param {String} userId - User ID
+   * @param {String} role - User role
+   * @param {Object} filters - patientId, status and pagination
+   * @returns {Promise<Object>} Protocols list
+   */
+  async getProtocols(userId, role, filters = {}) {
+    try {
+      const query = {};
+
+      if (role === 'patient') {
+        query.patient = userId;
+      } else if (filters.patientId) {
+        query.patient = filters.patientId;
+      } else if (role === 'doctor') {
+        const patients = await User.find({
+          role: 'patient',
+          'assignedProviders.providerId': userId
+        }).select('_id');
+        query.patient = { $in: patients.map(p => p._id) };
+      }
+
+      if (role === 'physiotherapist') {
+        query.physiotherapist = userId;
+      }
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [protocols, total] = await Promise.all([
+        RehabProtocol.find(query)
+          .populate('patient', 'firstName lastName')
+          .populate('physiotherapist', 'firstName lastName')
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        RehabProtocol.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          protocols,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a protocol with its phases and tasks
+   * @param {String} protocolId - Protocol ID
+   * @param {String} userId - Requesting user ID
+   * @returns {Promise<Object>} Protocol
+   */
+  async getProtocolById(protocolId, userId) {
+    try {
+      const protocol = await RehabProtocol.findById(protocolId)
+        .populate('patient', 'firstName lastName')
+        .populate('physiotherapist', 'firstName lastName')
+        .populate('surgery', 'procedure.name anatomicalSite.bodyPart scheduling.actualDate')
+        .populate('phases.tasks', 'title category status schedule.startDate schedule.endDate');
+
+      if (!protocol) {
+        throw new Error('Protocol not found');
+      }
+
+      await this.assertCanView(protocol, userId);
+
+      return {
+        success: true,
+        data: {
+          protocol: protocol.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a phase that has not been completed yet
+   * @param {String} protocolId - Protocol ID
+   * @param {String} phaseId - Phase ID
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @param {Object} updateData - name, description, goals, taskIds, exitCriteria
+   * @returns {Promise<Object>} Updated protocol
+   */
+  async updatePhase(protocolId, phaseId, physiotherapistId, updateData) {
+    try {
+      const protocol = await this.findOwnedProtocol(protocolId, physiotherapistId);
+
+      const phase = protocol.phases.id(phaseId);
+      if (!phase) {
+        throw new Error('Phase not found');
+      }
+
+      if (phase.status === 'completed') {
+        throw new Error('Completed phases cannot be changed');
+      }
+
+      const updates = await this.buildPhase(
+        { name: phase.name, ...updateData },
+        protocol.patient,
+        protocol.surgery
+      );
+
+      phase.name = updates.name;
+      if (updateData.description !== undefined) phase.description = updates.description;
+      if (updateData.goals !== undefined) phase.goals = updates.goals;
+      if (updateData.taskIds !== undefined) phase.tasks = updates.tasks;
+      if (updateData.exitCriteria !== undefined) phase.exitCriteria = updates.exitCriteria;
+
+      // Tasks added to the running phase start straight away
+      if (phase.status === 'active' && updateData.taskIds !== undefined) {
+        await RehabTask.updateMany(
+          { _id: { $in: phase.tasks }, status: 'draft' },
+          { status: 'active' }
+        );
+      }
+
+      await protocol.save();
+
+      return {
+        success: true,
+        message: 'Phase updated successfully',
+        data: {
+          protocol: protocol.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start a draft protocol at its first phase and activate that phase's tasks
+   * @param {String} protocolId - Protocol ID
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @returns {Promise<Object>} Activated protocol
+   */
+  async activateProtocol(protocolId, physiotherapistId) {
+    try {
+      const protocol = await this.findOwnedProtocol(protocolId, physiotherapistId);
+
+      if (protocol.status !== 'draft') {
+        throw new Error('Only draft protocols can be activated');
+      }
+
+      protocol.start();
+
+      await RehabTask.updateMany(
+        { _id: { $in: protocol.phases[0].tasks }, status: 'draft' },
+        { status: 'active' }
+      );
+
+      await protocol.save();
+      await this.notifyPhaseStarted(protocol, physiotherapistId);
+
+      return {
+        success: true,
+        message: 'Protocol activated successfully',
+        data: {
+          protocol: protocol.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate the current phase's exit criteria without advancing
+   * @param {String} protocolId - Protocol ID
+   * @param {String} userId - Requesting user ID
+   * @returns {Promise<Object>} Evaluation result
+   */
+  async evaluateProtocol(protocolId, userId) {
+    try {
+      const protocol = await RehabProtocol.findById(protocolId);
+      if (!protocol) {
+        throw new Error('Protocol not found');
+      }
+
+      await this.assertCanView(protocol, userId);
+
+      if (protocol.status !== 'active') {
+        throw new Error('Only active protocols can be evaluated');
+      }
+
+      const evaluation = await this.evaluateCurrentPhase(protocol);
+      await protocol.save();
+
+      return {
+        success: true,
+        data: {
+          phase: protocol.currentPhase.name,
+          phaseNumber: protocol.currentPhaseIndex + 1,
+          totalPhases: protocol.phases.length,
+          evaluation
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a patient to the next phase. Requires the exit criteria to be met
+   * unless the therapist overrides them with a note.
+   * @param {String} protocolId - Protocol ID
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @param {Object} options - override, notes
+   * @returns {Promise<Object>} Updated protocol
+   */
+  async advancePhase(protocolId, physiotherapistId, options = {}) {
+    try {
+      const protocol = await this.findOwnedProtocol(protocolId, physiotherapistId);
+
+      if (protocol.status !== 'active') {
+        throw new Error('Only active protocols can be advanced');
+      }
+
+      const evaluation = await this.evaluateCurrentPhase(protocol);
+
+      if (!evaluation.criteriaMet) {
+        if (!options.override) {
+          throw new Error('Exit criteria for the current phase have not been met');
+        }
+        if (!options.notes) {
+          throw new Error('A note is required when overriding exit criteria');
+        }
+      }
+
+      const type = evaluation.criteriaMet ? 'manual' : 'override';
+      await this.transitionPhase(protocol, physiotherapistId, type, options.notes);
+
+      return {
+        success: true,
+        message: protocol.status === 'completed'
+          ? 'Protocol completed successfully'
+          : 'Patient moved to the next phase',
+        data: {
+          protocol: protocol.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Re-evaluate a patient's active protocols after new progress is recorded.
+   * Advances automatically when the protocol allows it, otherwise tells the
+   * therapist the patient is ready for the next phase.
+   * @param {String} patientId - Patient ID
+   * @returns {Promise<Array>} Evaluation results per protocol
+   */
+  async evaluatePatientProtocols(patientId) {
+    const protocols = await RehabProtocol.find({ patient: patientId, status: 'active' });
+    const results = [];
+
+    for (const protocol of protocols) {
+      const wasMet = protocol.currentPhase.lastEvaluation?.criteriaMet;
+      const evaluation = await this.evaluateCurrentPhase(protocol);
+
+      if (evaluation.criteriaMet && protocol.autoAdvance) {
+        await this.transitionPhase(protocol, null, 'automatic');
+        results.push({ protocolId: protocol._id, evaluation, advanced: true });
+        continue;
+      }
+
+      await protocol.save();
+
+      if (evaluation.criteriaMet && !wasMet) {
+        await this.notifyReadyToAdvance(protocol);
+      }
+
+      results.push({ protocolId: protocol._id, evaluation, advanced: false });
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the current protocol phase for each patient
+   * @param {Array} patientIds - Patient IDs
+   * @returns {Promise<Array>} Current phase per active protocol
+   */
+  async getCurrentPhases(patientIds) {
+    const protocols = await RehabProtocol.findActiveForPatients(patientIds)
+      .populate('patient', 'firstName lastName');
+
+    return protocols.map(protocol => {
+      const phase = protocol.currentPhase;
+
+      return {
+        patient: protocol.patient,
+        protocolId: protocol._id,
+        protocolName: protocol.name,
+        phase: phase.name,
+        phaseNumber: protocol.currentPhaseIndex + 1,
+        totalPhases: protocol.phases.length,
+        phaseStartedAt: phase.startedAt,
+        daysInPhase: protocol.daysInCurrentPhase,
+        readyToAdvance: Boolean(phase.lastEvaluation?.criteriaMet)
+      };
+    });
+  }
+
+  // Helper methods
+
+  async buildPhase(phaseData, patientId, surgeryId) {
+    if (!phaseData.name) {
+      throw new Error('Each phase needs a name');
+    }
+
+    const taskIds = phaseData.taskIds || [];
+    if (taskIds.length > 0) {
+      const count = await RehabTask.countDocuments({
+        _id: { $in: taskIds },
+        assignedTo: patientId
+      });
+      if (count !== taskIds.length) {
+        throw new Error('Phase tasks must be rehabilitation tasks assigned to this patient');
+      }
+    }
+
+    const criteria = phaseData.exitCriteria || {};
+    if (criteria.minWeeksSinceSurgery !== undefined && !surgeryId) {
+      throw new Error('Weeks-since-surgery criteria require the protocol to be linked to a surgery');
+    }
+
+    return {
+      name: phaseData.name,
+      description: phaseData.description,
+      goals: phaseData.goals || [],
+      tasks: taskIds,
+      exitCriteria: criteria
+    };
+  }
+
+  async evaluateCurrentPhase(protocol) {
+    const phase = protocol.currentPhase;
+    const criteria = phase.exitCriteria || {};
+    const windowDays = criteria.evaluationWindowDays || 7;
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+    const checks = [];
+
+    const sessions = await Progress.find({
+      patient: protocol.patient,
+      sessionDate: { $gte: since }
+    })
+      .select('assessments.painAfter measurements.rangeOfMotion completionStatus sessionDate')
+      .sort({ sessionDate: -1 });
+
+    if (criteria.maxPain !== undefined && criteria.maxPain !== null) {
+      const painScores = sessions.map(s => s.assessments?.painAfter).filter(p => p !== undefined);
+      const averagePain = painScores.length > 0
+        ? Math.round((painScores.reduce((sum, p) => sum + p, 0) / painScores.length) * 10) / 10
+        : null;
+
+      checks.push({
+        criterion: 'maxPain',
+        required: criteria.maxPain,
+        actual: averagePain,
+        met: averagePain !== null && averagePain <= criteria.maxPain
+      });
+    }
+
+    for (const rom of criteria.rangeOfMotion || []) {
+      const latest = this.findLatestRangeOfMotion(sessions, rom.joint, rom.direction);
+
+      checks.push({
+        criterion: `rangeOfMotion:${rom.joint}${rom.direction ? `:${rom.direction}` : ''}`,
+        required: rom.minDegrees,
+        actual: latest,
+        met: latest !== null && latest >= rom.minDegrees
+      });
+    }
+
+    if (criteria.minWeeksSinceSurgery !== undefined && criteria.minWeeksSinceSurgery !== null) {
+      const surgery = protocol.surgery ? await Surgery.findById(protocol.surgery) : null;
+      const weeks = surgery && surgery.daysSinceSurgery !== null
+        ? Math.floor(surgery.daysSinceSurgery / 7)
+        : null;
+
+      checks.push({
+        criterion: 'minWeeksSinceSurgery',
+        required: criteria.minWeeksSinceSurgery,
+        actual: weeks,
+        met: weeks !== null && weeks >= criteria.minWeeksSinceSurgery
+      });
+    }
+
+    if (criteria.minDaysInPhase !== undefined && criteria.minDaysInPhase !== null) {
+      const days = protocol.daysInCurrentPhase;
+
+      checks.push({
+        criterion: 'minDaysInPhase',
+        required: criteria.minDaysInPhase,
+        actual: days,
+        met: days !== null && days >= criteria.minDaysInPhase
+      });
+    }
+
+    if (criteria.minSessions !== undefined && criteria.minSessions !== null) {
+      const completed = sessions.filter(s => s.completionStatus === 'completed').length;
+
+      checks.push({
+        criterion: 'minSessions',
+        required: criteria.minSessions,
+        actual: completed,
+        met: completed >= criteria.minSessions
+      });
+    }
+
+    // A phase without criteria is only ever advanced by the therapist
+    const evaluation = {
+      evaluatedAt: new Date(),
+      criteriaMet: checks.length > 0 && checks.every(c => c.met),
+      checks
+    };
+
+    phase.lastEvaluation = evaluation;
+    return evaluation;
+  }
+
+  findLatestRangeOfMotion(sessions, joint, direction) {
+    for (const session of sessions) {
+      const match = (session.measurements?.rangeOfMotion || []).find(m =>
+        m.joint && m.joint.toLowerCase() === joint &&
+        (!direction || (m.direction && m.direction.toLowerCase() === direction))
+      );
+      if (match && typeof match.measurement === 'number') {
+        return match.measurement;
+      }
+    }
+    return null;
+  }
+
+  async transitionPhase(protocol, userId, type, notes) {
+    const { completed, started } = protocol.advance(userId, type, notes);
+
+    // Tasks carried over into the next phase stay active
+    const carriedOver = new Set((started ? started.tasks : []).map(id => id.toString()));
+    const finishedTasks = completed.tasks.filter(id => !carriedOver.has(id.toString()));
+
+    await RehabTask.updateMany(
+      { _id: { $in: finishedTasks }, status: { $in: ['active', 'paused'] } },
+      { status: 'completed' }
+    );
+
+    if (started) {
+      await RehabTask.updateMany(
+        { _id: { $in: started.tasks }, status: 'draft' },
+        { status: 'active' }
+      );
+    }
+
+    await protocol.save();
+
+    if (started) {
+      await this.notifyPhaseStarted(protocol, userId);
+    }
+  }
+
+  async findOwnedProtocol(protocolId, physiotherapistId) {
+    const protocol = await RehabProtocol.findById(protocolId);
+    if (!protocol) {
+      throw new Error('Protocol not found');
+    }
+
+    if (protocol.physiotherapist.toString() !== physiotherapistId.toString()) {
+      throw new Error('You can only manage protocols you created');
+    }
+    return protocol;
+  }
+
+  async assertAssignedPhysiotherapist(physiotherapistId, patientId) {
+    const patient = await User.findById(patientId);
+    if (!patient || patient.role !== 'patient') {
+      throw new Error('Protocol must be for a valid patient');
+    }
+
+    const isAssigned = patient.assignedProviders.some(
+      provider => provider.providerId.toString() === physiotherapistId.toString()
+    );
+    if (!isAssigned) {
+      throw new Error('You are not assigned to this patient');
+    }
+  }
+
+  async assertCanView(protocol, userId) {
+    const patientId = (protocol.patient._id || protocol.patient).toString();
+    const physiotherapistId = (protocol.physiotherapist._id || protocol.physiotherapist).toString();
+
+    if (patientId === userId.toString() || physiotherapistId === userId.toString()) {
+      return;
+    }
+
+    const user = await User.findById(userId).select('role');
+    if (user && user.role === 'doctor') {
+      return;
+    }
+
+    const patient = await User.findById(patientId).select('assignedProviders');
+    const isAssigned = patient && patient.assignedProviders.some(
+      provider => provider.providerId.toString() === userId.toString()
+    );
+    if (!isAssigned) {
+      throw new Error('Access denied. You are not part of this patient\'s care team');
+    }
+  }
+
+  async notifyPhaseStarted(protocol, actingUserId) {
+    if (!this.notificationService) return;
+
+    const phase = protocol.currentPhase;
+
+    await this.notificationService.createNotification({
+      recipient: protocol.patient,
+      sender: actingUserId || undefined,
+      type: 'progress_milestone',
+      category: 'progress',
+      title: 'New Rehabilitation Phase',
+      message: `You have started ${phase.name} (phase ${protocol.currentPhaseIndex + 1} of ${protocol.phases.length}) of ${protocol.name}`,
+      relatedEntity: { entityType: 'protocol', entityId: protocol._id },
+      actionUrl: `/protocols/${protocol._id}`,
+      metadata: { source: actingUserId ? 'user' : 'system' }
+    });
+  }
+
+  async notifyReadyToAdvance(protocol) {
+    if (!this.notificationService) return;
+
+    const patient = await User.findById(protocol.patient).select('firstName lastName');
+    const phase = protocol.currentPhase;
+
+    await this.notificationService.createNotification({
+      recipient: protocol.physiotherapist,
+      type: 'progress_milestone',
+      category: 'progress',
+      priority: 'high',
+      title: 'Patient Ready for Next Phase',
+      message: `${patient.firstName} ${patient.lastName} has met the exit criteria for ${phase.name} of ${protocol.name}`,
+      relatedEntity: { entityType: 'protocol', entityId: protocol._id },
+      actionUrl: `/protocols/${protocol._id}`,
+      metadata: { source: 'system' }
+    });
+  }
+}
+
+module.exports = new ProtocolService();
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const ProviderInvitation = require('../models/ProviderInvitation');
+const User = require('../models/User');
+const emailRenderer = require('../core/delivery/emailRenderer');
+const { createEmailTransport } = require('../core/delivery/emailTransports');
+const {
+  PROVIDER_ROLES,
+  getClinicAdminEmails,
+  isClinicAdmin
+} = require('../core/auth/providerAccess');
+
+/**
+ * Provider Onboarding Service
+ * Invitation-only signup for physiotherapists and doctors, and license
+ * verification. A clinic admin invites a provider by email; the provider
+ * completes their profile (including their license number) through the
+ * emailed link and can log in, but clinical routes stay closed until a clinic
+ * admin verifies the license. Like account emails, invitations go straight
+ * to the email transport.
+ */
+
+const INVITATION_TTL_DAYS = parseInt(process.env.PROVIDER_INVITATION_TTL_DAYS, 10) || 7;
+
+const INVALID_INVITATION = 'This invitation is invalid or has expired. Please ask your clinic for a new one';
+
+class ProviderOnboardingService {
+  constructor() {
+    this.transport = createEmailTransport();
+    this.from = process.env.EMAIL_FROM || 'noreply@rehabtracker.com';
+    this.notificationService = null;
+    this.socketGateway = null;
+  }
+
+  /**
+   * Replace the email transport (tests use a MemoryTransport)
+   * @param {Object} transport - Email transport with send(message)
+   */
+  setEmailTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Set notification service for license review alerts
+   * @param {NotificationService} notificationService
+   */
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Set socket gateway, so a provider's sockets follow their license status
+   * @param {SocketGateway} socketGateway
+   */
+  setSocketGateway(socketGateway) {
+    this.socketGateway = socketGateway;
+  }
+
+  /**
+   * Invite a physiotherapist or doctor. A newer invitation to the same email
+   * replaces any outstanding one.
+   * @param {String} adminId - Clinic admin
+   * @param {Object} invitationData - email, role, firstName, lastName
+   * @returns {Promise<Object>} Created invitation
+   */
+  async createInvitation(adminId, invitationData) {
+    try {
+      await this.getClinicAdmin(adminId);
+
+      const { email, role, firstName, lastName } = invitationData;
+      if (!email || !role) {
+        throw new Error('Email and role are required');
+      }
+      if (!PROVIDER_ROLES.includes(role)) {
+        throw new Error('Invalid role. Must be physiotherapist or doctor');
+      }
+
+      const normalizedEmail = email.toLowerCase().trim();
+      if (await User.exists({ email: normalizedEmail })) {
+        throw new Error('User with this email already exists');
+      }
+
+      await ProviderInvitation.updateMany(
+        { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'superseded' } }
+      );
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const invitation = await ProviderInvitation.create({
+        email: normalizedEmail,
+        role,
+        firstName,
+        lastName,
+        invitedBy: adminId,
+        tokenHash: this.hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+      });
+
+      await this.sendEmail({ email: normalizedEmail, firstName }, {
+        title: 'You are invited to Rehab Tracker',
+        message: `Your clinic invited you to join Rehab Tracker as a ${role}. Complete your profile, including your license number, to create your account. The invitation expires in ${INVITATION_TTL_DAYS} days. You can use clinical features once your license has been verified.`,
+        actionUrl: `/accept-invitation?token=${token}`,
+        actionText: 'Accept Invitation'
+      });
+
+      return {
+        success: true,
+        message: `Invitation sent to ${normalizedEmail}`,
+        data: invitation.toJSON()
+      };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List invitations, newest first
+   * @param {String} adminId - Clinic admin
+   * @param {Object} filters - status: pending, accepted, revoked or expired
+   * @returns {Promise<Object>} Invitations
+   */
+  async getInvitations(adminId, filters = {}) {
+    try {
+      await this.getClinicAdmin(adminId);
+
+      const now = new Date();
+      const query = {};
+      if (filters.status === 'pending') {
+        Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+      } else if (filters.status === 'accepted') {
+        query.acceptedAt = { $ne: null };
+      } else if (filters.status === 'revoked') {
+        Object.assign(query, { acceptedAt: null, revokedAt: { $ne: null } });
+      } else if (filters.status === 'expired') {
+        Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+      }
+
+      const invitations = await ProviderInvitation.find(query)
+        .populate('invitedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(100);
+
+      return {
+        success: true,
+        data: invitations.map(invitation => invitation.toJSON())
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an invitation that has not been accepted
+   * @param {String} adminId - Clinic admin
+   * @param {String} invitationId - Invitation ID
+   * @returns {Promise<Object>} Revoked invitation
+   */
+  async revokeInvitation(adminId, invitationId) {
+    try {
+      await this.getClinicAdmin(adminId);
+
+      const invitation = await ProviderInvitation.findOneAndUpdate(
+        { _id: invitationId, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'revoked' } },
+        { new: true }
+      );
+      if (!invitation) {
+        if (await ProviderInvitation.exists({ _id: invitationId })) {
+          throw new Error('Invitation has already been accepted or revoked');
+        }
+        throw new Error('Invitation not found');
+      }
+
+      return {
+        success: true,
+        message: 'Invitation revoked',
+        data: invitation.toJSON()
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Show who an invitation is for, so the signup form can be filled in
+   * @param {String} token - Token from the invitation link
+   * @returns {Promise<Object>} email, role, firstName, lastName, expiresAt
+   */
+  async lookupInvitation(token) {
+    try {
+      const invitation = await this.findUsableInvitation(token);
+
+      return {
+        success: true,
+        data: {
+          email: invitation.email,
+          role: invitation.role,
+          firstName: invitation.firstName,
+          lastName: invitation.lastName,
+          expiresAt: invitation.expiresAt
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Look up an invitation without using it up
+   * @param {String} token - Token from the invitation link
+   * @returns {Promise<Object>} Invitation
+   */
+  async findUsableInvitation(token) {
+    if (!token || typeof token !== 'string') {
+      throw new Error(INVALID_INVITATION);
+    }
+
+    const invitation = await ProviderInvitation.findOne({
+      tokenHash: this.hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!invitation) {
+      throw new Error(INVALID_INVITATION);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Use up an invitation. Only one of several concurrent signups succeeds.
+   * @param {String} token - Token from the invitation link
+   * @returns {Promise<Object>} Invitation
+   */
+  async acceptInvitation(token) {
+    if (!token || typeof token !== 'string') {
+      throw new Error(INVALID_INVITATION);
+    }
+
+    const invitation = await ProviderInvitation.findOneAndUpdate(
+      {
+        tokenHash: this.hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      throw new Error(INVALID_INVITATION);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Link an accepted invitation to the new account, or reopen it if the
+   * account could not be created
+   * @param {Object} invitation - Accepted invitation
+   * @param {Object} user - Created user, or null to reopen
+   */
+  async completeInvitation(invitation, user) {
+    if (!user) {
+      await ProviderInvitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } });
+      return;
+    }
+
+    await ProviderInvitation.updateOne({ _id: invitation._id }, { $set: { acceptedUser: user._id } });
+    await this.notifyAdminsOfPendingLicense(user);
+  }
+
+  /**
+   * Providers whose license is waiting for review, oldest first
+   * @param {String} adminId - Clinic admin
+   * @returns {Promise<Object>} Providers with their professional info
+   */
+  async getPendingProviders(adminId) {
+    try {
+      await this.getClinicAdmin(adminId);
+
+      // Accounts from before invitations have no verification recorded
+      const providers = await User.find({
+        role: { $in: PROVIDER_ROLES },
+        isActive: true,
+        'professionalInfo.licenseVerification.status': { $nin: ['verified', 'rejected'] }
+      })
+        .select('firstName lastName email role professionalInfo invitedBy createdAt')
+        .populate('invitedBy', 'firstName lastName email')
+        .sort({ createdAt: 1 });
+
+      return {
+        success: true,
+        data: providers.map(provider => provider.toJSON())
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a clinic admin's review of a provider's license
+   * @param {String} adminId - Clinic admin
+   * @param {String} userId - Provider
+   * @param {Object} review - decision (verified or rejected), reason (required when rejecting)
+   * @returns {Promise<Object>} Updated provider
+   */
+  async reviewLicense(adminId, userId, review = {}) {
+    try {
+      await this.getClinicAdmin(adminId);
+
+      const { decision, reason } = review;
+      if (!['verified', 'rejected'].includes(decision)) {
+        throw new Error('Decision must be verified or rejected');
+      }
+      if (decision === 'rejected' && !reason) {
+        throw new Error('A reason is required when rejecting a license');
+      }
+
+      const provider = await User.findById(userId);
+      if (!provider || !PROVIDER_ROLES.includes(provider.role)) {
+        throw new Error('Provider not found');
+      }
+      if (!provider.professionalInfo || !provider.professionalInfo.licenseNumber) {
+        throw new Error('Provider has not entered a license number');
+      }
+
+      provider.professionalInfo.licenseVerification = {
+        status: decision,
+        submittedAt: provider.professionalInfo.licenseVerification && provider.professionalInfo.licenseVerification.submittedAt,
+        reviewedAt: new Date(),
+        reviewedBy: adminId,
+        rejectionReason: decision === 'rejected' ? reason : undefined
+      };
+      await provider.save();
+      await this.socketGateway?.syncRooms(provider._id);
+
+      await this.notifyLicenseReviewed(provider, adminId);
+
+      return {
+        success: true,
+        message: decision === 'verified' ? 'License verified' : 'License rejected',
+        data: provider.toJSON()
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Put a provider's license back in the review queue after they change the
+   * license number
+   * @param {Object} provider - Provider with the new license number set (not yet saved)
+   */
+  async resubmitLicense(provider) {
+    provider.professionalInfo.licenseVerification = {
+      status: 'pending',
+      submittedAt: new Date()
+    };
+    await provider.save();
+    await this.socketGateway?.syncRooms(provider._id);
+    await this.notifyAdminsOfPendingLicense(provider);
+  }
+
+  // Helper methods
+
+  async getClinicAdmin(adminId) {
+    const admin = await User.findById(adminId).select('email emailVerified isActive');
+    if (!admin || !admin.isActive || !isClinicAdmin(admin)) {
+      throw new Error('Access denied: only clinic admins can manage provider onboarding');
+    }
+    return admin;
+  }
+
+  async notifyAdminsOfPendingLicense(provider) {
+    if (!this.notificationService) return;
+
+    const admins = await User.find({ email: { $in: getClinicAdminEmails() }, isActive: true }).select('_id');
+    for (const admin of admins) {
+      await this.notificationService.createNotification({
+        recipient: admin._id,
+        sender: provider._id,
+        type: 'system_alert',
+        category: 'system',
+        title: 'License Verification Needed',
+        message: `${provider.firstName} ${provider.lastName} (${provider.role}) entered license number ${provider.professionalInfo.licenseNumber}. Verify it to give them access to patients.`,
+        relatedEntity: { entityType: 'user', entityId: provider._id },
+        actionUrl: '/admin/providers',
+        actionText: 'Review License',
+        metadata: { source: 'user' }
+      });
+    }
+  }
+
+  async notifyLicenseReviewed(provider, adminId) {
+    if (!this.notificationService) return;
+
+    const { status, rejectionReason } = provider.professionalInfo.licenseVerification;
+    await this.notificationService.createNotification({
+      recipient: provider._id,
+      sender: adminId,
+      type: 'system_alert',
+      category: 'system',
+      priority: 'high',
+      title: status === 'verified' ? 'License Verified' : 'License Not Verified',
+      message: status === 'verified'
+        ? 'Your professional license has been verified. You now have full access to Rehab Tracker.'
+        : `Your professional license could not be verified: ${rejectionReason}. Update your license number to have it reviewed again.`,
+      relatedEntity: { entityType: 'user', entityId: provider._id },
+      actionUrl: status === 'verified' ? '/' : '/provider-status',
+      channels: [
+        { type: 'in_app', status: 'pending' },
+        { type: 'email', status: 'pending' }
+      ],
+      metadata: { source: 'user' }
+    });
+  }
+
+  async sendEmail(recipient, content) {
+    return this.transport.send({
+      from: this.from,
+      to: recipient.email,
+      ...emailRenderer.render({ ...content, recipient }, { transactional: true })
+    });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new ProviderOnboardingService();
@@ -0,0 +1,142 @@
+const PushSubscription = require('../models/PushSubscription');
+const { isAllowedPushEndpoint } = require('../core/delivery/webPushProviders');
+
+/**
+ * Push Subscription Service
+ * Registers the Web Push subscriptions browsers hand to the React client
+ */
+
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+class PushSubscriptionService {
+  /**
+   * Get the VAPID public key the client needs to subscribe
+   * @returns {Object} Public key, or null when Web Push is not configured
+   */
+  getPublicKey() {
+    const publicKey = process.env.VAPID_PUBLIC_KEY || null;
+
+    return {
+      success: true,
+      data: {
+        publicKey,
+        enabled: Boolean(publicKey)
+      }
+    };
+  }
+
+  /**
+   * Register a subscription for a user. The endpoint must be on a known push
+   * service (PUSH_SERVICE_HOSTS). Re-registering an endpoint refreshes its
+   * keys; an endpoint another account registered is refused.
+   * @param {String} userId - User ID
+   * @param {Object} subscriptionData - PushSubscription.toJSON() from the browser
+   * @param {String} userAgent - Requesting user agent
+   * @returns {Promise<Object>} Saved subscription
+   */
+  async registerSubscription(userId, subscriptionData = {}, userAgent) {
+    try {
+      const { endpoint, keys = {}, expirationTime } = subscriptionData;
+
+      if (!endpoint || !keys.p256dh || !keys.auth) {
+        throw new Error('Subscription must include an endpoint and p256dh and auth keys');
+      }
+
+      if (!isAllowedPushEndpoint(endpoint)) {
+        throw new Error('Subscription endpoint must be an https URL of a browser push service');
+      }
+
+      let subscription = await PushSubscription.findOne({ endpoint });
+
+      if (subscription && subscription.user.toString() !== userId.toString()) {
+        throw new Error('This device is already registered for push notifications by another account');
+      }
+
+      if (!subscription) {
+        const count = await PushSubscription.countDocuments({ user: userId });
+        if (count >= MAX_SUBSCRIPTIONS_PER_USER) {
+          // Drop the stalest device rather than refusing the new one
+          await PushSubscription.findOneAndDelete({ user: userId }, { sort: { updatedAt: 1 } });
+        }
+        subscription = new PushSubscription({ endpoint });
+      }
+
+      subscription.user = userId;
+      subscription.keys = { p256dh: keys.p256dh, auth: keys.auth };
+      subscription.expirationTime = expirationTime ? new Date(expirationTime) : undefined;
+      subscription.userAgent = userAgent ? userAgent.slice(0, 500) : undefined;
+      subscription.consecutiveFailures = 0;
+      await subscription.save();
+
+      return {
+        success: true,
+        message: 'Push notifications enabled for this device',
+        data: {
+          subscription: {
+            _id: subscription._id,
+            endpoint: subscription.endpoint,
+            createdAt: subscription.createdAt
+          }
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a subscription, e.g. when the user turns push off in the browser
+   * @param {String} userId - User ID
+   * @param {String} endpoint - Subscription endpoint
+   * @returns {Promise<Object>} Removal result
+   */
+  async removeSubscription(userId, endpoint) {
+    try {
+      if (!endpoint) {
+        throw new Error('Subscription endpoint is required');
+      }
+
+      const result = await PushSubscription.deleteOne({ user: userId, endpoint });
+
+      if (result.deletedCount === 0) {
+        throw new Error('Subscription not found');
+      }
+
+      return {
+        success: true,
+        message: 'Push notifications disabled for this device'
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's registered devices
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Subscriptions without their keys
+   */
+  async getSubscriptions(userId) {
+    try {
+      const subscriptions = await PushSubscription.find({ user: userId })
+        .select('endpoint userAgent lastSuccessAt lastFailureAt consecutiveFailures createdAt')
+        .sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        data: { subscriptions }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new PushSubscriptionService();
@@ -0,0 +1,500 @@
+const Referral = require('../models/Referral');
+const Surgery = require('../models/Surgery');
+const User = require('../models/User');
+const assignmentService = require('./AssignmentService');
+const rehabService = require('./RehabService');
+
+/**
+ * Referral Service
+ * Handles doctor-to-physiotherapist referrals. Accepting a referral creates the
+ * care assignment and a draft rehabilitation plan for the physiotherapist to complete.
+ */
+
+class ReferralService {
+  constructor() {
+    this.notificationService = null;
+  }
+
+  /**
+   * Set notification service for sending notifications
+   * @param {NotificationService} notificationService
+   */
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Create a referral from a surgery record or recovery review
+   * @param {String} doctorId - Referring doctor ID
+   * @param {Object} referralData - Referral data
+   * @returns {Promise<Object>} Created referral
+   */
+  async createReferral(doctorId, referralData) {
+    try {
+      const {
+        patientId,
+        sourceType,
+        surgeryId,
+        reason,
+        diagnosis,
+        goals,
+        precautions,
+        urgency,
+        requestedStartDate,
+        expectedDuration
+      } = referralData;
+
+      if (!patientId || !sourceType || !reason) {
+        throw new Error('Missing required fields: patientId, sourceType, reason');
+      }
+
+      const patient = await User.findById(patientId);
+      if (!patient || patient.role !== 'patient') {
+        throw new Error('Referral must be for a valid patient');
+      }
+
+      // Surgery referrals inherit their defaults from the surgery's rehabilitation section
+      let surgery = null;
+      if (sourceType === 'surgery') {
+        if (!surgeryId) {
+          throw new Error('Surgery referrals require a surgeryId');
+        }
+
+        surgery = await Surgery.findById(surgeryId);
+        if (!surgery || surgery.patient.toString() !== patientId.toString()) {
+          throw new Error('Surgery record not found for this patient');
+        }
+      }
+
+      const physiotherapistId = referralData.physiotherapistId || surgery?.rehabilitation?.assignedTherapist;
+      if (!physiotherapistId) {
+        throw new Error('A receiving physiotherapist is required');
+      }
+
+      const physiotherapist = await User.findById(physiotherapistId);
+      if (!physiotherapist || physiotherapist.role !== 'physiotherapist' || !physiotherapist.isActive) {
+        throw new Error('Referral must be sent to an active physiotherapist');
+      }
+
+      const alreadyAssigned = patient.assignedProviders.some(
+        p => p.providerId.toString() === physiotherapistId.toString()
+      );
+      if (alreadyAssigned) {
+        throw new Error('Physiotherapist is already assigned to this patient');
+      }
+
+      const duplicate = await Referral.exists({
+        patient: patientId,
+        physiotherapist: physiotherapistId,
+        status: 'pending'
+      });
+      if (duplicate) {
+        throw new Error('A pending referral already exists for this patient and physiotherapist');
+      }
+
+      const referral = new Referral({
+        patient: patientId,
+        referringDoctor: doctorId,
+        physiotherapist: physiotherapistId,
+        source: {
+          type: sourceType,
+          surgery: surgery ? surgery._id : undefined
+        },
+        reason,
+        diagnosis,
+        bodyPart: surgery?.anatomicalSite?.bodyPart,
+        goals: goals || surgery?.rehabilitation?.goals || [],
+        precautions: precautions || [],
+        urgency: urgency || 'routine',
+        requestedStartDate: requestedStartDate || surgery?.rehabilitation?.startDate,
+        expectedDuration: expectedDuration || surgery?.rehabilitation?.expectedDuration
+      });
+
+      await referral.save();
+
+      if (surgery) {
+        surgery.rehabilitation.required = true;
+        surgery.rehabilitation.assignedTherapist = physiotherapistId;
+        await surgery.save();
+      }
+
+      await referral.populate([
+        { path: 'patient', select: 'firstName lastName' },
+        { path: 'referringDoctor', select: 'firstName lastName' },
+        { path: 'physiotherapist', select: 'firstName lastName' }
+      ]);
+
+      await this.notify(physiotherapistId, doctorId, referral, {
+        title: 'New Referral',
+        message: `Dr. ${referral.referringDoctor.lastName} referred ${referral.patient.firstName} ${referral.patient.lastName} to you`,
+        priority: referral.urgency === 'urgent' ? 'high' : 'normal'
+      });
+
+      return {
+        success: true,
+        message: 'Referral created successfully',
+        data: {
+          referral: referral.toJSON()
+        }
+      };
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(e => e.message);
+        throw new Error(`Validation failed: ${messages.join(', ')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get referrals for a user
+   * @param {String} userId - Doctor or physiotherapist ID
+   * @param {String} role - User role
+   * @param {Object} filters - status filter and pagination
+   * @returns {Promise<Object>} Referrals list
+   */
+  async getReferrals(userId, role, filters = {}) {
+    try {
+      const query = role === 'doctor' ? { referringDoctor: userId } : { physiotherapist: userId };
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      if (filters.patientId) {
+        query.patient = filters.patientId;
+      }
+
+      const page = parseInt(filters.page) || 1;
+      const limit = parseInt(filters.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const [referrals, total] = await Promise.all([
+        Referral.find(query)
+          .populate('patient', 'firstName lastName')
+          .populate('referringDoctor', 'firstName lastName')
+          .populate('physiotherapist', 'firstName lastName')
+          .populate('source.surgery', 'procedure.name anatomicalSite.bodyPart scheduling.actualDate')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Referral.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          referrals,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a specific referral
+   * @param {String} referralId - Referral ID
+   * @param {String} userId - Requesting user ID
+   * @returns {Promise<Object>} Referral details
+   */
+  async getReferralById(referralId, userId) {
+    try {
+      const referral = await Referral.findById(referralId)
+        .populate('patient', 'firstName lastName dateOfBirth gender')
+        .populate('referringDoctor', 'firstName lastName professionalInfo.specialization')
+        .populate('physiotherapist', 'firstName lastName')
+        .populate('source.surgery')
+        .populate('draftPlan', 'title status schedule');
+
+      if (!referral) {
+        throw new Error('Referral not found');
+      }
+
+      const isParticipant =
+        referral.referringDoctor._id.toString() === userId.toString() ||
+        referral.physiotherapist._id.toString() === userId.toString();
+
+      if (!isParticipant) {
+        throw new Error('Access denied. You can only view referrals you sent or received');
+      }
+
+      return {
+        success: true,
+        data: {
+          referral: referral.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a referral, creating the care assignment and a draft rehab plan
+   * @param {String} referralId - Referral ID
+   * @param {String} physiotherapistId - Receiving physiotherapist ID
+   * @param {Object} responseData - notes, planStartDate
+   * @returns {Promise<Object>} Accepted referral with created assignment and plan
+   */
+  async acceptReferral(referralId, physiotherapistId, responseData = {}) {
+    try {
+      const referral = await this.getPendingReferral(referralId, physiotherapistId);
+
+      const assignment = await assignmentService.createAssignment(referral.patient, physiotherapistId, {
+        assignedBy: physiotherapistId,
+        reason: `Referral from doctor: ${referral.reason}`,
+        startType: 'referral',
+        notify: false // until the whole acceptance has gone through
+      });
+
+      let draftPlan = null;
+      try {
+        draftPlan = await this.createDraftPlan(referral, physiotherapistId, responseData.planStartDate);
+
+        referral.status = 'accepted';
+        referral.response = {
+          respondedAt: new Date(),
+          notes: responseData.notes
+        };
+        referral.careAssignment = assignment._id;
+        referral.draftPlan = draftPlan._id;
+        await referral.save();
+      } catch (error) {
+        // Leave the referral pending with nothing half-created, so accepting it again works
+        await this.undoAcceptance(assignment, draftPlan, physiotherapistId);
+        throw error;
+      }
+
+      await referral.populate([
+        { path: 'patient', select: 'firstName lastName' },
+        { path: 'physiotherapist', select: 'firstName lastName' }
+      ]);
+
+      await assignmentService.notifyAssignmentChange(referral.patient, referral.physiotherapist, 'assigned', physiotherapistId);
+
+      await this.notify(referral.referringDoctor, physiotherapistId, referral, {
+        title: 'Referral Accepted',
+        message: `${referral.physiotherapist.firstName} ${referral.physiotherapist.lastName} accepted the referral for ${referral.patient.firstName} ${referral.patient.lastName}`
+      });
+
+      return {
+        success: true,
+        message: 'Referral accepted successfully',
+        data: {
+          referral: referral.toJSON(),
+          assignment: assignment.toJSON(),
+          draftPlan
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a referral
+   * @param {String} referralId - Referral ID
+   * @param {String} physiotherapistId - Receiving physiotherapist ID
+   * @param {String} reason - Decline reason
+   * @returns {Promise<Object>} Declined referral
+   */
+  async declineReferral(referralId, physiotherapistId, reason) {
+    try {
+      if (!reason) {
+        throw new Error('A reason is required to decline a referral');
+      }
+
+      const referral = await this.getPendingReferral(referralId, physiotherapistId);
+
+      referral.status = 'declined';
+      referral.response = {
+        respondedAt: new Date(),
+        declineReason: reason
+      };
+      await referral.save();
+
+      // Free the surgery record so the doctor can refer elsewhere
+      if (referral.source.surgery) {
+        await Surgery.updateOne(
+          { _id: referral.source.surgery, 'rehabilitation.assignedTherapist': physiotherapistId },
+          { $unset: { 'rehabilitation.assignedTherapist': '' } }
+        );
+      }
+
+      await referral.populate([
+        { path: 'patient', select: 'firstName lastName' },
+        { path: 'physiotherapist', select: 'firstName lastName' }
+      ]);
+
+      await this.notify(referral.referringDoctor, physiotherapistId, referral, {
+        title: 'Referral Declined',
+        message: `${referral.physiotherapist.firstName} ${referral.physiotherapist.lastName} declined the referral for ${referral.patient.firstName} ${referral.patient.lastName}: ${reason}`,
+        priority: 'high'
+      });
+
+      return {
+        success: true,
+        message: 'Referral declined',
+        data: {
+          referral: referral.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending referral
+   * @param {String} referralId - Referral ID
+   * @param {String} doctorId - Referring doctor ID
+   * @param {String} reason - Cancellation reason
+   * @returns {Promise<Object>} Cancelled referral
+   */
+  async cancelReferral(referralId, doctorId, reason) {
+    try {
+      const referral = await Referral.findById(referralId);
+
+      if (!referral) {
+        throw new Error('Referral not found');
+      }
+
+      if (referral.referringDoctor.toString() !== doctorId.toString()) {
+        throw new Error('Only the referring doctor can cancel a referral');
+      }
+
+      if (referral.status !== 'pending') {
+        throw new Error(`Cannot cancel a ${referral.status} referral`);
+      }
+
+      referral.status = 'cancelled';
+      referral.cancellation = {
+        cancelledAt: new Date(),
+        reason
+      };
+      await referral.save();
+
+      return {
+        success: true,
+        message: 'Referral cancelled',
+        data: {
+          referral: referral.toJSON()
+        }
+      };
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending referrals summary for the physiotherapist dashboard
+   * @param {String} physiotherapistId - Physiotherapist ID
+   * @returns {Promise<Object>} Pending referrals data
+   */
+  async getPendingReferralsSummary(physiotherapistId) {
+    const pending = await Referral.findPendingForPhysiotherapist(physiotherapistId);
+
+    return {
+      totalPending: pending.length,
+      urgentCount: pending.filter(r => r.urgency === 'urgent').length,
+      oldestPendingDays: pending.length > 0 ? pending[0].daysPending : null,
+      referrals: pending.slice(0, 10)
+    };
+  }
+
+  // Helper methods
+
+  async getPendingReferral(referralId, physiotherapistId) {
+    const referral = await Referral.findById(referralId);
+
+    if (!referral) {
+      throw new Error('Referral not found');
+    }
+
+    if (referral.physiotherapist.toString() !== physiotherapistId.toString()) {
+      throw new Error('Only the receiving physiotherapist can respond to this referral');
+    }
+
+    if (referral.status !== 'pending') {
+      throw new Error(`Referral has already been ${referral.status}`);
+    }
+
+    return referral;
+  }
+
+  /**
+   * Create the draft rehab plan the physiotherapist will complete and activate
+   */
+  async createDraftPlan(referral, physiotherapistId, planStartDate) {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const requested = planStartDate || referral.requestedStartDate;
+    const startDate = requested && new Date(requested) > new Date() ? new Date(requested) : tomorrow;
+
+    const endDate = referral.expectedDuration
+      ? new Date(startDate.getTime() + referral.expectedDuration * 7 * 24 * 60 * 60 * 1000)
+      : null;
+
+    const focus = referral.bodyPart || referral.diagnosis;
+    const result = await rehabService.createTask(physiotherapistId, {
+      title: focus ? `Rehabilitation plan - ${focus}` : 'Rehabilitation plan',
+      description: referral.reason,
+      category: 'other',
+      assignedTo: referral.patient,
+      priority: referral.urgency === 'urgent' ? 'high' : 'normal',
+      schedule: {
+        startDate,
+        endDate,
+        frequency: 'daily'
+      },
+      goals: referral.goals.map(description => ({ description })),
+      parameters: {
+        precautions: referral.precautions
+      },
+      therapistNotes: `Created from referral ${referral._id}`
+    });
+
+    return result.data.task;
+  }
+
+  async undoAcceptance(assignment, draftPlan, physiotherapistId) {
+    try {
+      if (draftPlan) {
+        await rehabService.deleteTask(draftPlan._id, physiotherapistId.toString());
+      }
+      await assignmentService.revertAssignment(assignment);
+    } catch (error) {
+      console.error('Failed to undo referral acceptance:', error.message);
+    }
+  }
+
+  async notify(recipientId, senderId, referral, content) {
+    if (!this.notificationService) return;
+
+    await this.notificationService.createNotification({
+      recipient: recipientId,
+      sender: senderId,
+      type: 'system_alert',
+      category: 'communication',
+      title: content.title,
+      message: content.message,
+      priority: content.priority || 'normal',
+      relatedEntity: { entityType: 'user', entityId: referral.patient._id || referral.patient },
+      actionUrl: `/referrals/${referral._id}`
+    });
+  }
+}
+
+module.exports = new ReferralService();
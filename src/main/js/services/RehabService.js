@@ -1,5 +1,7 @@
 const RehabTask = require('../models/RehabTask');
 const User = require('../models/User');
+const occurrenceService = require('./OccurrenceService');
+const exerciseVideoService = require('./ExerciseVideoService');
 const mongoose = require('mongoose');
 
 /**
@@ -76,6 +78,7 @@ class RehabService {
         parameters: parameters || {},
         assignedBy: physiotherapistId,
         assignedTo: taskData.assignedTo,
+        sourceTemplate: taskData.sourceTemplate,
         schedule: {
           ...schedule,
           startDate,
@@ -91,7 +94,7 @@ class RehabService {
           patientNotes: '',
           modificationHistory: []
         },
-        resources: taskData.resources || [],
+        resources: await exerciseVideoService.prepareResources(taskData.resources, physiotherapistId),
         reminders: taskData.reminders || {
           enabled: true,
           beforeSession: 30,
@@ -342,10 +345,20 @@ class RehabService {
         delete updateData.notes.modificationReason;
       }
 
+      // Resources keep their _id across updates so video playback history stays attached
+      if (updateData.resources) {
+        updateData.resources = await exerciseVideoService.prepareResources(updateData.resources, physiotherapistId);
+      }
+
       // Update task
       Object.assign(task, updateData);
       await task.save();
 
+      // Rebuild future sessions when the schedule or status changes
+      if (updateData.schedule || updateData.status) {
+        await occurrenceService.syncTask(task);
+      }
+
       // Populate for response
       await task.populate([
         { path: 'assignedBy', select: 'firstName lastName role' },
@@ -394,6 +407,7 @@ class RehabService {
       }
 
       await RehabTask.findByIdAndDelete(taskId);
+      await occurrenceService.removeTask(taskId);
 
       return {
         success: true,
@@ -438,6 +452,7 @@ class RehabService {
 
       task.status = 'active';
       await task.save();
+      await occurrenceService.materializeForTask(task);
 
       return {
         success: true,
@@ -543,10 +558,13 @@ class RehabService {
       .populate('assignedBy', 'firstName lastName')
       .sort({ 'schedule.startDate': 1, priority: -1 });
 
+      const sessions = await occurrenceService.getUpcomingSessions(patientId, days);
+
       return {
         success: true,
         data: {
           tasks,
+          sessions,
           period: {
             start: startDate,
             end: endDate,
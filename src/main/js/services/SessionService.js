@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const jwtUtils = require('../core/auth/jwtUtils');
+
+/**
+ * Session Service
+ * Server-side record of every signed-in device. A login starts a session and
+ * each refresh rotates its refresh token; the old token stops working. If a
+ * rotated-out token comes back (someone kept a copy), the whole session is
+ * revoked and every token issued for it stops working, including the
+ * access tokens checked by the auth middleware and socket gateway.
+ */
+
+// A second tab refreshing with the same token moments later is not treated as theft
+const REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 10;
+
+class SessionService {
+  constructor() {
+    this.socketGateway = null;
+  }
+
+  /**
+   * Set socket gateway so revoked sessions lose their live connections
+   * @param {SocketGateway} socketGateway
+   */
+  setSocketGateway(socketGateway) {
+    this.socketGateway = socketGateway;
+  }
+
+  /**
+   * Start a session for a user who just logged in or registered
+   * @param {Object} user - User document
+   * @param {Object} context - userAgent, ipAddress
+   * @returns {Promise<Object>} { session, tokens }
+   */
+  async createSession(user, context = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const tokenId = this.generateTokenId();
+    const tokens = await jwtUtils.generateTokenPair(user, { sessionId, tokenId });
+
+    const session = await Session.create({
+      _id: sessionId,
+      user: user._id,
+      tokenHash: this.hashTokenId(tokenId),
+      device: {
+        userAgent: context.userAgent ? context.userAgent.slice(0, 500) : undefined,
+        name: this.describeDevice(context.userAgent)
+      },
+      ipAddress: context.ipAddress,
+      lastIpAddress: context.ipAddress,
+      expiresAt: this.getRefreshExpiry(tokens.refreshToken)
+    });
+
+    return { session, tokens };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The presented token is
+   * used up; presenting it again revokes the session.
+   * @param {String} refreshToken - Refresh token from the last login or refresh
+   * @param {Object} context - userAgent, ipAddress
+   * @returns {Promise<Object>} { session, user, tokens }
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    const decoded = await jwtUtils.verifyRefreshToken(refreshToken);
+
+    // Refresh tokens issued before sessions existed cannot be rotated
+    if (!decoded.sid || !decoded.jti || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+      throw new Error('Invalid refresh token. Please log in again');
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!user.isActive) {
+      throw new Error('Account is deactivated');
+    }
+
+    const now = new Date();
+    const presentedHash = this.hashTokenId(decoded.jti);
+    const tokenId = this.generateTokenId();
+    const tokens = await jwtUtils.generateTokenPair(user, { sessionId: decoded.sid, tokenId });
+
+    // Only the holder of the current token wins; a concurrent or replayed token matches nothing
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        user: user._id,
+        tokenHash: presentedHash,
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      },
+      {
+        $set: {
+          tokenHash: this.hashTokenId(tokenId),
+          previousTokenHash: presentedHash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          lastIpAddress: context.ipAddress,
+          expiresAt: this.getRefreshExpiry(tokens.refreshToken)
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      await this.handleRejectedRefresh(decoded.sid, user._id, presentedHash, now);
+    }
+
+    return { session, user, tokens };
+  }
+
+  /**
+   * Check that the session behind an access token is still live
+   * @param {String} sessionId - sid claim of the token
+   * @param {String} userId - userId claim of the token
+   * @returns {Promise<Boolean>} True if the session is neither revoked nor expired
+   */
+  async isSessionActive(sessionId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+    const session = await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(session);
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {String} userId - User ID
+   * @param {String} currentSessionId - Session of the request, flagged as current
+   * @returns {Promise<Array>} Sessions
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return sessions.map(session => ({
+      ...session.toJSON(),
+      current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {String} userId - User ID
+   * @param {String} sessionId - Session ID
+   * @param {String} reason - logout or revoked
+   * @returns {Promise<Object>} Revoked session
+   */
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new Error('Session not found');
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    this.disconnectSessions([session._id]);
+    return session;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {String} userId - User ID
+   * @param {String} reason - logout_all, password_changed or account_deactivated
+   * @param {Object} options - exceptSessionId to keep the current device signed in
+   * @returns {Promise<Number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, options = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (options.exceptSessionId) {
+      filter._id = { $ne: options.exceptSessionId };
+    }
+
+    const sessions = await Session.find(filter).select('_id');
+    if (sessions.length === 0) return 0;
+
+    const sessionIds = sessions.map(session => session._id);
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    this.disconnectSessions(sessionIds);
+    return sessionIds.length;
+  }
+
+  // Helper methods
+
+  async handleRejectedRefresh(sessionId, userId, presentedHash, now) {
+    const session = await Session.findOne({ _id: sessionId, user: userId });
+
+    if (!session || session.revokedAt) {
+      throw new Error('Session has been revoked. Please log in again');
+    }
+    if (session.expiresAt <= now) {
+      throw new Error('Session expired. Please log in again');
+    }
+
+    const justRotated = session.previousTokenHash === presentedHash &&
+      session.rotatedAt && now - session.rotatedAt < REUSE_GRACE_SECONDS * 1000;
+    if (justRotated) {
+      throw new Error('Refresh token already used');
+    }
+
+    // An older token came back: assume it was stolen and end the session for everyone
+    session.revokedAt = now;
+    session.revokedReason = 'refresh_token_reuse';
+    await session.save();
+    this.disconnectSessions([session._id]);
+
+    throw new Error('Refresh token reuse detected. The session has been revoked; please log in again');
+  }
+
+  disconnectSessions(sessionIds) {
+    if (!this.socketGateway) return;
+    this.socketGateway.disconnectSessions(sessionIds.map(id => id.toString()));
+  }
+
+  generateTokenId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  hashTokenId(tokenId) {
+    return crypto.createHash('sha256').update(tokenId).digest('hex');
+  }
+
+  getRefreshExpiry(refreshToken) {
+    return new Date(jwtUtils.getTokenExpiration(jwtUtils.decodeToken(refreshToken)));
+  }
+
+  /**
+   * Short label for the device list, e.g. "Firefox on macOS"
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//],
+      ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['Android', /Android/],
+      ['iOS', /iPhone|iPad|iPod/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X|Macintosh/],
+      ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    if (!browser) return system[0];
+    if (!system) return browser[0];
+    return `${browser[0]} on ${system[0]}`;
+  }
+}
+
+module.exports = new SessionService();
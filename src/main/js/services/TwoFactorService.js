@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const totp = require('../core/auth/totp');
+const jwtUtils = require('../core/auth/jwtUtils');
+const passwordUtils = require('../core/auth/passwordUtils');
+
+/**
+ * Two-Factor Service
+ * TOTP two-factor authentication: enrollment (secret + QR code, confirmed
+ * with a first code), code and recovery-code checks for the second login
+ * step, and recovery-code management. TWO_FACTOR_REQUIRED_ROLES lists the
+ * roles that must enroll before they can get tokens, e.g. providers who can
+ * read their patients' records.
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Rehab Tracker';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5; // per password login; the user has to start over after this
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.failedAttempts +twoFactor.recoveryCodes';
+
+class TwoFactorService {
+  /**
+   * Whether users with this role must use two-factor authentication
+   * @param {String} role - User role
+   * @returns {Boolean}
+   */
+  isRequiredForRole(role) {
+    return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(value => value.trim())
+      .includes(role);
+  }
+
+  /**
+   * Get a user's two-factor status
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Status
+   */
+  async getStatus(userId) {
+    const user = await this.getUser(userId);
+
+    return {
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: this.isRequiredForRole(user.role),
+        recoveryCodesRemaining: this.countUnusedRecoveryCodes(user)
+      }
+    };
+  }
+
+  /**
+   * Start enrollment: create a secret for the authenticator app. It is not
+   * used for logins until confirmed with a code.
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} secret, otpauthUrl and a QR code image (data URL) when available
+   */
+  async beginEnrollment(userId) {
+    const user = await this.getUser(userId);
+    if (user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.buildOtpauthUrl(secret, { issuer: ISSUER, account: user.email });
+
+    user.twoFactor.pendingSecret = totp.encryptSecret(secret, this.getEncryptionKey());
+    await user.save();
+
+    return {
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCodeDataUrl: await this.renderQrCode(otpauthUrl)
+      }
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {String} userId - User ID
+   * @param {String} code - Current 6-digit code
+   * @returns {Promise<Object>} Recovery codes (shown once)
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.getUser(userId);
+    if (user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    const secret = totp.decryptSecret(user.twoFactor.pendingSecret, this.getEncryptionKey());
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: this.hashRecoveryCode(recoveryCode) }));
+    await user.save();
+
+    return {
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      data: { recoveryCodes }
+    };
+  }
+
+  /**
+   * Check the second factor at login: a current code or an unused recovery code
+   * @param {String} userId - User ID
+   * @param {Object} credentials - code or recoveryCode
+   * @returns {Promise<Object>} { method, recoveryCodesRemaining }
+   */
+  async verifyLogin(userId, credentials = {}) {
+    const user = await this.getUser(userId);
+    if (!user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      throw new Error('Too many incorrect codes. Please log in again');
+    }
+
+    if (credentials.recoveryCode) {
+      const used = await this.useRecoveryCode(user, credentials.recoveryCode);
+      if (used) {
+        return { method: 'recovery_code', recoveryCodesRemaining: this.countUnusedRecoveryCodes(user) - 1 };
+      }
+    } else if (await this.useCode(user, credentials.code)) {
+      return { method: 'totp', recoveryCodesRemaining: this.countUnusedRecoveryCodes(user) };
+    }
+
+    await User.updateOne({ _id: user._id }, { $inc: { 'twoFactor.failedAttempts': 1 } });
+    throw new Error(credentials.recoveryCode ? 'Invalid recovery code' : 'Invalid verification code');
+  }
+
+  /**
+   * Allow a fresh set of attempts after the password was checked again
+   * @param {String} userId - User ID
+   */
+  async resetFailedAttempts(userId) {
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.failedAttempts': 0 } });
+  }
+
+  /**
+   * Replace the recovery codes; the old ones stop working
+   * @param {String} userId - User ID
+   * @param {String} code - Current 6-digit code
+   * @returns {Promise<Object>} New recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.getUser(userId);
+    if (!user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (!(await this.useCode(user, code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => ({ hash: this.hashRecoveryCode(recoveryCode) })) }
+    });
+
+    return {
+      success: true,
+      message: 'New recovery codes generated. The old codes no longer work',
+      data: { recoveryCodes }
+    };
+  }
+
+  /**
+   * Turn two-factor authentication off (not allowed where the role requires it)
+   * @param {String} userId - User ID
+   * @param {Object} credentials - password and a current code
+   * @returns {Promise<Object>} Confirmation
+   */
+  async disable(userId, credentials = {}) {
+    const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (this.isRequiredForRole(user.role)) {
+      throw new Error('Two-factor authentication is required for your role');
+    }
+    if (!credentials.password || !(await passwordUtils.comparePassword(credentials.password, user.password))) {
+      throw new Error('Password is incorrect');
+    }
+    if (!(await this.useCode(user, credentials.code))) {
+      throw new Error('Invalid verification code');
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.enabledAt': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.recoveryCodes': 1
+      }
+    });
+
+    return {
+      success: true,
+      message: 'Two-factor authentication disabled'
+    };
+  }
+
+  // Helper methods
+
+  async getUser(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Accept a code once: the time step is recorded atomically so the same
+   * code cannot log in twice
+   */
+  async useCode(user, code) {
+    const secret = totp.decryptSecret(user.twoFactor.secret, this.getEncryptionKey());
+    const step = totp.verifyCode(secret, code);
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': { $exists: false } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async useRecoveryCode(user, recoveryCode) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': {
+          $elemMatch: { hash: this.hashRecoveryCode(recoveryCode), usedAt: null }
+        }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date(), 'twoFactor.failedAttempts': 0 } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  countUnusedRecoveryCodes(user) {
+    return (user.twoFactor.recoveryCodes || []).filter(recoveryCode => !recoveryCode.usedAt).length;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  hashRecoveryCode(recoveryCode) {
+    const normalized = String(recoveryCode).trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  getEncryptionKey() {
+    return process.env.TWO_FACTOR_ENCRYPTION_KEY || jwtUtils.accessTokenSecret;
+  }
+
+  async renderQrCode(otpauthUrl) {
+    try {
+      // Loaded lazily; without it the client shows the secret for manual entry
+      const qrcode = require('qrcode');
+      return await qrcode.toDataURL(otpauthUrl);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -44,6 +44,7 @@ describe('Notification System Integration Tests', () => {
       email: 'physio@test.com',
       password: 'password123',
       role: 'physiotherapist',
+      professionalInfo: { licenseNumber: 'LIC-1000', licenseVerification: { status: 'verified' } },
       phoneNumber: '+1234567891',
       assignedPatients: [patient._id]
     });
@@ -55,6 +56,7 @@ describe('Notification System Integration Tests', () => {
       email: 'doctor@test.com',
       password: 'password123',
       role: 'doctor',
+      professionalInfo: { licenseNumber: 'LIC-1001', licenseVerification: { status: 'verified' } },
       phoneNumber: '+1234567892',
       specialization: 'Orthopedics'
     });
@@ -0,0 +1,260 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../../main/js/server');
+const User = require('../../../main/js/models/User');
+const CareAssignment = require('../../../main/js/models/CareAssignment');
+const jwt = require('jsonwebtoken');
+
+describe('Assignment Routes', () => {
+  let doctorToken, physioToken, patientToken;
+  let doctor, physiotherapist, colleague, patient;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await CareAssignment.deleteMany({});
+
+    patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient',
+      phoneNumber: '+1234567890'
+    });
+
+    doctor = await User.create({
+      firstName: 'Test',
+      lastName: 'Doctor',
+      email: 'doctor@test.com',
+      password: 'password123',
+      role: 'doctor',
+      professionalInfo: { licenseNumber: 'LIC-1000', licenseVerification: { status: 'verified' } },
+      phoneNumber: '+1234567892'
+    });
+
+    physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physio',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      professionalInfo: { licenseNumber: 'LIC-1001', licenseVerification: { status: 'verified' } },
+      phoneNumber: '+1234567891'
+    });
+
+    colleague = await User.create({
+      firstName: 'Colleague',
+      lastName: 'Physio',
+      email: 'colleague@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      professionalInfo: { licenseNumber: 'LIC-1002', licenseVerification: { status: 'verified' } },
+      phoneNumber: '+1234567893'
+    });
+
+    doctorToken = jwt.sign({ userId: doctor._id, role: 'doctor' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    physioToken = jwt.sign({ userId: physiotherapist._id, role: 'physiotherapist' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    patientToken = jwt.sign({ userId: patient._id, role: 'patient' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const assignPhysio = () => request(app)
+    .post('/api/assignments')
+    .set('Authorization', `Bearer ${doctorToken}`)
+    .send({ patientId: patient._id, providerId: physiotherapist._id, reason: 'Post-op knee rehab' });
+
+  describe('POST /api/assignments', () => {
+    it('should link both sides of the relationship and record history', async () => {
+      const response = await assignPhysio();
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.assignment.status).toBe('active');
+
+      const updatedPatient = await User.findById(patient._id);
+      const updatedPhysio = await User.findById(physiotherapist._id);
+
+      expect(updatedPatient.assignedProviders).toHaveLength(1);
+      expect(updatedPatient.assignedProviders[0].providerId.toString()).toBe(physiotherapist._id.toString());
+      expect(updatedPhysio.assignedPatients.map(id => id.toString())).toContain(patient._id.toString());
+    });
+
+    it('should reject a duplicate assignment', async () => {
+      await assignPhysio();
+      const response = await assignPhysio();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('already assigned');
+    });
+
+    it('should not assign a provider whose license has not been verified', async () => {
+      await User.updateOne({ _id: physiotherapist._id }, { 'professionalInfo.licenseVerification.status': 'pending' });
+
+      const response = await assignPhysio();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('license has not been verified');
+      expect((await User.findById(patient._id)).assignedProviders).toHaveLength(0);
+    });
+
+    it('should return 404 for an unknown provider', async () => {
+      const response = await request(app)
+        .post('/api/assignments')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ patientId: patient._id, providerId: new mongoose.Types.ObjectId() });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not allow physiotherapists to assign', async () => {
+      const response = await request(app)
+        .post('/api/assignments')
+        .set('Authorization', `Bearer ${physioToken}`)
+        .send({ patientId: patient._id, providerId: colleague._id });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/assignments/transfer', () => {
+    it('should hand the caseload over to a colleague', async () => {
+      await assignPhysio();
+
+      const response = await request(app)
+        .post('/api/assignments/transfer')
+        .set('Authorization', `Bearer ${physioToken}`)
+        .send({ fromProviderId: physiotherapist._id, toProviderId: colleague._id, reason: 'Parental leave' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.transferredCount).toBe(1);
+
+      const updatedPatient = await User.findById(patient._id);
+      const updatedPhysio = await User.findById(physiotherapist._id);
+      const updatedColleague = await User.findById(colleague._id);
+
+      expect(updatedPatient.assignedProviders.map(p => p.providerId.toString())).toEqual([colleague._id.toString()]);
+      expect(updatedPhysio.assignedPatients).toHaveLength(0);
+      expect(updatedColleague.assignedPatients.map(id => id.toString())).toContain(patient._id.toString());
+    });
+
+    it('should count only the patients actually moved', async () => {
+      await assignPhysio();
+      await request(app)
+        .post('/api/assignments')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ patientId: patient._id, providerId: colleague._id, reason: 'Second opinion' });
+
+      const response = await request(app)
+        .post('/api/assignments/transfer')
+        .set('Authorization', `Bearer ${physioToken}`)
+        .send({ fromProviderId: physiotherapist._id, toProviderId: colleague._id, reason: 'Parental leave' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.transferredCount).toBe(0);
+      expect(response.body.data.transferred).toEqual([]);
+      expect(response.body.data.skipped).toEqual([patient._id.toString()]);
+      expect(response.body.message).toContain('1 already under the colleague\'s care');
+    });
+
+    it('should leave the caseload alone when the colleague\'s license is not verified', async () => {
+      await assignPhysio();
+      await User.updateOne({ _id: colleague._id }, { 'professionalInfo.licenseVerification.status': 'rejected' });
+
+      const response = await request(app)
+        .post('/api/assignments/transfer')
+        .set('Authorization', `Bearer ${physioToken}`)
+        .send({ fromProviderId: physiotherapist._id, toProviderId: colleague._id, reason: 'Parental leave' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('license has not been verified');
+
+      const updatedPatient = await User.findById(patient._id);
+      expect(updatedPatient.assignedProviders.map(p => p.providerId.toString())).toEqual([physiotherapist._id.toString()]);
+    });
+
+    it('should not let a physiotherapist transfer a colleague\'s caseload', async () => {
+      const response = await request(app)
+        .post('/api/assignments/transfer')
+        .set('Authorization', `Bearer ${physioToken}`)
+        .send({ fromProviderId: colleague._id, toProviderId: physiotherapist._id, reason: 'Taking over' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require a reason', async () => {
+      const response = await request(app)
+        .post('/api/assignments/transfer')
+        .set('Authorization', `Bearer ${physioToken}`)
+        .send({ fromProviderId: physiotherapist._id, toProviderId: colleague._id });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/assignments/unassign', () => {
+    it('should end the relationship and keep it in history', async () => {
+      await assignPhysio();
+
+      const response = await request(app)
+        .post('/api/assignments/unassign')
+        .set('Authorization', `Bearer ${physioToken}`)
+        .send({ patientId: patient._id, providerId: physiotherapist._id, reason: 'Goals met', endType: 'discharged' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.assignment.endType).toBe('discharged');
+
+      const history = await request(app)
+        .get(`/api/assignments/patients/${patient._id}/history`)
+        .set('Authorization', `Bearer ${patientToken}`);
+
+      expect(history.status).toBe(200);
+      expect(history.body.data.history).toHaveLength(1);
+      expect(history.body.data.activeProviders).toHaveLength(0);
+    });
+
+    it('should not let a physiotherapist end a colleague\'s relationship', async () => {
+      await request(app)
+        .post('/api/assignments')
+        .set('Authorization', `Bearer ${doctorToken}`)
+        .send({ patientId: patient._id, providerId: colleague._id });
+
+      const response = await request(app)
+        .post('/api/assignments/unassign')
+        .set('Authorization', `Bearer ${physioToken}`)
+        .send({ patientId: patient._id, providerId: colleague._id, reason: 'Not mine' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('own care relationships');
+    });
+  });
+
+  describe('GET /api/assignments history', () => {
+    it('should return 403 to providers outside the patient\'s care team', async () => {
+      const response = await request(app)
+        .get(`/api/assignments/patients/${patient._id}/history`)
+        .set('Authorization', `Bearer ${physioToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for unknown patients and providers', async () => {
+      const unknownId = new mongoose.Types.ObjectId();
+
+      const patientHistory = await request(app)
+        .get(`/api/assignments/patients/${unknownId}/history`)
+        .set('Authorization', `Bearer ${doctorToken}`);
+      const providerHistory = await request(app)
+        .get(`/api/assignments/providers/${unknownId}/history`)
+        .set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(patientHistory.status).toBe(404);
+      expect(providerHistory.status).toBe(404);
+    });
+  });
+});
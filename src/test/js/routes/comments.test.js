@@ -36,6 +36,7 @@ describe('Comment Routes', () => {
       email: 'physio@test.com',
       password: 'password123',
       role: 'physiotherapist',
+      professionalInfo: { licenseNumber: 'LIC-1000', licenseVerification: { status: 'verified' } },
       phoneNumber: '+1234567891',
       assignedPatients: [patient._id]
     });
@@ -46,6 +47,7 @@ describe('Comment Routes', () => {
       email: 'doctor@test.com',
       password: 'password123',
       role: 'doctor',
+      professionalInfo: { licenseNumber: 'LIC-1001', licenseVerification: { status: 'verified' } },
       phoneNumber: '+1234567892'
     });
 
@@ -29,6 +29,7 @@ describe('Doctor Routes', () => {
       email: 'doctor@test.com',
       password: 'password123',
       role: 'doctor',
+      professionalInfo: { licenseNumber: 'LIC-1000', licenseVerification: { status: 'verified' } },
       phoneNumber: '+1234567890',
       specialization: 'Orthopedics'
     });
@@ -55,6 +56,7 @@ describe('Doctor Routes', () => {
       email: 'physio@test.com',
       password: 'password123',
       role: 'physiotherapist',
+      professionalInfo: { licenseNumber: 'LIC-1001', licenseVerification: { status: 'verified' } },
       phoneNumber: '+1234567892',
       assignedPatients: [patient._id]
     });
@@ -269,6 +271,7 @@ describe('Doctor Routes', () => {
         email: 'other-doctor@test.com',
         password: 'password123',
         role: 'doctor',
+        professionalInfo: { licenseNumber: 'LIC-1002', licenseVerification: { status: 'verified' } },
         phoneNumber: '+1234567898'
       });
 
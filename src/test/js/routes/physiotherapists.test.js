@@ -47,6 +47,7 @@ describe('Physiotherapist Routes - New Endpoints', () => {
       email: 'physio@test.com',
       password: 'password123',
       role: 'physiotherapist',
+      professionalInfo: { licenseNumber: 'LIC-1000', licenseVerification: { status: 'verified' } },
       phoneNumber: '+1234567891',
       assignedPatients: [patient._id]
     });
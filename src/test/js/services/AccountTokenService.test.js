@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const AuthService = require('../../../main/js/services/AuthService');
+const AccountTokenService = require('../../../main/js/services/AccountTokenService');
+const SessionService = require('../../../main/js/services/SessionService');
+const jwtUtils = require('../../../main/js/core/auth/jwtUtils');
+const { MemoryTransport, createEmailTransport } = require('../../../main/js/core/delivery/emailTransports');
+const AccountToken = require('../../../main/js/models/AccountToken');
+const Session = require('../../../main/js/models/Session');
+const User = require('../../../main/js/models/User');
+
+describe('AccountTokenService', () => {
+  const password = 'Str0ng!Passw0rd';
+  let emailTransport;
+  let user;
+
+  // Pull the token out of the link in the last email sent
+  const lastLinkToken = () => {
+    const email = emailTransport.sent[emailTransport.sent.length - 1];
+    return email.text.match(/token=([0-9a-f]+)/)[1];
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await AccountToken.deleteMany({});
+
+    emailTransport = new MemoryTransport();
+    AccountTokenService.setEmailTransport(emailTransport);
+
+    user = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password,
+      role: 'patient'
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('email verification', () => {
+    it('should email a verification link on registration and verify with it once', async () => {
+      await AuthService.register({
+        firstName: 'New',
+        lastName: 'Patient',
+        email: 'new@test.com',
+        password,
+        role: 'patient'
+      });
+
+      expect(emailTransport.sent).toHaveLength(1);
+      expect(emailTransport.sent[0].to).toBe('new@test.com');
+      expect(emailTransport.sent[0].text).toContain('/verify-email?token=');
+      expect(emailTransport.sent[0].text).not.toContain('Manage email notifications');
+
+      const token = lastLinkToken();
+      const stored = await AccountToken.findOne({ email: 'new@test.com' });
+      expect(stored.tokenHash).not.toBe(token);
+
+      const result = await AuthService.verifyEmail(token);
+      expect(result.data.email).toBe('new@test.com');
+      expect((await User.findByEmail('new@test.com')).emailVerified).toBe(true);
+
+      await expect(AuthService.verifyEmail(token)).rejects.toThrow('invalid or has expired');
+    });
+
+    it('should invalidate the previous link when a new one is sent', async () => {
+      await AccountTokenService.sendEmailVerification(user);
+      const firstToken = lastLinkToken();
+
+      await expect(AuthService.resendVerificationEmail(user._id)).rejects.toThrow('Please wait');
+
+      // createdAt is immutable through Mongoose, so backdate it with the driver
+      await AccountToken.collection.updateMany({}, { $set: { createdAt: new Date(Date.now() - 5 * 60 * 1000) } });
+      await AuthService.resendVerificationEmail(user._id);
+
+      await expect(AuthService.verifyEmail(firstToken)).rejects.toThrow('invalid or has expired');
+      await AuthService.verifyEmail(lastLinkToken());
+
+      await expect(AuthService.resendVerificationEmail(user._id)).rejects.toThrow('already verified');
+    });
+
+    it('should reject expired links', async () => {
+      await AccountTokenService.sendEmailVerification(user);
+      await AccountToken.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      await expect(AuthService.verifyEmail(lastLinkToken())).rejects.toThrow('invalid or has expired');
+    });
+  });
+
+  describe('password reset', () => {
+    it('should email a reset link without returning the token, and not reveal unknown emails', async () => {
+      const result = await AuthService.requestPasswordReset(user.email);
+      expect(result.data).toBeUndefined();
+      expect(emailTransport.sent[0].text).toContain('/reset-password?token=');
+
+      const unknown = await AuthService.requestPasswordReset('nobody@test.com');
+      expect(unknown.message).toBe(result.message);
+      expect(emailTransport.sent).toHaveLength(1);
+    });
+
+    it('should reset the password once, sign out every device and keep the link on a rejected password', async () => {
+      const { data } = await AuthService.login(user.email, password);
+      const sessionId = jwtUtils.decodeToken(data.tokens.accessToken).sid;
+
+      await AuthService.requestPasswordReset(user.email);
+      const token = lastLinkToken();
+
+      await expect(AuthService.resetPassword(token, password)).rejects.toThrow('must be different');
+
+      await AuthService.resetPassword(token, 'N3w!Passw0rdReset');
+      expect(await SessionService.isSessionActive(sessionId, user._id)).toBe(false);
+      await expect(AuthService.login(user.email, 'N3w!Passw0rdReset')).resolves.toMatchObject({ success: true });
+
+      await expect(AuthService.resetPassword(token, 'An0ther!Passw0rd')).rejects.toThrow('invalid or has expired');
+    });
+
+    it('should invalidate outstanding reset links when the password is changed', async () => {
+      await AuthService.requestPasswordReset(user.email);
+      const token = lastLinkToken();
+
+      await AuthService.changePassword(user._id, password, 'Chang3d!Passw0rd');
+
+      await expect(AuthService.resetPassword(token, 'An0ther!Passw0rd')).rejects.toThrow('invalid or has expired');
+      const stored = await AccountToken.findOne({ user: user._id, purpose: 'password_reset' });
+      expect(stored.invalidatedReason).toBe('password_changed');
+    });
+  });
+
+  describe('email transport', () => {
+    it('should refuse to print or store account links in production', () => {
+      expect(() => createEmailTransport({ NODE_ENV: 'production' })).toThrow('Set EMAIL_HOST');
+      expect(() => createEmailTransport({ NODE_ENV: 'production', EMAIL_TRANSPORT: 'file', EMAIL_HOST: 'smtp.test' }))
+        .toThrow('sent over SMTP');
+      expect(createEmailTransport({ NODE_ENV: 'development' }).name).toBe('console');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const AppointmentService = require('../../../main/js/services/AppointmentService');
+const User = require('../../../main/js/models/User');
+const Appointment = require('../../../main/js/models/Appointment');
+
+describe('AppointmentService', () => {
+  let patientId, physiotherapistId, otherPhysioId;
+
+  const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Appointment.deleteMany({});
+
+    const physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physiotherapist',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist'
+    });
+
+    const otherPhysio = await User.create({
+      firstName: 'Other',
+      lastName: 'Physiotherapist',
+      email: 'other.physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist'
+    });
+
+    const patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient',
+      assignedProviders: [{ providerId: physiotherapist._id, role: 'physiotherapist' }]
+    });
+
+    patientId = patient._id;
+    physiotherapistId = physiotherapist._id;
+    otherPhysioId = otherPhysio._id;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('bookAppointment', () => {
+    it('should let a patient book with an assigned provider', async () => {
+      const result = await AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: hoursFromNow(24),
+        endTime: hoursFromNow(25),
+        location: { type: 'telehealth', telehealthUrl: 'https://meet.example.com/abc' }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.appointment.status).toBe('scheduled');
+      expect(result.data.appointment.providerRole).toBe('physiotherapist');
+      expect(result.data.appointment.location.type).toBe('telehealth');
+    });
+
+    it('should reject booking with an unassigned provider', async () => {
+      await expect(AppointmentService.bookAppointment(patientId, {
+        providerId: otherPhysioId,
+        startTime: hoursFromNow(24),
+        endTime: hoursFromNow(25)
+      })).rejects.toThrow('Provider is not assigned to this patient');
+    });
+
+    it('should reject overlapping appointments for the same provider', async () => {
+      await AppointmentService.bookAppointment(physiotherapistId, {
+        patientId,
+        startTime: hoursFromNow(24),
+        endTime: hoursFromNow(25)
+      });
+
+      await expect(AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: hoursFromNow(24.5),
+        endTime: hoursFromNow(25.5)
+      })).rejects.toThrow('Provider already has an appointment during this time');
+    });
+  });
+
+  describe('rescheduleAppointment', () => {
+    it('should move the appointment and keep the previous slot in history', async () => {
+      const booked = await AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: hoursFromNow(24),
+        endTime: hoursFromNow(25)
+      });
+
+      const result = await AppointmentService.rescheduleAppointment(
+        booked.data.appointment._id,
+        patientId,
+        { startTime: hoursFromNow(48), endTime: hoursFromNow(49), reason: 'Work conflict' }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.appointment.rescheduleHistory).toHaveLength(1);
+      expect(result.data.appointment.rescheduleHistory[0].reason).toBe('Work conflict');
+    });
+  });
+
+  describe('cancelAppointment', () => {
+    it('should require a cancellation reason', async () => {
+      const booked = await AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: hoursFromNow(24),
+        endTime: hoursFromNow(25)
+      });
+
+      await expect(AppointmentService.cancelAppointment(booked.data.appointment._id, patientId))
+        .rejects.toThrow('Cancellation reason is required');
+    });
+
+    it('should record who cancelled and why', async () => {
+      const booked = await AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: hoursFromNow(24),
+        endTime: hoursFromNow(25)
+      });
+
+      const result = await AppointmentService.cancelAppointment(
+        booked.data.appointment._id,
+        physiotherapistId,
+        'Clinic closed'
+      );
+
+      expect(result.data.appointment.status).toBe('cancelled');
+      expect(result.data.appointment.cancellation.reason).toBe('Clinic closed');
+      expect(result.data.appointment.cancellation.cancelledBy.toString())
+        .toBe(physiotherapistId.toString());
+    });
+  });
+
+  describe('markNoShow', () => {
+    it('should mark a past appointment as no-show and report it as missed', async () => {
+      const appointment = await Appointment.create({
+        patient: patientId,
+        provider: physiotherapistId,
+        providerRole: 'physiotherapist',
+        bookedBy: patientId,
+        startTime: hoursFromNow(-2),
+        endTime: hoursFromNow(-1)
+      });
+
+      const result = await AppointmentService.markNoShow(appointment._id, physiotherapistId);
+      expect(result.data.appointment.status).toBe('no_show');
+
+      const missed = await AppointmentService.getMissedAppointments([patientId]);
+      expect(missed).toHaveLength(1);
+    });
+
+    it('should not allow another provider to mark a no-show', async () => {
+      const appointment = await Appointment.create({
+        patient: patientId,
+        provider: physiotherapistId,
+        providerRole: 'physiotherapist',
+        bookedBy: patientId,
+        startTime: hoursFromNow(-2),
+        endTime: hoursFromNow(-1)
+      });
+
+      await expect(AppointmentService.markNoShow(appointment._id, otherPhysioId))
+        .rejects.toThrow('Only the appointment provider can mark a no-show');
+    });
+  });
+});
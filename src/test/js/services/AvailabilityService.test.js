@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const AvailabilityService = require('../../../main/js/services/AvailabilityService');
+const AppointmentService = require('../../../main/js/services/AppointmentService');
+const User = require('../../../main/js/models/User');
+const Appointment = require('../../../main/js/models/Appointment');
+const ProviderAvailability = require('../../../main/js/models/ProviderAvailability');
+const timezoneUtils = require('../../../main/js/core/scheduling/timezoneUtils');
+
+describe('AvailabilityService', () => {
+  const timezone = 'America/New_York';
+  let patientId, physiotherapistId;
+  let searchDate;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Appointment.deleteMany({});
+    await ProviderAvailability.deleteMany({});
+
+    const physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physiotherapist',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      preferences: { timezone }
+    });
+
+    const patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient',
+      assignedProviders: [{ providerId: physiotherapist._id, role: 'physiotherapist' }]
+    });
+
+    patientId = patient._id;
+    physiotherapistId = physiotherapist._id;
+
+    // A week ahead so minimum notice never interferes
+    searchDate = timezoneUtils.addDays(timezoneUtils.toLocalDateString(new Date(), timezone), 7);
+
+    await AvailabilityService.setWeeklyTemplate(physiotherapistId, {
+      weeklyTemplate: [{
+        dayOfWeek: timezoneUtils.getDayOfWeek(searchDate),
+        blocks: [{ startTime: '09:00', endTime: '11:00' }]
+      }],
+      slotDuration: 60,
+      bufferMinutes: 0
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('findAvailableSlots', () => {
+    it('should generate slots in the provider timezone', async () => {
+      const result = await AvailabilityService.findAvailableSlots(physiotherapistId, {
+        from: searchDate,
+        to: searchDate
+      });
+
+      expect(result.data.timezone).toBe(timezone);
+      expect(result.data.slots).toHaveLength(2);
+      expect(result.data.slots[0].localStartTime).toBe('09:00');
+      expect(result.data.slots[0].startTime.toISOString())
+        .toBe(timezoneUtils.zonedTimeToUtc(searchDate, '09:00', timezone).toISOString());
+    });
+
+    it('should exclude booked slots', async () => {
+      const slotStart = timezoneUtils.zonedTimeToUtc(searchDate, '09:00', timezone);
+      await AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: slotStart,
+        endTime: new Date(slotStart.getTime() + 60 * 60 * 1000)
+      });
+
+      const result = await AvailabilityService.findAvailableSlots(physiotherapistId, {
+        from: searchDate,
+        to: searchDate
+      });
+
+      expect(result.data.slots).toHaveLength(1);
+      expect(result.data.slots[0].localStartTime).toBe('10:00');
+    });
+
+    it('should return no slots on a day-off exception', async () => {
+      await AvailabilityService.setException(physiotherapistId, {
+        date: searchDate,
+        isAvailable: false,
+        reason: 'Conference'
+      });
+
+      const result = await AvailabilityService.findAvailableSlots(physiotherapistId, {
+        from: searchDate,
+        to: searchDate
+      });
+
+      expect(result.data.slots).toHaveLength(0);
+    });
+
+    it('should reject durations that are not a sensible number of minutes', async () => {
+      for (const duration of ['-30', '0', '2', '481', '30.5', 'abc', ['30', '45']]) {
+        await expect(AvailabilityService.findAvailableSlots(physiotherapistId, {
+          from: searchDate,
+          to: searchDate,
+          duration
+        })).rejects.toThrow('Duration must be a whole number of minutes');
+      }
+
+      const result = await AvailabilityService.findAvailableSlots(physiotherapistId, {
+        from: searchDate,
+        to: searchDate,
+        duration: '30'
+      });
+      expect(result.data.slots).toHaveLength(4);
+    });
+  });
+
+  describe('booking against availability', () => {
+    it('should reject bookings with unparseable times', async () => {
+      await expect(AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: 'tomorrow morning',
+        endTime: 'tomorrow noon'
+      })).rejects.toThrow('Start and end times must be valid dates');
+    });
+
+    it('should reject patient bookings outside published hours', async () => {
+      const start = timezoneUtils.zonedTimeToUtc(searchDate, '14:00', timezone);
+
+      await expect(AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: start,
+        endTime: new Date(start.getTime() + 60 * 60 * 1000)
+      })).rejects.toThrow('outside the provider\'s available hours');
+    });
+
+    it('should hold patient bookings and reschedules to the minimum notice', async () => {
+      const start = timezoneUtils.zonedTimeToUtc(searchDate, '09:00', timezone);
+      const booked = await AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: start,
+        endTime: new Date(start.getTime() + 60 * 60 * 1000)
+      });
+
+      // The next opening is now more than a week away
+      await ProviderAvailability.updateOne({ provider: physiotherapistId }, { minNoticeHours: 24 * 10 });
+
+      const laterStart = timezoneUtils.zonedTimeToUtc(searchDate, '10:00', timezone);
+      await expect(AppointmentService.rescheduleAppointment(booked.data.appointment._id, patientId, {
+        startTime: laterStart,
+        endTime: new Date(laterStart.getTime() + 60 * 60 * 1000)
+      })).rejects.toThrow('at least 240 hours in advance');
+
+      await Appointment.deleteMany({});
+      await expect(AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: start,
+        endTime: new Date(start.getTime() + 60 * 60 * 1000)
+      })).rejects.toThrow('at least 240 hours in advance');
+    });
+
+    it('should keep the buffer free around other appointments', async () => {
+      await ProviderAvailability.updateOne({ provider: physiotherapistId }, { bufferMinutes: 30 });
+
+      const start = timezoneUtils.zonedTimeToUtc(searchDate, '09:00', timezone);
+      await AppointmentService.bookAppointment(physiotherapistId, {
+        patientId,
+        startTime: start,
+        endTime: new Date(start.getTime() + 60 * 60 * 1000)
+      });
+
+      const backToBack = new Date(start.getTime() + 60 * 60 * 1000);
+      await expect(AppointmentService.bookAppointment(patientId, {
+        providerId: physiotherapistId,
+        startTime: backToBack,
+        endTime: new Date(backToBack.getTime() + 60 * 60 * 1000)
+      })).rejects.toThrow('30 minutes free between appointments');
+
+      const slots = await AvailabilityService.findAvailableSlots(physiotherapistId, { from: searchDate, to: searchDate });
+      expect(slots.data.slots).toHaveLength(0);
+    });
+
+    it('should let the provider book outside published hours', async () => {
+      const start = timezoneUtils.zonedTimeToUtc(searchDate, '14:00', timezone);
+
+      const result = await AppointmentService.bookAppointment(physiotherapistId, {
+        patientId,
+        startTime: start,
+        endTime: new Date(start.getTime() + 60 * 60 * 1000)
+      });
+
+      expect(result.success).toBe(true);
+    });
+  });
+});
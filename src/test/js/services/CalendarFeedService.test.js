@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const CalendarFeedService = require('../../../main/js/services/CalendarFeedService');
+const icalendarBuilder = require('../../../main/js/core/scheduling/icalendarBuilder');
+const User = require('../../../main/js/models/User');
+const RehabTask = require('../../../main/js/models/RehabTask');
+const Appointment = require('../../../main/js/models/Appointment');
+
+describe('CalendarFeedService', () => {
+  let patientId, physiotherapistId;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await RehabTask.deleteMany({});
+    await Appointment.deleteMany({});
+
+    const physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physiotherapist',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist'
+    });
+
+    const patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient',
+      preferences: { timezone: 'Europe/London' }
+    });
+
+    patientId = patient._id;
+    physiotherapistId = physiotherapist._id;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const tokenFromUrl = (feedUrl) => feedUrl.match(/\/api\/calendar\/([a-f0-9]+)\.ics$/)[1];
+
+  describe('feed tokens', () => {
+    it('should store only a hash of the token', async () => {
+      const result = await CalendarFeedService.generateFeedToken(patientId);
+      const token = tokenFromUrl(result.data.feedUrl);
+
+      const patient = await User.findById(patientId).select('+calendarFeed.tokenHash');
+      expect(patient.calendarFeed.tokenHash).toBeDefined();
+      expect(patient.calendarFeed.tokenHash).not.toBe(token);
+
+      const status = await CalendarFeedService.getFeedStatus(patientId);
+      expect(status.data.enabled).toBe(true);
+    });
+
+    it('should invalidate the old URL when regenerated', async () => {
+      const first = tokenFromUrl((await CalendarFeedService.generateFeedToken(patientId)).data.feedUrl);
+      const second = tokenFromUrl((await CalendarFeedService.generateFeedToken(patientId)).data.feedUrl);
+
+      await expect(CalendarFeedService.getCalendarForToken(first)).rejects.toThrow('Calendar feed not found');
+      await expect(CalendarFeedService.getCalendarForToken(second)).resolves.toContain('BEGIN:VCALENDAR');
+    });
+
+    it('should reject the URL once revoked', async () => {
+      const token = tokenFromUrl((await CalendarFeedService.generateFeedToken(patientId)).data.feedUrl);
+
+      await CalendarFeedService.revokeFeedToken(patientId);
+
+      await expect(CalendarFeedService.getCalendarForToken(token)).rejects.toThrow('Calendar feed not found');
+      expect((await CalendarFeedService.getFeedStatus(patientId)).data.enabled).toBe(false);
+    });
+  });
+
+  describe('getCalendarForToken', () => {
+    it('should include recurring tasks and appointments', async () => {
+      await RehabTask.create({
+        title: 'Heel slides',
+        description: 'Slide heel towards buttock',
+        category: 'range_of_motion',
+        assignedBy: physiotherapistId,
+        assignedTo: patientId,
+        status: 'active',
+        schedule: {
+          startDate: new Date(),
+          frequency: 'weekly',
+          customSchedule: { daysOfWeek: [1, 3, 5], specificTimes: ['08:30'] }
+        }
+      });
+
+      await Appointment.create({
+        patient: patientId,
+        provider: physiotherapistId,
+        providerRole: 'physiotherapist',
+        bookedBy: patientId,
+        startTime: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000 + 45 * 60 * 1000)
+      });
+
+      const token = tokenFromUrl((await CalendarFeedService.generateFeedToken(patientId)).data.feedUrl);
+      const calendar = await CalendarFeedService.getCalendarForToken(token);
+
+      expect(calendar).toContain('SUMMARY:Heel slides');
+      expect(calendar).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR');
+      expect(calendar).toMatch(/DTSTART;TZID=Europe\/London:\d{8}T083000/);
+      expect(calendar).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/London\r\n');
+      expect(calendar).toContain('SUMMARY:Appointment with Test Physiotherapist');
+    });
+  });
+
+  describe('icalendarBuilder.buildRecurrenceRule', () => {
+    const schedule = (overrides) => ({ startDate: new Date('2024-03-05T12:00:00Z'), ...overrides });
+
+    it('should map frequencies to RRULEs', () => {
+      expect(icalendarBuilder.buildRecurrenceRule(schedule({ frequency: 'daily' }), '2024-03-05', 'UTC'))
+        .toBe('FREQ=DAILY');
+      expect(icalendarBuilder.buildRecurrenceRule(schedule({ frequency: 'every_other_day' }), '2024-03-05', 'UTC'))
+        .toBe('FREQ=DAILY;INTERVAL=2');
+      expect(icalendarBuilder.buildRecurrenceRule(schedule({ frequency: 'bi_weekly' }), '2024-03-05', 'UTC'))
+        .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;WKST=TU');
+    });
+
+    it('should split totalSessions across daily session times', () => {
+      const rule = schedule({ frequency: 'daily', totalSessions: 5 });
+
+      expect(icalendarBuilder.buildRecurrenceRule(rule, '2024-03-05', 'UTC', { slot: 0, slotsPerDay: 2 }))
+        .toBe('FREQ=DAILY;COUNT=3');
+      expect(icalendarBuilder.buildRecurrenceRule(rule, '2024-03-05', 'UTC', { slot: 1, slotsPerDay: 2 }))
+        .toBe('FREQ=DAILY;COUNT=2');
+    });
+  });
+
+  describe('icalendarBuilder.buildTimezone', () => {
+    it('should describe yearly daylight saving changes as rules', () => {
+      const lines = icalendarBuilder.buildTimezone('America/New_York', '2024-03-05');
+
+      expect(lines[1]).toBe('TZID:America/New_York');
+      expect(lines).toEqual(expect.arrayContaining([
+        'BEGIN:DAYLIGHT',
+        'DTSTART:20230312T020000',
+        'TZOFFSETFROM:-0500',
+        'TZOFFSETTO:-0400',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+        'BEGIN:STANDARD',
+        'DTSTART:20231105T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU'
+      ]));
+    });
+
+    it('should give zones without daylight saving a single fixed offset', () => {
+      expect(icalendarBuilder.buildTimezone('Asia/Kolkata', '2024-03-05')).toEqual([
+        'BEGIN:VTIMEZONE',
+        'TZID:Asia/Kolkata',
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0530',
+        'TZOFFSETTO:+0530',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+      ]);
+    });
+  });
+
+  describe('icalendarBuilder.appointmentToEvent', () => {
+    const telehealthAppointment = (telehealthUrl) => ({
+      _id: new mongoose.Types.ObjectId(),
+      appointmentType: 'follow_up',
+      startTime: new Date('2024-06-05T10:00:00Z'),
+      endTime: new Date('2024-06-05T10:30:00Z'),
+      status: 'scheduled',
+      location: { type: 'telehealth', telehealthUrl }
+    });
+
+    it('should fold long telehealth links', () => {
+      const url = `https://meet.example.com/${'a'.repeat(80)}`;
+      const calendar = icalendarBuilder.buildCalendar({
+        name: 'Appointments',
+        timezone: 'UTC',
+        events: [icalendarBuilder.appointmentToEvent(telehealthAppointment(url))]
+      });
+
+      expect(calendar).toContain(`URL:${url.slice(0, 71)}\r\n ${url.slice(71)}\r\n`);
+    });
+
+    it('should drop links that are not plain http(s) URLs', () => {
+      ['https://meet.example.com/abc\r\nATTENDEE:mailto:someone@example.com', 'javascript:alert(1)'].forEach(url => {
+        const event = icalendarBuilder.appointmentToEvent(telehealthAppointment(url));
+        const calendar = icalendarBuilder.buildCalendar({ name: 'Appointments', timezone: 'UTC', events: [event] });
+
+        expect(event.url).toBeNull();
+        expect(calendar).not.toContain('URL:');
+        expect(calendar).not.toContain('ATTENDEE');
+      });
+    });
+
+    it('should refuse to save such links on an appointment', async () => {
+      await expect(Appointment.create({
+        patient: patientId,
+        provider: physiotherapistId,
+        providerRole: 'physiotherapist',
+        bookedBy: patientId,
+        startTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 24 * 60 * 60 * 1000 + 30 * 60 * 1000),
+        location: { type: 'telehealth', telehealthUrl: 'https://meet.example.com/abc\nATTENDEE:x' }
+      })).rejects.toThrow('Telehealth link must be an http or https URL');
+    });
+  });
+});
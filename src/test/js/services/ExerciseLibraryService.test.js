@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const ExerciseLibraryService = require('../../../main/js/services/ExerciseLibraryService');
+const User = require('../../../main/js/models/User');
+const ExerciseTemplate = require('../../../main/js/models/ExerciseTemplate');
+const RehabTask = require('../../../main/js/models/RehabTask');
+const StoredFile = require('../../../main/js/models/StoredFile');
+const FileStorageService = require('../../../main/js/services/FileStorageService');
+
+describe('ExerciseLibraryService', () => {
+  let patientId, physiotherapistId, colleagueId, outsiderId;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await ExerciseTemplate.deleteMany({});
+    await RehabTask.deleteMany({});
+    await StoredFile.deleteMany({});
+
+    const physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physiotherapist',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      professionalInfo: { institution: 'Riverside Clinic' }
+    });
+
+    const colleague = await User.create({
+      firstName: 'Test',
+      lastName: 'Colleague',
+      email: 'colleague@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      professionalInfo: { institution: 'Riverside Clinic' }
+    });
+
+    const outsider = await User.create({
+      firstName: 'Test',
+      lastName: 'Outsider',
+      email: 'outsider@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      professionalInfo: { institution: 'Hilltop Clinic' }
+    });
+
+    const patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient',
+      assignedProviders: [{ providerId: physiotherapist._id, role: 'physiotherapist' }]
+    });
+
+    patientId = patient._id;
+    physiotherapistId = physiotherapist._id;
+    colleagueId = colleague._id;
+    outsiderId = outsider._id;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTemplate = (scope = 'clinic') => ExerciseLibraryService.createTemplate(physiotherapistId, {
+    title: 'Straight leg raise',
+    description: 'Quadriceps activation in supine',
+    category: 'strength_training',
+    bodyParts: ['Knee'],
+    scope,
+    instructions: [{ step: 1, instruction: 'Lift the straight leg to the height of the bent knee' }],
+    parameters: {
+      repetitions: { sets: 3, reps: 10 },
+      intensity: 'low',
+      precautions: ['Stop if knee pain exceeds 4/10']
+    },
+    defaultGoals: [{ description: 'Complete 3x10 without lag', targetValue: 30, targetUnit: 'reps' }],
+    defaultSchedule: { frequency: 'daily', durationWeeks: 4 }
+  });
+
+  describe('searchTemplates', () => {
+    it('should share clinic templates with colleagues at the same institution', async () => {
+      await createTemplate('clinic');
+
+      const colleague = await ExerciseLibraryService.searchTemplates(colleagueId, { bodyPart: 'knee' });
+      const outsider = await ExerciseLibraryService.searchTemplates(outsiderId, {});
+
+      expect(colleague.data.templates).toHaveLength(1);
+      expect(outsider.data.templates).toHaveLength(0);
+    });
+
+    it('should keep personal templates private to their owner', async () => {
+      await createTemplate('personal');
+
+      const owner = await ExerciseLibraryService.searchTemplates(physiotherapistId, { category: 'strength_training' });
+      const colleague = await ExerciseLibraryService.searchTemplates(colleagueId, {});
+
+      expect(owner.data.templates).toHaveLength(1);
+      expect(colleague.data.templates).toHaveLength(0);
+    });
+
+    it('should match any of several body parts from a repeated query parameter', async () => {
+      await createTemplate('clinic');
+
+      const both = await ExerciseLibraryService.searchTemplates(colleagueId, { bodyPart: ['Shoulder', 'knee '] });
+      const neither = await ExerciseLibraryService.searchTemplates(colleagueId, { bodyPart: ['shoulder', 'hip'] });
+
+      expect(both.data.templates).toHaveLength(1);
+      expect(neither.data.templates).toHaveLength(0);
+    });
+  });
+
+  describe('updateTemplate', () => {
+    it('should only let the owner edit a template', async () => {
+      const created = await createTemplate('clinic');
+
+      await expect(ExerciseLibraryService.updateTemplate(
+        created.data.template._id,
+        colleagueId,
+        { title: 'Renamed' }
+      )).rejects.toThrow('Only the template owner can modify this template');
+    });
+  });
+
+  describe('createTaskFromTemplate', () => {
+    it('should create a draft task with dosage overrides', async () => {
+      const created = await createTemplate('clinic');
+      const startDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      const result = await ExerciseLibraryService.createTaskFromTemplate(
+        created.data.template._id,
+        physiotherapistId,
+        {
+          assignedTo: patientId,
+          schedule: { startDate },
+          parameters: { repetitions: { reps: 15 } }
+        }
+      );
+
+      const task = result.data.task;
+      expect(task.status).toBe('draft');
+      expect(task.title).toBe('Straight leg raise');
+      expect(task.parameters.repetitions.sets).toBe(3);
+      expect(task.parameters.repetitions.reps).toBe(15);
+      expect(task.parameters.precautions).toContain('Stop if knee pain exceeds 4/10');
+      expect(task.goals[0].description).toBe('Complete 3x10 without lag');
+      expect(Math.round((new Date(task.schedule.endDate) - startDate) / (24 * 60 * 60 * 1000))).toBe(28);
+      expect(task.sourceTemplate.toString()).toBe(created.data.template._id.toString());
+
+      const template = await ExerciseTemplate.findById(created.data.template._id);
+      expect(template.usageCount).toBe(1);
+    });
+
+    it('should keep the template dosage when parameters are null', async () => {
+      const created = await createTemplate('clinic');
+
+      const result = await ExerciseLibraryService.createTaskFromTemplate(
+        created.data.template._id,
+        physiotherapistId,
+        {
+          assignedTo: patientId,
+          schedule: { startDate: new Date(Date.now() + 24 * 60 * 60 * 1000) },
+          parameters: null
+        }
+      );
+
+      expect(result.data.task.parameters.repetitions.sets).toBe(3);
+      expect(result.data.task.parameters.repetitions.reps).toBe(10);
+    });
+
+    it('should let every patient given the template play its uploaded demo video', async () => {
+      const video = await StoredFile.create({
+        purpose: 'exercise_resource',
+        clinic: 'Riverside Clinic',
+        uploadedBy: physiotherapistId,
+        originalName: 'slr.mp4',
+        mimeType: 'video/mp4',
+        category: 'video',
+        size: 2048,
+        storage: { backend: 'memory', key: `exercise/${physiotherapistId}/slr.mp4` },
+        scan: { status: 'skipped' }
+      });
+      const resources = [{ type: 'video', file: video._id }];
+
+      await expect(ExerciseLibraryService.createTemplate(outsiderId, {
+        title: 'Borrowed video',
+        description: 'Not from this clinic',
+        category: 'strength_training',
+        resources
+      })).rejects.toThrow('Exercise resource file not found');
+
+      const created = await ExerciseLibraryService.createTemplate(colleagueId, {
+        title: 'Straight leg raise',
+        description: 'With demo',
+        category: 'strength_training',
+        scope: 'clinic',
+        defaultSchedule: { frequency: 'daily', durationWeeks: 4 },
+        resources
+      });
+
+      const secondPatient = await User.create({
+        firstName: 'Second',
+        lastName: 'Patient',
+        email: 'second.patient@test.com',
+        password: 'password123',
+        role: 'patient',
+        assignedProviders: [{ providerId: physiotherapistId, role: 'physiotherapist' }]
+      });
+      const unrelatedPatient = await User.create({
+        firstName: 'Unrelated',
+        lastName: 'Patient',
+        email: 'unrelated.patient@test.com',
+        password: 'password123',
+        role: 'patient'
+      });
+
+      for (const assignedTo of [patientId, secondPatient._id]) {
+        await ExerciseLibraryService.createTaskFromTemplate(created.data.template._id, physiotherapistId, {
+          assignedTo,
+          schedule: { startDate: new Date(Date.now() + 24 * 60 * 60 * 1000) }
+        });
+      }
+
+      const signed = await FileStorageService.getDownloadUrl(video._id, secondPatient._id);
+      expect(signed.data.url).toContain(`/api/files/${video._id}/download`);
+      await expect(FileStorageService.getDownloadUrl(video._id, unrelatedPatient._id))
+        .rejects.toThrow('Access denied');
+    });
+  });
+});
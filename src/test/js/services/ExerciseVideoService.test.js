@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const ExerciseVideoService = require('../../../main/js/services/ExerciseVideoService');
+const PhysiotherapistWorkflowService = require('../../../main/js/services/PhysiotherapistWorkflowService');
+const RehabTask = require('../../../main/js/models/RehabTask');
+const StoredFile = require('../../../main/js/models/StoredFile');
+const VideoPlayback = require('../../../main/js/models/VideoPlayback');
+const User = require('../../../main/js/models/User');
+
+describe('ExerciseVideoService', () => {
+  let patient, physiotherapist, task, video;
+
+  const createTask = (resources) => RehabTask.create({
+    title: 'Quad sets',
+    description: 'Isometric quadriceps contractions',
+    category: 'strength_training',
+    assignedBy: physiotherapist._id,
+    assignedTo: patient._id,
+    status: 'active',
+    schedule: { startDate: new Date(), frequency: 'daily' },
+    instructions: [
+      { step: 1, instruction: 'Sit with your leg straight' },
+      { step: 2, instruction: 'Tighten the thigh and hold for 5 seconds' }
+    ],
+    resources
+  });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await VideoPlayback.init(); // unique patient/resource index
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await RehabTask.deleteMany({});
+    await StoredFile.deleteMany({});
+    await VideoPlayback.deleteMany({});
+
+    patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient'
+    });
+
+    physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physio',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      assignedPatients: [patient._id]
+    });
+
+    await User.updateOne({ _id: patient._id }, {
+      assignedProviders: [{ providerId: physiotherapist._id, role: 'physiotherapist' }]
+    });
+
+    task = await createTask([{
+      title: 'Quad sets demo',
+      type: 'video',
+      url: 'https://videos.example.com/quad-sets.mp4',
+      durationSeconds: 100,
+      chapters: [
+        { step: 1, title: 'Set up', startSeconds: 0, endSeconds: 40 },
+        { step: 2, title: 'Contraction', startSeconds: 40 }
+      ]
+    }]);
+    video = task.resources[0];
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('RehabTask video chapters', () => {
+    it('should reject chapters for missing steps or on non-video resources', async () => {
+      await expect(createTask([{
+        type: 'video',
+        url: 'https://videos.example.com/demo.mp4',
+        chapters: [{ step: 7, startSeconds: 0 }]
+      }])).rejects.toThrow('instruction step 7');
+
+      await expect(createTask([{
+        type: 'pdf',
+        url: 'https://docs.example.com/handout.pdf',
+        chapters: [{ step: 1, startSeconds: 0 }]
+      }])).rejects.toThrow('Only video resources can have chapters');
+    });
+  });
+
+  describe('prepareResources', () => {
+    const storeVideo = (fields) => StoredFile.create({
+      uploadedBy: physiotherapist._id,
+      originalName: 'bridge.mp4',
+      mimeType: 'video/mp4',
+      category: 'video',
+      size: 2048,
+      storage: { backend: 'memory', key: `exercise/${physiotherapist._id}/bridge.mp4` },
+      scan: { status: 'skipped' },
+      ...fields
+    });
+
+    it('should only attach exercise resources uploaded by the therapist or their clinic', async () => {
+      const file = await storeVideo({ purpose: 'exercise_resource' });
+
+      const [resource] = await ExerciseVideoService.prepareResources([{ type: 'video', file: file._id }], physiotherapist._id);
+      expect(resource.url).toBeUndefined(); // played through a signed URL
+      expect(resource.title).toBe('bridge.mp4');
+
+      const withVideo = await createTask([resource]);
+      expect(withVideo.resources[0].file.toString()).toBe(file._id.toString());
+
+      await expect(ExerciseVideoService.prepareResources([{ type: 'image', file: file._id }], physiotherapist._id))
+        .rejects.toThrow('cannot use a video file');
+      await expect(ExerciseVideoService.prepareResources([{ type: 'video', file: file._id }], patient._id))
+        .rejects.toThrow('Exercise resource file not found');
+    });
+
+    it('should refuse patient attachments as task resources', async () => {
+      const file = await storeVideo({ patient: patient._id });
+
+      await expect(ExerciseVideoService.prepareResources([{ type: 'video', file: file._id }], physiotherapist._id))
+        .rejects.toThrow('Exercise resource file not found');
+    });
+  });
+
+  describe('recordPlayback', () => {
+    it('should keep the furthest point watched and the chapters reached', async () => {
+      await ExerciseVideoService.recordPlayback(patient._id, task._id, video._id, { event: 'started', positionSeconds: 0 });
+      await ExerciseVideoService.recordPlayback(patient._id, task._id, video._id, { event: 'progress', positionSeconds: 55 });
+      const result = await ExerciseVideoService.recordPlayback(patient._id, task._id, video._id, { event: 'progress', positionSeconds: 20 });
+
+      const playback = result.data.playback;
+      expect(playback.playCount).toBe(1);
+      expect(playback.maxPercentWatched).toBe(55);
+      expect(playback.completed).toBe(false);
+      expect(playback.chaptersViewed.sort()).toEqual([1, 2]);
+      expect(playback.events).toHaveLength(3);
+
+      const finished = await ExerciseVideoService.recordPlayback(patient._id, task._id, video._id, { event: 'completed', positionSeconds: 100 });
+      expect(finished.data.playback.completed).toBe(true);
+    });
+
+    it('should only accept videos on the patient\'s own tasks', async () => {
+      await expect(ExerciseVideoService.recordPlayback(physiotherapist._id, task._id, video._id, { event: 'started' }))
+        .rejects.toThrow('Task not found');
+      await expect(ExerciseVideoService.recordPlayback(patient._id, task._id, video._id, { event: 'paused' }))
+        .rejects.toThrow('Playback event must be one of');
+    });
+  });
+
+  describe('getPatientManagementDetails', () => {
+    it('should report video engagement for the patient\'s tasks', async () => {
+      await ExerciseVideoService.recordPlayback(patient._id, task._id, video._id, { event: 'started', positionSeconds: 0 });
+
+      const result = await PhysiotherapistWorkflowService.getPatientManagementDetails(physiotherapist._id, patient._id);
+      const { videoEngagement } = result.data;
+
+      expect(videoEngagement.summary).toEqual({ total: 1, started: 1, completed: 0, notStarted: 0 });
+      expect(videoEngagement.videos[0].resource.title).toBe('Quad sets demo');
+      expect(videoEngagement.videos[0].playCount).toBe(1);
+    });
+  });
+});
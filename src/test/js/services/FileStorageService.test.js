@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const FileStorageService = require('../../../main/js/services/FileStorageService');
+const StoredFile = require('../../../main/js/models/StoredFile');
+const RehabTask = require('../../../main/js/models/RehabTask');
+const User = require('../../../main/js/models/User');
+const { MemoryStorage } = require('../../../main/js/core/storage/storageBackends');
+const { NoopScanner } = require('../../../main/js/core/storage/virusScanners');
+
+// Smallest buffers whose leading bytes identify the type
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(32)]);
+const PDF = Buffer.from('%PDF-1.4\n%test document\n');
+const EXECUTABLE = Buffer.from('MZ\x90\x00\x03\x00\x00\x00');
+
+const toUpload = (buffer, mimetype, originalname) => ({ buffer, mimetype, originalname, size: buffer.length });
+
+describe('FileStorageService', () => {
+  let patient, physiotherapist, otherPhysiotherapist;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await StoredFile.deleteMany({});
+    await RehabTask.deleteMany({});
+
+    FileStorageService.storage = new MemoryStorage();
+    FileStorageService.scanner = new NoopScanner();
+    FileStorageService.thumbnailer = {
+      name: 'test',
+      create: jest.fn().mockResolvedValue({ buffer: Buffer.from('thumb'), mimeType: 'image/webp', width: 32, height: 32 })
+    };
+
+    patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient'
+    });
+
+    physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physio',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      assignedPatients: [patient._id]
+    });
+
+    otherPhysiotherapist = await User.create({
+      firstName: 'Other',
+      lastName: 'Physio',
+      email: 'other.physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist'
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('uploadFile', () => {
+    it('should store a patient upload with a thumbnail and hide storage keys', async () => {
+      const result = await FileStorageService.uploadFile(patient._id, toUpload(PNG, 'image/png', '../../knee.png'));
+      const file = result.data.file;
+
+      expect(file.patient.toString()).toBe(patient._id.toString());
+      expect(file.category).toBe('image');
+      expect(file.originalName).toBe('knee.png');
+      expect(file.scan.status).toBe('skipped');
+      expect(file.hasThumbnail).toBe(true);
+      expect(await FileStorageService.storage.get(file.storage.key)).toEqual(PNG);
+
+      const json = file.toJSON();
+      expect(json.storage).toBeUndefined();
+      expect(json.thumbnail.key).toBeUndefined();
+    });
+
+    it('should reject unknown content and content that does not match its declared type', async () => {
+      await expect(FileStorageService.uploadFile(patient._id, toUpload(EXECUTABLE, 'image/png', 'photo.png')))
+        .rejects.toThrow('File type must be one of');
+      await expect(FileStorageService.uploadFile(patient._id, toUpload(PDF, 'image/png', 'photo.png')))
+        .rejects.toThrow('does not match its declared type');
+    });
+
+    it('should reject infected files without storing them', async () => {
+      FileStorageService.scanner = { name: 'test', scan: jest.fn().mockResolvedValue({ clean: false, threat: 'Eicar-Test-Signature' }) };
+
+      await expect(FileStorageService.uploadFile(patient._id, toUpload(PDF, 'application/pdf', 'report.pdf')))
+        .rejects.toThrow('rejected by the virus scanner');
+      expect(FileStorageService.storage.objects.size).toBe(0);
+      expect(await StoredFile.countDocuments()).toBe(0);
+    });
+
+    it('should only let assigned providers upload for a patient', async () => {
+      const upload = toUpload(PDF, 'application/pdf', 'report.pdf');
+
+      await expect(FileStorageService.uploadFile(otherPhysiotherapist._id, upload, { patientId: patient._id }))
+        .rejects.toThrow('Access denied');
+
+      const result = await FileStorageService.uploadFile(physiotherapist._id, upload, { patientId: patient._id });
+      expect(result.data.file.uploadedBy.toString()).toBe(physiotherapist._id.toString());
+    });
+
+    it('should share exercise resources only through the tasks that use them', async () => {
+      const upload = toUpload(PDF, 'application/pdf', 'handout.pdf');
+
+      await expect(FileStorageService.uploadFile(patient._id, upload, { purpose: 'exercise_resource' }))
+        .rejects.toThrow('only providers can upload exercise resources');
+
+      const result = await FileStorageService.uploadFile(physiotherapist._id, upload, { purpose: 'exercise_resource' });
+      const file = result.data.file;
+      expect(file.purpose).toBe('exercise_resource');
+      expect(file.patient).toBeUndefined();
+
+      await expect(FileStorageService.getDownloadUrl(file._id, patient._id)).rejects.toThrow('Access denied');
+      await expect(FileStorageService.getDownloadUrl(file._id, otherPhysiotherapist._id)).rejects.toThrow('Access denied');
+
+      await RehabTask.create({
+        title: 'Heel slides',
+        description: 'Knee flexion range of motion',
+        category: 'range_of_motion',
+        assignedBy: physiotherapist._id,
+        assignedTo: patient._id,
+        schedule: { startDate: new Date(), frequency: 'daily' },
+        resources: [{ type: 'pdf', file: file._id }]
+      });
+
+      const signed = await FileStorageService.getDownloadUrl(file._id, patient._id);
+      expect(signed.data.url).toContain(`/api/files/${file._id}/download`);
+      await expect(FileStorageService.getDownloadUrl(file._id, otherPhysiotherapist._id)).rejects.toThrow('Access denied');
+    });
+  });
+
+  describe('signed download URLs', () => {
+    let fileId;
+
+    beforeEach(async () => {
+      const result = await FileStorageService.uploadFile(patient._id, toUpload(PNG, 'image/png', 'knee.png'));
+      fileId = result.data.file._id.toString();
+    });
+
+    const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+    it('should serve the file and thumbnail for a valid signature', async () => {
+      const { data } = await FileStorageService.getDownloadUrl(fileId, physiotherapist._id);
+      const download = await FileStorageService.openSignedDownload(fileId, queryOf(data.url));
+      expect(download.buffer).toEqual(PNG);
+      expect(download.mimeType).toBe('image/png');
+
+      const thumbnail = await FileStorageService.getDownloadUrl(fileId, patient._id, { variant: 'thumbnail' });
+      const preview = await FileStorageService.openSignedDownload(fileId, queryOf(thumbnail.data.url));
+      expect(preview.mimeType).toBe('image/webp');
+    });
+
+    it('should reject tampered and expired links', async () => {
+      const { data } = await FileStorageService.getDownloadUrl(fileId, physiotherapist._id);
+
+      await expect(FileStorageService.openSignedDownload(fileId, { ...queryOf(data.url), user: otherPhysiotherapist._id.toString() }))
+        .rejects.toThrow('Invalid download link');
+
+      FileStorageService.urlTtlSeconds = -1;
+      const expired = await FileStorageService.getDownloadUrl(fileId, physiotherapist._id);
+      FileStorageService.urlTtlSeconds = 300;
+
+      await expect(FileStorageService.openSignedDownload(fileId, queryOf(expired.data.url)))
+        .rejects.toThrow('Download link has expired');
+    });
+
+    it('should stop working once the provider is no longer assigned', async () => {
+      await expect(FileStorageService.getDownloadUrl(fileId, otherPhysiotherapist._id))
+        .rejects.toThrow('Access denied');
+
+      const { data } = await FileStorageService.getDownloadUrl(fileId, physiotherapist._id);
+      await User.updateOne({ _id: physiotherapist._id }, { $pull: { assignedPatients: patient._id } });
+
+      await expect(FileStorageService.openSignedDownload(fileId, queryOf(data.url)))
+        .rejects.toThrow('Access denied');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const FormCheckService = require('../../../main/js/services/FormCheckService');
+const ProgressService = require('../../../main/js/services/ProgressService');
+const Progress = require('../../../main/js/models/Progress');
+const RehabTask = require('../../../main/js/models/RehabTask');
+const StoredFile = require('../../../main/js/models/StoredFile');
+const User = require('../../../main/js/models/User');
+
+describe('FormCheckService', () => {
+  let patient, physiotherapist, otherPhysiotherapist, task, progress, clip;
+  let notifications;
+
+  const createClip = (overrides = {}) => StoredFile.create({
+    patient: patient._id,
+    uploadedBy: patient._id,
+    originalName: 'squat.mp4',
+    mimeType: 'video/mp4',
+    category: 'video',
+    size: 4096,
+    storage: { backend: 'memory', key: `${patient._id}/squat.mp4` },
+    scan: { status: 'skipped' },
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await RehabTask.deleteMany({});
+    await Progress.deleteMany({});
+    await StoredFile.deleteMany({});
+
+    notifications = [];
+    FormCheckService.setNotificationService({
+      createNotification: async (notification) => notifications.push(notification)
+    });
+
+    patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient'
+    });
+
+    physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physio',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      assignedPatients: [patient._id]
+    });
+
+    otherPhysiotherapist = await User.create({
+      firstName: 'Other',
+      lastName: 'Physio',
+      email: 'other.physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist'
+    });
+
+    await User.updateOne({ _id: patient._id }, {
+      assignedProviders: [{ providerId: physiotherapist._id, role: 'physiotherapist' }]
+    });
+
+    task = await RehabTask.create({
+      title: 'Wall squats',
+      description: 'Slide down the wall to a comfortable depth',
+      category: 'strength_training',
+      assignedBy: physiotherapist._id,
+      assignedTo: patient._id,
+      status: 'active',
+      schedule: { startDate: new Date(), frequency: 'daily' }
+    });
+
+    progress = await Progress.create({
+      patient: patient._id,
+      rehabTask: task._id,
+      recordedBy: patient._id,
+      sessionDuration: { planned: 20, actual: 20 },
+      completionStatus: 'completed',
+      performance: { effortLevel: 5, difficultyLevel: 5 },
+      assessments: {
+        painBefore: 2,
+        painDuring: 3,
+        painAfter: 2,
+        mobilityBefore: 5,
+        mobilityAfter: 6,
+        energyBefore: 6,
+        energyAfter: 5
+      },
+      sessionContext: { location: 'home', supervision: 'independent' }
+    });
+
+    clip = await createClip();
+  });
+
+  afterAll(async () => {
+    FormCheckService.setNotificationService(null);
+    await mongoose.connection.close();
+  });
+
+  describe('requestFormCheck', () => {
+    it('should attach the clip and queue it for the assigning physiotherapist', async () => {
+      const result = await FormCheckService.requestFormCheck(patient._id, progress._id, {
+        fileId: clip._id,
+        question: 'Are my knees too far forward?',
+        durationSeconds: 45
+      });
+
+      const { formCheck, attachments } = result.data.progress;
+      expect(formCheck.status).toBe('pending');
+      expect(formCheck.reviewer.toString()).toBe(physiotherapist._id.toString());
+      expect(attachments).toHaveLength(1);
+      expect(attachments[0].url).toBe(`/api/files/${clip._id}`);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].recipient.toString()).toBe(physiotherapist._id.toString());
+      expect(notifications[0].message).toContain('Wall squats');
+
+      await expect(FormCheckService.requestFormCheck(patient._id, progress._id, { fileId: clip._id }))
+        .rejects.toThrow('already has a form check waiting');
+    });
+
+    it('should only accept short video clips belonging to the patient', async () => {
+      const image = await createClip({ originalName: 'knee.png', mimeType: 'image/png', category: 'image' });
+      const othersClip = await createClip({ patient: physiotherapist._id });
+
+      await expect(FormCheckService.requestFormCheck(patient._id, progress._id, { fileId: image._id }))
+        .rejects.toThrow('needs a video file');
+      await expect(FormCheckService.requestFormCheck(patient._id, progress._id, { fileId: othersClip._id }))
+        .rejects.toThrow('Video file not found');
+      await expect(FormCheckService.requestFormCheck(patient._id, progress._id, { fileId: clip._id, durationSeconds: 600 }))
+        .rejects.toThrow('cannot be longer than 120 seconds');
+    });
+  });
+
+  describe('reviewFormCheck', () => {
+    beforeEach(async () => {
+      await FormCheckService.requestFormCheck(patient._id, progress._id, { fileId: clip._id, durationSeconds: 45 });
+      notifications = [];
+    });
+
+    it('should rate the session, validate it and notify the patient', async () => {
+      const queue = await FormCheckService.getReviewQueue(physiotherapist._id);
+      expect(queue.data.count).toBe(1);
+
+      const result = await FormCheckService.reviewFormCheck(physiotherapist._id, progress._id, {
+        formQuality: 'fair',
+        summary: 'Good depth, watch your knees',
+        annotations: [
+          { timestampSeconds: 30, comment: 'Nice controlled descent', type: 'praise' },
+          { timestampSeconds: 12, comment: 'Knees drifting inwards', type: 'correction' }
+        ]
+      });
+
+      const reviewed = result.data.progress;
+      expect(reviewed.performance.formQuality).toBe('fair');
+      expect(reviewed.validated.byTherapist).toBe(true);
+      expect(reviewed.validated.validatedBy.toString()).toBe(physiotherapist._id.toString());
+      expect(reviewed.formCheck.status).toBe('reviewed');
+      expect(reviewed.formCheck.annotations.map(a => a.timestampSeconds)).toEqual([12, 30]);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].recipient.toString()).toBe(patient._id.toString());
+      expect(notifications[0].message).toContain('fair with 1 correction');
+
+      const remaining = await FormCheckService.getReviewQueue(physiotherapist._id);
+      expect(remaining.data.count).toBe(0);
+    });
+
+    it('should reject reviews from unassigned therapists and invalid annotations', async () => {
+      await expect(FormCheckService.reviewFormCheck(otherPhysiotherapist._id, progress._id, { formQuality: 'good' }))
+        .rejects.toThrow('Access denied');
+      await expect(FormCheckService.reviewFormCheck(physiotherapist._id, progress._id, { formQuality: 'perfect' }))
+        .rejects.toThrow('Form quality must be one of');
+      await expect(FormCheckService.reviewFormCheck(physiotherapist._id, progress._id, {
+        formQuality: 'good',
+        annotations: [{ timestampSeconds: 90, comment: 'After the clip ends' }]
+      })).rejects.toThrow('past the end of the clip');
+    });
+
+    it('should not let the patient overwrite the review through a progress update', async () => {
+      await ProgressService.updateProgress(progress._id, patient._id, {
+        formCheck: { status: 'reviewed', formQuality: 'excellent' },
+        validated: { byTherapist: true }
+      });
+
+      const stored = await Progress.findById(progress._id);
+      expect(stored.formCheck.status).toBe('pending');
+      expect(stored.validated.byTherapist).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const JobService = require('../../../main/js/services/JobService');
+const Job = require('../../../main/js/models/Job');
+const { JobQueue } = require('../../../main/js/core/jobs/jobQueue');
+
+describe('JobService', () => {
+  let queue;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await Job.init(); // unique index on uniqueKey
+  });
+
+  beforeEach(async () => {
+    await Job.deleteMany({});
+    queue = new JobQueue({ jobs: Job, workerId: 'worker-a' });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('JobQueue', () => {
+    it('should run due jobs and record the result', async () => {
+      queue.register('test.echo', async (payload) => ({ echoed: payload.value }));
+      await queue.enqueue('test.echo', { value: 42 });
+
+      const processed = await queue.processDue();
+
+      const job = await Job.findOne({ name: 'test.echo' });
+      expect(processed).toBe(1);
+      expect(job.status).toBe('completed');
+      expect(job.result).toEqual({ echoed: 42 });
+      expect(job.lockedBy).toBeUndefined();
+      expect(job.expiresAt).toBeDefined();
+    });
+
+    it('should not run jobs before their runAt', async () => {
+      queue.register('test.later', async () => ({}));
+      await queue.enqueue('test.later', {}, { runAt: new Date(Date.now() + 60 * 1000) });
+
+      expect(await queue.processDue()).toBe(0);
+    });
+
+    it('should let only one worker claim a job', async () => {
+      const other = new JobQueue({ jobs: Job, workerId: 'worker-b' });
+      [queue, other].forEach(q => q.register('test.once', async () => ({})));
+      await queue.enqueue('test.once');
+
+      const [first, second] = await Promise.all([queue.claimNext(), other.claimNext()]);
+
+      expect([first, second].filter(Boolean)).toHaveLength(1);
+    });
+
+    it('should reclaim a job whose lease expired', async () => {
+      queue.register('test.crashed', async () => ({ recovered: true }));
+      await Job.create({
+        name: 'test.crashed',
+        status: 'running',
+        attempts: 1,
+        lockedBy: 'worker-gone',
+        lockedUntil: new Date(Date.now() - 1000)
+      });
+
+      await queue.processDue();
+
+      const job = await Job.findOne({ name: 'test.crashed' });
+      expect(job.status).toBe('completed');
+      expect(job.attempts).toBe(2);
+    });
+
+    it('should retry failures with backoff and move exhausted jobs to the dead-letter list', async () => {
+      queue.register('test.failing', async () => {
+        throw new Error('Provider unavailable');
+      }, { maxAttempts: 2 });
+      await queue.enqueue('test.failing');
+
+      await queue.processDue();
+      let job = await Job.findOne({ name: 'test.failing' });
+      expect(job.status).toBe('queued');
+      expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+      expect(job.lastError).toBe('Provider unavailable');
+
+      await Job.updateOne({ _id: job._id }, { runAt: new Date() });
+      await queue.processDue();
+      job = await Job.findOne({ name: 'test.failing' });
+      expect(job.status).toBe('dead');
+      expect(job.failures).toHaveLength(2);
+      expect(job.expiresAt).toBeUndefined();
+    });
+
+    it('should queue each recurring slot once across instances', async () => {
+      const other = new JobQueue({ jobs: Job, workerId: 'worker-b' });
+      [queue, other].forEach(q => {
+        q.register('test.recurring', async () => ({}));
+        q.schedule('test.recurring', { everyMinutes: 15 });
+      });
+
+      const now = new Date('2024-06-05T10:22:00Z');
+      await Promise.all([queue.enqueueRecurring(now), other.enqueueRecurring(now)]);
+
+      const jobs = await Job.find({ name: 'test.recurring' });
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0].runAt.toISOString()).toBe('2024-06-05T10:15:00.000Z');
+    });
+
+    it('should cancel queued jobs by unique key', async () => {
+      queue.register('test.scheduled', async () => ({}));
+      await queue.enqueue('test.scheduled', {}, { uniqueKey: 'notification:1', runAt: new Date(Date.now() + 60 * 1000) });
+
+      expect(await queue.cancel('notification:1')).toBe(true);
+      expect((await Job.findOne({ uniqueKey: 'notification:1' })).status).toBe('cancelled');
+    });
+  });
+
+  describe('admin view', () => {
+    beforeEach(async () => {
+      await Job.create([
+        { name: 'notifications.taskReminders', status: 'completed', attempts: 1, durationMs: 20 },
+        { name: 'notifications.taskReminders', status: 'queued' },
+        { name: 'notifications.cleanup', status: 'dead', attempts: 5, lastError: 'Timed out' }
+      ]);
+    });
+
+    it('should list jobs by status', async () => {
+      const result = await JobService.listJobs({ status: 'queued' });
+
+      expect(result.data.jobs).toHaveLength(1);
+      expect(result.data.pagination.total).toBe(1);
+
+      await expect(JobService.listJobs({ status: 'exploded' })).rejects.toThrow('Status must be one of');
+    });
+
+    it('should list the dead-letter jobs and requeue them', async () => {
+      const deadLetters = await JobService.getDeadLetters();
+      expect(deadLetters.data.jobs).toHaveLength(1);
+
+      const result = await JobService.retryJob(deadLetters.data.jobs[0]._id);
+      expect(result.data.job.status).toBe('queued');
+      expect(result.data.job.attempts).toBe(0);
+
+      const completed = await Job.findOne({ status: 'completed' });
+      await expect(JobService.retryJob(completed._id)).rejects.toThrow('Only dead or cancelled jobs can be retried');
+    });
+
+    it('should summarise job runs by name', async () => {
+      const result = await JobService.getStatistics();
+      const { jobs } = result.data;
+
+      expect(jobs['notifications.taskReminders'].counts.completed).toBe(1);
+      expect(jobs['notifications.taskReminders'].counts.queued).toBe(1);
+      expect(jobs['notifications.taskReminders'].lastRun.status).toBe('completed');
+      expect(jobs['notifications.cleanup'].lastRun.lastError).toBe('Timed out');
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const AuthService = require('../../../main/js/services/AuthService');
+const LoginProtectionService = require('../../../main/js/services/LoginProtectionService');
+const {
+  createLoginThrottlePolicy,
+  getDelaySeconds,
+  getLockDurationMs,
+  checkAttempt
+} = require('../../../main/js/core/auth/loginThrottle');
+const LoginThrottle = require('../../../main/js/models/LoginThrottle');
+const Session = require('../../../main/js/models/Session');
+const User = require('../../../main/js/models/User');
+
+describe('LoginProtectionService', () => {
+  const password = 'Str0ng!Passw0rd';
+  const context = { ipAddress: '203.0.113.7' };
+  let notifications;
+  let patient;
+  let physio;
+  let doctor;
+
+  // Fail a login, then move the failures back past the progressive delay
+  const failLogin = async (email, ipContext = context) => {
+    await expect(AuthService.login(email, 'wrong-password', ipContext)).rejects.toThrow();
+    await LoginThrottle.updateMany({}, { $set: { lastFailureAt: new Date(Date.now() - 61 * 1000) } });
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginThrottle.deleteMany({});
+
+    notifications = [];
+    LoginProtectionService.setNotificationService({
+      createNotification: async (notification) => notifications.push(notification)
+    });
+
+    physio = await User.create({
+      firstName: 'Test',
+      lastName: 'Physio',
+      email: 'physio@test.com',
+      password,
+      role: 'physiotherapist'
+    });
+
+    doctor = await User.create({
+      firstName: 'Test',
+      lastName: 'Doctor',
+      email: 'doctor@test.com',
+      password,
+      role: 'doctor'
+    });
+
+    patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password,
+      role: 'patient',
+      assignedProviders: [{ providerId: physio._id, role: 'physiotherapist' }]
+    });
+    await User.updateOne({ _id: physio._id }, { assignedPatients: [patient._id] });
+  });
+
+  afterAll(async () => {
+    LoginProtectionService.setNotificationService(null);
+    await mongoose.connection.close();
+  });
+
+  describe('policy', () => {
+    const policy = createLoginThrottlePolicy({});
+
+    it('should double the delay after the threshold, up to a minute', () => {
+      expect(getDelaySeconds(2, policy.account)).toBe(0);
+      expect(getDelaySeconds(3, policy.account)).toBe(1);
+      expect(getDelaySeconds(5, policy.account)).toBe(4);
+      expect(getDelaySeconds(9, policy.account)).toBe(60);
+    });
+
+    it('should double repeat lockouts, up to a day', () => {
+      expect(getLockDurationMs(1, policy.account)).toBe(15 * 60 * 1000);
+      expect(getLockDurationMs(2, policy.account)).toBe(30 * 60 * 1000);
+      expect(getLockDurationMs(10, policy.account)).toBe(24 * 60 * 60 * 1000);
+    });
+
+    it('should forget failures outside the window', () => {
+      const now = Date.now();
+      const record = { failures: 9, lastFailureAt: new Date(now - 16 * 60 * 1000) };
+      expect(checkAttempt(record, policy.account, policy, now).allowed).toBe(true);
+
+      const locked = { failures: 0, lockedUntil: new Date(now + 30 * 1000) };
+      expect(checkAttempt(locked, policy.account, policy, now)).toMatchObject({ locked: true, retryAfterSeconds: 30 });
+    });
+  });
+
+  describe('login', () => {
+    it('should slow down attempts after repeated failures', async () => {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        await failLogin(patient.email);
+      }
+      await expect(AuthService.login(patient.email, 'wrong-password', context)).rejects.toThrow('Invalid email or password');
+
+      const error = await AuthService.login(patient.email, password, context).catch(err => err);
+      expect(error.message).toContain('Please wait 1 second');
+      expect(error.retryAfterSeconds).toBe(1);
+    });
+
+    it('should lock the account, refuse the right password and notify the user', async () => {
+      for (let attempt = 0; attempt < 9; attempt++) {
+        await failLogin(patient.email);
+      }
+      const error = await AuthService.login(patient.email, 'wrong-password', context).catch(err => err);
+      expect(error.message).toContain('Account temporarily locked');
+      expect(error.retryAfterSeconds).toBe(15 * 60);
+
+      await expect(AuthService.login(patient.email, password, context)).rejects.toThrow('Account temporarily locked');
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({ recipient: patient._id, title: 'Account Locked', actionUrl: '/forgot-password' });
+      expect(notifications[0].channels.map(channel => channel.type)).toEqual(['in_app', 'email']);
+    });
+
+    it('should throttle unknown emails like real accounts', async () => {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await failLogin('nobody@test.com');
+      }
+      await LoginThrottle.updateMany({}, { $set: { lastFailureAt: new Date() } });
+
+      await expect(AuthService.login('nobody@test.com', password, context)).rejects.toThrow('Please wait');
+    });
+
+    it('should count failures per IP address across accounts', async () => {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        await failLogin(`guess${attempt}@test.com`);
+      }
+      await LoginThrottle.updateMany({}, { $set: { lastFailureAt: new Date() } });
+
+      await expect(AuthService.login(patient.email, password, context)).rejects.toThrow('Please wait');
+      await expect(AuthService.login(patient.email, password, { ipAddress: '198.51.100.2' }))
+        .resolves.toMatchObject({ success: true });
+    });
+
+    it('should clear the account failures after a successful login', async () => {
+      await failLogin(patient.email);
+      await failLogin(patient.email);
+
+      await AuthService.login(patient.email, password, context);
+
+      expect(await LoginThrottle.countDocuments({ key: 'account:patient@test.com' })).toBe(0);
+    });
+  });
+
+  describe('unlock', () => {
+    const lockPatient = async () => {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        await failLogin(patient.email, {});
+      }
+    };
+
+    it('should let a doctor unlock any patient account', async () => {
+      await lockPatient();
+
+      const status = await AuthService.getAccountLockStatus(doctor._id, patient._id);
+      expect(status.data.locked).toBe(true);
+
+      await AuthService.unlockAccount(doctor._id, patient._id);
+      await expect(AuthService.login(patient.email, password, context)).resolves.toMatchObject({ success: true });
+      expect(notifications.map(notification => notification.title)).toContain('Account Unlocked');
+
+      await expect(AuthService.unlockAccount(doctor._id, patient._id)).rejects.toThrow('Account is not locked');
+    });
+
+    it('should not let staff read or clear lockouts of other staff accounts', async () => {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        await failLogin(physio.email, {});
+      }
+
+      await expect(AuthService.getAccountLockStatus(doctor._id, physio._id)).rejects.toThrow('Access denied');
+      await expect(AuthService.unlockAccount(doctor._id, physio._id)).rejects.toThrow('Access denied');
+      await expect(AuthService.unlockAccount(doctor._id, 'not-an-id')).rejects.toThrow('User not found');
+    });
+
+    it('should only let a physiotherapist unlock their own patients', async () => {
+      await lockPatient();
+      const otherPhysio = await User.create({
+        firstName: 'Other',
+        lastName: 'Physio',
+        email: 'other@test.com',
+        password,
+        role: 'physiotherapist'
+      });
+
+      await expect(AuthService.unlockAccount(otherPhysio._id, patient._id)).rejects.toThrow('Access denied');
+      await expect(AuthService.unlockAccount(patient._id, patient._id)).rejects.toThrow('Access denied');
+
+      const result = await AuthService.unlockAccount(physio._id, patient._id);
+      expect(result.success).toBe(true);
+    });
+
+    it('should stop a physiotherapist unlocking once the care relationship has ended', async () => {
+      await lockPatient();
+      await User.updateOne({ _id: physio._id }, { assignedPatients: [] });
+
+      await expect(AuthService.unlockAccount(physio._id, patient._id)).rejects.toThrow('Access denied');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const MessagingService = require('../../../main/js/services/MessagingService');
+const Conversation = require('../../../main/js/models/Conversation');
+const Message = require('../../../main/js/models/Message');
+const User = require('../../../main/js/models/User');
+
+describe('MessagingService', () => {
+  let patient, physiotherapist, otherPhysiotherapist, doctor;
+  let mockGateway;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await Conversation.init(); // unique directKey and care-team indexes
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Conversation.deleteMany({});
+    await Message.deleteMany({});
+
+    patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient'
+    });
+
+    physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physio',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      assignedPatients: [patient._id]
+    });
+
+    otherPhysiotherapist = await User.create({
+      firstName: 'Other',
+      lastName: 'Physio',
+      email: 'other.physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist'
+    });
+
+    doctor = await User.create({
+      firstName: 'Test',
+      lastName: 'Doctor',
+      email: 'doctor@test.com',
+      password: 'password123',
+      role: 'doctor',
+      assignedPatients: [patient._id]
+    });
+
+    await User.updateOne({ _id: patient._id }, {
+      assignedProviders: [
+        { providerId: physiotherapist._id, role: 'physiotherapist' },
+        { providerId: doctor._id, role: 'doctor' }
+      ]
+    });
+
+    mockGateway = {
+      handle: jest.fn(),
+      emitToUsers: jest.fn()
+    };
+    MessagingService.setSocketGateway(mockGateway);
+  });
+
+  afterAll(async () => {
+    MessagingService.socketGateway = null;
+    await mongoose.connection.close();
+  });
+
+  describe('startDirectConversation', () => {
+    it('should open one conversation per patient and provider pair', async () => {
+      const first = await MessagingService.startDirectConversation(patient._id, physiotherapist._id);
+      const second = await MessagingService.startDirectConversation(physiotherapist._id, patient._id);
+
+      expect(first.data.created).toBe(true);
+      expect(second.data.created).toBe(false);
+      expect(second.data.conversation._id.toString()).toBe(first.data.conversation._id.toString());
+    });
+
+    it('should refuse providers who are not assigned to the patient', async () => {
+      await expect(MessagingService.startDirectConversation(patient._id, otherPhysiotherapist._id))
+        .rejects.toThrow('Access denied');
+      await expect(MessagingService.startDirectConversation(physiotherapist._id, doctor._id))
+        .rejects.toThrow('between a patient and a provider');
+    });
+  });
+
+  describe('sendMessage and markAsRead', () => {
+    it('should track unread messages and record read receipts', async () => {
+      const { data } = await MessagingService.startDirectConversation(patient._id, physiotherapist._id);
+      const conversationId = data.conversation._id;
+
+      await MessagingService.sendMessage(conversationId, patient._id, {
+        content: 'My knee is sore after the squats',
+        attachments: [{ type: 'image', filename: 'knee.jpg', url: '/uploads/knee.jpg', size: 2048 }]
+      });
+
+      expect(mockGateway.emitToUsers).toHaveBeenCalledWith(
+        expect.arrayContaining([patient._id.toString(), physiotherapist._id.toString()]),
+        'message-received',
+        expect.objectContaining({ conversationId: expect.anything() })
+      );
+
+      expect((await MessagingService.getUnreadCount(physiotherapist._id)).data.unreadCount).toBe(1);
+      expect((await MessagingService.getUnreadCount(patient._id)).data.unreadCount).toBe(0);
+
+      const result = await MessagingService.markAsRead(conversationId, physiotherapist._id);
+      expect(result.data.modifiedCount).toBe(1);
+      expect((await MessagingService.getUnreadCount(physiotherapist._id)).data.unreadCount).toBe(0);
+
+      const { messages } = (await MessagingService.getMessages(conversationId, patient._id)).data;
+      expect(messages[0].readBy.map(r => r.user.toString())).toContain(physiotherapist._id.toString());
+    });
+
+    it('should reject empty messages and unsafe attachment links', async () => {
+      const { data } = await MessagingService.startDirectConversation(patient._id, physiotherapist._id);
+
+      await expect(MessagingService.sendMessage(data.conversation._id, patient._id, { content: '  ' }))
+        .rejects.toThrow('Message must have content or an attachment');
+      await expect(MessagingService.sendMessage(data.conversation._id, patient._id, {
+        attachments: [{ type: 'document', filename: 'x.pdf', url: 'javascript:alert(1)' }]
+      })).rejects.toThrow('Attachment URL must be');
+    });
+  });
+
+  describe('getCareTeamConversation', () => {
+    it('should include the assigned providers and drop them when an assignment ends', async () => {
+      const result = await MessagingService.getCareTeamConversation(patient._id, patient._id);
+      const conversationId = result.data.conversation._id;
+      expect(result.data.conversation.participants).toHaveLength(3);
+
+      await Promise.all([
+        User.updateOne({ _id: patient._id }, { $pull: { assignedProviders: { providerId: physiotherapist._id } } }),
+        User.updateOne({ _id: physiotherapist._id }, { $pull: { assignedPatients: patient._id } })
+      ]);
+
+      await expect(MessagingService.sendMessage(conversationId, physiotherapist._id, { content: 'Hello' }))
+        .rejects.toThrow('Access denied');
+
+      const refreshed = await MessagingService.getCareTeamConversation(doctor._id, patient._id);
+      expect(refreshed.data.conversation.participants).toHaveLength(2);
+      expect((await MessagingService.listConversations(physiotherapist._id)).data.conversations).toHaveLength(0);
+    });
+  });
+
+  describe('sendTypingIndicator', () => {
+    it('should notify the other participants only', async () => {
+      const { data } = await MessagingService.startDirectConversation(patient._id, physiotherapist._id);
+
+      await MessagingService.sendTypingIndicator(patient._id.toString(), {
+        conversationId: data.conversation._id.toString(),
+        isTyping: true
+      });
+
+      expect(mockGateway.handle).toHaveBeenCalledWith('typing', expect.any(Function));
+      expect(mockGateway.emitToUsers).toHaveBeenCalledWith(
+        [physiotherapist._id.toString()],
+        'typing',
+        expect.objectContaining({ isTyping: true })
+      );
+
+      await expect(MessagingService.sendTypingIndicator(otherPhysiotherapist._id.toString(), {
+        conversationId: data.conversation._id.toString(),
+        isTyping: true
+      })).rejects.toThrow('not part of this conversation');
+    });
+  });
+});
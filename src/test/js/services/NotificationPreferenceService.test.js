@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const NotificationPreferenceService = require('../../../main/js/services/NotificationPreferenceService');
+const notificationPolicy = require('../../../main/js/core/delivery/notificationPolicy');
+const User = require('../../../main/js/models/User');
+
+describe('NotificationPreferenceService', () => {
+  let userId;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    const user = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient'
+    });
+
+    userId = user._id;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('getPreferences', () => {
+    it('should return defaults for every category', async () => {
+      const result = await NotificationPreferenceService.getPreferences(userId);
+      const { preferences } = result.data;
+
+      expect(preferences.channels).toEqual({ email: true, sms: false, push: true });
+      expect(Object.keys(preferences.categories)).toEqual(notificationPolicy.categories);
+      expect(preferences.categories.reminders.delivery).toBe('immediate');
+      expect(preferences.categories.health_alerts.locked).toBe(true);
+      expect(preferences.quietHours.enabled).toBe(false);
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should update only the supplied fields', async () => {
+      const result = await NotificationPreferenceService.updatePreferences(userId, {
+        timezone: 'Europe/London',
+        categories: {
+          reminders: { email: false },
+          communication: { delivery: 'digest' }
+        },
+        quietHours: { enabled: true, start: '21:30' },
+        digest: { frequency: 'weekly', dayOfWeek: 5 }
+      });
+
+      const { preferences } = result.data;
+      expect(preferences.timezone).toBe('Europe/London');
+      expect(preferences.categories.reminders.email).toBe(false);
+      expect(preferences.categories.reminders.push).toBe(true);
+      expect(preferences.categories.communication.delivery).toBe('digest');
+      expect(preferences.quietHours).toEqual({ enabled: true, start: '21:30', end: '07:00' });
+      expect(preferences.digest).toEqual({
+        enabled: false,
+        includeHealthAlerts: false,
+        types: notificationPolicy.digestTypes,
+        frequency: 'weekly',
+        time: '08:00',
+        dayOfWeek: 5
+      });
+    });
+
+    it('should reject unknown categories, channels and bad times', async () => {
+      await expect(NotificationPreferenceService.updatePreferences(userId, {
+        categories: { marketing: { email: false } }
+      })).rejects.toThrow('Invalid category: marketing');
+
+      await expect(NotificationPreferenceService.updatePreferences(userId, {
+        categories: { reminders: { fax: true } }
+      })).rejects.toThrow('Invalid channel for reminders: fax');
+
+      await expect(NotificationPreferenceService.updatePreferences(userId, {
+        quietHours: { start: '25:00' }
+      })).rejects.toThrow('quietHours.start must be in HH:mm format');
+
+      await expect(NotificationPreferenceService.updatePreferences(userId, {
+        timezone: 'Mars/Olympus'
+      })).rejects.toThrow('Invalid timezone');
+    });
+  });
+
+  describe('notificationPolicy', () => {
+    const recipient = {
+      preferences: {
+        timezone: 'Europe/London',
+        notifications: {
+          quietHours: { enabled: true, start: '22:00', end: '07:00' },
+          categories: { reminders: { email: false } },
+          digest: { frequency: 'daily', time: '08:00' }
+        }
+      }
+    };
+    // 00:30 in London (BST)
+    const now = new Date('2024-06-05T23:30:00Z');
+
+    it('should hold non-urgent notifications until quiet hours end', () => {
+      const decision = notificationPolicy.decide({ type: 'task_reminder', category: 'reminders', recipient }, 'push', { now });
+
+      expect(decision.action).toBe('defer');
+      expect(decision.reason).toBe('quiet_hours');
+      expect(decision.until.toISOString()).toBe('2024-06-06T06:00:00.000Z');
+    });
+
+    it('should never hold the in-app inbox for quiet hours', () => {
+      const decision = notificationPolicy.decide({ type: 'task_reminder', category: 'reminders', recipient }, 'in_app', { now });
+
+      expect(decision.action).toBe('deliver');
+    });
+
+    it('should honor category opt-outs', () => {
+      const decision = notificationPolicy.decide({ type: 'task_reminder', category: 'reminders', recipient }, 'email', { now });
+
+      expect(decision.action).toBe('skip');
+    });
+
+    it('should always let critical and health alerts through', () => {
+      expect(notificationPolicy.decide({ type: 'critical_alert', category: 'system', recipient }, 'sms', { now }).action)
+        .toBe('deliver');
+      expect(notificationPolicy.decide({ type: 'low_engagement', category: 'health_alerts', recipient }, 'push', { now }).action)
+        .toBe('deliver');
+    });
+
+    it('should batch digest types for providers unless they turn digest mode off', () => {
+      const physiotherapist = { role: 'physiotherapist', preferences: { timezone: 'UTC' } };
+      const commentReply = { type: 'comment_reply', category: 'communication', recipient: physiotherapist };
+
+      const decision = notificationPolicy.decide(commentReply, 'email', { now });
+      expect(decision.action).toBe('defer');
+      expect(decision.reason).toBe('digest');
+      expect(decision.until.toISOString()).toBe('2024-06-06T08:00:00.000Z');
+      expect(notificationPolicy.decide(commentReply, 'in_app', { now })).toEqual(decision);
+
+      physiotherapist.preferences.notifications = { digest: { enabled: false } };
+      expect(notificationPolicy.decide(commentReply, 'email', { now }).action).toBe('deliver');
+    });
+
+    it('should only batch low engagement health alerts when the recipient opts in', () => {
+      const physiotherapist = { role: 'physiotherapist', preferences: { timezone: 'UTC' } };
+      const lowEngagement = { type: 'low_engagement', category: 'health_alerts', recipient: physiotherapist };
+
+      expect(notificationPolicy.decide(lowEngagement, 'email', { now }).action).toBe('deliver');
+
+      physiotherapist.preferences.notifications = { digest: { includeHealthAlerts: true } };
+      const decision = notificationPolicy.decide(lowEngagement, 'email', { now });
+      expect(decision.action).toBe('defer');
+      expect(decision.reason).toBe('digest');
+    });
+
+    it('should enforce the preferred time window on the notification', () => {
+      const decision = notificationPolicy.decide({
+        type: 'system_alert',
+        category: 'system',
+        recipient: { preferences: { timezone: 'UTC' } },
+        conditions: { preferredTime: { start: '12:00', end: '13:00' }, daysOfWeek: [6] }
+      }, 'email', { now: new Date('2024-06-05T12:00:00Z') });
+
+      expect(decision.action).toBe('defer');
+      expect(decision.reason).toBe('preferred_time');
+      expect(decision.until.toISOString()).toBe('2024-06-08T12:00:00.000Z');
+    });
+  });
+});
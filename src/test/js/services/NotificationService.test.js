@@ -1,8 +1,16 @@
 const mongoose = require('mongoose');
+const http = require('http');
 const NotificationService = require('../../../main/js/services/NotificationService');
 const Notification = require('../../../main/js/models/Notification');
 const User = require('../../../main/js/models/User');
 const RehabTask = require('../../../main/js/models/RehabTask');
+const SessionOccurrence = require('../../../main/js/models/SessionOccurrence');
+const PushSubscription = require('../../../main/js/models/PushSubscription');
+const Job = require('../../../main/js/models/Job');
+const { MemoryTransport } = require('../../../main/js/core/delivery/emailTransports');
+const { HttpSmsProvider, createSmsProvider } = require('../../../main/js/core/delivery/smsProviders');
+const { MemoryWebPushProvider, createWebPushProvider } = require('../../../main/js/core/delivery/webPushProviders');
+const pushSubscriptionService = require('../../../main/js/services/PushSubscriptionService');
 
 describe('NotificationService', () => {
   let notificationService;
@@ -17,6 +25,9 @@ describe('NotificationService', () => {
     await User.deleteMany({});
     await Notification.deleteMany({});
     await RehabTask.deleteMany({});
+    await SessionOccurrence.deleteMany({});
+    await PushSubscription.deleteMany({});
+    await Job.deleteMany({});
 
     // Mock Socket.io
     mockIo = {
@@ -123,6 +134,10 @@ describe('NotificationService', () => {
       expect(result.success).toBe(true);
       expect(result.data.notification.isScheduled).toBe(true);
       expect(result.data.notification.scheduledFor).toEqual(futureDate);
+
+      const job = await Job.findOne({ uniqueKey: `notification:${result.data.notification._id}` });
+      expect(job.name).toBe('notifications.deliverScheduled');
+      expect(job.runAt).toEqual(futureDate);
     });
 
     it('should validate recipient exists', async () => {
@@ -404,31 +419,38 @@ describe('NotificationService', () => {
   });
 
   describe('createTaskReminders', () => {
-    beforeEach(async () => {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
+    let task;
 
-      await RehabTask.create({
+    beforeEach(async () => {
+      task = await RehabTask.create({
         title: 'Morning Exercise',
         description: 'Daily morning routine',
+        category: 'strength_training',
         assignedTo: patientId,
         assignedBy: physiotherapistId,
         status: 'active',
-        scheduleType: 'once',
-        scheduledDate: tomorrow,
-        exercises: [{
-          name: 'Push-ups',
-          sets: 3,
-          reps: 10
-        }]
+        schedule: { startDate: new Date(), frequency: 'daily' },
+        reminders: { enabled: true, beforeSession: 30, missedSession: 60 }
       });
     });
 
-    it('should create task reminder notifications', async () => {
+    const createOccurrence = (minutesFromNow) => SessionOccurrence.create({
+      task: task._id,
+      patient: patientId,
+      assignedBy: physiotherapistId,
+      localDate: '2030-01-01',
+      localTime: '09:00',
+      scheduledFor: new Date(Date.now() + minutesFromNow * 60 * 1000),
+      dueBy: new Date(Date.now() + 12 * 60 * 60 * 1000)
+    });
+
+    it('should remind patients about sessions starting within the lead time', async () => {
+      await createOccurrence(10);
+
       const result = await notificationService.createTaskReminders();
 
       expect(result.success).toBe(true);
-      expect(result.data.remindersCreated).toBeGreaterThan(0);
+      expect(result.data.remindersCreated).toBe(1);
 
       // Check notification was created
       const notifications = await Notification.find({
@@ -437,6 +459,25 @@ describe('NotificationService', () => {
       });
       expect(notifications).toHaveLength(1);
     });
+
+    it('should not remind twice or before the lead time', async () => {
+      await createOccurrence(10);
+      await notificationService.createTaskReminders();
+
+      const later = await SessionOccurrence.create({
+        task: task._id,
+        patient: patientId,
+        localDate: '2030-01-02',
+        localTime: '09:00',
+        scheduledFor: new Date(Date.now() + 3 * 60 * 60 * 1000),
+        dueBy: new Date(Date.now() + 12 * 60 * 60 * 1000)
+      });
+
+      const result = await notificationService.createTaskReminders();
+
+      expect(result.data.remindersCreated).toBe(0);
+      expect((await SessionOccurrence.findById(later._id)).reminders.beforeSentAt).toBeUndefined();
+    });
   });
 
   describe('getNotificationStatistics', () => {
@@ -516,6 +557,434 @@ describe('NotificationService', () => {
     });
   });
 
+  describe('email delivery', () => {
+    let emailTransport;
+
+    beforeEach(() => {
+      emailTransport = new MemoryTransport();
+      notificationService.setEmailTransport(emailTransport);
+    });
+
+    it('should send templated notifications as HTML and text email', async () => {
+      const result = await notificationService.createNotification({
+        recipient: patientId,
+        templateId: 'welcome',
+        templateVariables: { firstName: 'Test' },
+        type: 'welcome',
+        category: 'system',
+        actionUrl: '/dashboard'
+      });
+
+      expect(emailTransport.sent).toHaveLength(1);
+      expect(emailTransport.sent[0].to).toBe('patient@test.com');
+      expect(emailTransport.sent[0].subject).toBe('Welcome to Your Recovery Journey');
+      expect(emailTransport.sent[0].text).toContain('Welcome Test!');
+      expect(emailTransport.sent[0].html).toContain('/dashboard');
+
+      const emailChannel = result.data.notification.channels.find(c => c.type === 'email');
+      expect(emailChannel.status).toBe('sent');
+      expect(emailChannel.providerMessageId).toBe('memory-1');
+    });
+
+    it('should skip email when the recipient has turned it off', async () => {
+      await User.updateOne({ _id: patientId }, { 'preferences.notifications.email': false });
+
+      const result = await notificationService.createNotification({
+        recipient: patientId,
+        templateId: 'welcome',
+        templateVariables: { firstName: 'Test' },
+        type: 'welcome',
+        category: 'system'
+      });
+
+      expect(emailTransport.sent).toHaveLength(0);
+      const emailChannel = result.data.notification.channels.find(c => c.type === 'email');
+      expect(emailChannel.status).toBe('skipped');
+    });
+
+    it('should retry failed emails with backoff', async () => {
+      notificationService.setEmailTransport({
+        send: jest.fn().mockRejectedValue(new Error('SMTP unavailable'))
+      });
+
+      const result = await notificationService.createNotification({
+        recipient: patientId,
+        templateId: 'welcome',
+        templateVariables: { firstName: 'Test' },
+        type: 'welcome',
+        category: 'system'
+      });
+
+      const failed = result.data.notification.channels.find(c => c.type === 'email');
+      expect(failed.status).toBe('failed');
+      expect(failed.retryCount).toBe(1);
+      expect(failed.nextRetryAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Nothing is due yet
+      notificationService.setEmailTransport(emailTransport);
+      expect((await notificationService.retryFailedDeliveries()).data.deliveriesRetried).toBe(0);
+
+      await Notification.updateOne(
+        { _id: result.data.notification._id, 'channels.type': 'email' },
+        { 'channels.$.nextRetryAt': new Date(Date.now() - 1000) }
+      );
+
+      const retry = await notificationService.retryFailedDeliveries();
+      expect(retry.data.deliveriesRetried).toBe(1);
+      expect(emailTransport.sent).toHaveLength(1);
+
+      const notification = await Notification.findById(result.data.notification._id);
+      expect(notification.channels.find(c => c.type === 'email').status).toBe('sent');
+    });
+
+    it('should stop retrying after the maximum number of attempts', () => {
+      expect(notificationService.getNextRetryTime({ type: 'email', retryCount: 4 })).toBeUndefined();
+      expect(notificationService.getNextRetryTime({ type: 'in_app', retryCount: 0 })).toBeUndefined();
+    });
+  });
+
+  describe('SMS and push delivery', () => {
+    let smsServer, smsRequests, smsStatus, pushProvider;
+
+    beforeAll(async () => {
+      // Local stand-in for the Twilio Messages API
+      smsServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          smsRequests.push({ url: req.url, authorization: req.headers.authorization, body: new URLSearchParams(body) });
+          res.writeHead(smsStatus, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(smsStatus < 300 ? { sid: 'SM123' } : { message: 'Invalid To number' }));
+        });
+      });
+      await new Promise(resolve => smsServer.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => smsServer.close(resolve));
+    });
+
+    beforeEach(async () => {
+      smsRequests = [];
+      smsStatus = 201;
+      pushProvider = new MemoryWebPushProvider();
+
+      notificationService = new NotificationService(mockIo, {
+        smsProvider: new HttpSmsProvider({
+          apiUrl: `http://127.0.0.1:${smsServer.address().port}`,
+          accountSid: 'AC123',
+          authToken: 'secret',
+          from: '+15550000000'
+        }),
+        webPushProvider: pushProvider
+      });
+
+      await User.updateOne({ _id: patientId }, { 'preferences.notifications.sms': true });
+    });
+
+    const sendCriticalAlert = () => notificationService.createNotification({
+      recipient: patientId,
+      templateId: 'critical_alert',
+      templateVariables: { alertMessage: 'Please call your clinic' },
+      type: 'critical_alert',
+      category: 'health_alerts',
+      priority: 'urgent'
+    });
+
+    it('should send SMS through the provider API', async () => {
+      const result = await sendCriticalAlert();
+
+      expect(smsRequests).toHaveLength(1);
+      expect(smsRequests[0].url).toBe('/2010-04-01/Accounts/AC123/Messages.json');
+      expect(smsRequests[0].body.get('To')).toBe('+1234567890');
+      expect(smsRequests[0].body.get('Body')).toContain('Please call your clinic');
+
+      const smsChannel = result.data.notification.channels.find(c => c.type === 'sms');
+      expect(smsChannel.status).toBe('sent');
+      expect(smsChannel.providerMessageId).toBe('SM123');
+    });
+
+    it('should skip SMS unless the recipient opted in', async () => {
+      await User.updateOne({ _id: patientId }, { 'preferences.notifications.sms': false });
+
+      const result = await sendCriticalAlert();
+
+      expect(smsRequests).toHaveLength(0);
+      expect(result.data.notification.channels.find(c => c.type === 'sms').status).toBe('skipped');
+    });
+
+    it('should record provider rejections without scheduling a retry', async () => {
+      smsStatus = 400;
+
+      const result = await sendCriticalAlert();
+      const smsChannel = result.data.notification.channels.find(c => c.type === 'sms');
+
+      expect(smsChannel.status).toBe('failed');
+      expect(smsChannel.failureReason).toContain('Invalid To number');
+      expect(smsChannel.nextRetryAt).toBeUndefined();
+    });
+
+    it('should push to every registered subscription and prune expired ones', async () => {
+      await PushSubscription.create([
+        { user: patientId, endpoint: 'https://fcm.googleapis.com/fcm/send/active', keys: { p256dh: 'key', auth: 'auth' } },
+        { user: patientId, endpoint: 'https://fcm.googleapis.com/fcm/send/expired', keys: { p256dh: 'key', auth: 'auth' } }
+      ]);
+      pushProvider.expiredEndpoints.add('https://fcm.googleapis.com/fcm/send/expired');
+
+      const result = await sendCriticalAlert();
+
+      expect(pushProvider.sent).toHaveLength(1);
+      expect(pushProvider.sent[0].payload.body).toBe('Please call your clinic');
+      expect(pushProvider.sent[0].options.urgency).toBe('high');
+      expect(result.data.notification.channels.find(c => c.type === 'push').status).toBe('sent');
+      expect(await PushSubscription.countDocuments({ user: patientId })).toBe(1);
+    });
+
+    it('should skip push when the recipient has no subscriptions', async () => {
+      const result = await sendCriticalAlert();
+
+      expect(result.data.notification.channels.find(c => c.type === 'push').status).toBe('skipped');
+    });
+
+    it('should only register push service endpoints, and not take over another account\'s', async () => {
+      const keys = { p256dh: 'key', auth: 'auth' };
+
+      for (const endpoint of ['http://fcm.googleapis.com/fcm/send/a', 'https://127.0.0.1/push', 'https://169.254.169.254/latest', 'https://internal.example.com/hook']) {
+        await expect(pushSubscriptionService.registerSubscription(patientId, { endpoint, keys }))
+          .rejects.toThrow('browser push service');
+      }
+
+      const endpoint = 'https://fcm.googleapis.com/fcm/send/device';
+      await pushSubscriptionService.registerSubscription(patientId, { endpoint, keys });
+      await expect(pushSubscriptionService.registerSubscription(doctorId, { endpoint, keys }))
+        .rejects.toThrow('another account');
+
+      const subscription = await PushSubscription.findOne({ endpoint });
+      expect(subscription.user.toString()).toBe(patientId.toString());
+    });
+
+    it('should drop stored subscriptions that are not on a push service instead of sending to them', async () => {
+      await PushSubscription.create({ user: patientId, endpoint: 'https://internal.example.com/hook', keys: { p256dh: 'key', auth: 'auth' } });
+
+      await sendCriticalAlert();
+
+      expect(pushProvider.sent).toHaveLength(0);
+      expect(await PushSubscription.countDocuments({ user: patientId })).toBe(0);
+    });
+
+    it('should never log SMS or push in production, and skip the channels when unconfigured', async () => {
+      expect(() => createSmsProvider({ NODE_ENV: 'production', SMS_PROVIDER: 'console' })).toThrow('Set SMS_ACCOUNT_SID');
+      expect(() => createWebPushProvider({ NODE_ENV: 'production', WEB_PUSH_PROVIDER: 'console' })).toThrow('VAPID');
+      expect(createSmsProvider({ NODE_ENV: 'development' }).name).toBe('console');
+
+      await PushSubscription.create({ user: patientId, endpoint: 'https://fcm.googleapis.com/fcm/send/device', keys: { p256dh: 'key', auth: 'auth' } });
+      notificationService = new NotificationService(mockIo, {
+        smsProvider: createSmsProvider({ NODE_ENV: 'production' }),
+        webPushProvider: createWebPushProvider({ NODE_ENV: 'production' })
+      });
+
+      const result = await sendCriticalAlert();
+      const channels = result.data.notification.channels;
+
+      expect(channels.find(c => c.type === 'sms')).toMatchObject({ status: 'skipped', skipReason: 'SMS is not configured on this server' });
+      expect(channels.find(c => c.type === 'push').status).toBe('skipped');
+    });
+  });
+
+  describe('preference enforcement', () => {
+    let emailTransport;
+
+    const hhmm = (date) => date.toISOString().slice(11, 16);
+
+    beforeEach(async () => {
+      emailTransport = new MemoryTransport();
+      notificationService.setEmailTransport(emailTransport);
+
+      // Quiet hours around the current time
+      await User.updateOne({ _id: patientId }, {
+        'preferences.timezone': 'UTC',
+        'preferences.notifications.quietHours': {
+          enabled: true,
+          start: hhmm(new Date(Date.now() - 60 * 60 * 1000)),
+          end: hhmm(new Date(Date.now() + 60 * 60 * 1000))
+        }
+      });
+    });
+
+    it('should hold email during quiet hours and release it afterwards', async () => {
+      const result = await notificationService.createNotification({
+        recipient: patientId,
+        templateId: 'task_overdue',
+        templateVariables: { taskTitle: 'Heel slides' },
+        type: 'task_overdue',
+        category: 'reminders'
+      });
+
+      const channels = result.data.notification.channels;
+      expect(channels.find(c => c.type === 'in_app').status).toBe('sent');
+      expect(channels.find(c => c.type === 'email').status).toBe('deferred');
+      expect(channels.find(c => c.type === 'email').deferReason).toBe('quiet_hours');
+      expect(emailTransport.sent).toHaveLength(0);
+
+      await Notification.updateOne(
+        { _id: result.data.notification._id },
+        { 'channels.$[].deferredUntil': new Date(Date.now() - 1000) }
+      );
+
+      const released = await notificationService.deliverDeferredNotifications();
+      expect(released.data.deliveriesReleased).toBe(2); // email and push
+      expect(emailTransport.sent).toHaveLength(1);
+    });
+
+    it('should deliver critical alerts during quiet hours', async () => {
+      await notificationService.createNotification({
+        recipient: patientId,
+        templateId: 'critical_alert',
+        templateVariables: { alertMessage: 'Pain score above threshold' },
+        type: 'critical_alert',
+        category: 'health_alerts',
+        priority: 'urgent'
+      });
+
+      expect(emailTransport.sent).toHaveLength(1);
+    });
+
+    it('should skip channels the recipient opted out of for the category', async () => {
+      await User.updateOne({ _id: patientId }, { 'preferences.notifications.categories.reminders.email': false });
+
+      const result = await notificationService.createNotification({
+        recipient: patientId,
+        templateId: 'task_overdue',
+        templateVariables: { taskTitle: 'Heel slides' },
+        type: 'task_overdue',
+        category: 'reminders'
+      });
+
+      expect(result.data.notification.channels.find(c => c.type === 'email').status).toBe('skipped');
+    });
+  });
+
+  describe('digests', () => {
+    let emailTransport;
+
+    const createLowEngagement = (days) => notificationService.createNotification({
+      recipient: physiotherapistId,
+      templateId: 'low_engagement',
+      templateVariables: { days },
+      type: 'low_engagement',
+      category: 'health_alerts',
+      actionUrl: '/physiotherapist/patients'
+    });
+
+    const makeDigestsDue = () => Notification.updateMany(
+      { 'channels.deferReason': 'digest' },
+      { 'channels.$[held].deferredUntil': new Date(Date.now() - 1000) },
+      { arrayFilters: [{ 'held.deferReason': 'digest' }] }
+    );
+
+    beforeEach(async () => {
+      emailTransport = new MemoryTransport();
+      notificationService.setEmailTransport(emailTransport);
+
+      // Low engagement alerts are health alerts, which are only batched on request
+      await User.updateOne({ _id: physiotherapistId }, { 'preferences.notifications.digest.includeHealthAlerts': true });
+    });
+
+    it('should send low engagement alerts right away unless the therapist opts in to batching them', async () => {
+      await User.updateOne({ _id: physiotherapistId }, { $unset: { 'preferences.notifications.digest.includeHealthAlerts': 1 } });
+
+      const result = await createLowEngagement(4);
+
+      expect(result.data.notification.channels.find(c => c.type === 'email').status).toBe('sent');
+      expect(emailTransport.sent).toHaveLength(1);
+    });
+
+    it('should hold digest types for therapists until their digest time', async () => {
+      const result = await createLowEngagement(4);
+
+      const channels = result.data.notification.channels;
+      expect(channels.find(c => c.type === 'in_app').status).toBe('deferred');
+      expect(channels.find(c => c.type === 'in_app').deferReason).toBe('digest');
+      expect(channels.find(c => c.type === 'email').status).toBe('deferred');
+      expect(channels.find(c => c.type === 'email').deferReason).toBe('digest');
+      expect(result.data.notification.deliveryStatus).toBe('pending');
+      expect(emailTransport.sent).toHaveLength(0);
+    });
+
+    it('should keep held notifications out of the inbox until the digest is sent', async () => {
+      await createLowEngagement(4);
+
+      const inbox = await notificationService.getNotificationsForUser(physiotherapistId);
+      expect(inbox.data.notifications).toHaveLength(0);
+
+      const unread = await notificationService.getUnreadCount(physiotherapistId);
+      expect(unread.data.unreadCount).toBe(0);
+
+      await makeDigestsDue();
+      await notificationService.deliverDigests();
+
+      const after = await notificationService.getNotificationsForUser(physiotherapistId);
+      expect(after.data.notifications.map(n => n.type).sort()).toEqual(['low_engagement', 'notification_digest']);
+    });
+
+    it('should batch held notifications into one summary per recipient', async () => {
+      await createLowEngagement(4);
+      await createLowEngagement(6);
+      await notificationService.createNotification({
+        recipient: physiotherapistId,
+        sender: patientId,
+        templateId: 'comment_reply',
+        templateVariables: { senderName: 'Test Patient' },
+        type: 'comment_reply',
+        category: 'communication',
+        channels: [{ type: 'in_app' }, { type: 'email' }]
+      });
+      await makeDigestsDue();
+
+      const result = await notificationService.deliverDigests();
+      expect(result.data).toEqual({ digestsSent: 1, notificationsBatched: 3 });
+
+      const digest = await Notification.findOne({ type: 'notification_digest' });
+      expect(digest.title).toBe('Your daily digest');
+      expect(digest.message).toBe('3 new updates: 2 low engagement alerts and 1 comment reply.');
+      expect(digest.actionUrl).toBe(`/physiotherapist/dashboard?notifications=${digest.batchId}`);
+      expect(digest.isBulkNotification).toBe(true);
+      expect(digest.channels.map(c => c.type).sort()).toEqual(['email', 'in_app', 'push']);
+
+      const batch = await notificationService.getNotificationsForUser(physiotherapistId, { batchId: digest.batchId });
+      expect(batch.data.pagination.totalCount).toBe(4);
+
+      const items = await Notification.find({ type: { $ne: 'notification_digest' } });
+      items.forEach(item => {
+        expect(item.batchId).toBe(digest.batchId);
+        expect(item.channels.find(c => c.type === 'in_app').status).toBe('batched');
+        expect(item.channels.find(c => c.type === 'email').status).toBe('batched');
+        expect(item.deliveryStatus).toBe('batched');
+      });
+
+      expect(emailTransport.sent).toHaveLength(1);
+      expect(emailTransport.sent[0].subject).toBe('Your daily digest');
+      expect(emailTransport.sent[0].text).toContain('Test Patient replied to your comment');
+      expect(emailTransport.sent[0].html).toContain(`/physiotherapist/dashboard?notifications=${digest.batchId}`);
+    });
+
+    it('should deliver digest types immediately when digest mode is off', async () => {
+      await User.updateOne({ _id: physiotherapistId }, { 'preferences.notifications.digest.enabled': false });
+
+      const result = await createLowEngagement(4);
+
+      expect(result.data.notification.channels.find(c => c.type === 'email').status).toBe('sent');
+      expect(emailTransport.sent).toHaveLength(1);
+    });
+
+    it('should not send a digest before it is due', async () => {
+      await createLowEngagement(4);
+
+      const result = await notificationService.deliverDigests();
+      expect(result.data.digestsSent).toBe(0);
+    });
+  });
+
   describe('processTemplate', () => {
     it('should replace template variables', async () => {
       const template = 'Hello {{name}}, you have {{count}} new messages';
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const NotificationTemplateService = require('../../../main/js/services/NotificationTemplateService');
+const NotificationService = require('../../../main/js/services/NotificationService');
+const NotificationTemplate = require('../../../main/js/models/NotificationTemplate');
+const Notification = require('../../../main/js/models/Notification');
+const User = require('../../../main/js/models/User');
+
+describe('NotificationTemplateService', () => {
+  let doctorId, patientId;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await NotificationTemplate.deleteMany({});
+    await Notification.deleteMany({});
+
+    const doctor = await User.create({
+      firstName: 'Test',
+      lastName: 'Doctor',
+      email: 'doctor@test.com',
+      password: 'password123',
+      role: 'doctor'
+    });
+
+    const patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient',
+      preferences: { language: 'es-MX' }
+    });
+
+    doctorId = doctor._id;
+    patientId = patient._id;
+  });
+
+  afterAll(async () => {
+    // Saved templates would override the built-in ones other suites expect
+    await NotificationTemplate.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe('listTemplates', () => {
+    it('should fall back to the built-in templates', async () => {
+      const result = await NotificationTemplateService.listTemplates();
+      const template = result.data.templates.task_reminder;
+
+      expect(template.source).toBe('default');
+      expect(template.version).toBe(0);
+      expect(template.requiredVariables).toEqual(['taskTitle']);
+    });
+  });
+
+  describe('updateTemplate', () => {
+    it('should save each edit as a new version and allow rolling back', async () => {
+      const first = await NotificationTemplateService.updateTemplate('task_reminder', {
+        message: 'Time for {{taskTitle}}',
+        changeNote: 'Shorter copy'
+      }, doctorId);
+
+      expect(first.data.template.version).toBe(1);
+      expect(first.data.template.title).toBe('Exercise Reminder');
+
+      const second = await NotificationTemplateService.updateTemplate('task_reminder', {
+        message: 'Time for {{taskTitle}} ({{duration}} minutes)'
+      }, doctorId);
+
+      expect(second.data.template.version).toBe(2);
+      expect(second.data.template.requiredVariables).toEqual(['taskTitle', 'duration']);
+
+      await NotificationTemplateService.activateVersion('task_reminder', 'en', 1);
+
+      const resolved = await NotificationTemplateService.resolveTemplate('task_reminder', 'en');
+      expect(resolved.version).toBe(1);
+      expect(resolved.message).toBe('Time for {{taskTitle}}');
+
+      const detail = await NotificationTemplateService.getTemplate('task_reminder', 'en');
+      expect(detail.data.versions.map(v => v.version)).toEqual([2, 1]);
+    });
+
+    it('should reject updates to unknown templates', async () => {
+      await expect(NotificationTemplateService.updateTemplate('no_such_template', { title: 'x' }, doctorId))
+        .rejects.toThrow('Template not found');
+    });
+  });
+
+  describe('createTemplate', () => {
+    it('should resolve language variants by the recipient language', async () => {
+      await NotificationTemplateService.createTemplate({
+        key: 'task_reminder',
+        language: 'es',
+        title: 'Recordatorio de ejercicio',
+        message: 'Tienes un ejercicio pendiente: {{taskTitle}}',
+        channels: ['in_app']
+      }, doctorId);
+
+      expect((await NotificationTemplateService.resolveTemplate('task_reminder', 'es-MX')).language).toBe('es');
+      expect((await NotificationTemplateService.resolveTemplate('task_reminder', 'fr')).source).toBe('default');
+
+      const notificationService = new NotificationService(null);
+      const result = await notificationService.createNotification({
+        recipient: patientId,
+        templateId: 'task_reminder',
+        templateVariables: { taskTitle: 'Sentadillas' },
+        type: 'task_reminder',
+        category: 'reminders'
+      });
+
+      expect(result.data.notification.message).toBe('Tienes un ejercicio pendiente: Sentadillas');
+      expect(result.data.notification.templateLanguage).toBe('es');
+      expect(result.data.notification.templateVersion).toBe(1);
+    });
+
+    it('should not create a second template for the same key and language', async () => {
+      const data = { key: 'welcome', language: 'en', title: 'Hi', message: 'Hello {{firstName}}' };
+      await NotificationTemplateService.createTemplate(data, doctorId);
+
+      await expect(NotificationTemplateService.createTemplate(data, doctorId))
+        .rejects.toThrow('already exists');
+    });
+  });
+
+  describe('previewTemplate', () => {
+    it('should render with sample variables and report missing ones', async () => {
+      const result = await NotificationTemplateService.previewTemplate('appointment_reminder', {
+        variables: { providerName: 'Dr. Lee' }
+      });
+
+      expect(result.data.preview.message).toBe('You have an appointment with Dr. Lee at Jun 5, 2024, 10:30 AM');
+      expect(result.data.missingVariables).toEqual([]);
+
+      const draft = await NotificationTemplateService.previewTemplate('appointment_reminder', {
+        message: 'See {{providerName}} in {{room}}'
+      });
+
+      expect(draft.data.preview.message).toBe('See Alex Morgan in {{room}}');
+      expect(draft.data.missingVariables).toEqual(['room']);
+    });
+  });
+
+  describe('required variables', () => {
+    it('should refuse to send a notification with missing template variables', async () => {
+      const notificationService = new NotificationService(null);
+      const result = await notificationService.createNotification({
+        recipient: patientId,
+        templateId: 'task_overdue',
+        type: 'task_overdue',
+        category: 'reminders'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Missing template variables: taskTitle');
+    });
+  });
+});
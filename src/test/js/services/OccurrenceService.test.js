@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const OccurrenceService = require('../../../main/js/services/OccurrenceService');
+const ProgressService = require('../../../main/js/services/ProgressService');
+const recurrenceRules = require('../../../main/js/core/scheduling/recurrenceRules');
+const User = require('../../../main/js/models/User');
+const RehabTask = require('../../../main/js/models/RehabTask');
+const SessionOccurrence = require('../../../main/js/models/SessionOccurrence');
+const Progress = require('../../../main/js/models/Progress');
+
+describe('OccurrenceService', () => {
+  let patientId, physiotherapistId;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await RehabTask.deleteMany({});
+    await SessionOccurrence.deleteMany({});
+    await Progress.deleteMany({});
+
+    const physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physiotherapist',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist'
+    });
+
+    const patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient',
+      preferences: { timezone: 'America/New_York' }
+    });
+
+    patientId = patient._id;
+    physiotherapistId = physiotherapist._id;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createTask = (schedule) => RehabTask.create({
+    title: 'Quad sets',
+    description: 'Isometric quadriceps contractions',
+    category: 'strength_training',
+    assignedBy: physiotherapistId,
+    assignedTo: patientId,
+    status: 'active',
+    schedule
+  });
+
+  describe('recurrence rules', () => {
+    const monday = new Date('2024-03-04T12:00:00Z');
+    const until = new Date('2024-03-17T12:00:00Z');
+
+    it('should expand every-other-day schedules', () => {
+      const occurrences = recurrenceRules.expand(
+        { startDate: monday, frequency: 'every_other_day' },
+        'UTC',
+        until
+      );
+
+      expect(occurrences.map(o => o.localDate).slice(0, 3)).toEqual(['2024-03-04', '2024-03-06', '2024-03-08']);
+    });
+
+    it('should expand weekly schedules on specific weekdays with several sessions a day', () => {
+      const occurrences = recurrenceRules.expand(
+        {
+          startDate: monday,
+          frequency: 'weekly',
+          customSchedule: { daysOfWeek: [1, 3, 5], specificTimes: ['18:00', '08:00'] }
+        },
+        'UTC',
+        new Date('2024-03-10T12:00:00Z')
+      );
+
+      expect(occurrences).toHaveLength(6);
+      expect(occurrences[0].localTime).toBe('08:00');
+      expect(occurrences[1].localTime).toBe('18:00');
+      expect(occurrences[2].localDate).toBe('2024-03-06');
+    });
+
+    it('should place sessions on the patient\'s local wall clock', () => {
+      const [first] = recurrenceRules.expand(
+        { startDate: monday, frequency: 'daily' },
+        'America/New_York',
+        until
+      );
+
+      expect(first.localTime).toBe('09:00');
+      expect(first.scheduledFor.toISOString()).toBe('2024-03-04T14:00:00.000Z');
+    });
+
+    it('should stop at totalSessions', () => {
+      const occurrences = recurrenceRules.expand(
+        { startDate: monday, frequency: 'daily', customSchedule: { timesPerDay: 2 }, totalSessions: 5 },
+        'UTC',
+        until
+      );
+
+      expect(occurrences).toHaveLength(5);
+    });
+  });
+
+  describe('materializeForTask', () => {
+    it('should create occurrences once per session', async () => {
+      const task = await createTask({ startDate: new Date(), frequency: 'daily' });
+
+      const created = await OccurrenceService.materializeForTask(task, { horizonDays: 6 });
+      const again = await OccurrenceService.materializeForTask(task, { horizonDays: 6 });
+
+      expect(created).toBeGreaterThanOrEqual(6);
+      expect(again).toBe(0);
+    });
+  });
+
+  describe('linkProgress and adherence', () => {
+    it('should resolve sessions from progress and count missed ones', async () => {
+      const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+      const task = await createTask({ startDate: threeDaysAgo, frequency: 'daily' });
+      await OccurrenceService.materializeForTask(task, { from: threeDaysAgo, horizonDays: 1 });
+
+      const progress = await Progress.create({
+        patient: patientId,
+        rehabTask: task._id,
+        recordedBy: patientId,
+        sessionDate: threeDaysAgo,
+        sessionDuration: { planned: 15, actual: 15 },
+        completionStatus: 'completed',
+        performance: { effortLevel: 5, difficultyLevel: 5 },
+        assessments: {
+          painBefore: 3,
+          painDuring: 3,
+          painAfter: 2,
+          mobilityBefore: 5,
+          mobilityAfter: 6,
+          energyBefore: 6,
+          energyAfter: 5
+        },
+        sessionContext: { location: 'home', supervision: 'independent' }
+      });
+
+      const linked = await OccurrenceService.linkProgress(progress);
+      expect(linked.status).toBe('done');
+
+      const missed = await OccurrenceService.markMissedOccurrences();
+      expect(missed.length).toBeGreaterThanOrEqual(2);
+
+      const adherence = await OccurrenceService.getAdherence({ patientId });
+      expect(adherence.done).toBe(1);
+      expect(adherence.missed).toBe(missed.length);
+      expect(adherence.adherenceRate).toBe(Math.round((1 / adherence.due) * 100));
+
+      await OccurrenceService.unlinkProgress(progress._id);
+      expect((await SessionOccurrence.findById(linked._id)).status).toBe('missed');
+    });
+  });
+
+  describe('recording progress', () => {
+    it('should keep the recorded session when linking it to its occurrence fails', async () => {
+      const task = await createTask({ startDate: new Date(), frequency: 'daily' });
+      const linkProgress = jest.spyOn(OccurrenceService, 'linkProgress').mockRejectedValue(new Error('Write conflict'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const result = await ProgressService.recordSession(patientId, {
+          rehabTaskId: task._id,
+          sessionDuration: 15,
+          completionStatus: 'completed',
+          assessments: {
+            painBefore: 3,
+            painDuring: 3,
+            painAfter: 2,
+            mobilityBefore: 5,
+            mobilityAfter: 6,
+            energyBefore: 6,
+            energyAfter: 5
+          }
+        });
+
+        expect(result.success).toBe(true);
+        expect(await Progress.countDocuments({ rehabTask: task._id })).toBe(1);
+      } finally {
+        linkProgress.mockRestore();
+        console.error.mockRestore();
+      }
+    });
+  });
+
+  describe('getPatientSessions', () => {
+    it('should reject a malformed task filter', async () => {
+      await expect(OccurrenceService.getPatientSessions(patientId, { taskId: 'not-an-id' }))
+        .rejects.toThrow('Invalid task ID');
+    });
+  });
+
+  describe('skipOccurrence', () => {
+    it('should let the patient skip a pending session', async () => {
+      const task = await createTask({ startDate: new Date(), frequency: 'daily' });
+      await OccurrenceService.materializeForTask(task, { horizonDays: 2 });
+      const occurrence = await SessionOccurrence.findOne({ task: task._id, status: 'pending' });
+
+      const result = await OccurrenceService.skipOccurrence(occurrence._id, patientId, 'Knee swollen');
+
+      expect(result.data.occurrence.status).toBe('skipped');
+      expect(result.data.occurrence.skip.reason).toBe('Knee swollen');
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const ProtocolService = require('../../../main/js/services/ProtocolService');
+const User = require('../../../main/js/models/User');
+const RehabTask = require('../../../main/js/models/RehabTask');
+const RehabProtocol = require('../../../main/js/models/RehabProtocol');
+const Progress = require('../../../main/js/models/Progress');
+
+describe('ProtocolService', () => {
+  let patientId, physiotherapistId, doctorId, phaseOneTask, phaseTwoTask;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await RehabTask.deleteMany({});
+    await RehabProtocol.deleteMany({});
+    await Progress.deleteMany({});
+
+    const physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physiotherapist',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist'
+    });
+
+    const doctor = await User.create({
+      firstName: 'Test',
+      lastName: 'Doctor',
+      email: 'doctor@test.com',
+      password: 'password123',
+      role: 'doctor'
+    });
+
+    const patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient',
+      assignedProviders: [
+        { providerId: physiotherapist._id, role: 'physiotherapist' },
+        { providerId: doctor._id, role: 'doctor' }
+      ]
+    });
+
+    patientId = patient._id;
+    physiotherapistId = physiotherapist._id;
+    doctorId = doctor._id;
+
+    const createTask = (title) => RehabTask.create({
+      title,
+      description: `${title} exercises`,
+      category: 'range_of_motion',
+      assignedBy: physiotherapistId,
+      assignedTo: patientId,
+      schedule: { startDate: new Date(), frequency: 'daily' },
+      status: 'draft'
+    });
+
+    phaseOneTask = await createTask('Heel slides');
+    phaseTwoTask = await createTask('Step ups');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createProtocol = (overrides = {}) => ProtocolService.createProtocol(physiotherapistId, {
+    patientId,
+    name: 'ACL reconstruction',
+    phases: [
+      {
+        name: 'Phase 1 - Protection',
+        taskIds: [phaseOneTask._id],
+        exitCriteria: {
+          maxPain: 3,
+          rangeOfMotion: [{ joint: 'knee', direction: 'flexion', minDegrees: 90 }]
+        }
+      },
+      {
+        name: 'Phase 2 - Strength',
+        taskIds: [phaseTwoTask._id]
+      }
+    ],
+    ...overrides
+  });
+
+  const recordSession = (painAfter, kneeFlexion) => Progress.create({
+    patient: patientId,
+    rehabTask: phaseOneTask._id,
+    recordedBy: patientId,
+    sessionDuration: { planned: 20, actual: 20 },
+    completionStatus: 'completed',
+    performance: { effortLevel: 5, difficultyLevel: 5 },
+    assessments: {
+      painBefore: painAfter,
+      painDuring: painAfter,
+      painAfter,
+      mobilityBefore: 5,
+      mobilityAfter: 6,
+      energyBefore: 6,
+      energyAfter: 5
+    },
+    measurements: {
+      rangeOfMotion: [{ joint: 'Knee', measurement: kneeFlexion, unit: 'degrees', direction: 'Flexion' }]
+    },
+    sessionContext: { location: 'home', supervision: 'independent' }
+  });
+
+  describe('activateProtocol', () => {
+    it('should start the first phase and activate its tasks only', async () => {
+      const created = await createProtocol();
+      const result = await ProtocolService.activateProtocol(created.data.protocol._id, physiotherapistId);
+
+      expect(result.data.protocol.status).toBe('active');
+      expect(result.data.protocol.phases[0].status).toBe('active');
+      expect((await RehabTask.findById(phaseOneTask._id)).status).toBe('active');
+      expect((await RehabTask.findById(phaseTwoTask._id)).status).toBe('draft');
+    });
+  });
+
+  describe('advancePhase', () => {
+    it('should refuse to advance until exit criteria are met', async () => {
+      const created = await createProtocol();
+      await ProtocolService.activateProtocol(created.data.protocol._id, physiotherapistId);
+      await recordSession(2, 75);
+
+      await expect(ProtocolService.advancePhase(created.data.protocol._id, physiotherapistId))
+        .rejects.toThrow('Exit criteria for the current phase have not been met');
+    });
+
+    it('should advance once pain and range of motion targets are met', async () => {
+      const created = await createProtocol();
+      await ProtocolService.activateProtocol(created.data.protocol._id, physiotherapistId);
+      await recordSession(2, 95);
+
+      const result = await ProtocolService.advancePhase(created.data.protocol._id, physiotherapistId);
+
+      expect(result.data.protocol.currentPhaseIndex).toBe(1);
+      expect(result.data.protocol.phases[0].advancement.type).toBe('manual');
+      expect((await RehabTask.findById(phaseOneTask._id)).status).toBe('completed');
+      expect((await RehabTask.findById(phaseTwoTask._id)).status).toBe('active');
+    });
+
+    it('should require notes to override unmet criteria', async () => {
+      const created = await createProtocol();
+      await ProtocolService.activateProtocol(created.data.protocol._id, physiotherapistId);
+
+      await expect(ProtocolService.advancePhase(created.data.protocol._id, physiotherapistId, { override: true }))
+        .rejects.toThrow('A note is required when overriding exit criteria');
+
+      const result = await ProtocolService.advancePhase(created.data.protocol._id, physiotherapistId, {
+        override: true,
+        notes: 'Cleared at clinic review'
+      });
+      expect(result.data.protocol.phases[0].advancement.type).toBe('override');
+    });
+  });
+
+  describe('evaluatePatientProtocols', () => {
+    it('should advance automatically when the protocol allows it', async () => {
+      const created = await createProtocol({ autoAdvance: true });
+      await ProtocolService.activateProtocol(created.data.protocol._id, physiotherapistId);
+      await recordSession(1, 100);
+
+      const [result] = await ProtocolService.evaluatePatientProtocols(patientId);
+
+      expect(result.advanced).toBe(true);
+      const protocol = await RehabProtocol.findById(created.data.protocol._id);
+      expect(protocol.currentPhaseIndex).toBe(1);
+      expect(protocol.phases[0].advancement.type).toBe('automatic');
+    });
+  });
+
+  describe('getCurrentPhases', () => {
+    it('should report the current phase and readiness per patient', async () => {
+      const created = await createProtocol();
+      await ProtocolService.activateProtocol(created.data.protocol._id, physiotherapistId);
+      await recordSession(2, 95);
+      await ProtocolService.evaluateProtocol(created.data.protocol._id, doctorId);
+
+      const [entry] = await ProtocolService.getCurrentPhases([patientId]);
+
+      expect(entry.phase).toBe('Phase 1 - Protection');
+      expect(entry.phaseNumber).toBe(1);
+      expect(entry.totalPhases).toBe(2);
+      expect(entry.readyToAdvance).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const AuthService = require('../../../main/js/services/AuthService');
+const ProviderOnboardingService = require('../../../main/js/services/ProviderOnboardingService');
+const { requireVerifiedProvider } = require('../../../main/js/api/middleware/roleMiddleware');
+const { MemoryTransport } = require('../../../main/js/core/delivery/emailTransports');
+const ProviderInvitation = require('../../../main/js/models/ProviderInvitation');
+const AccountToken = require('../../../main/js/models/AccountToken');
+const Session = require('../../../main/js/models/Session');
+const User = require('../../../main/js/models/User');
+
+describe('ProviderOnboardingService', () => {
+  const password = 'Str0ng!Passw0rd';
+  let emailTransport;
+  let notifications;
+  let admin;
+
+  // Pull the token out of the invitation link in the last email sent
+  const lastInvitationToken = () => {
+    const email = emailTransport.sent[emailTransport.sent.length - 1];
+    return email.text.match(/accept-invitation\?token=([0-9a-f]+)/)[1];
+  };
+
+  const invite = async (email = 'physio@test.com', role = 'physiotherapist') => {
+    await ProviderOnboardingService.createInvitation(admin._id, { email, role, firstName: 'New' });
+    return lastInvitationToken();
+  };
+
+  const acceptInvitation = (invitationToken, overrides = {}) => AuthService.register({
+    invitationToken,
+    firstName: 'New',
+    lastName: 'Physio',
+    password,
+    professionalInfo: { licenseNumber: 'PT-12345', institution: 'City Clinic' },
+    ...overrides
+  });
+
+  // Run the middleware against a fake request and report the status it sent
+  const runMiddleware = (user) => {
+    let status = null;
+    let passed = false;
+    const res = { status: (code) => { status = code; return { json: () => {} }; } };
+    requireVerifiedProvider({ user, userFull: user }, res, () => { passed = true; });
+    return { status, passed };
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    process.env.CLINIC_ADMIN_EMAILS = 'admin@test.com';
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await AccountToken.deleteMany({});
+    await ProviderInvitation.deleteMany({});
+
+    emailTransport = new MemoryTransport();
+    ProviderOnboardingService.setEmailTransport(emailTransport);
+
+    notifications = [];
+    ProviderOnboardingService.setNotificationService({
+      createNotification: async (notification) => notifications.push(notification)
+    });
+
+    admin = await User.create({
+      firstName: 'Clinic',
+      lastName: 'Admin',
+      email: 'admin@test.com',
+      password,
+      role: 'doctor',
+      emailVerified: true,
+      professionalInfo: { licenseNumber: 'MD-1', licenseVerification: { status: 'verified' } }
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.CLINIC_ADMIN_EMAILS;
+    ProviderOnboardingService.setNotificationService(null);
+    await mongoose.connection.close();
+  });
+
+  describe('registration', () => {
+    it('should refuse provider self-registration without an invitation', async () => {
+      await expect(AuthService.register({
+        firstName: 'Self',
+        lastName: 'Registered',
+        email: 'self@test.com',
+        password,
+        role: 'doctor',
+        professionalInfo: { licenseNumber: 'MD-99' }
+      })).rejects.toThrow('need an invitation');
+
+      expect(await User.countDocuments({ email: 'self@test.com' })).toBe(0);
+    });
+
+    it('should let a configured clinic admin register without an invitation', async () => {
+      process.env.CLINIC_ADMIN_EMAILS = 'admin@test.com,second-admin@test.com';
+
+      const result = await AuthService.register({
+        firstName: 'Second',
+        lastName: 'Admin',
+        email: 'second-admin@test.com',
+        password,
+        role: 'doctor',
+        professionalInfo: { licenseNumber: 'MD-2' }
+      });
+
+      // Listing the address is not enough: nothing is granted until the inbox is proven
+      expect(result.data.user.licenseStatus).toBe('pending');
+      expect(result.data.user.isClinicAdmin).toBe(false);
+      expect(runMiddleware(result.data.user).status).toBe(403);
+
+      await User.updateOne({ email: 'second-admin@test.com' }, { emailVerified: true });
+      const verified = await User.findOne({ email: 'second-admin@test.com' });
+      expect(verified.isClinicAdmin).toBe(true);
+      expect(runMiddleware(verified).passed).toBe(true);
+    });
+
+    it('should create a pending provider from an invitation, once', async () => {
+      const token = await invite();
+
+      const lookup = await ProviderOnboardingService.lookupInvitation(token);
+      expect(lookup.data).toMatchObject({ email: 'physio@test.com', role: 'physiotherapist', firstName: 'New' });
+
+      await expect(acceptInvitation(token, { professionalInfo: {} })).rejects.toThrow('License number is required');
+
+      // The invitation decides the email and role, whatever the form says
+      const result = await acceptInvitation(token, {
+        email: 'other@test.com',
+        role: 'doctor',
+        emailVerified: false,
+        professionalInfo: { licenseNumber: 'PT-12345', licenseVerification: { status: 'verified' } }
+      });
+      expect(result.data.user).toMatchObject({
+        email: 'physio@test.com',
+        role: 'physiotherapist',
+        emailVerified: true,
+        licenseStatus: 'pending'
+      });
+      expect(result.data.tokens.accessToken).toBeDefined();
+
+      const invitation = await ProviderInvitation.findOne({ email: 'physio@test.com' });
+      expect(invitation.status).toBe('accepted');
+      expect(invitation.acceptedUser.toString()).toBe(result.data.user._id.toString());
+      expect(notifications.map(notification => notification.title)).toContain('License Verification Needed');
+
+      await expect(acceptInvitation(token)).rejects.toThrow('invalid or has expired');
+    });
+
+    it('should reject revoked and superseded invitations', async () => {
+      const first = await invite();
+      const second = await invite();
+      await expect(ProviderOnboardingService.lookupInvitation(first)).rejects.toThrow('invalid or has expired');
+
+      const pending = await ProviderOnboardingService.getInvitations(admin._id, { status: 'pending' });
+      expect(pending.data).toHaveLength(1);
+
+      await ProviderOnboardingService.revokeInvitation(admin._id, pending.data[0]._id);
+      await expect(acceptInvitation(second)).rejects.toThrow('invalid or has expired');
+    });
+
+    it('should only let clinic admins invite', async () => {
+      process.env.CLINIC_ADMIN_EMAILS = '';
+
+      await expect(ProviderOnboardingService.createInvitation(admin._id, { email: 'x@test.com', role: 'doctor' }))
+        .rejects.toThrow('Access denied');
+      expect(emailTransport.sent).toHaveLength(0);
+    });
+  });
+
+  describe('license verification', () => {
+    let provider;
+
+    beforeEach(async () => {
+      const result = await acceptInvitation(await invite());
+      provider = await User.findById(result.data.user._id);
+      notifications = [];
+    });
+
+    it('should keep clinical routes closed until the license is verified', async () => {
+      expect(runMiddleware(provider)).toMatchObject({ status: 403, passed: false });
+      expect(runMiddleware(await User.findOne({ role: 'doctor' }))).toMatchObject({ passed: true });
+
+      const pending = await ProviderOnboardingService.getPendingProviders(admin._id);
+      expect(pending.data.map(user => user.email)).toEqual(['physio@test.com']);
+
+      await ProviderOnboardingService.reviewLicense(admin._id, provider._id, { decision: 'verified' });
+
+      const verified = await User.findById(provider._id);
+      expect(verified.licenseStatus).toBe('verified');
+      expect(runMiddleware(verified)).toMatchObject({ passed: true });
+      expect(notifications[0]).toMatchObject({ recipient: verified._id, title: 'License Verified' });
+    });
+
+    it('should need a reason to reject, and review again after the license number changes', async () => {
+      await expect(ProviderOnboardingService.reviewLicense(admin._id, provider._id, { decision: 'rejected' }))
+        .rejects.toThrow('reason is required');
+
+      await ProviderOnboardingService.reviewLicense(admin._id, provider._id, {
+        decision: 'rejected',
+        reason: 'License number not found in the registry'
+      });
+      expect(runMiddleware(await User.findById(provider._id))).toMatchObject({ status: 403 });
+
+      // Other profile edits cannot touch the verification
+      await AuthService.updateProfile(provider._id, {
+        professionalInfo: { institution: 'New Clinic', licenseVerification: { status: 'verified' } }
+      });
+      let updated = await User.findById(provider._id);
+      expect(updated.licenseStatus).toBe('rejected');
+      expect(updated.professionalInfo.licenseNumber).toBe('PT-12345');
+
+      await AuthService.updateProfile(provider._id, { professionalInfo: { licenseNumber: 'PT-67890' } });
+      updated = await User.findById(provider._id);
+      expect(updated.licenseStatus).toBe('pending');
+      expect(updated.professionalInfo.institution).toBe('New Clinic');
+    });
+
+    it('should let patients through', () => {
+      expect(runMiddleware({ role: 'patient' })).toMatchObject({ passed: true });
+    });
+  });
+});
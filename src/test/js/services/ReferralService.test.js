@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const ReferralService = require('../../../main/js/services/ReferralService');
+const User = require('../../../main/js/models/User');
+const Referral = require('../../../main/js/models/Referral');
+const RehabTask = require('../../../main/js/models/RehabTask');
+const CareAssignment = require('../../../main/js/models/CareAssignment');
+
+describe('ReferralService', () => {
+  let patientId, physiotherapistId, doctorId;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Referral.deleteMany({});
+    await RehabTask.deleteMany({});
+    await CareAssignment.deleteMany({});
+
+    const patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient'
+    });
+
+    const physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physiotherapist',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      professionalInfo: { licenseNumber: 'LIC-2001', licenseVerification: { status: 'verified' } }
+    });
+
+    const doctor = await User.create({
+      firstName: 'Test',
+      lastName: 'Doctor',
+      email: 'doctor@test.com',
+      password: 'password123',
+      role: 'doctor'
+    });
+
+    patientId = patient._id;
+    physiotherapistId = physiotherapist._id;
+    doctorId = doctor._id;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createReferral = () => ReferralService.createReferral(doctorId, {
+    patientId,
+    physiotherapistId,
+    sourceType: 'recovery_review',
+    reason: 'Persistent shoulder stiffness at 6 week review',
+    goals: ['Regain full flexion'],
+    precautions: ['No overhead lifting'],
+    expectedDuration: 6
+  });
+
+  describe('createReferral', () => {
+    it('should create a pending referral', async () => {
+      const result = await createReferral();
+
+      expect(result.success).toBe(true);
+      expect(result.data.referral.status).toBe('pending');
+      expect(result.data.referral.source.type).toBe('recovery_review');
+    });
+
+    it('should reject a duplicate pending referral', async () => {
+      await createReferral();
+      await expect(createReferral()).rejects.toThrow('A pending referral already exists');
+    });
+
+    it('should require a surgery for surgery referrals', async () => {
+      await expect(ReferralService.createReferral(doctorId, {
+        patientId,
+        physiotherapistId,
+        sourceType: 'surgery',
+        reason: 'Post-op rehab'
+      })).rejects.toThrow('Surgery referrals require a surgeryId');
+    });
+  });
+
+  describe('acceptReferral', () => {
+    it('should create the assignment and a draft rehab plan', async () => {
+      const created = await createReferral();
+      const result = await ReferralService.acceptReferral(created.data.referral._id, physiotherapistId);
+
+      expect(result.data.referral.status).toBe('accepted');
+      expect(result.data.assignment.startType).toBe('referral');
+      expect(result.data.draftPlan.status).toBe('draft');
+      expect(result.data.draftPlan.parameters.precautions).toContain('No overhead lifting');
+
+      const patient = await User.findById(patientId);
+      const physio = await User.findById(physiotherapistId);
+      expect(patient.assignedProviders[0].providerId.toString()).toBe(physiotherapistId.toString());
+      expect(physio.assignedPatients.map(id => id.toString())).toContain(patientId.toString());
+    });
+
+    it('should undo the assignment and plan when a later step fails, so it can be accepted again', async () => {
+      const created = await createReferral();
+      const saveSpy = jest.spyOn(Referral.prototype, 'save').mockRejectedValueOnce(new Error('Write conflict'));
+
+      await expect(ReferralService.acceptReferral(created.data.referral._id, physiotherapistId))
+        .rejects.toThrow('Write conflict');
+      saveSpy.mockRestore();
+
+      const referral = await Referral.findById(created.data.referral._id);
+      const patient = await User.findById(patientId);
+      expect(referral.status).toBe('pending');
+      expect(patient.assignedProviders).toHaveLength(0);
+      expect(await CareAssignment.countDocuments({ patient: patientId })).toBe(0);
+      expect(await RehabTask.countDocuments({ assignedTo: patientId })).toBe(0);
+
+      const retried = await ReferralService.acceptReferral(created.data.referral._id, physiotherapistId);
+      expect(retried.data.referral.status).toBe('accepted');
+    });
+
+    it('should only let the receiving physiotherapist respond', async () => {
+      const created = await createReferral();
+
+      await expect(ReferralService.acceptReferral(created.data.referral._id, doctorId))
+        .rejects.toThrow('Only the receiving physiotherapist can respond to this referral');
+    });
+  });
+
+  describe('declineReferral', () => {
+    it('should record the decline reason and leave the patient unassigned', async () => {
+      const created = await createReferral();
+      const result = await ReferralService.declineReferral(
+        created.data.referral._id,
+        physiotherapistId,
+        'Caseload full'
+      );
+
+      expect(result.data.referral.status).toBe('declined');
+      expect(result.data.referral.response.declineReason).toBe('Caseload full');
+
+      const patient = await User.findById(patientId);
+      expect(patient.assignedProviders).toHaveLength(0);
+    });
+  });
+
+  describe('getPendingReferralsSummary', () => {
+    it('should list pending referrals for the dashboard', async () => {
+      await createReferral();
+
+      const summary = await ReferralService.getPendingReferralsSummary(physiotherapistId);
+
+      expect(summary.totalPending).toBe(1);
+      expect(summary.referrals[0].patient.firstName).toBe('Test');
+    });
+  });
+});
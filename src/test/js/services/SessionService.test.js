@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const AuthService = require('../../../main/js/services/AuthService');
+const SessionService = require('../../../main/js/services/SessionService');
+const jwtUtils = require('../../../main/js/core/auth/jwtUtils');
+const Session = require('../../../main/js/models/Session');
+const User = require('../../../main/js/models/User');
+
+describe('SessionService', () => {
+  const password = 'Str0ng!Passw0rd';
+  const device = {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+    ipAddress: '203.0.113.7'
+  };
+  let user;
+
+  const login = () => AuthService.login(user.email, password, device);
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+
+    user = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password,
+      role: 'patient'
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('login', () => {
+    it('should start a session with the device details and put its ID in both tokens', async () => {
+      const { data } = await login();
+
+      const access = jwtUtils.decodeToken(data.tokens.accessToken);
+      const refresh = jwtUtils.decodeToken(data.tokens.refreshToken);
+      expect(access.sid).toBeDefined();
+      expect(refresh.sid).toBe(access.sid);
+
+      const session = await Session.findById(access.sid);
+      expect(session.device.name).toBe('Chrome on Windows');
+      expect(session.ipAddress).toBe('203.0.113.7');
+      expect(session.expiresAt.getTime()).toBe(refresh.exp * 1000);
+      expect(session.toJSON().tokenHash).toBeUndefined();
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('should issue a new pair and use up the presented refresh token', async () => {
+      const { data } = await login();
+
+      const rotated = await AuthService.refreshToken(data.tokens.refreshToken, { ipAddress: '198.51.100.4' });
+      expect(rotated.data.refreshToken).not.toBe(data.tokens.refreshToken);
+
+      const sessionId = jwtUtils.decodeToken(rotated.data.accessToken).sid;
+      const session = await Session.findById(sessionId);
+      expect(session.rotationCount).toBe(1);
+      expect(session.lastIpAddress).toBe('198.51.100.4');
+
+      // A second tab refreshing with the same token at the same moment is refused without revoking
+      await expect(AuthService.refreshToken(data.tokens.refreshToken))
+        .rejects.toThrow('Refresh token already used');
+      expect(await SessionService.isSessionActive(sessionId, user._id)).toBe(true);
+
+      const again = await AuthService.refreshToken(rotated.data.refreshToken);
+      expect(again.success).toBe(true);
+    });
+
+    it('should revoke the whole session when an old refresh token is replayed', async () => {
+      const { data } = await login();
+      const sessionId = jwtUtils.decodeToken(data.tokens.accessToken).sid;
+
+      const first = await AuthService.refreshToken(data.tokens.refreshToken);
+      const second = await AuthService.refreshToken(first.data.refreshToken);
+
+      // The original token is two rotations old, so it is not a concurrent refresh
+      await expect(AuthService.refreshToken(data.tokens.refreshToken))
+        .rejects.toThrow('Refresh token reuse detected');
+
+      const session = await Session.findById(sessionId);
+      expect(session.revokedReason).toBe('refresh_token_reuse');
+      expect(await SessionService.isSessionActive(sessionId, user._id)).toBe(false);
+
+      await expect(AuthService.refreshToken(second.data.refreshToken))
+        .rejects.toThrow('Session has been revoked');
+    });
+
+    it('should reject refresh tokens issued without a session', async () => {
+      const legacyToken = await jwtUtils.generateRefreshToken({ userId: user._id, email: user.email });
+
+      await expect(AuthService.refreshToken(legacyToken)).rejects.toThrow('Invalid refresh token');
+    });
+  });
+
+  describe('logout', () => {
+    it('should revoke only the current session on logout and list the rest', async () => {
+      const phone = await login();
+      const laptop = await login();
+      const phoneSession = jwtUtils.decodeToken(phone.data.tokens.accessToken).sid;
+      const laptopSession = jwtUtils.decodeToken(laptop.data.tokens.accessToken).sid;
+
+      await AuthService.logout(user._id, phoneSession);
+
+      const result = await AuthService.getSessions(user._id, laptopSession);
+      expect(result.data.count).toBe(1);
+      expect(result.data.sessions[0]._id.toString()).toBe(laptopSession);
+      expect(result.data.sessions[0].current).toBe(true);
+
+      await expect(AuthService.refreshToken(phone.data.tokens.refreshToken))
+        .rejects.toThrow('Session has been revoked');
+    });
+
+    it('should revoke every session on logout-all and all but the current one on password change', async () => {
+      const first = await login();
+      await login();
+      await login();
+
+      const currentSession = jwtUtils.decodeToken(first.data.tokens.accessToken).sid;
+      await AuthService.changePassword(user._id, password, 'An0ther!Passw0rd', currentSession);
+
+      const remaining = await AuthService.getSessions(user._id, currentSession);
+      expect(remaining.data.sessions.map(session => session._id.toString())).toEqual([currentSession]);
+
+      const result = await AuthService.logoutAllDevices(user._id);
+      expect(result.data.revokedCount).toBe(1);
+      expect(await SessionService.isSessionActive(currentSession, user._id)).toBe(false);
+    });
+
+    it('should not let a user revoke someone else\'s session', async () => {
+      const { data } = await login();
+      const sessionId = jwtUtils.decodeToken(data.tokens.accessToken).sid;
+
+      await expect(AuthService.revokeSession(new mongoose.Types.ObjectId(), sessionId))
+        .rejects.toThrow('Session not found');
+      expect(await SessionService.isSessionActive(sessionId, user._id)).toBe(true);
+    });
+  });
+});
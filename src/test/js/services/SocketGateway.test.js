@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const { SocketGateway } = require('../../../main/js/core/realtime/socketGateway');
+const AccessControlService = require('../../../main/js/services/AccessControlService');
+const jwtUtils = require('../../../main/js/core/auth/jwtUtils');
+const User = require('../../../main/js/models/User');
+
+// Minimal stand-in for a server-side Socket.IO socket
+const createSocket = (handshake = {}) => {
+  const listeners = {};
+  return {
+    handshake: { auth: {}, headers: {}, ...handshake },
+    data: {},
+    listeners,
+    join: jest.fn(),
+    emit: jest.fn(),
+    disconnect: jest.fn(),
+    on: jest.fn((event, handler) => { listeners[event] = handler; }),
+    onAny: jest.fn((handler) => { listeners.any = handler; })
+  };
+};
+
+const authenticate = (gateway, socket) => new Promise(resolve => {
+  gateway.authenticate(socket, resolve);
+});
+
+describe('SocketGateway', () => {
+  let gateway, mockIo;
+  let patient, otherPatient, physiotherapist;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    patient = await User.create({
+      firstName: 'Test',
+      lastName: 'Patient',
+      email: 'patient@test.com',
+      password: 'password123',
+      role: 'patient'
+    });
+
+    otherPatient = await User.create({
+      firstName: 'Other',
+      lastName: 'Patient',
+      email: 'other@test.com',
+      password: 'password123',
+      role: 'patient'
+    });
+
+    physiotherapist = await User.create({
+      firstName: 'Test',
+      lastName: 'Physio',
+      email: 'physio@test.com',
+      password: 'password123',
+      role: 'physiotherapist',
+      assignedPatients: [patient._id],
+      professionalInfo: { licenseNumber: 'PT-1', licenseVerification: { status: 'verified' } }
+    });
+
+    mockIo = {
+      to: jest.fn().mockReturnThis(),
+      except: jest.fn().mockReturnThis(),
+      emit: jest.fn()
+    };
+
+    gateway = new SocketGateway(mockIo, { users: User, accessControl: new AccessControlService() });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('authenticate', () => {
+    it('should reject handshakes without a valid access token', async () => {
+      const missing = await authenticate(gateway, createSocket());
+      expect(missing.message).toBe('Authentication failed');
+      expect(missing.data.message).toBe('No authentication token provided');
+
+      const invalid = await authenticate(gateway, createSocket({ auth: { token: 'not-a-token' } }));
+      expect(invalid.data.message).toBe('Invalid access token');
+
+      const refreshToken = await jwtUtils.generateRefreshToken({ userId: patient._id, email: patient.email });
+      const wrongType = await authenticate(gateway, createSocket({ auth: { token: refreshToken } }));
+      expect(wrongType).toBeInstanceOf(Error);
+    });
+
+    it('should reject inactive users', async () => {
+      await User.updateOne({ _id: patient._id }, { isActive: false });
+      const token = await jwtUtils.generateAccessToken({ userId: patient._id, role: 'patient' });
+
+      const error = await authenticate(gateway, createSocket({ auth: { token } }));
+      expect(error.data.message).toBe('User not found or inactive');
+    });
+
+    it('should accept an access token in the Authorization header', async () => {
+      const token = await jwtUtils.generateAccessToken({ userId: physiotherapist._id, role: 'physiotherapist' });
+      const socket = createSocket({ headers: { authorization: `Bearer ${token}` } });
+
+      expect(await authenticate(gateway, socket)).toBeUndefined();
+      expect(socket.data.user).toEqual({ id: physiotherapist._id.toString(), role: 'physiotherapist' });
+      expect(socket.data.clinicalAccess).toBe(true);
+      expect(socket.data.tokenExpiresAt).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('handleConnection', () => {
+    it('should join the user room and the care-team rooms of assigned patients only', async () => {
+      const socket = createSocket();
+      socket.data.user = { id: physiotherapist._id.toString(), role: 'physiotherapist' };
+      socket.data.clinicalAccess = true;
+      socket.data.tokenExpiresAt = Date.now() + 60 * 1000;
+
+      await gateway.handleConnection(socket);
+
+      const rooms = socket.join.mock.calls[0][0];
+      expect(rooms).toEqual([`user_${physiotherapist._id}`, `patient_${patient._id}`]);
+      expect(rooms).not.toContain(`patient_${otherPatient._id}`);
+
+      socket.listeners.disconnect();
+    });
+
+    it('should refuse client-sent events such as join-room', async () => {
+      const socket = createSocket();
+      socket.data.user = { id: patient._id.toString(), role: 'patient' };
+
+      await gateway.handleConnection(socket);
+      socket.listeners.any('join-room', `patient_${otherPatient._id}`);
+
+      expect(socket.join).toHaveBeenCalledTimes(1);
+      expect(socket.emit).toHaveBeenCalledWith('event-rejected', expect.objectContaining({ event: 'join-room' }));
+    });
+
+    it('should pass registered client events to their handler with the socket user', async () => {
+      const handler = jest.fn(async (user, payload) => ({ echoed: payload.value, by: user.id }));
+      gateway.handle('typing', handler);
+
+      const socket = createSocket();
+      socket.data.user = { id: patient._id.toString(), role: 'patient' };
+      socket.data.clinicalAccess = true;
+      await gateway.handleConnection(socket);
+
+      const ack = jest.fn();
+      socket.listeners.any('typing');
+      await socket.listeners.typing({ value: 1 }, ack);
+
+      expect(ack).toHaveBeenCalledWith({ success: true, data: { echoed: 1, by: patient._id.toString() } });
+      expect(socket.emit).not.toHaveBeenCalledWith('event-rejected', expect.anything());
+    });
+
+    it('should disconnect the socket when its token expires', async () => {
+      const socket = createSocket();
+      socket.data.user = { id: patient._id.toString(), role: 'patient' };
+      socket.data.tokenExpiresAt = Date.now() - 1;
+
+      await gateway.handleConnection(socket);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(socket.emit).toHaveBeenCalledWith('session-expired', expect.any(Object));
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+  });
+
+  describe('unverified providers', () => {
+    let doctor, socket;
+
+    beforeEach(async () => {
+      // Doctors can see every patient, so the license check is all that stands in the way
+      doctor = await User.create({
+        firstName: 'Pending',
+        lastName: 'Doctor',
+        email: 'doctor@test.com',
+        password: 'password123',
+        role: 'doctor',
+        professionalInfo: { licenseNumber: 'MD-1', licenseVerification: { status: 'pending' } }
+      });
+
+      const token = await jwtUtils.generateAccessToken({ userId: doctor._id, role: 'doctor' });
+      socket = createSocket({ auth: { token } });
+      socket.rooms = new Set();
+      socket.join = jest.fn((rooms) => [].concat(rooms).forEach(room => socket.rooms.add(room)));
+      socket.leave = jest.fn((room) => socket.rooms.delete(room));
+      mockIo.in = jest.fn(() => ({ fetchSockets: async () => [socket] }));
+    });
+
+    it('should only join their own rooms and refuse their events until the license is verified', async () => {
+      const handler = jest.fn();
+      gateway.handle('typing', handler);
+
+      expect(await authenticate(gateway, socket)).toBeUndefined();
+      expect(socket.data.clinicalAccess).toBe(false);
+      await gateway.handleConnection(socket);
+
+      expect(socket.join.mock.calls[0][0]).toEqual([`user_${doctor._id}`]);
+
+      const ack = jest.fn();
+      await socket.listeners.typing({ conversationId: 'c1' }, ack);
+      expect(handler).not.toHaveBeenCalled();
+      expect(ack).toHaveBeenCalledWith({ success: false, error: 'Your professional license has not been verified yet' });
+
+      socket.listeners.disconnect();
+    });
+
+    it('should join the patient rooms once the license is verified, and leave them if it is revoked', async () => {
+      await authenticate(gateway, socket);
+      await gateway.handleConnection(socket);
+      socket.listeners.disconnect();
+
+      await User.updateOne({ _id: doctor._id }, { 'professionalInfo.licenseVerification.status': 'verified' });
+      await gateway.syncRooms(doctor._id);
+
+      expect(socket.data.clinicalAccess).toBe(true);
+      expect(socket.rooms).toContain(`patient_${patient._id}`);
+      expect(socket.rooms).toContain(`patient_${otherPatient._id}`);
+
+      await User.updateOne({ _id: doctor._id }, { 'professionalInfo.licenseVerification.status': 'rejected' });
+      await gateway.syncRooms(doctor._id);
+
+      expect(socket.data.clinicalAccess).toBe(false);
+      expect([...socket.rooms].filter(room => room.startsWith('patient_'))).toEqual([]);
+    });
+  });
+
+  describe('emitToCareTeam', () => {
+    it('should leave out the patient for team-only events', () => {
+      gateway.emitToCareTeam(patient._id, 'comment-updated', { commentId: 'c1' }, { includePatient: false });
+
+      expect(mockIo.to).toHaveBeenCalledWith(`patient_${patient._id}`);
+      expect(mockIo.except).toHaveBeenCalledWith(`user_${patient._id}`);
+      expect(mockIo.emit).toHaveBeenCalledWith('comment-updated', { commentId: 'c1' });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const AuthService = require('../../../main/js/services/AuthService');
+const TwoFactorService = require('../../../main/js/services/TwoFactorService');
+const totp = require('../../../main/js/core/auth/totp');
+const Session = require('../../../main/js/models/Session');
+const LoginThrottle = require('../../../main/js/models/LoginThrottle');
+const User = require('../../../main/js/models/User');
+
+describe('TwoFactorService', () => {
+  const password = 'Str0ng!Passw0rd';
+  const step = totp.getTimeStep();
+  let user;
+
+  // Enroll through the API and return the secret the authenticator app would hold
+  const enroll = async (userId) => {
+    const setup = await AuthService.beginTwoFactorSetup({ userId });
+    const result = await AuthService.enableTwoFactor({ userId }, totp.generateCode(setup.data.secret, step - 1));
+    return { secret: setup.data.secret, recoveryCodes: result.data.recoveryCodes };
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+  });
+
+  beforeEach(async () => {
+    process.env.TWO_FACTOR_REQUIRED_ROLES = 'physiotherapist,doctor';
+    await User.deleteMany({});
+    await Session.deleteMany({});
+    await LoginThrottle.deleteMany({});
+
+    user = await User.create({
+      firstName: 'Test',
+      lastName: 'Physio',
+      email: 'physio@test.com',
+      password,
+      role: 'physiotherapist'
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    await mongoose.connection.close();
+  });
+
+  describe('enrollment', () => {
+    it('should store the secret encrypted and only enable it after a valid code', async () => {
+      const setup = await AuthService.beginTwoFactorSetup({ userId: user._id });
+      expect(setup.data.otpauthUrl).toContain(`secret=${setup.data.secret}`);
+
+      const stored = await User.findById(user._id).select('+twoFactor.pendingSecret');
+      expect(stored.twoFactor.enabled).toBe(false);
+      expect(stored.twoFactor.pendingSecret).not.toContain(setup.data.secret);
+
+      await expect(AuthService.enableTwoFactor({ userId: user._id }, '000000'))
+        .rejects.toThrow('Invalid verification code');
+
+      const result = await AuthService.enableTwoFactor({ userId: user._id }, totp.generateCode(setup.data.secret));
+      expect(result.data.recoveryCodes).toHaveLength(10);
+
+      const status = await AuthService.getTwoFactorStatus(user._id);
+      expect(status.data).toMatchObject({ enabled: true, required: true, recoveryCodesRemaining: 10 });
+      expect(JSON.stringify((await User.findById(user._id)).toJSON())).not.toContain('recoveryCodes');
+    });
+
+    it('should make a provider without 2FA set it up before any tokens are issued', async () => {
+      const login = await AuthService.login(user.email, password);
+      expect(login.data.tokens).toBeUndefined();
+      expect(login.data.twoFactorSetupRequired).toBe(true);
+
+      const { challengeToken } = login.data;
+      const setup = await AuthService.beginTwoFactorSetup({ challengeToken });
+      const result = await AuthService.enableTwoFactor({ challengeToken }, totp.generateCode(setup.data.secret));
+
+      expect(result.data.tokens.accessToken).toBeDefined();
+      expect(result.data.recoveryCodes).toHaveLength(10);
+      expect(await Session.countDocuments({ user: user._id })).toBe(1);
+    });
+
+    it('should let patients log in with a password only unless they enroll', async () => {
+      const patient = await User.create({
+        firstName: 'Test',
+        lastName: 'Patient',
+        email: 'patient@test.com',
+        password,
+        role: 'patient'
+      });
+
+      const login = await AuthService.login(patient.email, password);
+      expect(login.data.tokens.accessToken).toBeDefined();
+
+      await enroll(patient._id);
+      const again = await AuthService.login(patient.email, password);
+      expect(again.data.twoFactorRequired).toBe(true);
+    });
+  });
+
+  describe('login', () => {
+    it('should issue tokens only after a valid code, and accept each code once', async () => {
+      const { secret } = await enroll(user._id);
+
+      const login = await AuthService.login(user.email, password);
+      expect(login.data.twoFactorRequired).toBe(true);
+      expect(login.data.tokens).toBeUndefined();
+
+      // A challenge token is not an access token and cannot start setup either
+      await expect(AuthService.beginTwoFactorSetup({ challengeToken: login.data.challengeToken }))
+        .rejects.toThrow('Invalid two-factor login');
+
+      const code = totp.generateCode(secret);
+      const result = await AuthService.completeTwoFactorLogin(login.data.challengeToken, { code });
+      expect(result.data.tokens.accessToken).toBeDefined();
+
+      const replay = await AuthService.login(user.email, password);
+      await expect(AuthService.completeTwoFactorLogin(replay.data.challengeToken, { code }))
+        .rejects.toThrow('Invalid verification code');
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll(user._id);
+
+      const first = await AuthService.login(user.email, password);
+      const result = await AuthService.completeTwoFactorLogin(first.data.challengeToken, {
+        recoveryCode: recoveryCodes[0].toUpperCase()
+      });
+      expect(result.data.recoveryCodesRemaining).toBe(9);
+
+      const second = await AuthService.login(user.email, password);
+      await expect(AuthService.completeTwoFactorLogin(second.data.challengeToken, { recoveryCode: recoveryCodes[0] }))
+        .rejects.toThrow('Invalid recovery code');
+    });
+
+    it('should stop accepting codes after too many wrong ones until the password is entered again', async () => {
+      const { secret } = await enroll(user._id);
+      const login = await AuthService.login(user.email, password);
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await expect(AuthService.completeTwoFactorLogin(login.data.challengeToken, { code: '000000' }))
+          .rejects.toThrow('Invalid verification code');
+        // Skip the account's progressive login delay (see LoginProtectionService tests)
+        await LoginThrottle.deleteMany({});
+      }
+      await expect(AuthService.completeTwoFactorLogin(login.data.challengeToken, { code: totp.generateCode(secret) }))
+        .rejects.toThrow('Too many incorrect codes');
+
+      const again = await AuthService.login(user.email, password);
+      const result = await AuthService.completeTwoFactorLogin(again.data.challengeToken, { code: totp.generateCode(secret) });
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('disable', () => {
+    it('should refuse to turn off 2FA for a role that requires it', async () => {
+      const { secret } = await enroll(user._id);
+
+      await expect(TwoFactorService.disable(user._id, { password, code: totp.generateCode(secret) }))
+        .rejects.toThrow('required for your role');
+    });
+
+    it('should turn off 2FA with the password and a current code', async () => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = '';
+      const { secret } = await enroll(user._id);
+
+      await expect(TwoFactorService.disable(user._id, { password: 'wrong', code: totp.generateCode(secret) }))
+        .rejects.toThrow('Password is incorrect');
+
+      await TwoFactorService.disable(user._id, { password, code: totp.generateCode(secret) });
+
+      const login = await AuthService.login(user.email, password);
+      expect(login.data.tokens.accessToken).toBeDefined();
+    });
+  });
+});